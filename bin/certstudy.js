@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// bin/certstudy.js
+// Command-line tool: generate a quiz to JSON or Markdown, take a quiz in
+// the terminal, or explain a term. Uses the same provider, question bank,
+// validation and caches as the server (see lib/quizBuilder.js and
+// lib/explainer.js), so it works with any LLM_PROVIDER from .env.
+const fs = require("fs");
+const readline = require("readline");
+const { parseArgs } = require("util");
+const config = require("../lib/config");
+const { createProvider, describeProviderError } = require("../lib/providers");
+const { createQuestionBank } = require("../lib/questionBank");
+const { createMaterials } = require("../lib/materials");
+const { createUsageLedger } = require("../lib/usage");
+const { createCache } = require("../lib/cache");
+const { createPromptGuard } = require("../lib/promptGuard");
+const { createQuizBuilder } = require("../lib/quizBuilder");
+const { createExplainer } = require("../lib/explainer");
+const { validateSharedQuiz } = require("../lib/sharedQuizzes");
+const { quizToMarkdown } = require("../lib/quizMarkdown");
+const { takeQuiz } = require("../lib/terminalQuiz");
+const { LANGUAGES } = require("../lib/languages");
+
+// Model calls show up under this name in the usage ledger
+const CLI_USER = "cli";
+
+const USAGE = `Usage: certstudy <command> [options]
+
+Commands:
+  generate           Generate a quiz and print it (or save it with --out)
+  take [quiz.json]   Take a quiz in the terminal: a file from "generate",
+                     or a new one for --topic
+  explain <term>     Explain a term or phrase for the topic
+
+Quiz options (generate, take):
+  -t, --topic <text>        Topic or exam, e.g. "AZ-900"
+  -n, --count <n>           Number of questions, 1-15 (default 5)
+  -d, --difficulty <level>  beginner, intermediate or expert
+      --types <list>        Comma-separated: single, multi, truefalse,
+                            ordering, matching, casestudy
+      --blueprint <id>      Exam blueprint to spread questions over
+      --bank                Reuse questions from the question bank first
+      --scoring <mode>      partial or strict partial credit
+  -l, --language <code>     Language of the questions: ${Object.keys(
+    LANGUAGES
+  ).join(", ")}
+
+generate:
+  -f, --format <format>     json (default) or markdown
+  -o, --out <file>          Write to a file instead of standard output
+      --title <text>        Quiz title (default: the topic)
+      --no-answers          Markdown without the answer key
+
+explain:
+  -t, --topic <text>        Topic or exam the term belongs to
+  -d, --difficulty <level>  beginner, intermediate or expert
+  -l, --language <code>     Language of the explanation
+      --fresh               Ask the model again instead of using the cache
+
+The provider and models come from .env, as for the server.`;
+
+const QUIZ_OPTIONS = {
+  topic: { type: "string", short: "t" },
+  count: { type: "string", short: "n" },
+  difficulty: { type: "string", short: "d" },
+  types: { type: "string" },
+  blueprint: { type: "string" },
+  bank: { type: "boolean" },
+  scoring: { type: "string" },
+  language: { type: "string", short: "l" },
+};
+
+// An error to print as-is, without a stack trace; usage mistakes also
+// point to the help text
+class CliError extends Error {
+  constructor(message, { usage = false } = {}) {
+    super(message);
+    this.usage = usage;
+  }
+}
+
+function fail(message) {
+  throw new CliError(message);
+}
+
+function usageError(message) {
+  throw new CliError(message, { usage: true });
+}
+
+function createServices() {
+  const llm = createProvider(config.llm);
+  const ledger = createUsageLedger();
+  const promptGuard = createPromptGuard({ mode: config.security.promptGuard });
+  const describeError = (err) =>
+    describeProviderError(err, { llm, llmConfig: config.llm });
+
+  return {
+    buildQuiz: createQuizBuilder({
+      llm,
+      model: config.models.quiz,
+      bank: createQuestionBank(),
+      materials: createMaterials(),
+      ledger,
+      promptGuard,
+      describeError,
+      defaultPartialCredit: config.scoring.partialCredit,
+    }),
+    explain: createExplainer({
+      llm,
+      model: config.models.explain,
+      explanations: createCache({ name: "explanations" }),
+      ledger,
+      promptGuard,
+      describeError,
+    }),
+  };
+}
+
+// Helper: a failed { status, body } from the builder / explainer
+function failWith({ status, body }) {
+  fail(
+    [body.error, body.debug].filter(Boolean).join("\n") || `Status ${status}`
+  );
+}
+
+/**
+ * Helper: a new quiz for the quiz options, in the shape POST /api/quiz
+ * accepts, so the JSON output can be shared or taken later.
+ */
+async function generateQuiz(services, values) {
+  if (!values.topic) usageError("--topic is required.");
+
+  const request = {
+    topic: values.topic,
+    count: values.count,
+    difficulty: values.difficulty,
+    types: values.types ? values.types.split(",").map((t) => t.trim()) : null,
+    blueprint: values.blueprint,
+    useBank: !!values.bank,
+    partialCredit: values.scoring,
+    language: values.language,
+  };
+  console.error(`Generating questions on "${values.topic}"...`);
+  const result = await services.buildQuiz(request, { user: CLI_USER });
+  if (result.status !== 200) failWith(result);
+
+  const { body } = result;
+  const stats = [`${body.questions.length} question(s)`];
+  if (body.bank.reused) stats.push(`${body.bank.reused} from the bank`);
+  if (body.usage.model) {
+    stats.push(
+      `model ${body.usage.model}`,
+      `$${(body.usage.estimatedCostUsd || 0).toFixed(4)}`
+    );
+  }
+  console.error(stats.join(" · "));
+  if (body.shortfall) console.error(`Note: ${body.shortfall.reason}`);
+
+  return {
+    ...(values.title && { title: values.title }),
+    topic: body.topic,
+    difficulty: body.difficulty,
+    scoring: body.scoring,
+    questions: body.questions,
+  };
+}
+
+function readQuizFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    fail(
+      err.code === "ENOENT"
+        ? `No such file: ${file}`
+        : `${file} is not a JSON quiz file.`
+    );
+  }
+  const { quiz, error } = validateSharedQuiz(raw);
+  if (error) fail(`${file}: ${error}`);
+  return quiz;
+}
+
+// Helper: ask(prompt) over stdin for takeQuiz; works with pipes too
+function createPrompter() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(prompt) {
+      rl.setPrompt(prompt);
+      rl.prompt();
+      const { value, done } = await lines.next();
+      return done ? null : value;
+    },
+    close: () => rl.close(),
+  };
+}
+
+const commands = {
+  async generate(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        ...QUIZ_OPTIONS,
+        format: { type: "string", short: "f", default: "json" },
+        out: { type: "string", short: "o" },
+        title: { type: "string" },
+        "no-answers": { type: "boolean" },
+      },
+    });
+    const format = values.format === "md" ? "markdown" : values.format;
+    if (!["json", "markdown"].includes(format)) {
+      usageError(`Unknown format "${values.format}". Use json or markdown.`);
+    }
+
+    const quiz = await generateQuiz(createServices(), values);
+    const output =
+      format === "markdown"
+        ? quizToMarkdown(quiz, { answers: !values["no-answers"] })
+        : JSON.stringify(quiz, null, 2) + "\n";
+
+    if (values.out) {
+      fs.writeFileSync(values.out, output);
+      console.error(`Saved to ${values.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  },
+
+  async take(args) {
+    const { values, positionals } = parseArgs({
+      args,
+      options: QUIZ_OPTIONS,
+      allowPositionals: true,
+    });
+    if (positionals.length > 1) usageError("Take one quiz file at a time.");
+    if (!positionals.length && !values.topic) {
+      usageError("Give a quiz file or --topic to generate a new quiz.");
+    }
+
+    const quiz = positionals.length
+      ? readQuizFile(positionals[0])
+      : await generateQuiz(createServices(), values);
+
+    const prompter = createPrompter();
+    try {
+      const result = await takeQuiz(quiz, {
+        ask: prompter.ask,
+        print: (line) => console.log(line),
+        partialCredit: values.scoring,
+      });
+      if (!result.finished) console.log("Quiz stopped early.");
+    } finally {
+      prompter.close();
+    }
+  },
+
+  async explain(args) {
+    const { values, positionals } = parseArgs({
+      args,
+      options: {
+        topic: { type: "string", short: "t" },
+        difficulty: { type: "string", short: "d" },
+        language: { type: "string", short: "l" },
+        fresh: { type: "boolean" },
+      },
+      allowPositionals: true,
+    });
+    if (!positionals.length) usageError("Say which term to explain.");
+
+    const result = await createServices().explain(
+      {
+        topic: values.topic,
+        text: positionals.join(" "),
+        difficulty: values.difficulty,
+        language: values.language,
+        regenerate: !!values.fresh,
+      },
+      { user: CLI_USER }
+    );
+    if (result.status !== 200) failWith(result);
+
+    if (result.body.cached) console.error("(from the explanation cache)");
+    process.stdout.write(result.body.explanation.trim() + "\n");
+  },
+};
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || ["help", "-h", "--help"].includes(command)) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) usageError(`Unknown command "${command}".`);
+  await commands[command](args);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  // parseArgs reports unknown or malformed options as usage mistakes too
+  const usage = err.usage || String(err.code).startsWith("ERR_PARSE_ARGS");
+  if (usage) {
+    console.error(`${err.message}\nRun "certstudy help" for usage.`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(err instanceof CliError ? err.message : err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,224 @@
+// lib/accounts.js
+// Local learner accounts: scrypt password hashes and server-side sessions,
+// so history, review queues, chats and spend can belong to one learner.
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { createJsonStore } = require("./store");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ["learner", "admin"];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function hashPassword(password, salt = crypto.randomBytes(16)) {
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return { salt: salt.toString("hex"), hash: key.toString("hex") };
+}
+
+async function verifyPassword(password, { salt, hash }) {
+  const key = await scrypt(password, Buffer.from(salt, "hex"), KEY_LENGTH);
+  return crypto.timingSafeEqual(key, Buffer.from(hash, "hex"));
+}
+
+// Only a hash of the token is stored, so the data file cannot be replayed
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Helper: the user as the API and the rest of the server see it
+ * (never the password hash).
+ */
+function publicUser({
+  id,
+  username,
+  displayName,
+  role,
+  createdAt,
+  lastLoginAt,
+}) {
+  return {
+    id,
+    username,
+    displayName,
+    role,
+    createdAt,
+    lastLoginAt: lastLoginAt || null,
+  };
+}
+
+/**
+ * Helper: does a stored record (attempt, review item, conversation) belong
+ * to `userId`? `undefined` means "anyone" (accounts disabled, or an admin
+ * looking at the whole team); records from before accounts have no owner.
+ */
+function belongsTo(record, userId) {
+  return userId === undefined || (record.userId || null) === userId;
+}
+
+function checkCredentials({ username, password }) {
+  const name = String(username || "")
+    .trim()
+    .toLowerCase();
+  if (!USERNAME_PATTERN.test(name)) {
+    return {
+      error:
+        "Usernames are 3–32 characters: lowercase letters, digits, dots, dashes or underscores.",
+    };
+  }
+  const pass = String(password || "");
+  if (pass.length < MIN_PASSWORD_LENGTH || pass.length > MAX_PASSWORD_LENGTH) {
+    return {
+      error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`,
+    };
+  }
+  return { username: name, password: pass };
+}
+
+function createAccounts({
+  sessionDays = 14,
+  store = createJsonStore("accounts", { users: [], sessions: [] }),
+} = {}) {
+  function findUser(predicate) {
+    return store.read().users.find(predicate) || null;
+  }
+
+  function list() {
+    return store.read().users.map(publicUser);
+  }
+
+  function get(id) {
+    const user = findUser((u) => u.id === id);
+    return user ? publicUser(user) : null;
+  }
+
+  /**
+   * Create an account. The very first one becomes an admin, so a fresh
+   * install can be set up without editing files. Returns { user } or { error }.
+   */
+  async function register({ username, password, displayName, role }) {
+    const checked = checkCredentials({ username, password });
+    if (checked.error) return checked;
+
+    const { salt, hash } = await hashPassword(checked.password);
+
+    return store.update((data) => {
+      if (data.users.some((u) => u.username === checked.username)) {
+        return { error: "That username is taken." };
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        username: checked.username,
+        displayName:
+          String(displayName || "")
+            .trim()
+            .slice(0, 60) || checked.username,
+        role: !data.users.length
+          ? "admin"
+          : ROLES.includes(role)
+          ? role
+          : "learner",
+        salt,
+        passwordHash: hash,
+        createdAt: new Date().toISOString(),
+      };
+      data.users.push(user);
+      return { user: publicUser(user) };
+    });
+  }
+
+  /**
+   * Check a username + password and open a session.
+   * Returns { user, token, expiresAt } or { error }.
+   */
+  async function login({ username, password }) {
+    const name = String(username || "")
+      .trim()
+      .toLowerCase();
+    const user = findUser((u) => u.username === name);
+    const valid =
+      user &&
+      (await verifyPassword(String(password || ""), {
+        salt: user.salt,
+        hash: user.passwordHash,
+      }));
+    if (!valid) return { error: "Wrong username or password." };
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const expiresAt = new Date(now + sessionDays * DAY_MS).toISOString();
+
+    store.update((data) => {
+      // Drop expired sessions while we are here
+      data.sessions = data.sessions.filter(
+        (s) => Date.parse(s.expiresAt) > now
+      );
+      data.sessions.push({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        expiresAt,
+      });
+      data.users.find((u) => u.id === user.id).lastLoginAt = new Date(
+        now
+      ).toISOString();
+    });
+
+    return { user: get(user.id), token, expiresAt };
+  }
+
+  /**
+   * The signed-in user for a session token, or null when the token is
+   * unknown or expired.
+   */
+  function authenticate(token, now = Date.now()) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = store
+      .read()
+      .sessions.find((s) => s.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= now) return null;
+    return get(session.userId);
+  }
+
+  function logout(token) {
+    const tokenHash = hashToken(token || "");
+    return store.update((data) => {
+      const before = data.sessions.length;
+      data.sessions = data.sessions.filter((s) => s.tokenHash !== tokenHash);
+      return data.sessions.length < before;
+    });
+  }
+
+  /**
+   * Change a user's role. Refuses to demote the last admin, so the team
+   * view can't be locked away. Returns { user } or { error }.
+   */
+  function setRole(id, role) {
+    if (!ROLES.includes(role)) {
+      return { error: `Role must be one of: ${ROLES.join(", ")}.` };
+    }
+
+    return store.update((data) => {
+      const user = data.users.find((u) => u.id === id);
+      if (!user) return { error: "User not found." };
+
+      const admins = data.users.filter((u) => u.role === "admin");
+      if (role !== "admin" && user.role === "admin" && admins.length === 1) {
+        return { error: "There must be at least one admin." };
+      }
+      user.role = role;
+      return { user: publicUser(user) };
+    });
+  }
+
+  return { list, get, register, login, authenticate, logout, setRole };
+}
+
+module.exports = { ROLES, belongsTo, createAccounts };
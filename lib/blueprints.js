@@ -0,0 +1,137 @@
+// lib/blueprints.js
+// Exam blueprints: the official skills outline of an exam, split into
+// weighted domains. One JSON file per exam in BLUEPRINTS_DIR.
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { topicKey } = require("./questionBank");
+
+let cache = null;
+
+function loadBlueprints() {
+  if (cache) return cache;
+
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(config.blueprintsDir)
+      .filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    console.warn(`[BLUEPRINTS] Could not read ${config.blueprintsDir}.`);
+  }
+
+  cache = files
+    .map((file) => {
+      try {
+        return JSON.parse(
+          fs.readFileSync(path.join(config.blueprintsDir, file), "utf8")
+        );
+      } catch (err) {
+        console.error(`[BLUEPRINTS] Invalid JSON in ${file}, skipping.`, err);
+        return null;
+      }
+    })
+    .filter((bp) => bp && bp.id && Array.isArray(bp.domains));
+
+  return cache;
+}
+
+// Weight may be a single percentage or an official [min, max] range
+function domainWeight(domain) {
+  return Array.isArray(domain.weight)
+    ? (domain.weight[0] + domain.weight[1]) / 2
+    : Number(domain.weight) || 0;
+}
+
+function formatWeight(domain) {
+  return Array.isArray(domain.weight)
+    ? `${domain.weight[0]}–${domain.weight[1]}%`
+    : `${domain.weight}%`;
+}
+
+/**
+ * Find the blueprint for an explicit id, or else for a free-text topic
+ * such as "AZ-900" or "az900 practice" (matched against id, name, aliases).
+ */
+function findBlueprint({ id, topic } = {}) {
+  const blueprints = loadBlueprints();
+
+  if (id) return blueprints.find((bp) => bp.id === id) || null;
+
+  const key = topicKey(topic);
+  if (!key) return null;
+
+  return (
+    blueprints.find((bp) =>
+      [bp.id, bp.name, ...(bp.aliases || [])]
+        .map(topicKey)
+        .some((alias) => key === alias || key.startsWith(alias + " "))
+    ) || null
+  );
+}
+
+/**
+ * Split `count` questions over the domains by weight (largest remainder),
+ * e.g. 10 AZ-900 questions -> { cloud-concepts: 3, architecture-services: 4,
+ * management-governance: 3 }.
+ */
+function allocateQuestions(blueprint, count) {
+  const weights = blueprint.domains.map(domainWeight);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+  const exact = weights.map((w) => (w / totalWeight) * count);
+  const counts = exact.map(Math.floor);
+
+  let left = count - counts.reduce((sum, c) => sum + c, 0);
+  exact
+    .map((value, idx) => ({ idx, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ idx }) => {
+      if (left > 0) {
+        counts[idx]++;
+        left--;
+      }
+    });
+
+  return Object.fromEntries(
+    blueprint.domains.map((domain, idx) => [domain.id, counts[idx]])
+  );
+}
+
+/**
+ * Helper: map whatever the model put in "domain" (id or name) to a domain id.
+ */
+function resolveDomainId(blueprint, value) {
+  const key = topicKey(value);
+  if (!key) return null;
+
+  const domain = blueprint.domains.find(
+    (d) => topicKey(d.id) === key || topicKey(d.name) === key
+  );
+  return domain ? domain.id : null;
+}
+
+/**
+ * Public shape for the frontend: no objectives list, weights as text.
+ */
+function summarizeBlueprint(blueprint) {
+  return {
+    id: blueprint.id,
+    name: blueprint.name,
+    passingScore: blueprint.passingScore || null,
+    domains: blueprint.domains.map((d) => ({
+      id: d.id,
+      name: d.name,
+      weight: formatWeight(d),
+    })),
+  };
+}
+
+module.exports = {
+  loadBlueprints,
+  findBlueprint,
+  allocateQuestions,
+  resolveDomainId,
+  summarizeBlueprint,
+  formatWeight,
+};
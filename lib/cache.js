@@ -0,0 +1,133 @@
+// lib/cache.js
+// Response cache: a small in-memory LRU in front of a JSON file on disk, so
+// repeated requests (the same term explained again) skip the paid model call
+// and survive restarts. Entries expire after a TTL.
+const crypto = require("crypto");
+const config = require("./config");
+const { createJsonStore } = require("./store");
+
+/**
+ * Helper: normalize free text for cache keys, so "Availability Zone",
+ * " availability   zone. " and "“availability zone”" hit the same entry.
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[“”"'‘’`]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.,;:!?()-]+|[\s.,;:!?()-]+$/g, "");
+}
+
+function cacheKey(parts) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+function createCache({
+  name,
+  ttlMs = config.cache.ttlHours * 60 * 60 * 1000,
+  memoryEntries = config.cache.memoryEntries,
+  diskEntries = config.cache.diskEntries,
+  store = createJsonStore(`cache-${name}`, { entries: {} }),
+}) {
+  // Map keeps insertion order: first key = least recently used
+  const memory = new Map();
+  const counters = { hits: 0, misses: 0 };
+
+  function isFresh(entry, now = Date.now()) {
+    return entry && Date.parse(entry.expiresAt) > now;
+  }
+
+  function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > memoryEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  /**
+   * The cached entry { value, createdAt, expiresAt } or null. Memory is
+   * checked first, then disk (a disk hit is promoted into memory).
+   */
+  function get(key) {
+    let entry = memory.get(key);
+    if (!entry) entry = store.read().entries[key];
+
+    if (!isFresh(entry)) {
+      if (entry) remove(key);
+      counters.misses++;
+      return null;
+    }
+
+    remember(key, entry);
+    counters.hits++;
+    return entry;
+  }
+
+  function set(key, value) {
+    const now = Date.now();
+    const entry = {
+      value,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+    remember(key, entry);
+
+    store.update((data) => {
+      data.entries[key] = entry;
+
+      // Drop expired entries, then the oldest ones past the size limit
+      const keys = Object.keys(data.entries).filter((k) => {
+        if (isFresh(data.entries[k], now)) return true;
+        delete data.entries[k];
+        return false;
+      });
+      keys
+        .sort((a, b) =>
+          data.entries[a].createdAt.localeCompare(data.entries[b].createdAt)
+        )
+        .slice(0, Math.max(keys.length - diskEntries, 0))
+        .forEach((k) => delete data.entries[k]);
+    });
+    return entry;
+  }
+
+  function remove(key) {
+    memory.delete(key);
+    return store.update((data) => {
+      if (!data.entries[key]) return false;
+      delete data.entries[key];
+      return true;
+    });
+  }
+
+  // Returns how many entries were dropped
+  function clear() {
+    memory.clear();
+    return store.update((data) => {
+      const count = Object.keys(data.entries).length;
+      data.entries = {};
+      return count;
+    });
+  }
+
+  function stats() {
+    const entries = Object.values(store.read().entries);
+    return {
+      name,
+      entries: entries.filter((e) => isFresh(e)).length,
+      inMemory: memory.size,
+      hits: counters.hits,
+      misses: counters.misses,
+      ttlHours: ttlMs / (60 * 60 * 1000),
+    };
+  }
+
+  return { get, set, remove, clear, stats };
+}
+
+module.exports = { createCache, cacheKey, normalizeText };
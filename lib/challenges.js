@@ -0,0 +1,320 @@
+// lib/challenges.js
+// "Challenge this answer": a second, independent model call re-solves the
+// question without seeing the stored answer. Disputed questions wait in a
+// moderation queue until a reviewer fixes, retires or confirms them.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { LETTERS } = require("./questionTypes");
+const { parseModelJson } = require("./quizPipeline");
+const { scoreAnswer, describeCorrectAnswer } = require("../public/scoring");
+const { UNTRUSTED_INPUT_RULE } = require("./promptGuard");
+
+// Reviewer action -> status of the queue item
+const RESOLUTIONS = { fix: "fixed", retire: "retired", confirm: "confirmed" };
+const MAX_REASON_CHARS = 500;
+
+function shuffled(items) {
+  return items
+    .map((item) => ({ item, sort: Math.random() }))
+    .sort((a, b) => a.sort - b.sort)
+    .map(({ item }) => item);
+}
+
+/**
+ * Helper: the question as the verifier sees it. Ordering items and the
+ * right-hand matching column are stored in their correct order, so they
+ * are shuffled here to keep the answer out of the prompt.
+ */
+function describeForSolving(q) {
+  const lines = [`Question (${q.type || "single"}): ${q.question}`];
+
+  switch (q.type || "single") {
+    case "truefalse":
+      q.statements.forEach((s, idx) =>
+        lines.push(`Statement ${idx + 1}: ${s}`)
+      );
+      lines.push(
+        'Answer format: "answer": [true, false, ...] with one boolean per statement, in order.'
+      );
+      break;
+    case "ordering":
+      lines.push(`Steps (shuffled): ${JSON.stringify(shuffled(q.items))}`);
+      lines.push(
+        'Answer format: "answer": ["first step", "second step", ...] using the exact step texts.'
+      );
+      break;
+    case "matching":
+      lines.push(`Left items: ${JSON.stringify(q.pairs.map((p) => p.left))}`);
+      lines.push(
+        `Right items (shuffled): ${JSON.stringify(
+          shuffled(q.pairs.map((p) => p.right))
+        )}`
+      );
+      lines.push(
+        'Answer format: "answer": { "left text": "right text", ... } using the exact texts.'
+      );
+      break;
+    default:
+      q.options.forEach((opt, idx) => lines.push(`${LETTERS[idx]}. ${opt}`));
+      lines.push(
+        q.type === "multi"
+          ? 'Answer format: "answer": ["A", "C"] with every correct letter.'
+          : 'Answer format: "answer": "B" with the single correct letter.'
+      );
+  }
+
+  return lines.join("\n");
+}
+
+function buildSolveMessages(q, topic) {
+  return [
+    {
+      role: "system",
+      content: `You are an independent exam item reviewer. Solve each question yourself, carefully and without assuming any option is more likely than another. ${UNTRUSTED_INPUT_RULE}`,
+    },
+    {
+      role: "user",
+      content: `
+Exam / topic: ${topic || "unknown"}
+
+${describeForSolving(q)}
+
+Reply with JSON only:
+{ "answer": ..., "confidence": "low" | "medium" | "high", "reasoning": "one or two sentences" }
+`,
+    },
+  ];
+}
+
+function buildExplanationMessages(q) {
+  const choices = [
+    ...(q.options || []).map((opt, idx) => `${LETTERS[idx]}. ${opt}`),
+    ...(q.statements || []).map((s, idx) => `Statement ${idx + 1}: ${s}`),
+  ].join("\n");
+  const rationales = (q.rationales || [])
+    .map((r, idx) => `Rationale for ${LETTERS[idx]}: ${r}\n`)
+    .join("");
+
+  return [
+    {
+      role: "system",
+      content: `You are an exam item reviewer checking that explanations are accurate. ${UNTRUSTED_INPUT_RULE}`,
+    },
+    {
+      role: "user",
+      content: `
+Question: ${q.question}
+${choices}
+${describeCorrectAnswer(q)}
+Explanation shown to learners: ${q.explanation || "(none)"}
+${rationales}
+Is the explanation (and every option's rationale) factually correct and does it support the correct answer?
+Reply with JSON only:
+{ "explanationOk": true | false, "issues": "what is wrong, or empty" }
+`,
+    },
+  ];
+}
+
+/**
+ * Helper: the verifier's answer in words, with option texts instead of bare
+ * letters (the learner may have seen the options in another order).
+ */
+function describeAnswer(q, answer) {
+  if (answer === null || answer === undefined) return "No answer given.";
+
+  switch (q.type || "single") {
+    case "truefalse":
+      return []
+        .concat(answer)
+        .map((a, idx) => `${idx + 1}. ${a ? "True" : "False"}`)
+        .join(", ");
+    case "ordering":
+      return [].concat(answer).join(" → ");
+    case "matching":
+      return q.pairs
+        .map((p) => `${p.left} → ${(answer && answer[p.left]) || "?"}`)
+        .join("; ");
+    default:
+      return []
+        .concat(answer)
+        .map((letter) => {
+          const text = q.options[LETTERS.indexOf(String(letter).toUpperCase())];
+          return text ? `${letter}. ${text}` : String(letter);
+        })
+        .join("; ");
+  }
+}
+
+/**
+ * Re-solve a question with an independent model call and compare the result
+ * with the stored answer. When they agree, a second call checks the
+ * explanation. Returns a verdict:
+ * { agrees, modelAnswer, modelAnswerText, confidence, reasoning, explanationOk,
+ *   explanationIssues, disputed, model, checkedAt }.
+ */
+async function verifyQuestion({ llm, model, question, topic, signal }) {
+  const solved = await llm.complete({
+    task: "verify",
+    model,
+    messages: buildSolveMessages(question, topic),
+    signal,
+  });
+  const parsed = parseModelJson(solved.content);
+  const reply = parsed && parsed.value ? parsed.value : {};
+
+  const modelAnswer = reply.answer === undefined ? null : reply.answer;
+  const agrees = scoreAnswer(question, modelAnswer, "strict") === 1;
+
+  let explanationOk = null;
+  let explanationIssues = "";
+  if (agrees) {
+    const checked = await llm.complete({
+      task: "verify-explanation",
+      model,
+      messages: buildExplanationMessages(question),
+      signal,
+    });
+    const review = parseModelJson(checked.content);
+    if (review && review.value && typeof review.value === "object") {
+      explanationOk = review.value.explanationOk !== false;
+      explanationIssues = String(review.value.issues || "").slice(0, 500);
+    }
+  }
+
+  return {
+    agrees,
+    modelAnswer,
+    modelAnswerText: describeAnswer(question, modelAnswer),
+    confidence: ["low", "medium", "high"].includes(reply.confidence)
+      ? reply.confidence
+      : null,
+    reasoning: String(reply.reasoning || "").slice(0, 1000),
+    explanationOk,
+    explanationIssues,
+    disputed: !agrees || explanationOk === false,
+    model: solved.model,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Helper: the question fields that would make `answer` the correct one,
+ * for "use the verifier's answer" fixes. bank.update() validates them.
+ */
+function answerToFields(q, answer) {
+  switch (q.type || "single") {
+    case "multi":
+      return { correctOptions: answer };
+    case "truefalse":
+      return { answers: answer };
+    case "ordering":
+      return { items: answer };
+    case "matching":
+      return {
+        pairs: q.pairs.map((p) => ({
+          left: p.left,
+          right: answer && answer[p.left],
+        })),
+      };
+    default:
+      return { correctOption: answer };
+  }
+}
+
+function createModerationQueue(
+  store = createJsonStore("moderation", { items: [] })
+) {
+  function list({ status } = {}) {
+    return store
+      .read()
+      .items.filter((item) => !status || item.status === status)
+      .slice()
+      .reverse();
+  }
+
+  function get(id) {
+    return store.read().items.find((item) => item.id === id) || null;
+  }
+
+  /**
+   * Add a disputed challenge. Challenges of a question that is already
+   * waiting for review join its open item instead of opening a new one.
+   */
+  function submit({ question, topic, difficulty, reason, userId, verdict }) {
+    const challenge = {
+      at: new Date().toISOString(),
+      userId: userId || null,
+      reason: String(reason || "").slice(0, MAX_REASON_CHARS),
+      verdict,
+    };
+
+    return store.update((data) => {
+      let item = data.items.find(
+        (i) => i.questionId === question.id && i.status === "open"
+      );
+      if (!item) {
+        item = {
+          id: crypto.randomUUID(),
+          questionId: question.id,
+          topic: topic || null,
+          difficulty: difficulty || null,
+          question,
+          status: "open",
+          challenges: [],
+          createdAt: challenge.at,
+        };
+        data.items.push(item);
+      }
+      item.challenges.push(challenge);
+      item.updatedAt = challenge.at;
+      return item;
+    });
+  }
+
+  /**
+   * Close an open item with "fix" | "retire" | "confirm".
+   * Returns { item } or { error }.
+   */
+  function resolve(id, { action, note, by, question }) {
+    if (!RESOLUTIONS[action]) {
+      return {
+        error: `action must be one of: ${Object.keys(RESOLUTIONS).join(", ")}.`,
+      };
+    }
+
+    return store.update((data) => {
+      const item = data.items.find((i) => i.id === id);
+      if (!item) return { error: "Moderation item not found." };
+      if (item.status !== "open") {
+        return { error: `Already ${item.status}.` };
+      }
+
+      item.status = RESOLUTIONS[action];
+      item.resolution = {
+        action,
+        note: String(note || "").slice(0, MAX_REASON_CHARS),
+        by: by || null,
+        at: new Date().toISOString(),
+      };
+      if (question) item.fixedQuestion = question;
+      return { item };
+    });
+  }
+
+  function counts() {
+    const result = { open: 0, fixed: 0, retired: 0, confirmed: 0 };
+    store.read().items.forEach((item) => result[item.status]++);
+    return result;
+  }
+
+  return { list, get, submit, resolve, counts };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  verifyQuestion,
+  describeAnswer,
+  answerToFields,
+  createModerationQueue,
+};
@@ -0,0 +1,113 @@
+// lib/config.js
+require("dotenv").config({ quiet: true });
+const path = require("path");
+
+const provider = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+// Sensible default model per provider, overridable per endpoint below
+const defaultModels = {
+  openai: "gpt-5-mini",
+  compatible: "llama3.1",
+  mock: "mock-1",
+};
+
+const defaultModel =
+  process.env.LLM_MODEL || defaultModels[provider] || "gpt-5-mini";
+
+// Unset = the default; "0" turns the limit off
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === ""
+    ? fallback
+    : Math.max(parseInt(value) || 0, 0);
+}
+
+// "true", a hop count ("1") or a list of trusted proxy addresses
+function trustProxyFromEnv(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+const config = {
+  port: process.env.PORT || 3000,
+
+  // Where JSON stores (question bank, ...) are kept
+  dataDir: process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+
+  // Exam blueprints (weighted skills outlines), one JSON file per exam
+  blueprintsDir:
+    process.env.BLUEPRINTS_DIR || path.join(__dirname, "..", "blueprints"),
+
+  llm: {
+    // "openai" | "compatible" (Ollama, llama.cpp server, ...) | "mock"
+    provider,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "",
+    // Only used by the "compatible" provider (or to point OpenAI at a proxy)
+    baseURL:
+      process.env.LLM_BASE_URL ||
+      (provider === "compatible" ? "http://localhost:11434/v1" : undefined),
+    mockFixturesDir: process.env.MOCK_FIXTURES_DIR || "",
+  },
+
+  // Price per 1M tokens for each model, used by the usage ledger
+  pricingFile:
+    process.env.PRICING_FILE || path.join(__dirname, "..", "pricing.json"),
+
+  // Spend caps in USD over all users; 0 or unset means no cap
+  budgets: {
+    dailyUsd: Math.max(Number(process.env.BUDGET_DAILY_USD) || 0, 0),
+    monthlyUsd: Math.max(Number(process.env.BUDGET_MONTHLY_USD) || 0, 0),
+  },
+
+  // Cached explanations: how long they stay valid and how many are kept
+  cache: {
+    ttlHours: Number(process.env.CACHE_TTL_HOURS) || 24 * 30,
+    memoryEntries: parseInt(process.env.CACHE_MEMORY_ENTRIES) || 200,
+    diskEntries: parseInt(process.env.CACHE_DISK_ENTRIES) || 5000,
+  },
+
+  // Learner accounts; when enabled every /api/* route needs a session
+  auth: {
+    enabled: process.env.AUTH_ENABLED === "true",
+    // "false" = only admins can create accounts (after the first one)
+    allowSignup: process.env.AUTH_ALLOW_SIGNUP !== "false",
+    sessionDays: Number(process.env.SESSION_DAYS) || 14,
+  },
+
+  // Requests per window to the endpoints that call the model (quiz and
+  // flashcard generation, explanations, study helper, challenges)
+  rateLimit: {
+    windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+    perIp: limitFromEnv("RATE_LIMIT_PER_IP", 60),
+    perUser: limitFromEnv("RATE_LIMIT_PER_USER", 20),
+  },
+
+  security: {
+    // Learner text that reads like instructions for the model:
+    // "block" (400), "log" (warn only) or "off"
+    promptGuard: ["block", "log", "off"].includes(process.env.PROMPT_GUARD)
+      ? process.env.PROMPT_GUARD
+      : "block",
+    // Behind a reverse proxy, so per-IP limits see the real client address
+    trustProxy: trustProxyFromEnv(process.env.TRUST_PROXY),
+  },
+
+  scoring: {
+    // "partial" (credit per correct part) | "strict" (all or nothing)
+    partialCredit:
+      process.env.PARTIAL_CREDIT === "strict" ? "strict" : "partial",
+  },
+
+  // Model per endpoint, so quiz generation and explanations can differ
+  models: {
+    quiz: process.env.QUIZ_MODEL || defaultModel,
+    explain: process.env.EXPLAIN_MODEL || defaultModel,
+    chat: process.env.CHAT_MODEL || process.env.EXPLAIN_MODEL || defaultModel,
+    // Re-solves challenged questions; a different model gives a more
+    // independent second opinion
+    verify: process.env.VERIFY_MODEL || process.env.QUIZ_MODEL || defaultModel,
+  },
+};
+
+module.exports = config;
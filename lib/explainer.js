@@ -0,0 +1,183 @@
+// lib/explainer.js
+// "Explain this term" for /api/explain and the command-line tool: a short
+// Markdown explanation for the topic, level and language, cached per topic +
+// level + language.
+const { explanationKey } = require("./studyChat");
+const { costOf } = require("./usage");
+const { UNTRUSTED_INPUT_RULE } = require("./promptGuard");
+const { normalizeLanguage, languageInstruction } = require("./languages");
+
+/**
+ * Creates explain(reqBody, { user }) -> { status, body } for an
+ * /api/explain request body { topic, text, difficulty, language,
+ * regenerate }.
+ * Model calls are recorded in the usage ledger under `user`.
+ */
+function createExplainer({
+  llm,
+  model,
+  explanations,
+  ledger,
+  promptGuard,
+  describeError,
+}) {
+  return async function explain(reqBody, { user } = {}) {
+    try {
+      const { topic, text, difficulty, language, regenerate } = reqBody || {};
+      const safeLanguage = normalizeLanguage(language);
+
+      if (typeof text !== "string" || !text.trim()) {
+        return { status: 400, body: { error: "No text provided to explain." } };
+      }
+
+      // 🛡️ don’t let people paste a whole book, or instructions for the model
+      const guarded = promptGuard(
+        {
+          topic: { value: topic, label: "topic", maxChars: 80 },
+          text: { value: text, label: "selected text", maxChars: 500 },
+        },
+        { endpoint: "explain", user }
+      );
+      if (guarded.error) {
+        return { status: 400, body: { error: guarded.error } };
+      }
+      const safeTopic =
+        guarded.values.topic || "AZ-900 (Microsoft Azure Fundamentals)";
+      const safeText = guarded.values.text;
+      if (!safeText) {
+        return { status: 400, body: { error: "No text provided to explain." } };
+      }
+
+      // 🗃️ Explained before for this topic + level + language? Serve it from the cache
+      const cacheKey = explanationKey({
+        text: safeText,
+        topic: safeTopic,
+        difficulty,
+        language: safeLanguage,
+      });
+      const hit = regenerate ? null : explanations.get(cacheKey);
+      if (hit) {
+        ledger.recordCacheHit({
+          endpoint: "explain",
+          user,
+          model: hit.value.model,
+          savedUsd: hit.value.costUsd,
+        });
+        return {
+          status: 200,
+          body: {
+            topic: safeTopic,
+            language: safeLanguage,
+            explanation: hit.value.text,
+            cached: true,
+            cachedAt: hit.createdAt,
+            usage: {
+              model: hit.value.model,
+              costUsd: 0,
+              savedUsd: hit.value.costUsd,
+            },
+          },
+        };
+      }
+
+      const overBudget = ledger.checkBudget();
+      if (overBudget) {
+        return { status: 429, body: { error: overBudget.error } };
+      }
+
+      const difficultyLabel = (difficulty || "beginner").toLowerCase();
+      const level =
+        difficultyLabel === "expert"
+          ? "advanced (assume some prior Azure knowledge, focus on depth)"
+          : difficultyLabel === "intermediate"
+          ? "intermediate (mix of plain language and technical detail)"
+          : "beginner (plain language, minimal jargon)";
+
+      const languagePlan = languageInstruction(safeLanguage);
+
+      const prompt = `
+You are an certification tutor.
+
+Topic / exam: "${safeTopic}"
+Student level: ${level}
+
+Explain the following term or phrase in a way that helps someone studying for this topic/certification/exam so they can understand the concept clearly.:
+
+"${safeText}"
+
+Formatting (Markdown):
+- Start with one line: **Summary:** short one-sentence definition.
+- Then one short paragraph (2–3 sentences) under **In simple terms:** explaining it like you would to a junior student.
+- Then at most 3 bullet points under **Why it matters for the exam:**.
+- Use **bold** for key service names or concepts.
+- You may use _italics_ for short clarifications.
+- No code blocks.
+- Keep the whole answer under about 150–180 words.
+
+Focus:
+- Keep it focused on what the term is, when/why it's used, and how it relates to the topic on hand.
+- Avoid long lists or deep implementation detail.
+${languagePlan ? `\nLanguage:\n${languagePlan}\n` : ""}`;
+
+      let completion;
+      try {
+        const trackedLlm = ledger.track(llm, {
+          endpoint: "explain",
+          user,
+        });
+        completion = await trackedLlm.complete({
+          task: "explain",
+          model,
+          messages: [
+            {
+              role: "system",
+              content: `You explain cloud/IT concepts clearly for exam students. ${UNTRUSTED_INPUT_RULE}`,
+            },
+            { role: "user", content: prompt },
+          ],
+        });
+      } catch (llmErr) {
+        console.error("[LLM ERROR /api/explain]", llmErr);
+        const debug = describeError(llmErr);
+        return {
+          status: 500,
+          body: {
+            error: "Failed to call the LLM provider for explanation.",
+            debug,
+          },
+        };
+      }
+
+      const explanation =
+        completion.content || "Sorry, I could not generate an explanation.";
+
+      const { costUsd } = costOf(completion.model, completion.usage);
+      if (completion.content) {
+        explanations.set(cacheKey, {
+          text: explanation,
+          model: completion.model,
+          costUsd,
+        });
+      }
+
+      return {
+        status: 200,
+        body: {
+          topic: safeTopic,
+          language: safeLanguage,
+          explanation,
+          cached: false,
+          usage: { model: completion.model, costUsd, savedUsd: 0 },
+        },
+      };
+    } catch (err) {
+      console.error("[UNHANDLED ERROR in /api/explain]", err);
+      return {
+        status: 500,
+        body: { error: "Internal server error.", debug: describeError(err) },
+      };
+    }
+  };
+}
+
+module.exports = { createExplainer };
@@ -0,0 +1,261 @@
+// lib/flashcards.js
+// Flashcard decks: term / definition cards generated for a topic or saved
+// from the study helper, plus the learner's "know / don't know" sorting.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { topicKey, withCurrentTopicKeys } = require("./questionBank");
+const { belongsTo } = require("./accounts");
+
+const MAX_TERM_CHARS = 200;
+const MAX_DEFINITION_CHARS = 2000;
+const MAX_CARDS_PER_DECK = 500;
+const STUDY_HELPER_SOURCE = "study-helper";
+
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+/**
+ * Schema check for one card: { term, definition, example? }.
+ * Returns { card } with a cleaned copy, or { error }.
+ */
+function validateCard(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "not an object" };
+  }
+  const term = cleanText(raw.term, MAX_TERM_CHARS);
+  const definition = cleanText(raw.definition, MAX_DEFINITION_CHARS);
+  if (!term) return { error: "missing term" };
+  if (!definition) return { error: "missing definition" };
+
+  const example = cleanText(raw.example, MAX_DEFINITION_CHARS);
+  return { card: { term, definition, ...(example && { example }) } };
+}
+
+// Cards with the same term (ignoring case and spacing) are duplicates
+function termKey(term) {
+  return term.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function summarize(deck) {
+  const { cards, ...rest } = deck;
+  return {
+    ...rest,
+    cardCount: cards.length,
+    knownCount: cards.filter((c) => c.known === true).length,
+  };
+}
+
+function createFlashcardDecks(
+  store = createJsonStore("flashcards", { decks: [] })
+) {
+  store = withCurrentTopicKeys(store, "decks");
+
+  function all() {
+    return store.read().decks;
+  }
+
+  // Newest first, without the cards
+  function list({ userId } = {}) {
+    return all()
+      .filter((deck) => belongsTo(deck, userId))
+      .slice()
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(summarize);
+  }
+
+  function get(id) {
+    return all().find((deck) => deck.id === id) || null;
+  }
+
+  function newCard(card, source, now) {
+    return {
+      id: crypto.randomUUID(),
+      ...card,
+      source,
+      known: null,
+      createdAt: now,
+    };
+  }
+
+  /**
+   * Append validated cards, skipping terms the deck already has.
+   * Returns { added, duplicates } (mutates `deck`).
+   */
+  function appendCards(deck, cards, source, now) {
+    const seen = new Set(deck.cards.map((c) => termKey(c.term)));
+    let added = 0;
+    let duplicates = 0;
+    cards.forEach((card) => {
+      const key = termKey(card.term);
+      if (seen.has(key) || deck.cards.length >= MAX_CARDS_PER_DECK) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+      deck.cards.push(newCard(card, source, now));
+      added++;
+    });
+    if (added) deck.updatedAt = now;
+    return { added, duplicates };
+  }
+
+  function create({
+    name,
+    topic,
+    difficulty,
+    language,
+    source,
+    userId,
+    cards = [],
+  }) {
+    const now = new Date().toISOString();
+    const deck = {
+      id: crypto.randomUUID(),
+      name: name || topic,
+      topic,
+      topicKey: topicKey(topic),
+      difficulty: difficulty || null,
+      // Generated decks keep the language their cards are written in
+      language: language || null,
+      source,
+      userId: userId || null,
+      cards: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { added, duplicates } = appendCards(deck, cards, source, now);
+    store.update((data) => {
+      data.decks.push(deck);
+    });
+    return { deck, added, duplicates };
+  }
+
+  /**
+   * Add cards to a deck. Returns { deck, added, duplicates } or null when
+   * the deck does not exist.
+   */
+  function addCards(id, cards, source) {
+    const now = new Date().toISOString();
+    return store.update((data) => {
+      const deck = data.decks.find((d) => d.id === id);
+      if (!deck) return null;
+      return { deck, ...appendCards(deck, cards, source, now) };
+    });
+  }
+
+  /**
+   * Save one card from the study helper into the learner's study helper
+   * deck for that topic, created on first use.
+   */
+  function addFromStudyHelper({ card, topic, userId }) {
+    const key = topicKey(topic);
+    const existing = all().find(
+      (deck) =>
+        deck.source === STUDY_HELPER_SOURCE &&
+        deck.topicKey === key &&
+        (deck.userId || null) === (userId || null)
+    );
+    if (existing) return addCards(existing.id, [card], STUDY_HELPER_SOURCE);
+    return create({
+      name: `${topic}: saved from the study helper`,
+      topic,
+      source: STUDY_HELPER_SOURCE,
+      userId,
+      cards: [card],
+    });
+  }
+
+  /**
+   * "Know / don't know" for one card (`known` true, false or null to
+   * reset). Returns the card, or null when deck or card do not exist.
+   */
+  function markCard(deckId, cardId, known) {
+    return store.update((data) => {
+      const deck = data.decks.find((d) => d.id === deckId);
+      const card = deck && deck.cards.find((c) => c.id === cardId);
+      if (!card) return null;
+      card.known = known;
+      card.reviewedAt = new Date().toISOString();
+      deck.updatedAt = card.reviewedAt;
+      return card;
+    });
+  }
+
+  function removeCard(deckId, cardId) {
+    return store.update((data) => {
+      const deck = data.decks.find((d) => d.id === deckId);
+      const before = deck ? deck.cards.length : 0;
+      if (deck) deck.cards = deck.cards.filter((c) => c.id !== cardId);
+      return !!deck && deck.cards.length < before;
+    });
+  }
+
+  function remove(id) {
+    return store.update((data) => {
+      const before = data.decks.length;
+      data.decks = data.decks.filter((deck) => deck.id !== id);
+      return data.decks.length < before;
+    });
+  }
+
+  return {
+    list,
+    get,
+    create,
+    addCards,
+    addFromStudyHelper,
+    markCard,
+    removeCard,
+    remove,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Deck as a CSV file Anki imports as is (File > Import): the "#" header
+ * lines pick the separator, note type, deck and tag column.
+ * Front = term, back = definition (+ example), HTML line breaks.
+ */
+function toAnkiCsv(deck) {
+  const deckName = `CertStudy::${deck.name.replace(/::|[\r\n]/g, " ")}`;
+  const tag = `certstudy ${topicKey(deck.topic).replace(/\s+/g, "_")}`;
+  const html = (text) => escapeHtml(text).replace(/\r?\n/g, "<br>");
+
+  const lines = [
+    "#separator:Comma",
+    "#html:true",
+    "#notetype:Basic",
+    `#deck:${deckName}`,
+    "#tags column:3",
+    ...deck.cards.map((card) =>
+      [
+        html(card.term),
+        html(card.definition) +
+          (card.example ? `<br><br><i>${html(card.example)}</i>` : ""),
+        tag,
+      ]
+        .map(csvCell)
+        .join(",")
+    ),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  validateCard,
+  createFlashcardDecks,
+  toAnkiCsv,
+  STUDY_HELPER_SOURCE,
+};
@@ -0,0 +1,48 @@
+// lib/formats/common.js
+// Small helpers shared by the import / export formats.
+
+// Stem used for imported one-statement true/false questions
+const TRUE_FALSE_STEM = "Is this statement true or false?";
+
+/**
+ * Helper: short name for a question, used as the LMS question title and
+ * in import / export reports.
+ */
+function questionTitle(q, idx) {
+  const text = String(q.question || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return `Question ${idx + 1}`;
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Letters of the correct options of a single / multi question
+function correctLetters(q) {
+  return q.type === "multi" ? q.correctOptions : [q.correctOption];
+}
+
+/**
+ * Helper: an LMS true/false question holds one statement. When it was
+ * exported from here the stem is the first paragraph and the statement
+ * the last one; otherwise the whole text is the statement.
+ */
+function splitTrueFalseText(text) {
+  const lines = String(text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length < 2) {
+    return { question: TRUE_FALSE_STEM, statement: lines[0] || "" };
+  }
+  return {
+    question: lines.slice(0, -1).join("\n"),
+    statement: lines[lines.length - 1],
+  };
+}
+
+module.exports = {
+  TRUE_FALSE_STEM,
+  questionTitle,
+  correctLetters,
+  splitTrueFalseText,
+};
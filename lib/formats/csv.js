@@ -0,0 +1,237 @@
+// lib/formats/csv.js
+// Spreadsheet-friendly CSV, one question per row:
+//
+//   type, question, option1..option6, answer, explanation, rationale1..6
+//
+//   single     options, answer "B"
+//   multi      options, answer "A;C"
+//   truefalse  statements in the option columns, answer "true;false"
+//   ordering   items in the option columns in the correct order
+//   matching   "left -> right" in the option columns
+const { QUESTION_TYPES } = require("../questionTypes");
+const { questionTitle, correctLetters } = require("./common");
+
+const MAX_COLUMNS = 6;
+const range = (prefix) =>
+  Array.from({ length: MAX_COLUMNS }, (_, i) => `${prefix}${i + 1}`);
+const COLUMNS = [
+  "type",
+  "question",
+  ...range("option"),
+  "answer",
+  "explanation",
+  ...range("rationale"),
+];
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function questionRow(q) {
+  let cells = [];
+  let answer = "";
+  switch (q.type) {
+    case "single":
+    case "multi":
+      cells = q.options;
+      answer = correctLetters(q).join(";");
+      break;
+    case "truefalse":
+      cells = q.statements;
+      answer = q.answers.map(String).join(";");
+      break;
+    case "ordering":
+      cells = q.items;
+      break;
+    case "matching":
+      cells = q.pairs.map((pair) => `${pair.left} -> ${pair.right}`);
+      break;
+  }
+
+  const row = {
+    type: q.type,
+    question: q.question,
+    answer,
+    explanation: q.explanation,
+  };
+  cells.forEach((cell, i) => (row[`option${i + 1}`] = cell));
+  (q.rationales || []).forEach((r, i) => (row[`rationale${i + 1}`] = r));
+  return COLUMNS.map((col) => csvCell(row[col]));
+}
+
+function exportQuestions(questions) {
+  const rows = [COLUMNS, ...questions.map(questionRow)];
+  // BOM so Excel opens the file as UTF-8
+  const content = `\uFEFF${rows.map((row) => row.join(",")).join("\r\n")}\r\n`;
+  return { content, warnings: [] };
+}
+
+/**
+ * Helper: RFC 4180 parser into an array of rows (arrays of strings).
+ * Throws when a quoted cell is never closed.
+ */
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("a quoted cell is never closed");
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const splitList = (value) =>
+  value
+    .split(/[;,]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+function importRow(cells, idx) {
+  const warnings = [];
+  const title = questionTitle({ question: cells.question }, idx);
+  const type = (cells.type || "single").trim().toLowerCase();
+  if (!QUESTION_TYPES.includes(type)) {
+    return {
+      title,
+      unsupported: `question type "${cells.type}" is not supported`,
+      warnings,
+    };
+  }
+
+  const options = range("option")
+    .map((col) => (cells[col] || "").trim())
+    .filter(Boolean);
+  const base = {
+    type,
+    question: cells.question || "",
+    explanation: cells.explanation || "",
+  };
+
+  const rationales = range("rationale")
+    .slice(0, options.length)
+    .map((col) => (cells[col] || "").trim());
+  const withRationales = () => {
+    if (!rationales.some(Boolean)) return {};
+    if (!rationales.every(Boolean)) {
+      warnings.push("rationales were dropped (one per option is needed)");
+      return {};
+    }
+    return { rationales };
+  };
+
+  const answer = (cells.answer || "").trim();
+  switch (type) {
+    case "single":
+      return {
+        title,
+        question: {
+          ...base,
+          options,
+          correctOption: answer,
+          ...withRationales(),
+        },
+        warnings,
+      };
+    case "multi":
+      return {
+        title,
+        question: {
+          ...base,
+          options,
+          correctOptions: splitList(answer),
+          ...withRationales(),
+        },
+        warnings,
+      };
+    case "truefalse":
+      return {
+        title,
+        question: { ...base, statements: options, answers: splitList(answer) },
+        warnings,
+      };
+    case "ordering":
+      return { title, question: { ...base, items: options }, warnings };
+    default: {
+      const pairs = options.map((cell) => {
+        const [left, ...right] = cell.split("->");
+        return { left: left.trim(), right: right.join("->").trim() };
+      });
+      return { title, question: { ...base, pairs }, warnings };
+    }
+  }
+}
+
+/**
+ * Read a CSV file into import items: [{ title, question?, unsupported?,
+ * warnings }]. The header row names the columns; order does not matter
+ * and ";"-separated files (European Excel) are accepted too.
+ */
+function importQuestions(buffer) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (headerLine.match(/;/g) || []).length >
+    (headerLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const [header, ...rows] = parseCsv(text, delimiter);
+  const names = (header || []).map((name) => name.trim().toLowerCase());
+  if (!names.includes("question")) {
+    throw new Error('the header row needs at least a "question" column');
+  }
+
+  const unknown = names.filter((name) => name && !COLUMNS.includes(name));
+  return rows
+    .filter((row) => row.some((cell) => cell.trim()))
+    .map((row, idx) => {
+      const cells = {};
+      names.forEach((name, i) => (cells[name] = row[i] || ""));
+      const item = importRow(cells, idx);
+      if (unknown.some((name) => cells[name].trim())) {
+        item.warnings.push(`ignored columns: ${unknown.join(", ")}`);
+      }
+      return item;
+    });
+}
+
+module.exports = {
+  id: "csv",
+  name: "CSV",
+  extensions: [".csv"],
+  fileExtension: ".csv",
+  contentType: "text/csv",
+  exportQuestions,
+  importQuestions,
+};
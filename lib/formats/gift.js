@@ -0,0 +1,354 @@
+// lib/formats/gift.js
+// Moodle GIFT text format: multiple choice (single + weighted multiple
+// answers), true/false and matching. GIFT has no ordering questions.
+//
+//   ::Title:: Question text {
+//   =Right answer#why it is right
+//   ~Wrong answer#why it is wrong
+//   ####General feedback
+//   }
+const { LETTERS } = require("../questionTypes");
+const { htmlToText } = require("./xml");
+const {
+  questionTitle,
+  correctLetters,
+  splitTrueFalseText,
+} = require("./common");
+
+const SPECIAL = /[~=#{}:\\]/g;
+
+function escapeGift(text) {
+  return String(text ?? "")
+    .replace(SPECIAL, (ch) => `\\${ch}`)
+    .replace(/\n+/g, "\\n");
+}
+
+function unescapeGift(text) {
+  return text
+    .replace(/\\(n|[~=#{}:\\])/g, (_, ch) => (ch === "n" ? "\n" : ch))
+    .trim();
+}
+
+// Moodle accepts these weights; see moodle.js
+const WEIGHTS = { 1: "100", 2: "50", 3: "33.33333", 4: "25", 5: "20" };
+
+function answerLine(prefix, text, feedback) {
+  return `${prefix}${escapeGift(text)}${
+    feedback ? `#${escapeGift(feedback)}` : ""
+  }`;
+}
+
+function withFeedback(lines, explanation) {
+  return explanation ? [...lines, `####${escapeGift(explanation)}`] : lines;
+}
+
+function exportQuestion(q, idx, warnings) {
+  const title = questionTitle(q, idx);
+  const head = (suffix, text) =>
+    `::${escapeGift(title)}${suffix}:: ${escapeGift(text)} {`;
+  const rationale = (i) => (q.rationales ? q.rationales[i] : "");
+
+  switch (q.type) {
+    case "single":
+    case "multi": {
+      const correct = correctLetters(q);
+      const wrong = q.options.length - correct.length;
+      const lines = q.options.map((opt, i) => {
+        const isCorrect = correct.includes(LETTERS[i]);
+        const prefix =
+          q.type === "single"
+            ? isCorrect
+              ? "="
+              : "~"
+            : `~%${
+                isCorrect ? WEIGHTS[correct.length] : `-${WEIGHTS[wrong]}`
+              }%`;
+        return answerLine(prefix, opt, rationale(i));
+      });
+      return [
+        [head("", q.question), ...withFeedback(lines, q.explanation), "}"].join(
+          "\n"
+        ),
+      ];
+    }
+
+    case "truefalse":
+      if (q.statements.length > 1) {
+        warnings.push({
+          title,
+          message: `split into ${q.statements.length} true/false questions (GIFT has one statement per question)`,
+        });
+      }
+      return q.statements.map((statement, i) =>
+        [
+          `${head(
+            q.statements.length > 1 ? ` (${i + 1})` : "",
+            `${q.question}\n${statement}`
+          )}${q.answers[i] ? "TRUE" : "FALSE"}${
+            q.explanation ? `####${escapeGift(q.explanation)}` : ""
+          }}`,
+        ].join("\n")
+      );
+
+    case "matching":
+      return [
+        [
+          head("", q.question),
+          ...withFeedback(
+            q.pairs.map(
+              (pair) => `=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`
+            ),
+            q.explanation
+          ),
+          "}",
+        ].join("\n"),
+      ];
+
+    default:
+      warnings.push({
+        title,
+        message: `skipped: GIFT has no "${q.type}" questions`,
+      });
+      return [];
+  }
+}
+
+function exportQuestions(questions, { title }) {
+  const warnings = [];
+  const blocks = questions.flatMap((q, idx) =>
+    exportQuestion(q, idx, warnings)
+  );
+  const content = [
+    `// ${String(title || "CertStudy quiz").replace(/\n/g, " ")}`,
+    `$CATEGORY: $course$/top/${String(title || "CertStudy").replace(
+      /[\n/]/g,
+      "-"
+    )}`,
+    "",
+    blocks.join("\n\n"),
+    "",
+  ].join("\n");
+  return { content, warnings };
+}
+
+/**
+ * Helper: index of the first unescaped `ch` at or after `from`, or -1.
+ */
+function findUnescaped(text, ch, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text.startsWith(ch, i)) return i;
+  }
+  return -1;
+}
+
+// Answer entries: every unescaped "=" or "~" starts one
+function splitEntries(body) {
+  const entries = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\\") {
+      if (current) current.text += body.slice(i, i + 2);
+      i++;
+    } else if (ch === "=" || ch === "~") {
+      current = { mark: ch, text: "" };
+      entries.push(current);
+    } else if (current) {
+      current.text += ch;
+    }
+  }
+
+  return entries.map(({ mark, text }) => {
+    let rest = text;
+    let weight = null;
+    const weightMatch = rest.match(/^\s*%(-?[\d.]+)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      rest = rest.slice(weightMatch[0].length);
+    }
+    const hash = findUnescaped(rest, "#");
+    return {
+      mark,
+      weight,
+      text: unescapeGift(hash === -1 ? rest : rest.slice(0, hash)),
+      feedback: hash === -1 ? "" : unescapeGift(rest.slice(hash + 1)),
+    };
+  });
+}
+
+function parseAnswers(body, base, warnings) {
+  const trimmed = body.trim();
+  if (!trimmed) return { unsupported: "essay questions are not supported" };
+  if (trimmed.startsWith("#")) {
+    return { unsupported: "numerical questions are not supported" };
+  }
+
+  const tf = trimmed.match(/^(T|TRUE|F|FALSE)\b(#.*)?$/is);
+  if (tf) {
+    const { question, statement } = splitTrueFalseText(base.question);
+    // {F#shown when wrong#shown when right}: keep it when there is no ####
+    const [wrongFeedback = "", rightFeedback = ""] = (tf[2] || "")
+      .slice(1)
+      .split(/(?<!\\)#/)
+      .map(unescapeGift);
+    return {
+      question: {
+        ...base,
+        explanation: base.explanation || rightFeedback || wrongFeedback,
+        type: "truefalse",
+        question,
+        statements: [statement],
+        answers: [tf[1][0].toUpperCase() === "T"],
+      },
+    };
+  }
+
+  const entries = splitEntries(trimmed);
+  if (!entries.length) {
+    return { unsupported: "could not find any answers" };
+  }
+
+  if (entries.every((e) => e.mark === "=" && e.text.includes("->"))) {
+    return {
+      question: {
+        ...base,
+        type: "matching",
+        pairs: entries.map((e) => {
+          const [left, ...right] = e.text.split("->");
+          return { left: left.trim(), right: right.join("->").trim() };
+        }),
+      },
+    };
+  }
+
+  if (!entries.some((e) => e.mark === "~")) {
+    return { unsupported: "short-answer questions are not supported" };
+  }
+
+  const options = entries.map((e) => e.text);
+  const rationales = entries.every((e) => e.feedback)
+    ? { rationales: entries.map((e) => e.feedback) }
+    : {};
+
+  // Weighted "~%50%" answers make a multiple-answer question
+  if (entries.some((e) => e.mark === "~" && e.weight > 0)) {
+    return {
+      question: {
+        ...base,
+        type: "multi",
+        options,
+        correctOptions: entries
+          .map((e, i) => (e.weight > 0 || e.mark === "=" ? LETTERS[i] : null))
+          .filter(Boolean),
+        ...rationales,
+      },
+    };
+  }
+
+  const right = entries.filter((e) => e.mark === "=");
+  if (right.length !== 1) {
+    return {
+      unsupported: "multiple choice needs exactly one =answer or weights",
+    };
+  }
+  if (entries.some((e) => e.weight !== null && e.mark === "=")) {
+    warnings.push("answer weights were ignored");
+  }
+  return {
+    question: {
+      ...base,
+      type: "single",
+      options,
+      correctOption: LETTERS[entries.indexOf(right[0])],
+      ...rationales,
+    },
+  };
+}
+
+function importBlock(block, idx) {
+  const warnings = [];
+  let text = block;
+  let title = "";
+
+  const titleMatch = text.match(/^::((?:\\.|[^:\\]|:(?!:))*)::/s);
+  if (titleMatch) {
+    title = unescapeGift(titleMatch[1]);
+    text = text.slice(titleMatch[0].length);
+  }
+  title = title || `Question ${idx + 1}`;
+
+  let format = "moodle";
+  const formatMatch = text.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+  if (formatMatch) {
+    format = formatMatch[1].toLowerCase();
+    text = text.slice(formatMatch[0].length);
+  }
+
+  const open = findUnescaped(text, "{");
+  const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+  if (open === -1 || close === -1) {
+    return {
+      title,
+      unsupported: "description items have no answers",
+      warnings,
+    };
+  }
+  if (findUnescaped(text, "{", close) !== -1) {
+    return {
+      title,
+      unsupported: "more than one answer block in a question",
+      warnings,
+    };
+  }
+
+  // "Missing word": text after the answers; the gap becomes a blank
+  const before = unescapeGift(text.slice(0, open));
+  const after = unescapeGift(text.slice(close + 1));
+  let question = after ? `${before} _____ ${after}` : before;
+  if (format === "html") {
+    const converted = htmlToText(question);
+    if (converted.images) warnings.push("images were dropped");
+    question = converted.text;
+  }
+
+  let body = text.slice(open + 1, close);
+  let explanation = "";
+  const general = findUnescaped(body, "####");
+  if (general !== -1) {
+    explanation = unescapeGift(body.slice(general + 4));
+    body = body.slice(0, general);
+  }
+
+  const parsed = parseAnswers(body, { question, explanation }, warnings);
+  return { title, ...parsed, warnings };
+}
+
+/**
+ * Read a GIFT file into import items:
+ * [{ title, question?, unsupported?, warnings }].
+ */
+function importQuestions(buffer) {
+  const lines = buffer
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => !/^\s*\/\//.test(line) && !/^\s*\$CATEGORY:/.test(line));
+
+  return lines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map(importBlock);
+}
+
+module.exports = {
+  id: "gift",
+  name: "GIFT",
+  extensions: [".gift", ".txt"],
+  fileExtension: ".gift",
+  contentType: "text/plain",
+  exportQuestions,
+  importQuestions,
+};
@@ -0,0 +1,159 @@
+// lib/formats/index.js
+// Question import / export for LMS and spreadsheet formats. Every format
+// module has the same shape:
+//
+//   { id, name, extensions, fileExtension, contentType,
+//     exportQuestions(questions, { title }) -> { content, warnings },
+//     importQuestions(buffer) -> [{ title, question?, unsupported?, warnings }] }
+//
+// Imported questions go through validateQuestion, the same check that
+// /api/generate-quiz output passes.
+const path = require("path");
+const { validateQuestion } = require("../questionTypes");
+
+const FORMATS = [
+  require("./moodle"),
+  require("./gift"),
+  require("./qti"),
+  require("./csv"),
+];
+
+function findFormat(id) {
+  return FORMATS.find((format) => format.id === id) || null;
+}
+
+// Format from the file extension; ".xml" could also be a single QTI item
+function detectFormat(name, buffer) {
+  const ext = path.extname(String(name || "")).toLowerCase();
+  if (ext === ".xml" && /<assessmentItem[\s>]/.test(buffer.toString("utf8"))) {
+    return findFormat("qti");
+  }
+  return FORMATS.find((format) => format.extensions.includes(ext)) || null;
+}
+
+function listFormats() {
+  return FORMATS.map(({ id, name, extensions }) => ({ id, name, extensions }));
+}
+
+function safeFileName(title) {
+  return (
+    String(title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "certstudy-quiz"
+  );
+}
+
+/**
+ * Helper: LMS formats have no shared scenario, so a case study's linked
+ * questions carry it (and its exhibits as plain-text tables) after their
+ * own text. Returns the flattened questions plus one warning per case study.
+ */
+function flattenCaseStudies(questions) {
+  const warnings = [];
+  const seen = new Set();
+  const flat = questions.map((q) => {
+    if (!q.caseStudy) return q;
+    const { caseStudy, ...rest } = q;
+    if (!seen.has(caseStudy.id)) {
+      seen.add(caseStudy.id);
+      warnings.push({
+        title: caseStudy.title,
+        message: "case study scenario copied into each of its questions",
+      });
+    }
+    const exhibits = (caseStudy.exhibits || []).map((exhibit, idx) =>
+      [
+        `Exhibit ${idx + 1}${exhibit.title ? `: ${exhibit.title}` : ""}`,
+        exhibit.columns.join(" | "),
+        ...exhibit.rows.map((row) => row.join(" | ")),
+      ].join("\n")
+    );
+    return {
+      ...rest,
+      question: [
+        q.question,
+        `Case study: ${caseStudy.title}\n${caseStudy.scenario}`,
+        ...exhibits,
+      ].join("\n\n"),
+    };
+  });
+  return { questions: flat, warnings };
+}
+
+/**
+ * Export questions. Returns { fileName, contentType, content (Buffer),
+ * warnings: [{ title, message }] } or { error }.
+ */
+function exportQuiz(formatId, questions, { title } = {}) {
+  const format = findFormat(formatId);
+  if (!format) return { error: `Unknown format "${formatId}".` };
+
+  const flat = flattenCaseStudies(questions);
+  const exported = format.exportQuestions(flat.questions, { title });
+  const content = exported.content;
+  const warnings = [...flat.warnings, ...exported.warnings];
+  return {
+    fileName: `${safeFileName(title)}${format.fileExtension}`,
+    contentType: format.contentType,
+    content: Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8"),
+    warnings,
+  };
+}
+
+/**
+ * Import a file. `format` may be left out to detect it from the name.
+ *
+ * Returns { format, questions, rejected, unsupported, warnings } where
+ * rejected / unsupported / warnings are [{ index, title, reason|message }]
+ * so nothing is dropped silently, or { error } when the file cannot be read.
+ */
+function importQuiz({ buffer, name, format: formatId }) {
+  const format = formatId ? findFormat(formatId) : detectFormat(name, buffer);
+  if (!format) {
+    return {
+      error: formatId
+        ? `Unknown format "${formatId}".`
+        : "Unrecognised file type. Use .xml (Moodle), .gift, .zip (QTI) or .csv.",
+    };
+  }
+
+  let items;
+  try {
+    items = format.importQuestions(buffer);
+  } catch (err) {
+    return { error: `Could not read the ${format.name} file: ${err.message}` };
+  }
+
+  const result = {
+    format: format.id,
+    questions: [],
+    rejected: [],
+    unsupported: [],
+    warnings: [],
+  };
+  items.forEach((item, index) => {
+    const { title } = item;
+    item.warnings.forEach((message) =>
+      result.warnings.push({ index, title, message })
+    );
+    if (item.unsupported) {
+      result.unsupported.push({ index, title, reason: item.unsupported });
+      return;
+    }
+    const { question, error } = validateQuestion(item.question);
+    if (error) {
+      result.rejected.push({ index, title, reason: error });
+      return;
+    }
+    result.questions.push(question);
+  });
+
+  if (!items.length) {
+    return { error: `No questions found in the ${format.name} file.` };
+  }
+  return result;
+}
+
+module.exports = { FORMATS, listFormats, detectFormat, exportQuiz, importQuiz };
@@ -0,0 +1,321 @@
+// lib/formats/moodle.js
+// Moodle XML: multichoice (single / multiple), truefalse, matching and
+// ordering (qtype_ordering). Option rationales travel as per-answer
+// feedback and the explanation as general feedback.
+const { LETTERS } = require("../questionTypes");
+const {
+  parseXml,
+  htmlToText,
+  textToHtml,
+  escapeXml,
+  childElements,
+  firstChild,
+  textContent,
+} = require("./xml");
+const {
+  questionTitle,
+  correctLetters,
+  splitTrueFalseText,
+} = require("./common");
+
+// Moodle only accepts grades from a fixed list; these cover 1-5 parts
+const FRACTIONS = { 1: "100", 2: "50", 3: "33.33333", 4: "25", 5: "20" };
+
+function textElement(tag, html, indent = "    ") {
+  return `${indent}<${tag} format="html"><text>${escapeXml(
+    html
+  )}</text></${tag}>`;
+}
+
+// `html: false` for answers Moodle matches literally ("true" / "false")
+function answerElement(fraction, text, feedback, html = true) {
+  return [
+    `    <answer fraction="${fraction}" format="${
+      html ? "html" : "moodle_auto_format"
+    }">`,
+    `      <text>${escapeXml(html ? textToHtml(text) : text)}</text>`,
+    feedback ? textElement("feedback", textToHtml(feedback), "      ") : "",
+    "    </answer>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function questionElement(type, name, html, explanation, body) {
+  return [
+    `  <question type="${type}">`,
+    `    <name><text>${escapeXml(name)}</text></name>`,
+    textElement("questiontext", html),
+    textElement("generalfeedback", textToHtml(explanation)),
+    "    <defaultgrade>1</defaultgrade>",
+    ...body,
+    "  </question>",
+  ].join("\n");
+}
+
+function exportQuestion(q, idx, warnings) {
+  const name = questionTitle(q, idx);
+  const html = textToHtml(q.question);
+  const rationale = (i) => (q.rationales ? q.rationales[i] : "");
+
+  switch (q.type) {
+    case "single":
+    case "multi": {
+      const correct = correctLetters(q);
+      const wrongCount = q.options.length - correct.length;
+      return [
+        questionElement("multichoice", name, html, q.explanation, [
+          `    <single>${q.type === "single"}</single>`,
+          "    <shuffleanswers>true</shuffleanswers>",
+          "    <answernumbering>ABCD</answernumbering>",
+          ...q.options.map((opt, i) =>
+            answerElement(
+              correct.includes(LETTERS[i])
+                ? FRACTIONS[correct.length]
+                : q.type === "multi"
+                ? `-${FRACTIONS[wrongCount]}`
+                : "0",
+              opt,
+              rationale(i)
+            )
+          ),
+        ]),
+      ];
+    }
+
+    case "truefalse":
+      if (q.statements.length > 1) {
+        warnings.push({
+          title: name,
+          message: `split into ${q.statements.length} true/false questions (Moodle has one statement per question)`,
+        });
+      }
+      return q.statements.map((statement, i) =>
+        questionElement(
+          "truefalse",
+          q.statements.length > 1 ? `${name} (${i + 1})` : name,
+          textToHtml(`${q.question}\n${statement}`),
+          q.explanation,
+          [
+            answerElement(q.answers[i] ? "100" : "0", "true", "", false),
+            answerElement(q.answers[i] ? "0" : "100", "false", "", false),
+          ]
+        )
+      );
+
+    case "matching":
+      return [
+        questionElement("matching", name, html, q.explanation, [
+          "    <shuffleanswers>true</shuffleanswers>",
+          ...q.pairs.map((pair) =>
+            [
+              '    <subquestion format="html">',
+              `      <text>${escapeXml(textToHtml(pair.left))}</text>`,
+              `      <answer><text>${escapeXml(pair.right)}</text></answer>`,
+              "    </subquestion>",
+            ].join("\n")
+          ),
+        ]),
+      ];
+
+    case "ordering":
+      return [
+        questionElement("ordering", name, html, q.explanation, [
+          "    <layouttype>VERTICAL</layouttype>",
+          "    <selecttype>ALL</selecttype>",
+          "    <selectcount>0</selectcount>",
+          "    <gradingtype>ABSOLUTE_POSITION</gradingtype>",
+          ...q.items.map((item, i) =>
+            [
+              `    <answer fraction="${i + 1}" format="moodle_auto_format">`,
+              `      <text>${escapeXml(item)}</text>`,
+              "    </answer>",
+            ].join("\n")
+          ),
+        ]),
+      ];
+
+    default:
+      warnings.push({ title: name, message: `type "${q.type}" not exported` });
+      return [];
+  }
+}
+
+function exportQuestions(questions, { title }) {
+  const warnings = [];
+  const body = questions.flatMap((q, idx) => exportQuestion(q, idx, warnings));
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<quiz>",
+    '  <question type="category">',
+    `    <category><text>$course$/top/${escapeXml(
+      String(title || "CertStudy").replace(/\//g, "-")
+    )}</text></category>`,
+    "  </question>",
+    ...body,
+    "</quiz>",
+    "",
+  ].join("\n");
+  return { content, warnings };
+}
+
+// Plain text of a <questiontext>, <feedback>, ... element
+function readText(node, warnings, what) {
+  if (!node) return "";
+  const raw = textContent(firstChild(node, "text"));
+  if (node.attrs.format && node.attrs.format !== "html") return raw.trim();
+
+  const { text, images } = htmlToText(raw);
+  if (images || childElements(node, "file").length) {
+    warnings.push(`images or files in the ${what} were dropped`);
+  }
+  return text;
+}
+
+function readAnswers(node, warnings) {
+  return childElements(node, "answer").map((answer) => ({
+    text: readText(answer, warnings, "answers"),
+    fraction: parseFloat(answer.attrs.fraction) || 0,
+    feedback: readText(firstChild(answer, "feedback"), warnings, "feedback"),
+  }));
+}
+
+// Rationales only when every option has one
+function readRationales(answers) {
+  return answers.every((a) => a.feedback)
+    ? { rationales: answers.map((a) => a.feedback) }
+    : {};
+}
+
+const importers = {
+  multichoice(node, base, warnings) {
+    const answers = readAnswers(node, warnings);
+    const single = ["true", "1"].includes(
+      textContent(firstChild(node, "single")).trim()
+    );
+    const options = answers.map((a) => a.text);
+
+    if (single) {
+      const best = answers.findIndex((a) => a.fraction >= 100);
+      if (answers.some((a) => a.fraction > 0 && a.fraction < 100)) {
+        warnings.push("partial-credit answers were imported as wrong answers");
+      }
+      return {
+        ...base,
+        type: "single",
+        options,
+        correctOption: best === -1 ? null : LETTERS[best],
+        ...readRationales(answers),
+      };
+    }
+
+    return {
+      ...base,
+      type: "multi",
+      options,
+      correctOptions: answers
+        .map((a, i) => (a.fraction > 0 ? LETTERS[i] : null))
+        .filter(Boolean),
+      ...readRationales(answers),
+    };
+  },
+
+  truefalse(node, base, warnings) {
+    const answers = readAnswers(node, warnings);
+    const right = answers.find((a) => a.fraction >= 100);
+    const { question, statement } = splitTrueFalseText(base.question);
+    return {
+      ...base,
+      type: "truefalse",
+      question,
+      statements: [statement],
+      answers: [right ? right.text.toLowerCase() === "true" : null],
+    };
+  },
+
+  matching(node, base, warnings) {
+    const subquestions = childElements(node, "subquestion").map((sub) => ({
+      left: readText(sub, warnings, "matching items"),
+      right: textContent(firstChild(firstChild(sub, "answer"), "text")).trim(),
+    }));
+    if (subquestions.some((sub) => !sub.left)) {
+      warnings.push("extra right-hand answers without a match were dropped");
+    }
+    return {
+      ...base,
+      type: "matching",
+      pairs: subquestions.filter((sub) => sub.left),
+    };
+  },
+
+  ordering(node, base, warnings) {
+    const answers = readAnswers(node, warnings);
+    const selecttype = textContent(firstChild(node, "selecttype")).trim();
+    if (selecttype && selecttype !== "ALL") {
+      warnings.push(`the learner orders every item (was ${selecttype})`);
+    }
+    return {
+      ...base,
+      type: "ordering",
+      items: answers
+        .map((a, i) => ({ text: a.text, position: a.fraction || i + 1 }))
+        .sort((a, b) => a.position - b.position)
+        .map((a) => a.text),
+    };
+  },
+};
+
+/**
+ * Read a Moodle XML file into import items:
+ * [{ title, question?, unsupported?, warnings }].
+ */
+function importQuestions(buffer) {
+  const root = parseXml(buffer.toString("utf8"));
+  if (root.name !== "quiz") throw new Error("expected a <quiz> document");
+
+  return childElements(root, "question")
+    .filter((node) => node.attrs.type !== "category")
+    .map((node, idx) => {
+      const warnings = [];
+      const type = node.attrs.type || "";
+      const title =
+        textContent(firstChild(firstChild(node, "name"), "text")).trim() ||
+        `Question ${idx + 1}`;
+
+      if (!importers[type]) {
+        return {
+          title,
+          unsupported: `Moodle "${type}" questions are not supported`,
+          warnings,
+        };
+      }
+
+      const base = {
+        question: readText(
+          firstChild(node, "questiontext"),
+          warnings,
+          "question text"
+        ),
+        explanation: readText(
+          firstChild(node, "generalfeedback"),
+          warnings,
+          "feedback"
+        ),
+      };
+      return {
+        title,
+        question: importers[type](node, base, warnings),
+        warnings,
+      };
+    });
+}
+
+module.exports = {
+  id: "moodle",
+  name: "Moodle XML",
+  extensions: [".xml"],
+  fileExtension: ".xml",
+  contentType: "application/xml",
+  exportQuestions,
+  importQuestions,
+};
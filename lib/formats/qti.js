@@ -0,0 +1,519 @@
+// lib/formats/qti.js
+// IMS QTI 2.1 content package: a ZIP with imsmanifest.xml and one
+// assessmentItem file per question.
+//
+//   single / multi  choiceInteraction (rationales as feedbackInline)
+//   truefalse       matchInteraction against a True / False target set
+//   ordering        orderInteraction
+//   matching        matchInteraction with directedPair answers
+//
+// The explanation is a modalFeedback shown after the attempt.
+const { LETTERS } = require("../questionTypes");
+const {
+  parseXml,
+  textToHtml,
+  escapeXml,
+  childElements,
+  firstChild,
+  descendants,
+  textContent,
+} = require("./xml");
+const { createZip, readZip, isZip } = require("./zip");
+const { questionTitle, correctLetters } = require("./common");
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_XSD = "http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd";
+const CP_NS = "http://www.imsglobal.org/xsd/imscp_v1p1";
+
+// ---------- export ----------
+
+function responseDeclaration(cardinality, baseType, values) {
+  return [
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">`,
+    "    <correctResponse>",
+    ...values.map((value) => `      <value>${escapeXml(value)}</value>`),
+    "    </correctResponse>",
+    "  </responseDeclaration>",
+  ];
+}
+
+// SCORE 1 for an exact match; FEEDBACK echoes the response so inline
+// choice feedback shows; EXPLANATION always reveals the modal feedback
+const RESPONSE_PROCESSING = [
+  "  <responseProcessing>",
+  "    <responseCondition>",
+  "      <responseIf>",
+  '        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>',
+  '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+  "      </responseIf>",
+  "      <responseElse>",
+  '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>',
+  "      </responseElse>",
+  "    </responseCondition>",
+  '    <setOutcomeValue identifier="FEEDBACK"><variable identifier="RESPONSE"/></setOutcomeValue>',
+  '    <setOutcomeValue identifier="EXPLANATION"><baseValue baseType="identifier">shown</baseValue></setOutcomeValue>',
+  "  </responseProcessing>",
+];
+
+function simpleChoice(tag, id, text, extra = "", feedback = "") {
+  return `      <${tag} identifier="${id}"${extra}>${escapeXml(text)}${
+    feedback
+      ? `<feedbackInline outcomeIdentifier="FEEDBACK" identifier="${id}" showHide="show">${escapeXml(
+          feedback
+        )}</feedbackInline>`
+      : ""
+  }</${tag}>`;
+}
+
+function interactionFor(q) {
+  switch (q.type) {
+    case "single":
+    case "multi":
+      return {
+        declaration: responseDeclaration(
+          q.type === "single" ? "single" : "multiple",
+          "identifier",
+          correctLetters(q)
+        ),
+        feedbackCardinality: q.type === "single" ? "single" : "multiple",
+        body: [
+          `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${
+            q.type === "single" ? 1 : 0
+          }">`,
+          ...q.options.map((opt, i) =>
+            simpleChoice(
+              "simpleChoice",
+              LETTERS[i],
+              opt,
+              "",
+              q.rationales ? q.rationales[i] : ""
+            )
+          ),
+          "    </choiceInteraction>",
+        ],
+      };
+
+    case "truefalse":
+      return {
+        declaration: responseDeclaration(
+          "multiple",
+          "directedPair",
+          q.statements.map((_, i) => `S${i + 1} ${q.answers[i] ? "T" : "F"}`)
+        ),
+        feedbackCardinality: "multiple",
+        body: [
+          `    <matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${q.statements.length}">`,
+          "      <simpleMatchSet>",
+          ...q.statements.map((statement, i) =>
+            simpleChoice(
+              "simpleAssociableChoice",
+              `S${i + 1}`,
+              statement,
+              ' matchMax="1"'
+            )
+          ),
+          "      </simpleMatchSet>",
+          "      <simpleMatchSet>",
+          simpleChoice(
+            "simpleAssociableChoice",
+            "T",
+            "True",
+            ` matchMax="${q.statements.length}"`
+          ),
+          simpleChoice(
+            "simpleAssociableChoice",
+            "F",
+            "False",
+            ` matchMax="${q.statements.length}"`
+          ),
+          "      </simpleMatchSet>",
+          "    </matchInteraction>",
+        ],
+      };
+
+    case "ordering":
+      return {
+        declaration: responseDeclaration(
+          "ordered",
+          "identifier",
+          q.items.map((_, i) => `I${i + 1}`)
+        ),
+        feedbackCardinality: "ordered",
+        body: [
+          '    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+          ...q.items.map((item, i) =>
+            simpleChoice("simpleChoice", `I${i + 1}`, item)
+          ),
+          "    </orderInteraction>",
+        ],
+      };
+
+    case "matching":
+      return {
+        declaration: responseDeclaration(
+          "multiple",
+          "directedPair",
+          q.pairs.map((_, i) => `L${i + 1} R${i + 1}`)
+        ),
+        feedbackCardinality: "multiple",
+        body: [
+          `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${q.pairs.length}">`,
+          "      <simpleMatchSet>",
+          ...q.pairs.map((pair, i) =>
+            simpleChoice(
+              "simpleAssociableChoice",
+              `L${i + 1}`,
+              pair.left,
+              ' matchMax="1"'
+            )
+          ),
+          "      </simpleMatchSet>",
+          "      <simpleMatchSet>",
+          ...q.pairs.map((pair, i) =>
+            simpleChoice(
+              "simpleAssociableChoice",
+              `R${i + 1}`,
+              pair.right,
+              ' matchMax="1"'
+            )
+          ),
+          "      </simpleMatchSet>",
+          "    </matchInteraction>",
+        ],
+      };
+
+    default:
+      return null;
+  }
+}
+
+function itemXml(q, identifier, title, interaction) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NS} ${QTI_XSD}" identifier="${identifier}" title="${escapeXml(
+      title
+    )}" adaptive="false" timeDependent="false">`,
+    ...interaction.declaration,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+    `  <outcomeDeclaration identifier="FEEDBACK" cardinality="${
+      interaction.feedbackCardinality
+    }" baseType="${
+      q.type === "single" || q.type === "multi" || q.type === "ordering"
+        ? "identifier"
+        : "directedPair"
+    }"/>`,
+    '  <outcomeDeclaration identifier="EXPLANATION" cardinality="single" baseType="identifier"/>',
+    "  <itemBody>",
+    `    <div>${textToHtml(q.question)}</div>`,
+    ...interaction.body,
+    "  </itemBody>",
+    ...RESPONSE_PROCESSING,
+    q.explanation
+      ? `  <modalFeedback outcomeIdentifier="EXPLANATION" identifier="shown" showHide="show">${textToHtml(
+          q.explanation
+        )}</modalFeedback>`
+      : "",
+    "</assessmentItem>",
+    "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function manifestXml(title, items) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest xmlns="${CP_NS}" identifier="certstudy-export">`,
+    "  <metadata>",
+    "    <schema>QTIv2.1 Package</schema>",
+    "    <schemaversion>1.0.0</schemaversion>",
+    "  </metadata>",
+    `  <organizations/>`,
+    "  <resources>",
+    ...items.map(({ identifier, href }) =>
+      [
+        `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">`,
+        `      <file href="${href}"/>`,
+        "    </resource>",
+      ].join("\n")
+    ),
+    "  </resources>",
+    `  <!-- ${escapeXml(String(title || "CertStudy quiz")).replace(
+      /--/g,
+      "- -"
+    )} -->`,
+    "</manifest>",
+    "",
+  ].join("\n");
+}
+
+function exportQuestions(questions, { title }) {
+  const warnings = [];
+  const items = [];
+
+  questions.forEach((q, idx) => {
+    const name = questionTitle(q, idx);
+    const interaction = interactionFor(q);
+    if (!interaction) {
+      warnings.push({ title: name, message: `type "${q.type}" not exported` });
+      return;
+    }
+    const identifier = `item${String(items.length + 1).padStart(3, "0")}`;
+    items.push({
+      identifier,
+      href: `items/${identifier}.xml`,
+      content: itemXml(q, identifier, name, interaction),
+    });
+  });
+
+  const content = createZip([
+    { name: "imsmanifest.xml", content: manifestXml(title, items) },
+    ...items.map(({ href, content }) => ({ name: href, content })),
+  ]);
+  return { content, warnings };
+}
+
+// ---------- import ----------
+
+const BLOCK_TAGS = /^(p|div|li|h[1-6]|prompt|blockquote|pre|tr)$/;
+
+/**
+ * Helper: plain text of an XHTML fragment inside an item, skipping the
+ * element names in `skip`. Counts dropped images and objects into
+ * `warnings`.
+ */
+function readText(node, warnings, skip = []) {
+  let media = 0;
+  const walk = (n) => {
+    if (n.text !== undefined) return n.text;
+    if (skip.includes(n.name)) return "";
+    if (n.name === "img" || n.name === "object") {
+      media++;
+      return "";
+    }
+    if (n.name === "br") return "\n";
+    const inner = n.children.map(walk).join("");
+    return BLOCK_TAGS.test(n.name) ? `\n${inner}\n` : inner;
+  };
+  if (!node) return "";
+  const text = walk(node)
+    .replace(/[ \t\r]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+  if (media) warnings.push("images or media were dropped");
+  return text;
+}
+
+// Correct values from <correctResponse>, else positive <mapping> entries
+function correctValues(declaration) {
+  const correct = firstChild(declaration, "correctResponse");
+  if (correct) {
+    return childElements(correct, "value").map((v) => textContent(v).trim());
+  }
+  return childElements(firstChild(declaration, "mapping"), "mapEntry")
+    .filter((entry) => parseFloat(entry.attrs.mappedValue) > 0)
+    .map((entry) => entry.attrs.mapKey);
+}
+
+const importers = {
+  choiceInteraction(node, values, base, warnings, cardinality) {
+    const choices = childElements(node, "simpleChoice");
+    const options = choices.map((c) =>
+      readText(c, warnings, ["feedbackInline"])
+    );
+    const letterOf = (id) => {
+      const idx = choices.findIndex((c) => c.attrs.identifier === id);
+      return idx === -1 ? null : LETTERS[idx];
+    };
+    const feedback = choices.map((c) =>
+      readText(firstChild(c, "feedbackInline"), warnings)
+    );
+    const rationales = feedback.every(Boolean) ? { rationales: feedback } : {};
+
+    if (cardinality === "single" || node.attrs.maxChoices === "1") {
+      if (values.length > 1) {
+        warnings.push("only the first correct answer was kept");
+      }
+      return {
+        ...base,
+        type: "single",
+        options,
+        correctOption: letterOf(values[0]),
+        ...rationales,
+      };
+    }
+    return {
+      ...base,
+      type: "multi",
+      options,
+      correctOptions: values.map(letterOf).filter(Boolean),
+      ...rationales,
+    };
+  },
+
+  orderInteraction(node, values, base, warnings) {
+    const choices = childElements(node, "simpleChoice");
+    const byId = new Map(
+      choices.map((c) => [c.attrs.identifier, readText(c, warnings)])
+    );
+    if (values.length !== choices.length) {
+      warnings.push("items outside the correct order were dropped");
+    }
+    return {
+      ...base,
+      type: "ordering",
+      items: values.map((id) => byId.get(id)).filter(Boolean),
+    };
+  },
+
+  matchInteraction(node, values, base, warnings) {
+    const [sources, targets] = childElements(node, "simpleMatchSet").map(
+      (set) =>
+        childElements(set, "simpleAssociableChoice").map((c) => ({
+          id: c.attrs.identifier,
+          text: readText(c, warnings),
+        }))
+    );
+    if (!sources || !targets) return null;
+    const pairs = values.map((value) => value.split(/\s+/));
+    const textOf = (list, id) => (list.find((c) => c.id === id) || {}).text;
+
+    // A True / False target set is a true/false question
+    const labels = targets.map((t) => t.text.toLowerCase()).sort();
+    if (labels.join() === "false,true") {
+      const trueId = targets.find((t) => t.text.toLowerCase() === "true").id;
+      return {
+        ...base,
+        type: "truefalse",
+        statements: sources.map((s) => s.text),
+        answers: sources.map((s) => {
+          const pair = pairs.find(([from]) => from === s.id);
+          return pair ? pair[1] === trueId : null;
+        }),
+      };
+    }
+
+    if (pairs.length !== sources.length || targets.length > sources.length) {
+      warnings.push("items without exactly one match were dropped");
+    }
+    return {
+      ...base,
+      type: "matching",
+      pairs: pairs.map(([left, right]) => ({
+        left: textOf(sources, left),
+        right: textOf(targets, right),
+      })),
+    };
+  },
+};
+
+function importItem(root, fallbackTitle) {
+  const warnings = [];
+  const title = root.attrs.title || root.attrs.identifier || fallbackTitle;
+  if (root.name !== "assessmentItem") {
+    return { title, unsupported: `<${root.name}> is not a QTI item`, warnings };
+  }
+
+  const body = firstChild(root, "itemBody");
+  const interactions = childElements(body).flatMap(function find(node) {
+    return /Interaction$/.test(node.name)
+      ? [node]
+      : childElements(node).flatMap(find);
+  });
+  if (interactions.length !== 1) {
+    return {
+      title,
+      unsupported: interactions.length
+        ? "items with more than one interaction are not supported"
+        : "items without an interaction are not supported",
+      warnings,
+    };
+  }
+
+  const [interaction] = interactions;
+  if (!importers[interaction.name]) {
+    return {
+      title,
+      unsupported: `QTI ${interaction.name} items are not supported`,
+      warnings,
+    };
+  }
+
+  const declaration = childElements(root, "responseDeclaration").find(
+    (d) => d.attrs.identifier === interaction.attrs.responseIdentifier
+  );
+  const prompt = readText(firstChild(interaction, "prompt"), warnings);
+  const stem = readText(body, warnings, [interaction.name]);
+  const base = {
+    question: [stem, prompt].filter(Boolean).join("\n"),
+    explanation: childElements(root, "modalFeedback")
+      .map((fb) => readText(fb, warnings))
+      .filter(Boolean)
+      .join("\n"),
+  };
+
+  const question = importers[interaction.name](
+    interaction,
+    correctValues(declaration),
+    base,
+    warnings,
+    declaration && declaration.attrs.cardinality
+  );
+  if (!question) {
+    return { title, unsupported: "could not read the match sets", warnings };
+  }
+  return { title, question, warnings };
+}
+
+// Item files of a package, in manifest order when there is one
+function packageItems(buffer) {
+  const files = readZip(buffer);
+  const byName = new Map(files.map((f) => [f.name, f]));
+  const manifest = byName.get("imsmanifest.xml");
+  if (!manifest) {
+    return files.filter((f) => f.name.toLowerCase().endsWith(".xml"));
+  }
+
+  const resources = descendants(
+    parseXml(manifest.content.toString("utf8")),
+    "resource"
+  ).filter((r) => /^imsqti_item/.test(r.attrs.type || ""));
+  return resources
+    .map((r) => byName.get(r.attrs.href))
+    .filter(Boolean)
+    .filter((f, i, list) => list.indexOf(f) === i);
+}
+
+/**
+ * Read a QTI 2.1 package (ZIP) or a single item file into import items:
+ * [{ title, question?, unsupported?, warnings }].
+ */
+function importQuestions(buffer) {
+  const files = isZip(buffer)
+    ? packageItems(buffer)
+    : [{ name: "item.xml", content: buffer }];
+
+  return files.map((file) => {
+    let root;
+    try {
+      root = parseXml(file.content.toString("utf8"));
+    } catch (err) {
+      return {
+        title: file.name,
+        unsupported: `could not read ${file.name}: ${err.message}`,
+        warnings: [],
+      };
+    }
+    return importItem(root, file.name);
+  });
+}
+
+module.exports = {
+  id: "qti",
+  name: "QTI 2.1 package",
+  extensions: [".zip", ".qti"],
+  fileExtension: ".zip",
+  contentType: "application/zip",
+  exportQuestions,
+  importQuestions,
+};
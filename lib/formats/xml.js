@@ -0,0 +1,185 @@
+// lib/formats/xml.js
+// Just enough XML for Moodle XML and QTI: a small non-validating parser
+// into { name, attrs, children, text } nodes, plus escaping helpers.
+// Namespaces prefixes are dropped ("imsqti:choiceInteraction" ->
+// "choiceInteraction"), DTDs, comments and processing instructions skipped.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function localName(name) {
+  const idx = name.indexOf(":");
+  return idx === -1 ? name : name.slice(idx + 1);
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attrs[localName(match[1])] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+/**
+ * Parse an XML document. Returns the root node, or throws with a short
+ * message when the markup is broken.
+ */
+function parseXml(source) {
+  const root = { name: "#document", attrs: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const appendText = (text) => {
+    if (!text) return;
+    stack[stack.length - 1].children.push({ text });
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf("<", pos);
+    if (lt === -1) {
+      appendText(decodeEntities(source.slice(pos)));
+      break;
+    }
+    appendText(decodeEntities(source.slice(pos, lt)));
+
+    if (source.startsWith("<!--", lt)) {
+      const end = source.indexOf("-->", lt);
+      if (end === -1) throw new Error("unclosed comment");
+      pos = end + 3;
+    } else if (source.startsWith("<![CDATA[", lt)) {
+      const end = source.indexOf("]]>", lt);
+      if (end === -1) throw new Error("unclosed CDATA section");
+      appendText(source.slice(lt + 9, end));
+      pos = end + 3;
+    } else if (source.startsWith("<?", lt)) {
+      const end = source.indexOf("?>", lt);
+      if (end === -1) throw new Error("unclosed processing instruction");
+      pos = end + 2;
+    } else if (source.startsWith("<!", lt)) {
+      const end = source.indexOf(">", lt);
+      if (end === -1) throw new Error("unclosed declaration");
+      pos = end + 1;
+    } else if (source[lt + 1] === "/") {
+      const end = source.indexOf(">", lt);
+      if (end === -1) throw new Error("unclosed end tag");
+      const name = localName(source.slice(lt + 2, end).trim());
+      const open = stack.pop();
+      if (!open || open.name !== name || !stack.length) {
+        throw new Error(`unexpected </${name}>`);
+      }
+      pos = end + 1;
+    } else {
+      const end = source.indexOf(">", lt);
+      if (end === -1) throw new Error("unclosed tag");
+      let body = source.slice(lt + 1, end);
+      const selfClosing = body.endsWith("/");
+      if (selfClosing) body = body.slice(0, -1);
+
+      const nameMatch = body.match(/^[^\s]+/);
+      if (!nameMatch) throw new Error("empty tag");
+      const node = {
+        name: localName(nameMatch[0]),
+        attrs: parseAttributes(body.slice(nameMatch[0].length)),
+        children: [],
+      };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+      pos = end + 1;
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+  const element = root.children.find((child) => child.name);
+  if (!element) throw new Error("no root element");
+  return element;
+}
+
+// Helpers for walking parsed nodes
+function childElements(node, name) {
+  return (node ? node.children : []).filter(
+    (child) => child.name && (!name || child.name === name)
+  );
+}
+
+function firstChild(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+// Every element called `name` below `node`, in document order
+function descendants(node, name) {
+  const found = [];
+  childElements(node).forEach((child) => {
+    if (child.name === name) found.push(child);
+    found.push(...descendants(child, name));
+  });
+  return found;
+}
+
+function textContent(node) {
+  if (!node) return "";
+  if (node.text !== undefined) return node.text;
+  return node.children.map(textContent).join("");
+}
+
+/**
+ * Helper: plain text from the HTML that LMS question texts are stored as.
+ * Returns { text, images } where `images` counts dropped <img> tags.
+ */
+function htmlToText(html) {
+  const source = String(html || "");
+  const images = (source.match(/<img\b/gi) || []).length;
+  const text = decodeEntities(
+    source
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+  return { text, images };
+}
+
+// Plain text as HTML paragraphs, one per line
+function textToHtml(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => `<p>${escapeXml(line)}</p>`)
+    .join("");
+}
+
+module.exports = {
+  parseXml,
+  htmlToText,
+  textToHtml,
+  escapeXml,
+  decodeEntities,
+  childElements,
+  firstChild,
+  descendants,
+  textContent,
+};
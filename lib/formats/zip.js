@@ -0,0 +1,133 @@
+// lib/formats/zip.js
+// Minimal ZIP support for QTI content packages: write deflated entries,
+// read stored or deflated ones. No ZIP64, encryption or multi-disk archives.
+const zlib = require("zlib");
+
+// Refuse entries that inflate beyond this (zip bombs)
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from [{ name, content (string | Buffer) }].
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.isBuffer(content)
+      ? content
+      : Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Read every file of a ZIP archive: [{ name, content (Buffer) }].
+ * Throws with a short message on archives it cannot read.
+ */
+function readZip(buffer) {
+  let endAt = -1;
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt === -1) throw new Error("not a ZIP archive");
+
+  const count = buffer.readUInt16LE(endAt + 10);
+  let pos = buffer.readUInt32LE(endAt + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) {
+      throw new Error("broken ZIP directory");
+    }
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const localAt = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (method !== 0 && method !== 8) {
+      throw new Error(`unsupported compression in ${name}`);
+    }
+
+    const dataAt =
+      localAt +
+      30 +
+      buffer.readUInt16LE(localAt + 26) +
+      buffer.readUInt16LE(localAt + 28);
+    const raw = buffer.subarray(dataAt, dataAt + compressedSize);
+    files.push({
+      name,
+      content:
+        method === 8
+          ? zlib.inflateRawSync(raw, { maxOutputLength: MAX_ENTRY_BYTES })
+          : raw,
+    });
+  }
+
+  return files;
+}
+
+module.exports = { createZip, readZip, isZip };
@@ -0,0 +1,188 @@
+// lib/glossary.js
+// Personal glossary: every term the study helper explained, with its
+// Markdown explanation, grouped by topic. Learners can tag and edit
+// entries; edited explanations are not overwritten by later ones.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { topicKey, withCurrentTopicKeys } = require("./questionBank");
+const { belongsTo } = require("./accounts");
+
+const MAX_TERM_CHARS = 200;
+const MAX_EXPLANATION_CHARS = 8000;
+const MAX_TAGS = 10;
+const MAX_TAG_CHARS = 30;
+
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+// Same rule as flashcards: case and spacing do not make a new term
+function termKey(term) {
+  return term.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Helper: tags from an array or a comma separated string, lower case,
+ * without duplicates.
+ */
+function cleanTags(raw) {
+  const list = Array.isArray(raw)
+    ? raw
+    : typeof raw === "string"
+    ? raw.split(",")
+    : [];
+  const tags = list
+    .map((tag) => cleanText(String(tag), MAX_TAG_CHARS).toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Schema check for an edit: { term?, explanation?, topic?, tags? }.
+ * Returns { patch } with the cleaned fields that were sent, or { error }.
+ */
+function validateEntryPatch(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "not an object" };
+  }
+  const patch = {};
+  if (raw.term !== undefined) {
+    patch.term = cleanText(raw.term, MAX_TERM_CHARS);
+    if (!patch.term) return { error: "term must not be empty" };
+  }
+  if (raw.explanation !== undefined) {
+    patch.explanation = cleanText(raw.explanation, MAX_EXPLANATION_CHARS);
+    if (!patch.explanation) return { error: "explanation must not be empty" };
+  }
+  if (raw.topic !== undefined) {
+    patch.topic = cleanText(raw.topic, 80);
+    if (!patch.topic) return { error: "topic must not be empty" };
+  }
+  if (raw.tags !== undefined) patch.tags = cleanTags(raw.tags);
+  return { patch };
+}
+
+function createGlossary(store = createJsonStore("glossary", { entries: [] })) {
+  store = withCurrentTopicKeys(store, "entries");
+
+  function all() {
+    return store.read().entries;
+  }
+
+  function get(id) {
+    return all().find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Search the learner's entries. `q` matches term, explanation and tags;
+   * `topic` and `tag` narrow the list. Sorted by topic, then term.
+   */
+  function list({ userId, q, topic, tag } = {}) {
+    const needle = (q || "").toLowerCase().trim();
+    const key = topic ? topicKey(topic) : null;
+    const wantedTag = tag ? String(tag).toLowerCase() : null;
+
+    return all()
+      .filter((entry) => {
+        if (!belongsTo(entry, userId)) return false;
+        if (key && entry.topicKey !== key) return false;
+        if (wantedTag && !entry.tags.includes(wantedTag)) return false;
+        if (!needle) return true;
+        return [entry.term, entry.explanation, ...entry.tags]
+          .join("\n")
+          .toLowerCase()
+          .includes(needle);
+      })
+      .sort(
+        (a, b) => a.topic.localeCompare(b.topic) || a.term.localeCompare(b.term)
+      );
+  }
+
+  /**
+   * Topics and tags the learner's glossary uses, for the search filters.
+   */
+  function facets({ userId } = {}) {
+    const entries = all().filter((entry) => belongsTo(entry, userId));
+    return {
+      topics: [...new Set(entries.map((entry) => entry.topic))].sort(),
+      tags: [...new Set(entries.flatMap((entry) => entry.tags))].sort(),
+    };
+  }
+
+  /**
+   * Save an explanation from the study helper. The same term for the same
+   * learner and topic is updated in place, unless the learner edited it.
+   * Returns the entry.
+   */
+  function saveExplanation({ term, topic, explanation, userId }) {
+    const cleanTerm = cleanText(term, MAX_TERM_CHARS);
+    const cleanTopic = cleanText(topic, 80);
+    const text = cleanText(explanation, MAX_EXPLANATION_CHARS);
+    if (!cleanTerm || !cleanTopic || !text) return null;
+
+    const now = new Date().toISOString();
+    const key = termKey(cleanTerm);
+    const tKey = topicKey(cleanTopic);
+
+    return store.update((data) => {
+      const existing = data.entries.find(
+        (entry) =>
+          entry.termKey === key &&
+          entry.topicKey === tKey &&
+          (entry.userId || null) === (userId || null)
+      );
+      if (existing) {
+        if (!existing.editedAt && existing.explanation !== text) {
+          existing.explanation = text;
+          existing.updatedAt = now;
+        }
+        return existing;
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        term: cleanTerm,
+        termKey: key,
+        topic: cleanTopic,
+        topicKey: tKey,
+        explanation: text,
+        tags: [],
+        userId: userId || null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      data.entries.push(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Apply a validated patch (see validateEntryPatch). Returns the entry,
+   * or null when it does not exist.
+   */
+  function update(id, patch) {
+    return store.update((data) => {
+      const entry = data.entries.find((e) => e.id === id);
+      if (!entry) return null;
+
+      Object.assign(entry, patch);
+      if (patch.term) entry.termKey = termKey(patch.term);
+      if (patch.topic) entry.topicKey = topicKey(patch.topic);
+      entry.updatedAt = new Date().toISOString();
+      if (patch.term || patch.explanation) entry.editedAt = entry.updatedAt;
+      return entry;
+    });
+  }
+
+  function remove(id) {
+    return store.update((data) => {
+      const before = data.entries.length;
+      data.entries = data.entries.filter((entry) => entry.id !== id);
+      return data.entries.length < before;
+    });
+  }
+
+  return { list, facets, get, saveExplanation, update, remove };
+}
+
+module.exports = { createGlossary, validateEntryPatch };
@@ -0,0 +1,358 @@
+// lib/history.js
+// Every graded attempt (practice, exam or review), plus the analytics the
+// progress dashboard is built from.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { topicKey, withCurrentTopicKeys } = require("./questionBank");
+const { findBlueprint } = require("./blueprints");
+const { belongsTo } = require("./accounts");
+const { ADAPTIVE_LEVELS, withPassLikelihood } = require("../public/irt");
+
+const MODES = ["practice", "exam", "review", "adaptive"];
+
+// Readiness: judged on the most recent answers for a topic
+const READINESS_WINDOW = 40;
+const READINESS_MIN_ANSWERS = 30;
+// Practice questions are easier than the real thing, so aim above the pass mark
+const READINESS_MARGIN = 10;
+const DEFAULT_PASSING_SCORE = 70;
+
+// Areas need this many answers before they count as "weak"
+const WEAK_AREA_MIN_ANSWERS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function percentOf(points, total) {
+  return total ? Math.round((points / total) * 100) : 0;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: calendar day ("2024-05-01") of a timestamp in the learner's time
+ * zone, given as minutes behind UTC (what Date#getTimezoneOffset returns).
+ */
+function dayKey(time, tzOffset = 0) {
+  return new Date(time - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Current and longest run of consecutive study days. A streak is still
+ * "current" if the last study day was yesterday.
+ */
+function studyStreaks(attempts, { tzOffset = 0, now = Date.now() } = {}) {
+  const days = [
+    ...new Set(attempts.map((a) => dayKey(Date.parse(a.createdAt), tzOffset))),
+  ].sort();
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, idx) => {
+    const prev = days[idx - 1];
+    run = prev && Date.parse(day) - Date.parse(prev) === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastDay = days[days.length - 1] || null;
+  const today = dayKey(now, tzOffset);
+  const yesterday = dayKey(now - DAY_MS, tzOffset);
+  const current = lastDay === today || lastDay === yesterday ? run : 0;
+
+  return { current, longest, lastStudyDay: lastDay, studyDays: days.length };
+}
+
+/**
+ * Helper: clean one answer from the client. The question is kept as a
+ * small snapshot so the attempt still reads well if the bank changes.
+ */
+function cleanAnswer(raw) {
+  const question = (raw && raw.question) || {};
+  const score = Math.min(Math.max(Number(raw && raw.score) || 0, 0), 1);
+
+  return {
+    questionId: question.id ? String(question.id) : null,
+    type: question.type || "single",
+    question: String(question.question || "").slice(0, 500),
+    domain: question.domain || null,
+    // Only adaptive quizzes mix levels, so only they send one per answer
+    difficulty: ADAPTIVE_LEVELS.includes(raw.difficulty)
+      ? raw.difficulty
+      : null,
+    userAnswer: raw.userAnswer === undefined ? null : raw.userAnswer,
+    score,
+    isCorrect: score === 1,
+    confidence: raw.confidence || null,
+    timeMs: Number.isFinite(raw.timeMs) ? raw.timeMs : null,
+  };
+}
+
+function createHistory(store = createJsonStore("history", { attempts: [] })) {
+  store = withCurrentTopicKeys(store, "attempts");
+
+  function all() {
+    return store.read().attempts;
+  }
+
+  /**
+   * Store one graded attempt. Points and percent are recomputed from the
+   * per-question scores. Returns { attempt } or { error }.
+   */
+  function record({
+    topic,
+    difficulty,
+    mode,
+    blueprint,
+    partialCredit,
+    durationMs,
+    timedOut,
+    answers,
+    userId,
+  }) {
+    if (!Array.isArray(answers) || !answers.length) {
+      return { error: "An attempt needs at least one answer." };
+    }
+
+    const cleaned = answers.map(cleanAnswer);
+    const points = round2(cleaned.reduce((sum, a) => sum + a.score, 0));
+    const safeTopic = String(topic || "Unknown topic").slice(0, 80);
+    const safeMode = MODES.includes(mode) ? mode : "practice";
+
+    // 🎯 Adaptive quizzes: re-estimate ability here rather than trust the client
+    let ability = null;
+    if (safeMode === "adaptive") {
+      const exam = findBlueprint({ id: blueprint, topic: safeTopic });
+      ability = withPassLikelihood(
+        cleaned,
+        (exam && exam.passingScore) || DEFAULT_PASSING_SCORE
+      );
+    }
+
+    const attempt = {
+      id: crypto.randomUUID(),
+      userId: userId || null,
+      createdAt: new Date().toISOString(),
+      topic: safeTopic,
+      topicKey: topicKey(safeTopic),
+      difficulty: difficulty || null,
+      mode: safeMode,
+      blueprint: blueprint || null,
+      partialCredit: partialCredit || null,
+      durationMs: Number.isFinite(durationMs) ? durationMs : null,
+      timedOut: !!timedOut,
+      points,
+      total: cleaned.length,
+      percent: percentOf(points, cleaned.length),
+      ability,
+      answers: cleaned,
+    };
+
+    store.update((data) => {
+      data.attempts.push(attempt);
+    });
+    return { attempt };
+  }
+
+  function filtered({ topic, difficulty, userId } = {}) {
+    const key = topic ? topicKey(topic) : null;
+    return all().filter(
+      (a) =>
+        belongsTo(a, userId) &&
+        (!key || a.topicKey === key) &&
+        (!difficulty || a.difficulty === difficulty)
+    );
+  }
+
+  /**
+   * Newest first, without the per-question answers (see get() for those).
+   */
+  function list({ topic, difficulty, userId, limit = 50, offset = 0 } = {}) {
+    const matches = filtered({ topic, difficulty, userId }).slice().reverse();
+    return {
+      total: matches.length,
+      attempts: matches
+        .slice(offset, offset + limit)
+        .map(({ answers, ...attempt }) => attempt),
+    };
+  }
+
+  function get(id) {
+    return all().find((a) => a.id === id) || null;
+  }
+
+  function remove(id) {
+    return store.update((data) => {
+      const idx = data.attempts.findIndex((a) => a.id === id);
+      if (idx === -1) return false;
+      data.attempts.splice(idx, 1);
+      return true;
+    });
+  }
+
+  // Accuracy per blueprint domain (or per topic without a blueprint)
+  function areaScores(attempts) {
+    const areas = new Map();
+
+    attempts.forEach((attempt) => {
+      const blueprint = attempt.blueprint
+        ? findBlueprint({ id: attempt.blueprint })
+        : null;
+
+      attempt.answers.forEach((answer) => {
+        const domain =
+          blueprint && blueprint.domains.find((d) => d.id === answer.domain);
+        const key = domain
+          ? `${blueprint.id}:${domain.id}`
+          : `topic:${attempt.topicKey}`;
+
+        if (!areas.has(key)) {
+          areas.set(key, {
+            area: domain ? `${blueprint.name} › ${domain.name}` : attempt.topic,
+            topic: attempt.topic,
+            domain: domain ? domain.id : null,
+            answered: 0,
+            points: 0,
+          });
+        }
+        const area = areas.get(key);
+        area.answered++;
+        area.points += answer.score;
+      });
+    });
+
+    return [...areas.values()].map((area) => ({
+      ...area,
+      points: round2(area.points),
+      percent: percentOf(area.points, area.answered),
+    }));
+  }
+
+  /**
+   * Per topic: is the recent accuracy comfortably above the pass mark, with
+   * enough answers to trust it, and no blueprint domain lagging behind?
+   */
+  function readiness(attempts) {
+    const byTopic = new Map();
+    attempts
+      .filter((a) => a.mode !== "review")
+      .forEach((a) => {
+        if (!byTopic.has(a.topicKey)) byTopic.set(a.topicKey, []);
+        byTopic.get(a.topicKey).push(a);
+      });
+
+    return [...byTopic.values()].map((topicAttempts) => {
+      const topic = topicAttempts[topicAttempts.length - 1].topic;
+      const blueprint = findBlueprint({ topic });
+      const passingScore =
+        (blueprint && blueprint.passingScore) || DEFAULT_PASSING_SCORE;
+      const target = Math.min(passingScore + READINESS_MARGIN, 100);
+
+      const recent = topicAttempts
+        .flatMap((a) => a.answers)
+        .slice(-READINESS_WINDOW);
+      const recentPercent = percentOf(
+        recent.reduce((sum, a) => sum + a.score, 0),
+        recent.length
+      );
+
+      const recentAttempts = topicAttempts.filter((a) =>
+        a.answers.some((answer) => recent.includes(answer))
+      );
+      const weakDomain = areaScores(recentAttempts)
+        .filter((area) => area.domain && area.answered >= 3)
+        .sort((a, b) => a.percent - b.percent)[0];
+
+      // `reasonCode` lets the dashboard word the reason in its own language
+      let reason;
+      let reasonCode = "on-target";
+      if (recent.length < READINESS_MIN_ANSWERS) {
+        reason = `Answer at least ${READINESS_MIN_ANSWERS} questions first (${recent.length} so far).`;
+        reasonCode = "few-answers";
+      } else if (recentPercent < target) {
+        reason = `Recent accuracy ${recentPercent}% is below the ${target}% target.`;
+        reasonCode = "below-target";
+      } else if (weakDomain && weakDomain.percent < passingScore) {
+        reason = `${weakDomain.area} is at ${weakDomain.percent}%, below the ${passingScore}% pass mark.`;
+        reasonCode = "weak-domain";
+      }
+
+      return {
+        topic,
+        blueprint: blueprint ? blueprint.id : null,
+        passingScore,
+        target,
+        answered: recent.length,
+        minimumAnswers: READINESS_MIN_ANSWERS,
+        recentPercent,
+        ready: !reason,
+        reason:
+          reason ||
+          `Recent accuracy ${recentPercent}% meets the ${target}% target.`,
+        reasonCode,
+        weakDomain:
+          reasonCode === "weak-domain"
+            ? { area: weakDomain.area, percent: weakDomain.percent }
+            : null,
+      };
+    });
+  }
+
+  /**
+   * Dashboard numbers for the attempts matching topic / difficulty:
+   * totals, study streaks, accuracy trend per topic + difficulty, weakest
+   * areas and exam readiness. `tzOffset` puts streak days in local time.
+   */
+  function summarize({
+    topic,
+    difficulty,
+    userId,
+    tzOffset = 0,
+    now = Date.now(),
+  } = {}) {
+    const attempts = filtered({ topic, difficulty, userId });
+    const answers = attempts.flatMap((a) => a.answers);
+    const points = round2(answers.reduce((sum, a) => sum + a.score, 0));
+
+    const trends = new Map();
+    attempts
+      .filter((a) => a.mode !== "review")
+      .forEach((a) => {
+        const key = `${a.topicKey}|${a.difficulty}`;
+        if (!trends.has(key)) {
+          trends.set(key, {
+            topic: a.topic,
+            difficulty: a.difficulty,
+            points: [],
+          });
+        }
+        trends.get(key).points.push({
+          at: a.createdAt,
+          percent: a.percent,
+          attemptId: a.id,
+        });
+      });
+
+    return {
+      totals: {
+        attempts: attempts.length,
+        questions: answers.length,
+        points,
+        percent: percentOf(points, answers.length),
+        studyTimeMs: attempts.reduce((sum, a) => sum + (a.durationMs || 0), 0),
+      },
+      streaks: studyStreaks(attempts, { tzOffset, now }),
+      trends: [...trends.values()],
+      // Review sessions replay missed questions, so they would skew this
+      weakest: areaScores(attempts.filter((a) => a.mode !== "review"))
+        .filter((area) => area.answered >= WEAK_AREA_MIN_ANSWERS)
+        .sort((a, b) => a.percent - b.percent)
+        .slice(0, 5),
+      readiness: readiness(attempts),
+    };
+  }
+
+  return { record, list, get, remove, summarize };
+}
+
+module.exports = { createHistory, studyStreaks, dayKey };
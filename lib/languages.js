@@ -0,0 +1,53 @@
+// lib/languages.js
+// Languages quizzes, explanations and study helper answers can be written
+// in. Prompts stay in English; the model is told which language to answer
+// in. The UI translations live in public/i18n/<code>.json.
+
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: { name: "English", nativeName: "English" },
+  de: { name: "German", nativeName: "Deutsch" },
+  es: { name: "Spanish", nativeName: "Español" },
+  ja: { name: "Japanese", nativeName: "日本語" },
+};
+
+/**
+ * Helper: a supported language code from what the client sent ("de",
+ * "de-AT", "DE"), or the default.
+ */
+function normalizeLanguage(value) {
+  const code = String(value || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Prompt lines asking for learner-facing text in `language`; empty for
+ * English. Official service names stay in English, the way exams print
+ * them. With `json` the model is also reminded that keys and fixed values
+ * are not translated.
+ */
+function languageInstruction(language, { json = false } = {}) {
+  if (language === DEFAULT_LANGUAGE || !LANGUAGES[language]) return "";
+  const { name, nativeName } = LANGUAGES[language];
+
+  const lines = [
+    `Write everything the learner reads in ${name} (${nativeName}).`,
+    `Keep names of services, products, features and tools in their official English form (e.g. "Azure Virtual Machines", "Amazon S3", "Microsoft Entra ID"), exactly as the exam prints them; you may add a short ${name} gloss in parentheses the first time.`,
+  ];
+  if (json) {
+    lines.push(
+      `JSON keys and fixed values such as "type" stay in English; only the text inside the values is written in ${name}.`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  normalizeLanguage,
+  languageInstruction,
+};
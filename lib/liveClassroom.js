@@ -0,0 +1,420 @@
+// lib/liveClassroom.js
+// Live classroom sessions: a host steps through a shared quiz, participants
+// answer each question in real time, and a leaderboard closes the session.
+// Transport-agnostic: routes/live.js feeds it WebSocket messages through
+// connect(), and every reply goes out through the connection's `send`.
+const crypto = require("crypto");
+const { LETTERS } = require("./questionTypes");
+const { scoreAnswer } = require("../public/scoring");
+
+// No 0/O or 1/I: codes are read off a projector
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const MAX_SESSIONS = 100;
+const MAX_PARTICIPANTS = 200;
+const MAX_NAME_CHARS = 40;
+
+function shuffled(items) {
+  return items
+    .map((item) => ({ item, sort: Math.random() }))
+    .sort((a, b) => a.sort - b.sort)
+    .map(({ item }) => item);
+}
+
+/**
+ * Helper: the question as participants see it while answering — no
+ * correct answer, rationales or explanation. Multi-select questions say
+ * how many to pick; ordering steps and matching answers are shuffled
+ * because they are stored in their correct order.
+ */
+function publicQuestion(q) {
+  const {
+    correctOption,
+    correctOptions,
+    answers,
+    rationales,
+    explanation,
+    ...rest
+  } = q;
+
+  switch (q.type || "single") {
+    case "multi":
+      return { ...rest, choose: correctOptions.length };
+    case "ordering":
+      return { ...rest, items: shuffled(q.items) };
+    case "matching": {
+      const rights = shuffled(q.pairs.map((p) => p.right));
+      return {
+        ...rest,
+        pairs: q.pairs.map((p, idx) => ({ left: p.left, right: rights[idx] })),
+      };
+    }
+    default:
+      return rest;
+  }
+}
+
+/**
+ * Helper: an answer from a participant in scoring.js shape, with anything
+ * that could not come from the answer controls dropped (so repeating a
+ * multi-select letter cannot score twice).
+ */
+function cleanAnswer(q, raw) {
+  switch (q.type || "single") {
+    case "multi": {
+      const letters = LETTERS.slice(0, q.options.length);
+      return Array.isArray(raw)
+        ? [...new Set(raw.filter((l) => letters.includes(l)))]
+        : [];
+    }
+    case "truefalse":
+      return q.statements.map((_, idx) =>
+        Array.isArray(raw) && typeof raw[idx] === "boolean" ? raw[idx] : null
+      );
+    case "ordering":
+      return Array.isArray(raw) ? raw.map(String).slice(0, q.items.length) : [];
+    case "matching": {
+      const answer = {};
+      if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+        q.pairs.forEach((p) => {
+          if (typeof raw[p.left] === "string") answer[p.left] = raw[p.left];
+        });
+      }
+      return answer;
+    }
+    default:
+      return LETTERS.slice(0, q.options.length).includes(raw) ? raw : null;
+  }
+}
+
+function cleanName(value) {
+  return typeof value === "string"
+    ? value.replace(/\s+/g, " ").trim().slice(0, MAX_NAME_CHARS)
+    : "";
+}
+
+/**
+ * Ranking: most points first, then the least total answer time.
+ */
+function buildLeaderboard(session) {
+  return [...session.participants.values()]
+    .map((p) => ({
+      name: p.name,
+      points: Math.round(p.points * 100) / 100,
+      correct: p.correct,
+      answered: Object.keys(p.answers).length,
+      timeMs: p.timeMs,
+    }))
+    .sort((a, b) => b.points - a.points || a.timeMs - b.timeMs)
+    .map((entry, idx) => ({ rank: idx + 1, ...entry }));
+}
+
+function createLiveClassroom({ quizzes, now = Date.now }) {
+  const sessions = new Map(); // code -> session
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from(
+        crypto.randomBytes(CODE_LENGTH),
+        (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+      ).join("");
+    } while (sessions.has(code));
+    return code;
+  }
+
+  function broadcast(session, message) {
+    session.participants.forEach((p) => p.send && p.send(message));
+  }
+
+  function roster(session) {
+    return [...session.participants.values()].map((p) => ({
+      name: p.name,
+      connected: !!p.send,
+    }));
+  }
+
+  function tellHostRoster(session) {
+    session.host.send({ type: "participants", participants: roster(session) });
+  }
+
+  function answeredCount(session) {
+    return [...session.participants.values()].filter(
+      (p) => p.answers[session.index]
+    ).length;
+  }
+
+  // What a participant (re)joining right now needs to catch up
+  function currentStateFor(session, participant) {
+    const { index, state } = session;
+    if (state === "question") {
+      return participant.answers[index]
+        ? { type: "answered", index }
+        : {
+            type: "question",
+            index,
+            total: session.questions.length,
+            question: session.shown,
+          };
+    }
+    if (state === "reveal") return revealFor(session, participant);
+    if (state === "finished") {
+      return { type: "leaderboard", entries: buildLeaderboard(session) };
+    }
+    return null;
+  }
+
+  function revealFor(session, participant) {
+    const given = participant.answers[session.index];
+    return {
+      type: "reveal",
+      index: session.index,
+      question: session.questions[session.index],
+      answer: given ? given.answer : null,
+      score: given ? given.score : null,
+      points: Math.round(participant.points * 100) / 100,
+    };
+  }
+
+  /**
+   * Host actions. Each returns an error message for the host, or nothing.
+   */
+  const hostActions = {
+    next(session) {
+      if (session.state === "question") {
+        return "Reveal the answer before moving on.";
+      }
+      if (session.state === "finished") return "The session has finished.";
+      if (session.index + 1 >= session.questions.length) {
+        return hostActions.finish(session);
+      }
+
+      session.index++;
+      session.state = "question";
+      session.shown = publicQuestion(session.questions[session.index]);
+      session.shownAt = now();
+
+      const message = {
+        type: "question",
+        index: session.index,
+        total: session.questions.length,
+      };
+      broadcast(session, { ...message, question: session.shown });
+      session.host.send({
+        ...message,
+        question: session.questions[session.index],
+        answered: 0,
+        participants: session.participants.size,
+      });
+    },
+
+    reveal(session) {
+      if (session.state !== "question") return "No question is open.";
+      session.state = "reveal";
+
+      session.participants.forEach((p) => {
+        if (p.send) p.send(revealFor(session, p));
+      });
+      const answers = [...session.participants.values()]
+        .map((p) => p.answers[session.index])
+        .filter(Boolean);
+      session.host.send({
+        type: "reveal",
+        index: session.index,
+        question: session.questions[session.index],
+        answered: answers.length,
+        correct: answers.filter((a) => a.score === 1).length,
+        participants: session.participants.size,
+      });
+    },
+
+    finish(session) {
+      if (session.state === "finished") return "The session has finished.";
+      session.state = "finished";
+      const message = {
+        type: "leaderboard",
+        entries: buildLeaderboard(session),
+      };
+      broadcast(session, message);
+      session.host.send(message);
+    },
+  };
+
+  function host(client, { quizId }) {
+    if (client.session) return "This connection is already in a session.";
+    if (sessions.size >= MAX_SESSIONS) {
+      return "Too many live sessions are running. Try again later.";
+    }
+    const quiz = quizzes.get(String(quizId || ""));
+    if (!quiz) return "Quiz not found.";
+
+    const session = {
+      code: newCode(),
+      quiz,
+      questions: quiz.questions,
+      host: client,
+      participants: new Map(), // participantId -> participant
+      state: "lobby", // lobby | question | reveal | finished
+      index: -1,
+      shown: null,
+      shownAt: null,
+    };
+    sessions.set(session.code, session);
+    client.session = session;
+    client.role = "host";
+
+    client.send({
+      type: "hosted",
+      code: session.code,
+      title: quiz.title,
+      total: session.questions.length,
+      scoring: quiz.scoring,
+    });
+  }
+
+  function join(client, { code, name, participantId }) {
+    if (client.session) return "This connection is already in a session.";
+    const session = sessions.get(String(code || "").toUpperCase());
+    if (!session) return "No live session with that code.";
+
+    // Same participant on a new connection (page reload, flaky Wi-Fi)
+    let participant = session.participants.get(String(participantId || ""));
+    if (participant && participant.userId !== client.userId) {
+      participant = null;
+    }
+
+    if (!participant) {
+      if (session.state === "finished") return "This session has finished.";
+      if (session.participants.size >= MAX_PARTICIPANTS) {
+        return "This session is full.";
+      }
+      const display = cleanName(name) || cleanName(client.displayName);
+      if (!display) return "Pick a name to join.";
+      const taken = [...session.participants.values()].some(
+        (p) => p.name.toLowerCase() === display.toLowerCase()
+      );
+      if (taken) return "That name is taken. Pick another one.";
+
+      participant = {
+        id: crypto.randomUUID(),
+        name: display,
+        userId: client.userId,
+        answers: {}, // question index -> { answer, score, timeMs }
+        points: 0,
+        correct: 0,
+        timeMs: 0,
+        send: null,
+      };
+      session.participants.set(participant.id, participant);
+    } else if (participant.send && participant.client !== client) {
+      participant.client.session = null;
+    }
+
+    participant.send = client.send;
+    participant.client = client;
+    client.session = session;
+    client.role = "participant";
+    client.participant = participant;
+
+    client.send({
+      type: "joined",
+      participantId: participant.id,
+      name: participant.name,
+      code: session.code,
+      title: session.quiz.title,
+      total: session.questions.length,
+      scoring: session.quiz.scoring,
+    });
+    const catchUp = currentStateFor(session, participant);
+    if (catchUp) client.send(catchUp);
+    tellHostRoster(session);
+  }
+
+  function answer(client, { index, answer: raw }) {
+    const { session, participant } = client;
+    if (session.state !== "question" || index !== session.index) {
+      return "This question is closed.";
+    }
+    if (participant.answers[index]) return "You already answered.";
+
+    const q = session.questions[index];
+    const given = cleanAnswer(q, raw);
+    const score = scoreAnswer(q, given, session.quiz.scoring.partialCredit);
+    const timeMs = Math.max(0, now() - session.shownAt);
+
+    participant.answers[index] = { answer: given, score, timeMs };
+    participant.points += score;
+    if (score === 1) participant.correct++;
+    participant.timeMs += timeMs;
+
+    client.send({ type: "answered", index });
+    session.host.send({
+      type: "progress",
+      index,
+      answered: answeredCount(session),
+      participants: session.participants.size,
+    });
+  }
+
+  function handle(client, message) {
+    const type = message && message.type;
+    if (type === "host") return host(client, message);
+    if (type === "join") return join(client, message);
+
+    if (!client.session) return "Host or join a session first.";
+    if (client.role === "host" && hostActions[type]) {
+      return hostActions[type](client.session);
+    }
+    if (client.role === "participant" && type === "answer") {
+      return answer(client, message);
+    }
+    return `Unknown message "${type}".`;
+  }
+
+  function close(client) {
+    const { session } = client;
+    if (!session) return;
+
+    // Without its host a session cannot go on
+    if (client.role === "host") {
+      broadcast(session, { type: "ended", reason: "The host left." });
+      session.participants.forEach((p) => {
+        if (p.client) p.client.session = null;
+      });
+      sessions.delete(session.code);
+      return;
+    }
+    if (client.participant.client === client) {
+      client.participant.send = null;
+      client.participant.client = null;
+      tellHostRoster(session);
+    }
+  }
+
+  /**
+   * A new connection. `send(message)` delivers a message to it; `user`
+   * is the signed-in account, if any. Returns { receive(message), close() }.
+   */
+  function connect({ send, user }) {
+    const client = {
+      send,
+      userId: user ? user.id : null,
+      displayName: user ? user.displayName : "",
+      session: null,
+    };
+
+    return {
+      receive(message) {
+        const error = handle(client, message);
+        if (error) send({ type: "error", error });
+      },
+      close() {
+        close(client);
+      },
+    };
+  }
+
+  return { connect, sessionCount: () => sessions.size };
+}
+
+module.exports = { createLiveClassroom, publicQuestion, buildLeaderboard };
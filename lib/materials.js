@@ -0,0 +1,403 @@
+// lib/materials.js
+// Study material: uploaded Markdown / text / PDF files, split into passages
+// and indexed locally (BM25 keyword search) so quizzes can be grounded in
+// the learner's own notes. Nothing is sent anywhere until a quiz is built.
+const crypto = require("crypto");
+const path = require("path");
+const { createJsonStore } = require("./store");
+
+const SUPPORTED_EXTENSIONS = [".md", ".markdown", ".txt", ".pdf"];
+
+// Target passage size: big enough to hold a fact with context, small enough
+// that several fit in one prompt
+const CHUNK_CHARS = 1200;
+const MAX_PASSAGES = 8;
+
+// BM25 tuning (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how if in " +
+    "into is it its may more most no not of on or so such than that the " +
+    "their then there these they this to was were what when which while " +
+    "who why will with you your"
+  ).split(" ")
+);
+
+/**
+ * Helper: lowercase words without stopwords, with a naive plural strip so
+ * "tiers" finds "tier". Letters and digits of any script count, so
+ * "Größe" or "región" stay whole words.
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("s") ? w.slice(0, -1) : w));
+}
+
+function termCounts(text) {
+  const counts = {};
+  tokenize(text).forEach((term) => {
+    counts[term] = (counts[term] || 0) + 1;
+  });
+  return counts;
+}
+
+// A passage is found by its heading as well as its text
+function chunkTerms(chunk) {
+  return termCounts(`${chunk.heading || ""}\n${chunk.text}`);
+}
+
+function collapseWhitespace(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Helper: PDF text, one string per page.
+ */
+async function extractPdfPages(buffer) {
+  const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+  const pages = [];
+
+  async function renderPage(pageData) {
+    const content = await pageData.getTextContent();
+    let lastY = null;
+    let text = "";
+    content.items.forEach((item) => {
+      const y = item.transform[5];
+      if (lastY !== null && y !== lastY) text += "\n";
+      text += item.str;
+      lastY = y;
+    });
+    pages[pageData.pageIndex] = text;
+    return text;
+  }
+
+  // Small Buffers live inside a shared pool; pdf.js needs its own copy
+  await pdfParse(new Uint8Array(buffer), { pagerender: renderPage });
+  return pages.map((text) => text || "");
+}
+
+/**
+ * Helper: split a file into sections of { heading, page, text }.
+ * Markdown is split at headings, PDFs per page, plain text is one section.
+ */
+async function extractSections(name, buffer) {
+  const ext = path.extname(name).toLowerCase();
+
+  if (ext === ".pdf") {
+    const pages = await extractPdfPages(buffer);
+    return pages.map((text, idx) => ({ heading: null, page: idx + 1, text }));
+  }
+
+  const text = buffer.toString("utf8").replace(/\r\n?/g, "\n");
+  if (ext === ".txt") return [{ heading: null, page: null, text }];
+
+  const sections = [{ heading: null, page: null, text: "" }];
+  text.split("\n").forEach((line) => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      sections.push({ heading: heading[1].trim(), page: null, text: "" });
+    } else {
+      sections[sections.length - 1].text += line + "\n";
+    }
+  });
+  return sections;
+}
+
+// Paragraphs longer than a chunk are cut at sentence ends
+function splitLongParagraph(paragraph) {
+  if (paragraph.length <= CHUNK_CHARS) return [paragraph];
+
+  const pieces = [];
+  let current = "";
+  paragraph.split(/(?<=[.!?])\s+/).forEach((sentence) => {
+    if (current && current.length + sentence.length + 1 > CHUNK_CHARS) {
+      pieces.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Pack a section's paragraphs into passages of up to CHUNK_CHARS.
+ * Passages never cross a heading or page, so each one can be cited.
+ */
+function chunkSection(section) {
+  const paragraphs = section.text
+    .split(/\n\s*\n/)
+    .map(collapseWhitespace)
+    .filter(Boolean)
+    .flatMap(splitLongParagraph);
+
+  const chunks = [];
+  let current = "";
+  paragraphs.forEach((paragraph) => {
+    if (current && current.length + paragraph.length + 2 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map((text) => ({
+    heading: section.heading,
+    page: section.page,
+    text,
+  }));
+}
+
+// Bump when tokenize changes, so stored passages are indexed again
+const TERMS_VERSION = 2;
+
+function createMaterials(
+  store = createJsonStore("materials", {
+    documents: [],
+    chunks: [],
+    termsVersion: TERMS_VERSION,
+  })
+) {
+  // Passages stored by an older tokenizer: count their terms again, once
+  function reindex() {
+    const data = store.read();
+    if (data.termsVersion === TERMS_VERSION) return;
+    store.update((current) => {
+      current.chunks.forEach((chunk) => {
+        chunk.terms = chunkTerms(chunk);
+      });
+      current.termsVersion = TERMS_VERSION;
+    });
+  }
+
+  function listDocuments() {
+    return store.read().documents;
+  }
+
+  function getDocument(id) {
+    return listDocuments().find((doc) => doc.id === id) || null;
+  }
+
+  /**
+   * Extract, chunk and index one uploaded file.
+   * Returns { document } or { error } for unsupported or empty files.
+   */
+  async function addDocument({ name, buffer, userId }) {
+    const safeName = path.basename(String(name || "")).slice(0, 120);
+    const ext = path.extname(safeName).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      return {
+        error: `Unsupported file type "${
+          ext || safeName
+        }". Upload .md, .txt or .pdf files.`,
+      };
+    }
+
+    let sections;
+    try {
+      sections = await extractSections(safeName, buffer);
+    } catch (err) {
+      console.error(`[MATERIALS] Could not read ${safeName}.`, err);
+      return { error: `Could not read text from ${safeName}.` };
+    }
+
+    const docId = crypto.randomUUID();
+    const chunks = sections.flatMap(chunkSection).map((chunk, idx) => ({
+      id: `${docId}:${idx}`,
+      docId,
+      index: idx,
+      ...chunk,
+      terms: chunkTerms(chunk),
+    }));
+
+    if (!chunks.length) {
+      return {
+        error: `No text found in ${safeName}. Scanned PDFs need OCR first.`,
+      };
+    }
+
+    const document = {
+      id: docId,
+      name: safeName,
+      type: ext.slice(1),
+      size: buffer.length,
+      chunkCount: chunks.length,
+      // Who may delete it; the passages are shared with everyone
+      userId: userId || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    store.update((data) => {
+      data.documents.push(document);
+      data.chunks.push(...chunks);
+    });
+
+    return { document };
+  }
+
+  function removeDocument(id) {
+    return store.update((data) => {
+      const idx = data.documents.findIndex((doc) => doc.id === id);
+      if (idx === -1) return false;
+      data.documents.splice(idx, 1);
+      data.chunks = data.chunks.filter((chunk) => chunk.docId !== id);
+      return true;
+    });
+  }
+
+  function chunksFor(docIds) {
+    reindex();
+    const { chunks } = store.read();
+    return docIds ? chunks.filter((c) => docIds.includes(c.docId)) : chunks;
+  }
+
+  /**
+   * BM25 keyword search over the passages of `docIds` (all when omitted).
+   * Returns [{ chunk, score }] best first, only passages that matched.
+   */
+  function search(query, { docIds = null, limit = MAX_PASSAGES } = {}) {
+    const chunks = chunksFor(docIds);
+    const terms = [...new Set(tokenize(query))];
+    if (!chunks.length || !terms.length) return [];
+
+    const lengths = chunks.map((c) =>
+      Object.values(c.terms).reduce((sum, n) => sum + n, 0)
+    );
+    const avgLength = lengths.reduce((sum, n) => sum + n, 0) / chunks.length;
+
+    const idf = {};
+    terms.forEach((term) => {
+      const df = chunks.filter((c) => c.terms[term]).length;
+      idf[term] = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+    });
+
+    return chunks
+      .map((chunk, idx) => {
+        const norm = K1 * (1 - B + (B * lengths[idx]) / (avgLength || 1));
+        const score = terms.reduce((sum, term) => {
+          const tf = chunk.terms[term] || 0;
+          return sum + (idf[term] * tf * (K1 + 1)) / (tf + norm);
+        }, 0);
+        return { chunk, score };
+      })
+      .filter((hit) => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Passages to ground a quiz in: the best matches for `query`, topped up
+   * with passages spread evenly over the material so a vague topic still
+   * covers the whole upload. Each passage gets a prompt label (P1, P2...).
+   */
+  function retrievePassages({ query, docIds, limit = MAX_PASSAGES }) {
+    const chunks = chunksFor(docIds);
+    const picked = search(query, { docIds, limit }).map((hit) => hit.chunk);
+
+    const rest = chunks.filter((c) => !picked.includes(c));
+    const room = Math.min(limit - picked.length, rest.length);
+    for (let i = 0; i < room; i++) {
+      picked.push(rest[Math.floor((i * rest.length) / room)]);
+    }
+
+    const names = Object.fromEntries(
+      listDocuments().map((doc) => [doc.id, doc.name])
+    );
+    return picked.map((chunk, idx) => ({
+      label: `P${idx + 1}`,
+      chunkId: chunk.id,
+      docId: chunk.docId,
+      docName: names[chunk.docId] || "Unknown document",
+      heading: chunk.heading,
+      page: chunk.page,
+      text: chunk.text,
+    }));
+  }
+
+  return {
+    listDocuments,
+    getDocument,
+    addDocument,
+    removeDocument,
+    search,
+    retrievePassages,
+  };
+}
+
+/**
+ * Helper: turn the model's { source, quote } tags into a citation of the
+ * retrieved passage. Questions citing no (or an unknown) passage are
+ * rejected; a quote that is not really in the passage is dropped.
+ *
+ * Returns { question } or { error }.
+ */
+function citeQuestion(question, passages) {
+  const { source, quote, ...rest } = question;
+  const label = String(source || "")
+    .toUpperCase()
+    .replace(/[^P0-9]/g, "");
+  const passage = passages.find((p) => p.label === label);
+  if (!passage) {
+    return {
+      error: source
+        ? `cites unknown passage "${source}"`
+        : "no source passage cited",
+    };
+  }
+
+  const citation = {
+    docId: passage.docId,
+    docName: passage.docName,
+    chunkId: passage.chunkId,
+    heading: passage.heading,
+    page: passage.page,
+    excerpt: passage.text,
+  };
+
+  // The model quotes what it was shown: the neutralised text when guarded
+  const normalizedQuote = collapseWhitespace(quote).toLowerCase();
+  const shown = passage.promptText || passage.text;
+  if (
+    normalizedQuote &&
+    collapseWhitespace(shown).toLowerCase().includes(normalizedQuote)
+  ) {
+    citation.quote = collapseWhitespace(quote);
+  }
+
+  return { question: { ...rest, citation } };
+}
+
+/**
+ * Helper: passages block for the prompt, using the guarded `promptText` /
+ * `promptSource` when the passages went through the prompt guard.
+ */
+function formatPassagesForPrompt(passages) {
+  return passages
+    .map((p) => {
+      const where = [
+        p.promptSource || [p.docName, p.heading].filter(Boolean).join(" › "),
+        p.page ? `page ${p.page}` : null,
+      ]
+        .filter(Boolean)
+        .join(" › ");
+      return `[${p.label}] (${where})\n${p.promptText || p.text}`;
+    })
+    .join("\n\n");
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  createMaterials,
+  citeQuestion,
+  formatPassagesForPrompt,
+};
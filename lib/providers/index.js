@@ -0,0 +1,89 @@
+// lib/providers/index.js
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+/**
+ * Build the LLM provider selected in config.
+ *
+ * Every provider exposes the same shape:
+ *   complete({ task, model, messages, signal, onDelta }) -> { content, model, usage }
+ * where usage is { promptTokens, completionTokens }. With `onDelta` the
+ * completion is streamed and every piece of text is passed to it as it
+ * arrives; `signal` (an AbortSignal) cancels the call.
+ */
+function createProvider(llmConfig) {
+  switch (llmConfig.provider) {
+    case "openai":
+      return createOpenAIProvider({
+        name: "openai",
+        apiKey: llmConfig.apiKey,
+        baseURL: llmConfig.baseURL,
+      });
+    case "compatible":
+      return createOpenAIProvider({
+        name: "compatible",
+        apiKey: llmConfig.apiKey,
+        baseURL: llmConfig.baseURL,
+      });
+    case "mock":
+      return createMockProvider({ fixturesDir: llmConfig.mockFixturesDir });
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${llmConfig.provider}". Use openai, compatible or mock.`
+      );
+  }
+}
+
+/**
+ * Helper: build a nice debug message for LLM provider / network errors.
+ * `llm` is the provider from createProvider, `llmConfig` its settings.
+ */
+function describeProviderError(err, { llm, llmConfig }) {
+  // Spend budget used up (see lib/usage.js)
+  if (err && err.code === "BUDGET_EXCEEDED") {
+    return err.message;
+  }
+
+  // Missing key
+  if (llm.requiresApiKey && !llmConfig.apiKey) {
+    return "Missing OPENAI_API_KEY in .env. Set it, then restart the server or run the command again.";
+  }
+
+  // OpenAI library error with HTTP response (e.g. 401, 429, 500...)
+  if (err && err.status) {
+    let base = `LLM API error (status ${err.status}, provider ${llm.name}).`;
+
+    if (err.status === 401) {
+      return base + " Authentication failed. Check your API key.";
+    }
+    if (err.status === 429) {
+      return base + " Rate limit or quota exceeded.";
+    }
+    if (err.status >= 500) {
+      return base + " Provider server side error, try again.";
+    }
+
+    return base + " Check server logs for more details.";
+  }
+
+  // Network-level error
+  if (err && err.code) {
+    if (
+      ["ENOTFOUND", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT"].includes(
+        err.code
+      )
+    ) {
+      const where = llmConfig.baseURL ? ` at ${llmConfig.baseURL}` : "";
+      return `Network error (${err.code}) while contacting the ${llm.name} provider${where}. Check your internet connection, firewall or local model server.`;
+    }
+  }
+
+  // Fallback
+  if (err && err.message) {
+    return `Unexpected error: ${err.message}`;
+  }
+
+  return "Unknown error occurred while calling the LLM provider.";
+}
+
+module.exports = { createProvider, describeProviderError };
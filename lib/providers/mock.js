@@ -0,0 +1,83 @@
+// lib/providers/mock.js
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "fixtures",
+  "mock"
+);
+
+// Streaming: fixture text is sent in chunks of this size, this far apart
+const STREAM_CHUNK_CHARS = 60;
+const STREAM_CHUNK_DELAY_MS = 5;
+
+/**
+ * Deterministic, offline provider for development, demos and tests.
+ *
+ * Each call names a `task` (e.g. "quiz", "explain") and gets back the
+ * contents of `<fixturesDir>/<task>.json` or `<task>.md`. Usage is estimated
+ * from text length so the cost display still has something to show.
+ * Streamed calls trickle the fixture out in small chunks, like a model would.
+ */
+function createMockProvider({ fixturesDir } = {}) {
+  const dir = fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  function loadFixture(task) {
+    for (const ext of [".json", ".md", ".txt"]) {
+      const file = path.join(dir, `${task}${ext}`);
+      if (fs.existsSync(file)) {
+        return fs.readFileSync(file, "utf8").trim();
+      }
+    }
+    throw new Error(
+      `Mock provider has no fixture for task "${task}" in ${dir}`
+    );
+  }
+
+  async function complete({ task, model, messages, signal, onDelta }) {
+    const content = loadFixture(task || "default");
+    const promptText = messages.map((m) => m.content).join("\n");
+
+    if (onDelta) {
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+        await sleep(STREAM_CHUNK_DELAY_MS);
+        throwIfAborted(signal);
+        onDelta(content.slice(i, i + STREAM_CHUNK_CHARS));
+      }
+    }
+    throwIfAborted(signal);
+
+    return {
+      content,
+      model,
+      usage: {
+        promptTokens: estimateTokens(promptText),
+        completionTokens: estimateTokens(content),
+      },
+    };
+  }
+
+  return { name: "mock", requiresApiKey: false, complete };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const err = new Error("Request was aborted.");
+    err.name = "AbortError";
+    throw err;
+  }
+}
+
+// Rough "4 characters per token" rule of thumb
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+module.exports = { createMockProvider };
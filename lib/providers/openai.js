@@ -0,0 +1,81 @@
+// lib/providers/openai.js
+const { OpenAI } = require("openai");
+
+/**
+ * Provider backed by the OpenAI SDK.
+ *
+ * Also used for any OpenAI-compatible server (Ollama, llama.cpp server, ...)
+ * by passing a `baseURL`. Local servers usually ignore the key, but the SDK
+ * insists on one, so we fall back to a placeholder.
+ */
+function createOpenAIProvider({ name = "openai", apiKey, baseURL } = {}) {
+  const requiresApiKey = name === "openai";
+
+  const client = new OpenAI({
+    apiKey: apiKey || (requiresApiKey ? undefined : "not-needed"),
+    baseURL,
+  });
+
+  async function complete({ model, messages, signal, onDelta }) {
+    if (onDelta) return streamCompletion({ model, messages, signal, onDelta });
+
+    const completion = await client.chat.completions.create(
+      {
+        model,
+        messages,
+        // ❌ no temperature here because gpt-5-mini doesn’t support custom temp
+      },
+      { signal }
+    );
+
+    const usage = completion.usage || {};
+
+    return {
+      content: completion.choices[0]?.message?.content?.trim() || "",
+      model: completion.model || model,
+      usage: {
+        promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+      },
+    };
+  }
+
+  async function streamCompletion({ model, messages, signal, onDelta }) {
+    const stream = await client.chat.completions.create(
+      {
+        model,
+        messages,
+        stream: true,
+        // Token counts arrive in a last chunk without choices
+        stream_options: { include_usage: true },
+      },
+      { signal }
+    );
+
+    let content = "";
+    let usedModel = model;
+    let usage = {};
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.model) usedModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    return {
+      content: content.trim(),
+      model: usedModel,
+      usage: {
+        promptTokens: usage.prompt_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? 0,
+      },
+    };
+  }
+
+  return { name, requiresApiKey, complete };
+}
+
+module.exports = { createOpenAIProvider };
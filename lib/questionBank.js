@@ -0,0 +1,351 @@
+// lib/questionBank.js
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { validateQuestion } = require("./questionTypes");
+const { DEFAULT_LANGUAGE } = require("./languages");
+
+const DIFFICULTIES = ["beginner", "intermediate", "expert"];
+
+// Two questions whose word sets overlap this much count as the same question
+const DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Helper: case/punctuation-insensitive key so "AZ-900" and "az 900 " match.
+ * Letters of any script count, so Japanese topics do not all become "".
+ */
+function topicKey(topic) {
+  return String(topic || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Stored keys made before topicKey kept non-ASCII letters are recomputed
+const TOPIC_KEY_VERSION = 2;
+
+/**
+ * Helper: `store` with the `topicKey` of every record in `data[listName]`
+ * brought up to date on first read. Files from an older topicKey are
+ * migrated and written back once; an empty collection is only marked.
+ */
+function withCurrentTopicKeys(store, listName) {
+  let checked = false;
+
+  function read() {
+    const data = store.read();
+    if (checked) return data;
+    checked = true;
+    if (data.topicKeyVersion === TOPIC_KEY_VERSION) return data;
+
+    const records = data[listName] || [];
+    records.forEach((record) => {
+      record.topicKey = topicKey(record.topic);
+    });
+    data.topicKeyVersion = TOPIC_KEY_VERSION;
+    if (records.length) store.write(data);
+    return data;
+  }
+
+  function update(mutator) {
+    read();
+    return store.update(mutator);
+  }
+
+  return { ...store, read, update };
+}
+
+// Letters of any script count, so "Verfügbarkeit" stays one word
+function wordSet(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+      .split(/\s+/)
+      .filter((w) => w.length > 2)
+  );
+}
+
+// Jaccard similarity of the two word sets (0..1)
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Bookkeeping fields that belong to the bank, not to the question itself
+const BANK_FIELDS = [
+  "id",
+  "topic",
+  "topicKey",
+  "difficulty",
+  "language",
+  "timesServed",
+  "createdAt",
+  "updatedAt",
+  "retiredAt",
+];
+
+function questionFields(entry) {
+  const fields = { ...entry };
+  BANK_FIELDS.forEach((key) => delete fields[key]);
+  return fields;
+}
+
+// Every string inside a question, flattened for search
+function searchableText(value) {
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) return value.map(searchableText).join("\n");
+  if (value && typeof value === "object") {
+    return Object.values(value).map(searchableText).join("\n");
+  }
+  return "";
+}
+
+/**
+ * Helper: strip bank bookkeeping so the frontend gets the usual question shape.
+ * Entries stored before question types existed are single-answer questions.
+ */
+function toQuizQuestion(entry) {
+  return { id: entry.id, type: "single", ...questionFields(entry) };
+}
+
+// "casestudy" for linked questions of a case study, else the question type
+function requestType(entry) {
+  return entry.caseStudy ? "casestudy" : entry.type || "single";
+}
+
+function createQuestionBank(
+  store = createJsonStore("question-bank", { questions: [] })
+) {
+  store = withCurrentTopicKeys(store, "questions");
+
+  function all() {
+    return store.read().questions;
+  }
+
+  // Entries from before quizzes had a language are English
+  function languageOf(entry) {
+    return entry.language || DEFAULT_LANGUAGE;
+  }
+
+  function findDuplicate(questions, text, key, language) {
+    const words = wordSet(text);
+    return questions.find(
+      (q) =>
+        q.topicKey === key &&
+        languageOf(q) === language &&
+        similarity(words, wordSet(q.question)) >= DUPLICATE_THRESHOLD
+    );
+  }
+
+  /**
+   * Store validated questions. Near-duplicates of an existing entry (or of an
+   * earlier question in the same batch) are not stored again; the existing
+   * entry is returned in their place.
+   *
+   * Returns { entries, added, duplicates } where entries line up with input.
+   */
+  function add(questions, { topic, difficulty, language = DEFAULT_LANGUAGE }) {
+    const key = topicKey(topic);
+    const now = new Date().toISOString();
+    let added = 0;
+    let duplicates = 0;
+
+    const entries = store.update((data) =>
+      questions.map((q) => {
+        const existing = findDuplicate(
+          data.questions,
+          q.question,
+          key,
+          language
+        );
+        if (existing) {
+          duplicates++;
+          return existing;
+        }
+
+        const entry = {
+          id: crypto.randomUUID(),
+          topic,
+          topicKey: key,
+          difficulty,
+          language,
+          ...q,
+          timesServed: 0,
+          createdAt: now,
+          updatedAt: now,
+        };
+        data.questions.push(entry);
+        added++;
+        return entry;
+      })
+    );
+
+    return { entries, added, duplicates };
+  }
+
+  /**
+   * Pick up to `count` stored questions for a topic + difficulty + language
+   * (and of the allowed types / blueprint domain), preferring the ones served least so repeated
+   * quizzes rotate through the bank. A case study comes with all of its
+   * linked questions, or not at all when they do not fit.
+   */
+  function pick({
+    topic,
+    difficulty,
+    language = DEFAULT_LANGUAGE,
+    count,
+    types = ["single"],
+    domain = null,
+    excludeIds = [],
+  }) {
+    const key = topicKey(topic);
+    const available = all().filter(
+      (q) =>
+        q.topicKey === key &&
+        q.difficulty === difficulty &&
+        languageOf(q) === language &&
+        !q.retiredAt &&
+        types.includes(requestType(q)) &&
+        (!domain || q.domain === domain) &&
+        !excludeIds.includes(q.id)
+    );
+    const sorted = available
+      .map((q) => ({ q, tiebreak: Math.random() }))
+      .sort(
+        (a, b) => a.q.timesServed - b.q.timesServed || a.tiebreak - b.tiebreak
+      )
+      .map(({ q }) => q);
+
+    const candidates = [];
+    const seenCases = new Set();
+    for (const q of sorted) {
+      if (candidates.length >= count) break;
+      if (!q.caseStudy) {
+        candidates.push(q);
+        continue;
+      }
+      if (seenCases.has(q.caseStudy.id)) continue;
+      seenCases.add(q.caseStudy.id);
+      const linked = available.filter(
+        (other) => other.caseStudy && other.caseStudy.id === q.caseStudy.id
+      );
+      if (candidates.length + linked.length <= count) {
+        candidates.push(...linked);
+      }
+    }
+
+    markServed(candidates.map((q) => q.id));
+    return candidates;
+  }
+
+  function markServed(ids) {
+    if (!ids.length) return;
+    store.update((data) => {
+      data.questions.forEach((q) => {
+        if (ids.includes(q.id)) q.timesServed++;
+      });
+    });
+  }
+
+  /**
+   * Browse / search. `q` matches any text in the question: stem, options,
+   * statements, items, pairs and explanation.
+   */
+  function list({ q, topic, difficulty, limit = 50, offset = 0 } = {}) {
+    const needle = (q || "").toLowerCase().trim();
+    const key = topic ? topicKey(topic) : null;
+
+    const matches = all().filter((entry) => {
+      if (key && entry.topicKey !== key) return false;
+      if (difficulty && entry.difficulty !== difficulty) return false;
+      if (!needle) return true;
+      return searchableText(questionFields(entry))
+        .toLowerCase()
+        .includes(needle);
+    });
+
+    return {
+      total: matches.length,
+      questions: matches.slice(offset, offset + limit),
+    };
+  }
+
+  function get(id) {
+    return all().find((q) => q.id === id) || null;
+  }
+
+  /**
+   * Apply an edit. Returns { entry } or { error } (validation message),
+   * or null if the id does not exist.
+   */
+  function update(id, patch) {
+    const current = get(id);
+    if (!current) return null;
+
+    const { topic, difficulty, ...fields } = patch;
+    const checked = validateQuestion({
+      ...toQuizQuestion(current),
+      ...fields,
+    });
+    if (checked.error) return { error: checked.error };
+
+    const next = {
+      ...Object.fromEntries(BANK_FIELDS.map((key) => [key, current[key]])),
+      ...checked.question,
+    };
+    // Citations are set by the server, not part of the editable question
+    if (current.citation) next.citation = current.citation;
+    if (difficulty !== undefined) {
+      next.difficulty = String(difficulty).toLowerCase();
+      if (!DIFFICULTIES.includes(next.difficulty)) {
+        return {
+          error: "difficulty must be beginner, intermediate or expert.",
+        };
+      }
+    }
+    if (topic !== undefined) {
+      next.topic = String(topic).slice(0, 80);
+      next.topicKey = topicKey(next.topic);
+    }
+
+    next.updatedAt = new Date().toISOString();
+    store.update((data) => {
+      const idx = data.questions.findIndex((q) => q.id === id);
+      data.questions[idx] = next;
+    });
+    return { entry: next };
+  }
+
+  /**
+   * Take a question out of circulation (a reviewer found it wrong) while
+   * keeping it for history and quality stats. Returns the entry or null.
+   */
+  function retire(id) {
+    return store.update((data) => {
+      const entry = data.questions.find((q) => q.id === id);
+      if (!entry) return null;
+      entry.retiredAt = entry.retiredAt || new Date().toISOString();
+      return entry;
+    });
+  }
+
+  function remove(id) {
+    return store.update((data) => {
+      const idx = data.questions.findIndex((q) => q.id === id);
+      if (idx === -1) return false;
+      data.questions.splice(idx, 1);
+      return true;
+    });
+  }
+
+  return { add, pick, list, get, update, retire, remove };
+}
+
+module.exports = {
+  createQuestionBank,
+  toQuizQuestion,
+  topicKey,
+  withCurrentTopicKeys,
+};
@@ -0,0 +1,143 @@
+// lib/questionQuality.js
+// Quality stats per question, kept over time: how often it is answered and
+// answered correctly, how often it is challenged or disputed and what
+// reviewers decided. A question almost nobody gets right is often one with
+// a wrong answer key.
+const { createJsonStore } = require("./store");
+
+// Daily buckets older than this are dropped
+const HISTORY_DAYS = 90;
+// "Suspect": at least this many answers and at most this accuracy
+const SUSPECT_MIN_ANSWERS = 10;
+const SUSPECT_MAX_PERCENT = 25;
+
+function emptyStats(questionId) {
+  return {
+    questionId,
+    question: "",
+    answered: 0,
+    points: 0,
+    challenges: 0,
+    disputes: 0,
+    resolutions: { fixed: 0, retired: 0, confirmed: 0 },
+    daily: {},
+    lastAnsweredAt: null,
+    lastChallengedAt: null,
+  };
+}
+
+// Helper: totals plus the numbers reviewers sort by
+function withRates(stats) {
+  const percentCorrect = stats.answered
+    ? Math.round((stats.points / stats.answered) * 100)
+    : null;
+  return {
+    ...stats,
+    percentCorrect,
+    disputeRate: stats.challenges
+      ? Math.round((stats.disputes / stats.challenges) * 100) / 100
+      : 0,
+    suspect:
+      stats.answered >= SUSPECT_MIN_ANSWERS &&
+      percentCorrect <= SUSPECT_MAX_PERCENT,
+  };
+}
+
+function createQuestionQuality(
+  store = createJsonStore("question-quality", { questions: {} })
+) {
+  // Get-or-create the stats for one question plus today's bucket
+  function touch(data, questionId, question, now) {
+    const stats =
+      data.questions[questionId] ||
+      (data.questions[questionId] = emptyStats(questionId));
+    if (question) stats.question = String(question).slice(0, 200);
+    const day = new Date(now).toISOString().slice(0, 10);
+    const bucket =
+      stats.daily[day] ||
+      (stats.daily[day] = { answered: 0, points: 0, challenges: 0 });
+
+    const oldest = new Date(now - HISTORY_DAYS * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    Object.keys(stats.daily)
+      .filter((d) => d < oldest)
+      .forEach((d) => delete stats.daily[d]);
+
+    return { stats, bucket };
+  }
+
+  /**
+   * Count graded answers: [{ questionId, question, score }], scored by the
+   * server against the bank (`question` is the question text).
+   */
+  function recordAnswers(answers, now = Date.now()) {
+    const graded = answers.filter((a) => a.questionId);
+    if (!graded.length) return;
+
+    store.update((data) => {
+      graded.forEach(({ questionId, question, score }) => {
+        const { stats, bucket } = touch(data, questionId, question, now);
+        stats.answered++;
+        stats.points = Math.round((stats.points + score) * 100) / 100;
+        bucket.answered++;
+        bucket.points = Math.round((bucket.points + score) * 100) / 100;
+        stats.lastAnsweredAt = new Date(now).toISOString();
+      });
+    });
+  }
+
+  function recordChallenge(
+    questionId,
+    { question, disputed },
+    now = Date.now()
+  ) {
+    store.update((data) => {
+      const { stats, bucket } = touch(data, questionId, question, now);
+      stats.challenges++;
+      if (disputed) stats.disputes++;
+      bucket.challenges++;
+      stats.lastChallengedAt = new Date(now).toISOString();
+    });
+  }
+
+  // `status` is the moderation outcome: "fixed" | "retired" | "confirmed"
+  function recordResolution(questionId, status, now = Date.now()) {
+    store.update((data) => {
+      const { stats } = touch(data, questionId, null, now);
+      stats.resolutions[status]++;
+    });
+  }
+
+  function get(questionId) {
+    const stats = store.read().questions[questionId];
+    return withRates(stats || emptyStats(questionId));
+  }
+
+  /**
+   * Stats for every question seen so far. `sort`: "disputes" (most disputed
+   * first, default), "accuracy" (lowest first) or "answered".
+   */
+  function list({ sort = "disputes", suspectOnly = false, limit = 50 } = {}) {
+    const sorters = {
+      disputes: (a, b) =>
+        b.disputes - a.disputes || b.challenges - a.challenges,
+      accuracy: (a, b) => (a.percentCorrect ?? 101) - (b.percentCorrect ?? 101),
+      answered: (a, b) => b.answered - a.answered,
+    };
+
+    const all = Object.values(store.read().questions).map(withRates);
+    return {
+      total: all.length,
+      questions: all
+        .filter((s) => !suspectOnly || s.suspect)
+        .sort(sorters[sort] || sorters.disputes)
+        .slice(0, limit)
+        .map(({ daily, ...summary }) => summary),
+    };
+  }
+
+  return { recordAnswers, recordChallenge, recordResolution, get, list };
+}
+
+module.exports = { createQuestionQuality };
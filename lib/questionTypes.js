@@ -0,0 +1,427 @@
+// lib/questionTypes.js
+// Schema checks for every supported question type.
+//
+//   single     options[4], correctOption "A".."D"
+//   multi      options[4-6], correctOptions ["A", "C"] ("choose two")
+//   truefalse  statements[1-5], answers [true, false, ...]
+//   ordering   items[3-6] listed in the correct order
+//   matching   pairs[3-6] of { left, right }
+//
+// Ordering and matching keep the answer in the field order, so the
+// frontend shuffles them for display.
+//
+// Single and multi questions may carry `rationales`: one string per option,
+// in option order, saying why that option is right or (for a distractor)
+// why it is tempting and why it is wrong.
+//
+// "casestudy" is a group, not a question: one scenario (plus optional
+// exhibit tables) shared by 2-6 linked questions of the types above. It is
+// expanded into those questions, each carrying the same `caseStudy`
+// { id, title, scenario, exhibits }, so the bank, review and history keep
+// working one question at a time.
+const crypto = require("crypto");
+
+const QUESTION_TYPES = ["single", "multi", "truefalse", "ordering", "matching"];
+// What a quiz request may ask for: the question types plus case studies
+const REQUEST_TYPES = [...QUESTION_TYPES, "casestudy"];
+const MAX_SCENARIO_CHARS = 4000;
+const MAX_EXHIBITS = 3;
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+function cleanText(value) {
+  return typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+}
+
+function stripLetterPrefix(option) {
+  return option.replace(/^\s*\(?[A-Fa-f][.):]\s+/, "").trim();
+}
+
+function hasDuplicates(list) {
+  return new Set(list.map((item) => item.toLowerCase())).size !== list.length;
+}
+
+/**
+ * Helper: work out a letter from what the model gave us.
+ * Accepts "B", "b", "B.", "Option B" or the full text of the option.
+ */
+function normalizeLetter(value, options) {
+  const text = String(value ?? "").trim();
+
+  const letterMatch = text.match(/^(?:option\s+)?\(?([A-Fa-f])\)?[.)]?$/i);
+  if (letterMatch) {
+    const letter = letterMatch[1].toUpperCase();
+    return LETTERS.indexOf(letter) < options.length ? letter : null;
+  }
+
+  const byText = options.findIndex(
+    (opt) => opt.toLowerCase() === stripLetterPrefix(text).toLowerCase()
+  );
+  return byText >= 0 ? LETTERS[byText] : null;
+}
+
+function cleanOptions(raw, min, max) {
+  if (
+    !Array.isArray(raw.options) ||
+    raw.options.length < min ||
+    raw.options.length > max
+  ) {
+    return {
+      error:
+        min === max
+          ? `options must be an array of exactly ${min} items`
+          : `options must be an array of ${min}-${max} items`,
+    };
+  }
+
+  const options = raw.options.map((opt) => stripLetterPrefix(cleanText(opt)));
+  if (options.some((opt) => !opt)) {
+    return { error: "options must be non-empty strings" };
+  }
+  if (hasDuplicates(options)) return { error: "options must be distinct" };
+
+  return { options };
+}
+
+/**
+ * Helper: per-option rationales, or null when missing or not one per
+ * option. They are optional (older bank entries have none), so a bad list
+ * is dropped instead of failing the question.
+ */
+function cleanRationales(raw, options) {
+  if (!Array.isArray(raw.rationales)) return null;
+  const rationales = raw.rationales.map(cleanText);
+  if (rationales.length !== options.length || rationales.some((r) => !r)) {
+    return null;
+  }
+  return rationales;
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (["true", "yes", "t", "y"].includes(text)) return true;
+  if (["false", "no", "f", "n"].includes(text)) return false;
+  return null;
+}
+
+const validators = {
+  single(raw) {
+    const { options, error } = cleanOptions(raw, 4, 4);
+    if (error) return { error };
+
+    const correctOption = normalizeLetter(raw.correctOption, options);
+    if (!correctOption) {
+      return { error: `invalid correctOption "${raw.correctOption}"` };
+    }
+    const rationales = cleanRationales(raw, options);
+    return {
+      fields: { options, correctOption, ...(rationales && { rationales }) },
+    };
+  },
+
+  multi(raw) {
+    const { options, error } = cleanOptions(raw, 4, 6);
+    if (error) return { error };
+
+    if (!Array.isArray(raw.correctOptions)) {
+      return { error: "correctOptions must be an array of letters" };
+    }
+    const correctOptions = raw.correctOptions.map((value) =>
+      normalizeLetter(value, options)
+    );
+    if (correctOptions.some((letter) => !letter)) {
+      return { error: `invalid correctOptions "${raw.correctOptions}"` };
+    }
+
+    const unique = [...new Set(correctOptions)].sort();
+    if (unique.length < 2 || unique.length >= options.length) {
+      return {
+        error: "multi questions need at least 2 correct and 1 wrong option",
+      };
+    }
+    const rationales = cleanRationales(raw, options);
+    return {
+      fields: {
+        options,
+        correctOptions: unique,
+        ...(rationales && { rationales }),
+      },
+    };
+  },
+
+  truefalse(raw) {
+    if (
+      !Array.isArray(raw.statements) ||
+      raw.statements.length < 1 ||
+      raw.statements.length > 5
+    ) {
+      return { error: "statements must be an array of 1-5 items" };
+    }
+    const statements = raw.statements.map(cleanText);
+    if (statements.some((s) => !s)) {
+      return { error: "statements must be non-empty strings" };
+    }
+
+    const answers = Array.isArray(raw.answers)
+      ? raw.answers.map(toBoolean)
+      : [];
+    if (
+      answers.length !== statements.length ||
+      answers.some((a) => a === null)
+    ) {
+      return { error: "answers must be one true/false per statement" };
+    }
+    return { fields: { statements, answers } };
+  },
+
+  ordering(raw) {
+    if (
+      !Array.isArray(raw.items) ||
+      raw.items.length < 3 ||
+      raw.items.length > 6
+    ) {
+      return { error: "items must be an array of 3-6 steps" };
+    }
+    const items = raw.items.map(cleanText);
+    if (items.some((item) => !item)) {
+      return { error: "items must be non-empty strings" };
+    }
+    if (hasDuplicates(items)) return { error: "items must be distinct" };
+    return { fields: { items } };
+  },
+
+  matching(raw) {
+    if (
+      !Array.isArray(raw.pairs) ||
+      raw.pairs.length < 3 ||
+      raw.pairs.length > 6
+    ) {
+      return { error: "pairs must be an array of 3-6 items" };
+    }
+    const pairs = raw.pairs.map((pair) => ({
+      left: cleanText(pair && pair.left),
+      right: cleanText(pair && pair.right),
+    }));
+    if (pairs.some((pair) => !pair.left || !pair.right)) {
+      return { error: "every pair needs a left and a right value" };
+    }
+    if (
+      hasDuplicates(pairs.map((p) => p.left)) ||
+      hasDuplicates(pairs.map((p) => p.right))
+    ) {
+      return { error: "pair values must be distinct" };
+    }
+    return { fields: { pairs } };
+  },
+};
+
+/**
+ * Helper: an exhibit table { title?, columns[1-8], rows[1-20] }, with every
+ * row cut or padded to the column count. Null when it is not usable.
+ */
+function cleanExhibit(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const columns = Array.isArray(raw.columns)
+    ? raw.columns.map(cleanText).slice(0, 8)
+    : [];
+  if (!columns.length || columns.some((col) => !col)) return null;
+
+  const rows = (Array.isArray(raw.rows) ? raw.rows : [])
+    .filter(Array.isArray)
+    .slice(0, 20)
+    .map((row) => columns.map((_, idx) => cleanText(row[idx])));
+  if (!rows.length) return null;
+
+  const title = cleanText(raw.title);
+  return { ...(title && { title }), columns, rows };
+}
+
+/**
+ * Helper: the shared part of a case study, or null without a scenario.
+ * The id comes from the title and scenario so the same case study groups
+ * its questions again when they come back from the bank. Ids the model
+ * makes up ("case1") repeat across generations and would merge unrelated
+ * case studies, so only a stored `caseStudy` keeps its id (`keepId`).
+ */
+function cleanCaseStudy(raw, { keepId = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  const scenario = cleanText(raw.scenario).slice(0, MAX_SCENARIO_CHARS);
+  if (!scenario) return null;
+
+  const title = cleanText(raw.title).slice(0, 120) || "Case study";
+  const exhibits = (Array.isArray(raw.exhibits) ? raw.exhibits : [])
+    .map(cleanExhibit)
+    .filter(Boolean)
+    .slice(0, MAX_EXHIBITS);
+  const id =
+    (keepId && cleanText(raw.id)) ||
+    `cs-${crypto
+      .createHash("sha256")
+      .update(`${title}\n${scenario}`)
+      .digest("hex")
+      .slice(0, 12)}`;
+  return { id, title, scenario, exhibits };
+}
+
+/**
+ * Helper: types the linked questions of a case study may use — the other
+ * requested types, or single / multi when only case studies were asked for.
+ */
+function caseStudyQuestionTypes(types) {
+  const linked = types.filter((type) => QUESTION_TYPES.includes(type));
+  return linked.length ? linked : ["single", "multi"];
+}
+
+/**
+ * Schema check for a case study group:
+ * { type: "casestudy", title, scenario, exhibits?, questions[2-6] }.
+ * Domain / objective / grounding tags on the group are copied to linked
+ * questions that have none. One bad linked question rejects the group.
+ *
+ * Returns { questions } (each with the shared `caseStudy`), or { error }.
+ */
+function validateCaseStudy(raw, allowedTypes = REQUEST_TYPES) {
+  if (!allowedTypes.includes("casestudy")) {
+    return { error: 'question type "casestudy" was not requested' };
+  }
+  const caseStudy = cleanCaseStudy(raw);
+  if (!caseStudy) return { error: "casestudy: missing scenario text" };
+
+  const linked = Array.isArray(raw.questions) ? raw.questions : [];
+  if (linked.length < 2 || linked.length > 6) {
+    return { error: "casestudy: questions must be an array of 2-6 items" };
+  }
+
+  const types = caseStudyQuestionTypes(allowedTypes);
+  const questions = [];
+  for (let idx = 0; idx < linked.length; idx++) {
+    const item = linked[idx] && {
+      domain: raw.domain,
+      objective: raw.objective,
+      source: raw.source,
+      quote: raw.quote,
+      ...linked[idx],
+    };
+    const { question, error } = validateQuestion(item, types);
+    if (error) return { error: `casestudy question ${idx + 1}: ${error}` };
+    questions.push({ ...question, caseStudy });
+  }
+  return { questions };
+}
+
+/**
+ * Schema check for one item of model output: a question, or a case study
+ * that expands into several. Returns { questions } or { error }.
+ */
+function validateItem(raw, allowedTypes = REQUEST_TYPES) {
+  if (raw && String(raw.type || "").toLowerCase() === "casestudy") {
+    return validateCaseStudy(raw, allowedTypes);
+  }
+  const { question, error } = validateQuestion(raw, allowedTypes);
+  return error ? { error } : { questions: [question] };
+}
+
+/**
+ * Schema check for one question of any supported type. Questions without a
+ * `type` are treated as "single". `allowedTypes` rejects types that were
+ * not requested.
+ *
+ * Returns { question } with a cleaned copy, or { error } explaining the reject.
+ */
+function validateQuestion(raw, allowedTypes = QUESTION_TYPES) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "not an object" };
+  }
+
+  const type = raw.type ? String(raw.type).toLowerCase() : "single";
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `unknown question type "${raw.type}"` };
+  }
+  if (!allowedTypes.includes(type)) {
+    return { error: `question type "${type}" was not requested` };
+  }
+
+  const question = cleanText(raw.question);
+  if (!question) return { error: "missing question text" };
+
+  const { fields, error } = validators[type](raw);
+  if (error) return { error: `${type}: ${error}` };
+
+  // Optional blueprint tags; the server decides whether to keep them
+  const tags = {};
+  if (cleanText(raw.domain)) tags.domain = cleanText(raw.domain);
+  if (cleanText(raw.objective)) tags.objective = cleanText(raw.objective);
+  // Optional grounding tags: cited study material passage + supporting quote
+  if (cleanText(raw.source)) tags.source = cleanText(raw.source);
+  if (cleanText(raw.quote)) tags.quote = cleanText(raw.quote);
+  // Linked question of a case study: keep the shared scenario
+  const caseStudy = cleanCaseStudy(raw.caseStudy, { keepId: true });
+
+  return {
+    question: {
+      type,
+      question,
+      ...fields,
+      explanation: cleanText(raw.explanation),
+      ...tags,
+      ...(caseStudy && { caseStudy }),
+    },
+  };
+}
+
+// Prompt snippet per type: rules plus the exact JSON shape we validate
+const TYPE_PROMPTS = {
+  single: `"single" — exactly 4 options, only ONE is correct. "rationales" has one entry per option, in the same order: for the correct option why it is right, for each wrong option why it is tempting and why it is wrong:
+{ "type": "single", "question": "Question text here...", "options": ["Option text 1", "Option text 2", "Option text 3", "Option text 4"], "correctOption": "A", "rationales": ["Why option 1 is right", "Why option 2 looks right but is wrong", "...", "..."], "explanation": "Short explanation of why the correct option is right." }`,
+
+  multi: `"multi" — "choose two/three" style, 4 to 6 options, 2 or more correct (say how many to choose in the question text). "rationales" has one entry per option, as for "single":
+{ "type": "multi", "question": "Which two ... ? Choose two.", "options": ["...", "...", "...", "...", "..."], "correctOptions": ["A", "D"], "rationales": ["...", "...", "...", "...", "..."], "explanation": "..." }`,
+
+  truefalse: `"truefalse" — a short scenario followed by 1 to 5 statements, each true or false on its own:
+{ "type": "truefalse", "question": "For each statement, select True or False.", "statements": ["Statement 1", "Statement 2", "Statement 3"], "answers": [true, false, true], "explanation": "..." }`,
+
+  ordering: `"ordering" — 3 to 6 steps the learner must put in order. List "items" in the CORRECT order; they are shuffled for display:
+{ "type": "ordering", "question": "Put these steps in the correct order.", "items": ["First step", "Second step", "Third step", "Fourth step"], "explanation": "..." }`,
+
+  matching: `"matching" — 3 to 6 pairs to match, e.g. services to use-cases. Each left and right value must be unique:
+{ "type": "matching", "question": "Match each service to its use-case.", "pairs": [{ "left": "Service 1", "right": "Use-case 1" }, { "left": "Service 2", "right": "Use-case 2" }, { "left": "Service 3", "right": "Use-case 3" }], "explanation": "..." }`,
+
+  casestudy: `"casestudy" — a realistic scenario about one organisation (requirements, constraints, current setup) followed by 2 to 6 linked questions that can only be answered from it. "exhibits" is optional: up to 3 small tables with data the scenario refers to. Every linked question counts as one of the questions requested and uses one of the other formats listed here:
+{ "type": "casestudy", "title": "Contoso migration", "scenario": "Contoso runs ...", "exhibits": [{ "title": "Current servers", "columns": ["Name", "Role", "OS"], "rows": [["SRV1", "Web", "Windows Server 2016"], ["SRV2", "Database", "Ubuntu 20.04"]] }], "questions": [{ "type": "single", ... }, { "type": "single", ... }] }`,
+};
+
+/**
+ * Helper: prompt section describing the requested question types. Case
+ * studies also need the formats of their linked questions.
+ */
+function describeTypesForPrompt(types) {
+  const listed = types.includes("casestudy")
+    ? [...new Set([...caseStudyQuestionTypes(types), "casestudy"])]
+    : types;
+  return listed.map((type) => `- ${TYPE_PROMPTS[type]}`).join("\n\n");
+}
+
+/**
+ * Helper: the list of types a request may use; defaults to single answer.
+ */
+function normalizeTypes(types) {
+  const list = (Array.isArray(types) ? types : [])
+    .map((t) => String(t).toLowerCase())
+    .filter((t) => REQUEST_TYPES.includes(t));
+  return list.length ? [...new Set(list)] : ["single"];
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  REQUEST_TYPES,
+  LETTERS,
+  validateQuestion,
+  validateCaseStudy,
+  validateItem,
+  normalizeTypes,
+  describeTypesForPrompt,
+};
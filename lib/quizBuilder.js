@@ -0,0 +1,493 @@
+// lib/quizBuilder.js
+// Quiz generation behind /api/generate-quiz (and its streaming variant) and
+// the command-line tool: request checks, bank reuse, blueprint quotas,
+// grounding in study material, the prompt and the validated result.
+const { toQuizQuestion } = require("./questionBank");
+const {
+  generateQuestions,
+  balanceCorrectOptions,
+  createOptionBalancer,
+} = require("./quizPipeline");
+const { normalizeTypes, describeTypesForPrompt } = require("./questionTypes");
+const {
+  findBlueprint,
+  allocateQuestions,
+  resolveDomainId,
+  summarizeBlueprint,
+  formatWeight,
+} = require("./blueprints");
+const { citeQuestion, formatPassagesForPrompt } = require("./materials");
+const { costOf } = require("./usage");
+const { UNTRUSTED_INPUT_RULE } = require("./promptGuard");
+const { normalizeLanguage, languageInstruction } = require("./languages");
+
+/**
+ * Creates buildQuiz(reqBody, options). `describeError` turns a provider
+ * error into the `debug` text of a 500 response; `defaultPartialCredit` is
+ * used when the request does not pick a scoring mode.
+ */
+function createQuizBuilder({
+  llm,
+  model,
+  bank,
+  materials,
+  ledger,
+  promptGuard,
+  describeError,
+  defaultPartialCredit = "partial",
+}) {
+  /**
+   * Helper: an uploaded passage is quoted in the prompt like any learner
+   * text. One that reads like instructions is left out (null) rather than
+   * failing the quiz; the others get a neutralised `promptText` (the
+   * citation still shows the original).
+   */
+  function guardPassage(passage, user) {
+    const guarded = promptGuard(
+      {
+        text: {
+          value: passage.text,
+          label: "study material passage",
+          maxChars: Infinity,
+          multiline: true,
+        },
+        docName: { value: passage.docName, label: "document name" },
+        heading: { value: passage.heading, label: "heading" },
+      },
+      { endpoint: "generate-quiz", user }
+    );
+    if (guarded.error) return null;
+    const { text, docName, heading } = guarded.values;
+    return {
+      ...passage,
+      promptText: text,
+      promptSource: [docName, heading].filter(Boolean).join(" › "),
+    };
+  }
+
+  /**
+   * Build a quiz for a /api/generate-quiz request body -> { status, body }.
+   *
+   * Streaming callers pass `onStart(meta)`, called once the request checks
+   * out, and `onQuestions(questions)`, called with quiz-ready questions as
+   * soon as they are kept (bank questions first). `signal` cancels the model
+   * calls; whatever was kept before that stays in the bank. Model calls are
+   * recorded in the usage ledger under `user`.
+   */
+  async function buildQuiz(
+    reqBody,
+    { user, signal, onStart, onQuestions } = {}
+  ) {
+    try {
+      const {
+        topic,
+        count,
+        difficulty,
+        useBank,
+        types,
+        partialCredit,
+        blueprint: blueprintId,
+        materialIds,
+        excludeIds,
+        language,
+      } = reqBody || {};
+
+      const numQuestions = Math.min(Math.max(parseInt(count) || 5, 1), 15); // clamp 1–15
+      const guarded = promptGuard(
+        { topic: { value: topic, label: "topic", maxChars: 80 } },
+        { endpoint: "generate-quiz", user }
+      );
+      if (guarded.error) return { status: 400, body: { error: guarded.error } };
+      const safeTopic =
+        guarded.values.topic || "AZ-900 (Microsoft Azure Fundamentals)";
+
+      const difficultyMap = {
+        beginner: "beginner",
+        intermediate: "intermediate",
+        expert: "expert",
+      };
+      const safeDifficulty =
+        difficultyMap[(difficulty || "").toLowerCase()] || "beginner";
+      const safeLanguage = normalizeLanguage(language);
+
+      const safeTypes = normalizeTypes(types);
+      const scoring = {
+        partialCredit: ["partial", "strict"].includes(partialCredit)
+          ? partialCredit
+          : defaultPartialCredit,
+      };
+
+      const difficultyDescription =
+        safeDifficulty === "beginner"
+          ? "Focus on fundamentals, clear definitions, and simple scenarios."
+          : safeDifficulty === "intermediate"
+          ? "Focus on applied scenarios, comparisons between services, and realistic use-cases."
+          : "Focus on deeper scenarios, trade-offs, and multi-step reasoning similar to harder exam questions. Avoid obscure trivia.";
+
+      // 🗺️ Known exam? Spread questions over its domains by weight
+      const blueprint = findBlueprint({ id: blueprintId, topic: safeTopic });
+      const quotas = blueprint
+        ? allocateQuestions(blueprint, numQuestions)
+        : null;
+      const blueprintSummary = blueprint ? summarizeBlueprint(blueprint) : null;
+
+      // 📄 Grounded quiz: only the learner's own study material counts
+      let passages = null;
+      if (Array.isArray(materialIds) && materialIds.length) {
+        const docIds = materialIds.filter((id) => materials.getDocument(id));
+        if (!docIds.length) {
+          return {
+            status: 400,
+            body: { error: "The selected study material was not found." },
+          };
+        }
+        passages = materials
+          .retrievePassages({ query: safeTopic, docIds })
+          .map((passage) => guardPassage(passage, user))
+          .filter(Boolean);
+        if (!passages.length) {
+          return {
+            status: 400,
+            body: {
+              error:
+                "The selected study material looks like instructions for the AI rather than study content.",
+            },
+          };
+        }
+      }
+      const grounding = passages
+        ? {
+            documents: [...new Set(passages.map((p) => p.docName))],
+            passages: passages.length,
+          }
+        : null;
+
+      // 📡 Streamed questions get their options shuffled one at a time
+      const balanceNext = createOptionBalancer(numQuestions);
+      const streamed = [];
+      const deliver = (questions) => {
+        if (!onQuestions) return;
+        const ready = questions.map(toQuizQuestion).map(balanceNext);
+        streamed.push(...ready);
+        onQuestions(ready);
+      };
+      const start = (banked) => {
+        if (onStart) {
+          onStart({
+            topic: safeTopic,
+            difficulty: safeDifficulty,
+            language: safeLanguage,
+            requested: numQuestions,
+            scoring,
+            blueprint: blueprintSummary,
+            grounding,
+          });
+        }
+        deliver(banked);
+      };
+
+      // 📚 Reuse stored questions first, only generate what is still missing
+      // (skipping any the learner already saw, e.g. earlier in an adaptive quiz)
+      const excluded = Array.isArray(excludeIds)
+        ? excludeIds.slice(0, 200).map(String)
+        : [];
+      const pickFromBank = (domain, n) =>
+        bank.pick({
+          topic: safeTopic,
+          difficulty: safeDifficulty,
+          language: safeLanguage,
+          count: n,
+          types: safeTypes,
+          domain,
+          excludeIds: excluded,
+        });
+
+      // Banked questions were not written from this material, so skip them
+      let banked = [];
+      if (useBank && !passages) {
+        banked = quotas
+          ? Object.entries(quotas).flatMap(([domain, n]) =>
+              n ? pickFromBank(domain, n) : []
+            )
+          : pickFromBank(null, numQuestions);
+      }
+
+      if (banked.length >= numQuestions) {
+        start(banked);
+        return {
+          status: 200,
+          body: {
+            topic: safeTopic,
+            difficulty: safeDifficulty,
+            language: safeLanguage,
+            questions: onQuestions
+              ? streamed
+              : balanceCorrectOptions(banked.map(toQuizQuestion)),
+            requested: numQuestions,
+            shortfall: null,
+            scoring,
+            blueprint: blueprintSummary,
+            grounding,
+            bank: { reused: banked.length, added: 0, duplicates: 0 },
+            usage: {
+              promptTokens: 0,
+              completionTokens: 0,
+              totalTokens: 0,
+              model: null,
+              estimatedCostUsd: 0,
+            },
+          },
+        };
+      }
+
+      // 💰 Bank questions are free; new ones need budget left
+      const overBudget = ledger.checkBudget();
+      if (overBudget) {
+        const { error, ...budget } = overBudget;
+        return { status: 429, body: { error, budget } };
+      }
+      start(banked);
+
+      // 🌐 Questions in the learner's language, service names in English
+      const languagePlan = languageInstruction(safeLanguage, { json: true });
+
+      const buildPrompt = ({ requestCount, avoid, quotas: missingQuotas }) => {
+        const blueprintPlan = blueprint
+          ? `
+This quiz follows the official "${blueprint.name}" skills outline.
+Cover these domains with AT LEAST the number of questions listed, and tag every question with
+"domain" (the domain id in quotes below) and "objective" (the objective it tests, copied from the list):
+
+${blueprint.domains
+  .filter((d) => missingQuotas[d.id] > 0)
+  .map(
+    (d) =>
+      `- "${d.id}" — ${d.name} (${formatWeight(d)} of the exam): ${
+        missingQuotas[d.id]
+      } question(s)
+  Objectives: ${d.objectives.join("; ")}`
+  )
+  .join("\n")}
+`
+          : "";
+
+        const groundingPlan = passages
+          ? `
+Write the questions ONLY from the study material passages below. The question, the correct
+answer and the explanation must all be supported by one passage; do not use outside knowledge,
+and skip passages that contain nothing worth testing. Spread the questions over the passages.
+Tag every question with "source" (the passage label, e.g. "P2") and "quote" (one short sentence
+copied word for word from that passage that supports the correct answer).
+
+${formatPassagesForPrompt(passages)}
+`
+          : "";
+
+        const avoidList = avoid.length
+          ? `
+Do NOT repeat or rephrase any of these existing questions:
+${avoid.map((text) => `- ${text}`).join("\n")}
+`
+          : "";
+
+        return `
+You are an expert exam tutor.
+
+Create ${requestCount} exam questions for the topic: "${safeTopic}".
+
+Difficulty: ${safeDifficulty.toUpperCase()}
+${difficultyDescription}
+${blueprintPlan}${groundingPlan}
+Question types to use${
+          safeTypes.length > 1 ? " (mix them roughly evenly)" : ""
+        }:
+
+${describeTypesForPrompt(safeTypes)}
+
+Requirements:
+- Questions should be realistic, practical, and similar to real certification/exam style.
+- Questions should be clear and not trick questions.
+- Options must NOT include the "A. / B. / C. / D." prefix. Just plain text like "Use Azure Functions for serverless code".
+- The explanation and rationales must NOT refer to option letters, because options are shuffled afterwards. Refer to options by their content.
+${languagePlan ? `\nLanguage:\n${languagePlan}\n` : ""}${avoidList}
+Output strictly as valid JSON: one array containing question objects in exactly the formats above.
+
+Do not include any text before or after the JSON.
+`;
+      };
+
+      // 💾 Keep every validated question; near-duplicates map to the stored copy
+      // (and are dropped when that copy was already served or excluded)
+      const seenIds = new Set([...excluded, ...banked.map((q) => q.id)]);
+      const bankStats = { added: 0, duplicates: 0 };
+      const acceptIntoBank = (questions) => {
+        // Blueprint tags only mean something for a known exam
+        questions.forEach((q) => {
+          if (blueprint) {
+            q.domain = resolveDomainId(blueprint, q.domain) || undefined;
+          } else {
+            delete q.domain;
+            delete q.objective;
+          }
+          if (!passages) {
+            delete q.source;
+            delete q.quote;
+          }
+        });
+
+        const stored = bank.add(questions, {
+          topic: safeTopic,
+          difficulty: safeDifficulty,
+          language: safeLanguage,
+        });
+        bankStats.added += stored.added;
+        bankStats.duplicates += stored.duplicates;
+
+        return stored.entries.filter((entry) => {
+          // A duplicate of an older, uncited bank entry is no grounded question
+          if (passages && !entry.citation) return false;
+          // A duplicate of a retired question must not sneak back in
+          if (entry.retiredAt) return false;
+          if (seenIds.has(entry.id)) return false;
+          seenIds.add(entry.id);
+          return true;
+        });
+      };
+
+      let generated;
+      try {
+        generated = await generateQuestions({
+          llm: ledger.track(llm, { endpoint: "generate-quiz", user }),
+          model,
+          count: numQuestions - banked.length,
+          quotas: quotas
+            ? Object.fromEntries(
+                Object.entries(quotas).map(([domain, n]) => [
+                  domain,
+                  n - banked.filter((q) => q.domain === domain).length,
+                ])
+              )
+            : null,
+          avoid: banked.map((q) => q.question),
+          accept: acceptIntoBank,
+          check: passages ? (q) => citeQuestion(q, passages) : undefined,
+          task: passages ? "quiz-grounded" : "quiz",
+          types: safeTypes,
+          onQuestions: onQuestions ? deliver : null,
+          signal,
+          buildMessages: ({ requestCount, avoid, quotas: missingQuotas }) => [
+            {
+              role: "system",
+              content: `You generate exam-style questions in clean JSON. ${UNTRUSTED_INPUT_RULE}`,
+            },
+            {
+              role: "user",
+              content: buildPrompt({
+                requestCount,
+                avoid,
+                quotas: missingQuotas,
+              }),
+            },
+          ],
+        });
+      } catch (llmErr) {
+        if (signal && signal.aborted) {
+          return {
+            status: 499,
+            body: { error: "Quiz generation was cancelled." },
+          };
+        }
+        if (llmErr.code === "BUDGET_EXCEEDED") {
+          return {
+            status: 429,
+            body: { error: llmErr.message, budget: llmErr.budget },
+          };
+        }
+        console.error("[LLM ERROR]", llmErr);
+        const debug = describeError(llmErr);
+        return {
+          status: 500,
+          body: {
+            error: "Failed to call the LLM provider.",
+            debug,
+          },
+        };
+      }
+
+      const { report } = generated;
+      if (report.rejected.length) {
+        console.warn("[VALIDATION] Rejected questions:", report.rejected);
+      }
+
+      if (!banked.length && !generated.questions.length) {
+        console.error("[VALIDATION ERROR] No valid questions after cleaning.", {
+          report,
+        });
+        return {
+          status: 500,
+          body: {
+            error: "No valid questions generated from AI.",
+            debug: report.shortfall
+              ? report.shortfall.reason
+              : "The AI response did not contain properly formatted questions. Try again or adjust the prompt.",
+            generation: report,
+          },
+        };
+      }
+
+      // 🔢 Cost from the pricing table (see pricing.json)
+      const { promptTokens, completionTokens } = generated.usage;
+      const totalTokens = promptTokens + completionTokens;
+      const { costUsd, priced } = costOf(generated.model, generated.usage);
+
+      return {
+        status: 200,
+        body: {
+          topic: safeTopic,
+          difficulty: safeDifficulty,
+          language: safeLanguage,
+          questions: onQuestions
+            ? streamed
+            : balanceCorrectOptions(
+                [...banked, ...generated.questions]
+                  .slice(0, numQuestions)
+                  .map(toQuizQuestion)
+              ),
+          requested: numQuestions,
+          shortfall: report.shortfall || null,
+          scoring,
+          blueprint: blueprintSummary,
+          grounding,
+          generation: report,
+          bank: {
+            reused: banked.length,
+            added: bankStats.added,
+            duplicates: bankStats.duplicates,
+          },
+          usage: {
+            promptTokens,
+            completionTokens,
+            totalTokens,
+            model: generated.model,
+            estimatedCostUsd: costUsd,
+            priced,
+          },
+        },
+      };
+    } catch (err) {
+      console.error("[UNHANDLED ERROR in /api/generate-quiz]", err);
+      const debug = describeError(err);
+      return {
+        status: 500,
+        body: {
+          error: "Internal server error.",
+          debug,
+        },
+      };
+    }
+  }
+
+  return buildQuiz;
+}
+
+module.exports = { createQuizBuilder };
@@ -0,0 +1,115 @@
+// lib/quizMarkdown.js
+// A quiz as a Markdown handout (used by the command-line tool): questions
+// in the order they will be taken, case study scenarios and exhibits once
+// before their first question, and an answer key with explanations at the
+// end.
+const { LETTERS } = require("./questionTypes");
+const { publicQuestion } = require("./liveClassroom");
+const { describeCorrectAnswer } = require("../public/scoring");
+
+// Markdown table cells cannot hold pipes or line breaks
+function cell(text) {
+  return String(text)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+function exhibitTable(exhibit, idx) {
+  return [
+    `**Exhibit ${idx + 1}${exhibit.title ? `: ${exhibit.title}` : ""}**`,
+    "",
+    `| ${exhibit.columns.map(cell).join(" | ")} |`,
+    `| ${exhibit.columns.map(() => "---").join(" | ")} |`,
+    ...exhibit.rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function caseStudySection(caseStudy) {
+  return [
+    `### Case study: ${caseStudy.title}`,
+    caseStudy.scenario,
+    ...(caseStudy.exhibits || []).map(exhibitTable),
+  ].join("\n\n");
+}
+
+// What the learner works with, per question type (see publicQuestion)
+const answerArea = {
+  single(q) {
+    return q.options.map((opt, idx) => `- **${LETTERS[idx]}.** ${opt}`);
+  },
+  multi(q) {
+    return [
+      `_Choose ${q.choose}._`,
+      "",
+      ...q.options.map((opt, idx) => `- **${LETTERS[idx]}.** ${opt}`),
+    ];
+  },
+  truefalse(q) {
+    return q.statements.map(
+      (statement, idx) => `${idx + 1}. ${statement} — True / False`
+    );
+  },
+  ordering(q) {
+    return [
+      "_Put these steps in the correct order._",
+      "",
+      ...q.items.map((item) => `- ${item}`),
+    ];
+  },
+  matching(q) {
+    return [
+      "_Match every item on the left with one on the right._",
+      "",
+      "| Item | Match |",
+      "| --- | --- |",
+      ...q.pairs.map(
+        (p, idx) =>
+          `| ${idx + 1}. ${cell(p.left)} | ${LETTERS[idx]}. ${cell(p.right)} |`
+      ),
+    ];
+  },
+};
+
+/**
+ * Markdown for a quiz-ready quiz { title?, topic, difficulty, questions }.
+ * With `answers: false` the answer key is left out, e.g. for a handout.
+ */
+function quizToMarkdown(quiz, { answers = true } = {}) {
+  const sections = [`# ${quiz.title || quiz.topic}`];
+  const details = [
+    quiz.title && quiz.title !== quiz.topic ? `Topic: ${quiz.topic}` : null,
+    quiz.difficulty ? `Difficulty: ${quiz.difficulty}` : null,
+    `${quiz.questions.length} question(s)`,
+  ].filter(Boolean);
+  sections.push(details.join(" · "));
+
+  let caseStudyId = null;
+  quiz.questions.forEach((q, idx) => {
+    if (q.caseStudy && q.caseStudy.id !== caseStudyId) {
+      sections.push(caseStudySection(q.caseStudy));
+    }
+    caseStudyId = q.caseStudy ? q.caseStudy.id : null;
+
+    const shown = publicQuestion(q);
+    sections.push(
+      [
+        `## ${idx + 1}. ${q.question}`,
+        "",
+        ...answerArea[shown.type || "single"](shown),
+      ].join("\n")
+    );
+  });
+
+  if (answers) {
+    const key = quiz.questions.map((q, idx) =>
+      [`${idx + 1}. ${describeCorrectAnswer(q)}`, q.explanation]
+        .filter(Boolean)
+        .join("  \n   ")
+    );
+    sections.push(["## Answer key", "", ...key].join("\n"));
+  }
+
+  return sections.join("\n\n") + "\n";
+}
+
+module.exports = { quizToMarkdown };
@@ -0,0 +1,471 @@
+// lib/quizPipeline.js
+const { LETTERS, validateItem } = require("./questionTypes");
+
+// Follow-up calls allowed after the first one when questions are missing
+const MAX_TOP_UP_CALLS = 2;
+
+/**
+ * Helper: turn raw model output into parsed JSON, repairing the usual
+ * mistakes (code fences, chatter around the array, trailing commas).
+ * Returns { value, repaired } or null when nothing parseable was found.
+ */
+function parseModelJson(raw) {
+  const text = String(raw || "").trim();
+
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch (err) {
+    // fall through to repairs
+  }
+
+  let candidate = text.replace(/```(?:json)?/gi, "").trim();
+
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf("]"), candidate.lastIndexOf("}"));
+  if (start === -1 || end <= start) return null;
+  candidate = candidate.slice(start, end + 1);
+
+  // Trailing commas before a closing bracket/brace
+  candidate = candidate.replace(/,\s*([\]}])/g, "$1");
+
+  try {
+    return { value: JSON.parse(candidate), repaired: true };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Helper: accept either a bare array or a wrapper like { "questions": [...] }.
+ */
+function asQuestionList(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.questions)) return value.questions;
+  return null;
+}
+
+/**
+ * Incremental parser for a streamed JSON array of questions. Feed it text
+ * as it arrives; push() returns the question objects completed so far, each
+ * as { value } or { error }. The question list is the first array in the
+ * output, so both a bare array and { "questions": [...] } work, and code
+ * fences or chatter around it are skipped.
+ */
+function createQuestionStreamParser() {
+  let buffer = "";
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let listDepth = null; // depth inside the question list, once it opened
+  let itemStart = -1;
+  let count = 0;
+
+  function parseItem(text) {
+    const parsed = parseModelJson(text);
+    return parsed && parsed.value && typeof parsed.value === "object"
+      ? { value: parsed.value }
+      : { error: "could not parse a streamed question" };
+  }
+
+  function push(text) {
+    buffer += text;
+    const items = [];
+
+    for (; pos < buffer.length; pos++) {
+      const ch = buffer[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"' && depth > 0) {
+        inString = true;
+      } else if (ch === "[" || ch === "{") {
+        if (ch === "[" && listDepth === null) listDepth = depth + 1;
+        else if (ch === "{" && depth === listDepth) itemStart = pos;
+        depth++;
+      } else if (ch === "]" || ch === "}") {
+        depth = Math.max(depth - 1, 0);
+        if (ch === "}" && depth === listDepth && itemStart !== -1) {
+          items.push(parseItem(buffer.slice(itemStart, pos + 1)));
+          itemStart = -1;
+          count++;
+        }
+      }
+    }
+
+    // Only an unfinished question needs to be kept around
+    const keepFrom = itemStart === -1 ? buffer.length : itemStart;
+    buffer = buffer.slice(keepFrom);
+    pos -= keepFrom;
+    if (itemStart !== -1) itemStart = 0;
+
+    return items;
+  }
+
+  return {
+    push,
+    get count() {
+      return count;
+    },
+  };
+}
+
+function describeFailure({ valid, accepted, tooLong, offQuota }) {
+  return !accepted
+    ? valid
+      ? "the model only returned duplicates of existing questions"
+      : "the model returned no questions that passed validation"
+    : tooLong
+    ? "case studies had more linked questions than the quiz still had room for"
+    : offQuota
+    ? "the new questions did not cover the blueprint domains still needed"
+    : "not enough valid questions";
+}
+
+/**
+ * Helper: questions grouped into the units a quiz keeps or drops whole:
+ * all linked questions of a case study together, any other question alone.
+ */
+function questionBlocks(questions) {
+  const blocks = [];
+  const cases = new Map();
+  questions.forEach((q) => {
+    const caseId = q.caseStudy && q.caseStudy.id;
+    if (caseId && cases.has(caseId)) {
+      cases.get(caseId).push(q);
+      return;
+    }
+    const block = [q];
+    if (caseId) cases.set(caseId, block);
+    blocks.push(block);
+  });
+  return blocks;
+}
+
+function shuffle(items) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Helper: reorder round-robin by type (single, multi, single, multi, ...)
+ * so trimming a batch to size keeps a mix of the requested types. The
+ * linked questions of a case study move as one block, in their own order.
+ */
+function interleaveByType(questions) {
+  const byType = new Map();
+  const cases = new Map();
+  questions.forEach((q) => {
+    const caseId = q.caseStudy && q.caseStudy.id;
+    if (caseId && cases.has(caseId)) {
+      cases.get(caseId).push(q);
+      return;
+    }
+    const block = [q];
+    if (caseId) cases.set(caseId, block);
+
+    const kind = caseId ? "casestudy" : q.type;
+    if (!byType.has(kind)) byType.set(kind, []);
+    byType.get(kind).push(block);
+  });
+
+  const queues = [...byType.values()];
+  const mixed = [];
+  while (queues.some((queue) => queue.length)) {
+    queues.forEach((queue) => {
+      if (queue.length) mixed.push(...queue.shift());
+    });
+  }
+  return mixed;
+}
+
+/**
+ * Shuffle options server-side so the correct letters are spread evenly:
+ * across the single-answer questions each of A-D is the answer floor(n/4)
+ * or ceil(n/4) times, in random order. Multi-select options are shuffled
+ * and their correct letters remapped. Other types are returned as-is.
+ * Returns new question objects; the inputs are left untouched.
+ */
+function balanceCorrectOptions(questions) {
+  const singles = questions.filter((q) => q.type === "single").length;
+  return questions.map(createOptionBalancer(singles));
+}
+
+// Options (and their rationales) in the new `order` of original indexes
+function reorderOptions(q, order) {
+  return {
+    options: order.map((idx) => q.options[idx]),
+    ...(q.rationales && {
+      rationales: order.map((idx) => q.rationales[idx]),
+    }),
+  };
+}
+
+/**
+ * Helper: the same shuffle one question at a time, for streamed quizzes
+ * where the full list is not known yet. `expected` is how many
+ * single-answer questions to spread the letters over; past that a new
+ * round of A-D starts.
+ */
+function createOptionBalancer(expected) {
+  let targets = [];
+
+  return (q) => {
+    if (q.type === "multi") {
+      const order = shuffle(q.options.map((_, idx) => idx));
+      return {
+        ...q,
+        ...reorderOptions(q, order),
+        correctOptions: q.correctOptions
+          .map((letter) => LETTERS[order.indexOf(LETTERS.indexOf(letter))])
+          .sort(),
+      };
+    }
+    if (q.type !== "single") return q;
+
+    if (!targets.length) {
+      targets = shuffle(
+        Array.from(
+          { length: Math.max(expected, 4) },
+          (_, idx) => LETTERS[idx % 4]
+        )
+      );
+    }
+    const target = targets.pop();
+    const correctIndex = LETTERS.indexOf(q.correctOption);
+    const order = shuffle(
+      q.options.map((_, i) => i).filter((i) => i !== correctIndex)
+    );
+    order.splice(LETTERS.indexOf(target), 0, correctIndex);
+
+    return { ...q, ...reorderOptions(q, order), correctOption: target };
+  };
+}
+
+/**
+ * Generate `count` valid questions, retrying and topping up as needed.
+ *
+ *   buildMessages({ requestCount, avoid, quotas }) -> chat messages for one call
+ *   accept(questions) -> the subset actually kept (e.g. after bank dedup)
+ *   check(question) -> optional extra validation, { question } or { error }
+ *             (e.g. grounded quizzes must cite a study material passage)
+ *   types -> question types allowed in the output (see questionTypes.js)
+ *   quotas -> optional { domainId: count } from a blueprint; only questions
+ *             tagged with a domain that still needs questions are kept, and
+ *             follow-up calls ask for the domains still missing
+ *   task -> provider task name (the mock provider picks its fixture by it)
+ *   onQuestions(questions) -> optional; streams the model output and is
+ *             called with each batch of newly kept questions as soon as
+ *             they are complete
+ *   signal -> optional AbortSignal that cancels the model calls
+ *
+ * Each call's output is parsed (with local repair), and if it still is not
+ * JSON the model is asked once to repair its own output. Valid questions
+ * are passed to `accept`; if fewer than `count` were kept, follow-up calls
+ * ask for the rest while listing what we already have. When streaming,
+ * questions are parsed and kept one by one while the output arrives; the
+ * whole-output parse is only the fallback when nothing could be streamed.
+ *
+ * Returns { questions, usage, model, report } where report explains how
+ * many calls were made, what was rejected and, if short, why.
+ */
+async function generateQuestions({
+  llm,
+  model,
+  count,
+  buildMessages,
+  accept = (questions) => questions,
+  check = (question) => ({ question }),
+  avoid = [],
+  types = ["single"],
+  quotas = null,
+  task = "quiz",
+  onQuestions = null,
+  signal,
+}) {
+  const kept = [];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  const report = { calls: 0, repaired: 0, rejected: [] };
+  let usedModel = model;
+  let lastFailure = null;
+  // Why questions were left out for not fitting, even in a call that kept
+  // others: later calls that only repeat them are duplicates for that reason
+  let fitFailure = null;
+
+  async function call(messages, onDelta) {
+    report.calls++;
+    const completion = await llm.complete({
+      task,
+      model,
+      messages,
+      signal,
+      onDelta,
+    });
+    usage.promptTokens += completion.usage.promptTokens;
+    usage.completionTokens += completion.usage.completionTokens;
+    usedModel = completion.model || usedModel;
+    return completion.content;
+  }
+
+  // Domain -> questions still needed (null when not using a blueprint)
+  function missingQuotas() {
+    if (!quotas) return null;
+    return Object.fromEntries(
+      Object.entries(quotas).map(([domain, wanted]) => [
+        domain,
+        wanted - kept.filter((q) => q.domain === domain).length,
+      ])
+    );
+  }
+
+  /**
+   * The accepted questions that fit the quiz, a case study all or nothing.
+   * With quotas a block is kept when one of its domains still needs
+   * questions; all of its questions count against their domains, so a case
+   * study may run over its domain's share rather than be cut up.
+   */
+  function takeFitting(accepted, found) {
+    let room = count - kept.length;
+    const left = missingQuotas();
+    const fitting = [];
+
+    questionBlocks(accepted).forEach((block) => {
+      if (block.length > room) {
+        if (block.length > 1) found.tooLong++;
+        return;
+      }
+      if (left) {
+        if (!block.some((q) => left[q.domain] > 0)) {
+          found.offQuota++;
+          return;
+        }
+        block.forEach((q) => left[q.domain]--);
+      }
+      fitting.push(...block);
+      room -= block.length;
+    });
+    return fitting;
+  }
+
+  function noteFailure(found) {
+    if (found.tooLong || found.offQuota) fitFailure = describeFailure(found);
+    if (found.kept) return;
+    const onlyRepeats = found.valid && !found.accepted;
+    lastFailure =
+      onlyRepeats && fitFailure ? fitFailure : describeFailure(found);
+  }
+
+  // Validate, accept and keep what fits; `found` counts per call
+  function keep(list, found) {
+    const valid = [];
+    list.forEach((item) => {
+      const { questions, error } = validateItem(item, types);
+      if (error) {
+        report.rejected.push({ reason: error });
+        return;
+      }
+      questions.forEach((question) => {
+        const result = check(question);
+        if (result.error) report.rejected.push({ reason: result.error });
+        else valid.push(result.question);
+      });
+    });
+    if (!valid.length) return;
+
+    const accepted = accept(interleaveByType(valid));
+    const fitting = takeFitting(accepted, found);
+    kept.push(...fitting);
+
+    found.valid += valid.length;
+    found.accepted += accepted.length;
+    found.kept += fitting.length;
+    if (onQuestions && fitting.length) onQuestions(fitting);
+  }
+
+  for (let attempt = 0; attempt <= MAX_TOP_UP_CALLS; attempt++) {
+    const missing = count - kept.length;
+    if (missing <= 0) break;
+
+    const messages = buildMessages({
+      requestCount: Math.min(missing + 3, 20), // ask for a few extra
+      avoid: [...avoid, ...kept.map((q) => q.question)],
+      quotas: missingQuotas(),
+    });
+    const found = { valid: 0, accepted: 0, kept: 0, tooLong: 0, offQuota: 0 };
+
+    // 📡 Streaming: keep each question as soon as its object is complete
+    const streamParser = onQuestions ? createQuestionStreamParser() : null;
+    const raw = await call(
+      messages,
+      streamParser &&
+        ((delta) => {
+          streamParser.push(delta).forEach((item) => {
+            if (item.error) report.rejected.push({ reason: item.error });
+            else if (kept.length < count) keep([item.value], found);
+          });
+        })
+    );
+
+    if (streamParser && streamParser.count) {
+      noteFailure(found);
+      continue;
+    }
+
+    let parsed = parseModelJson(raw);
+    if (!parsed || !asQuestionList(parsed.value)) {
+      console.warn("[QUIZ PIPELINE] Unparseable output, asking for repair.");
+      const repairedRaw = await call([
+        ...messages,
+        { role: "assistant", content: raw },
+        {
+          role: "user",
+          content:
+            "That was not valid JSON. Return the same questions as a valid JSON array only, with no text before or after it.",
+        },
+      ]);
+      parsed = parseModelJson(repairedRaw);
+      if (parsed) parsed.repaired = true;
+    }
+
+    const list = parsed && asQuestionList(parsed.value);
+    if (!list) {
+      console.error("[JSON PARSE ERROR] Could not parse AI output as JSON.");
+      console.error("Raw content from the model:\n", raw);
+      lastFailure = "the model did not return valid JSON";
+      continue;
+    }
+    if (parsed.repaired) report.repaired++;
+
+    keep(list, found);
+    noteFailure(found);
+  }
+
+  if (kept.length < count) {
+    report.shortfall = {
+      requested: count,
+      delivered: kept.length,
+      reason: `Stopped after ${report.calls} call(s): ${
+        lastFailure || fitFailure || "not enough valid questions"
+      }.`,
+    };
+  }
+
+  return { questions: kept, usage, model: usedModel, report };
+}
+
+module.exports = {
+  parseModelJson,
+  createQuestionStreamParser,
+  balanceCorrectOptions,
+  createOptionBalancer,
+  generateQuestions,
+};
@@ -0,0 +1,89 @@
+// lib/rateLimit.js
+// Request limits for the endpoints that call the model: a fixed window per
+// client IP and, with accounts enabled, per signed-in user. Kept in memory,
+// so limits reset when the server restarts.
+
+/**
+ * Express middleware factory. `perIp` / `perUser` are requests per window;
+ * 0 turns that limit off. Every limited response carries RateLimit-* headers;
+ * over the limit it answers 429 with Retry-After.
+ */
+function createRateLimiter({
+  windowSeconds = 60,
+  perIp = 0,
+  perUser = 0,
+  now = Date.now,
+} = {}) {
+  const windowMs = windowSeconds * 1000;
+  const windows = new Map(); // "ip:<addr>" | "user:<id>" -> { count, resetAt }
+  let nextSweep = 0;
+
+  // Forget windows that ran out, at most once per window
+  function sweep(time) {
+    if (time < nextSweep) return;
+    nextSweep = time + windowMs;
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= time) windows.delete(key);
+    }
+  }
+
+  function current(key, time) {
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+    return entry;
+  }
+
+  return function rateLimit(req, res, next) {
+    const time = now();
+    sweep(time);
+
+    const checks = [];
+    if (perIp) {
+      checks.push({ entry: current(`ip:${req.ip}`, time), limit: perIp });
+    }
+    if (perUser && req.user) {
+      checks.push({
+        entry: current(`user:${req.user.id}`, time),
+        limit: perUser,
+      });
+    }
+    if (!checks.length) return next();
+
+    // Report the limit that runs out first
+    const tightest = checks.reduce((a, b) =>
+      b.limit - b.entry.count < a.limit - a.entry.count ? b : a
+    );
+    const resetSeconds = Math.max(
+      Math.ceil((tightest.entry.resetAt - time) / 1000),
+      1
+    );
+    res.set("RateLimit-Limit", String(tightest.limit));
+    res.set("RateLimit-Reset", String(resetSeconds));
+
+    const blocked = checks.find(({ entry, limit }) => entry.count >= limit);
+    if (blocked) {
+      const retryAfter = Math.max(
+        Math.ceil((blocked.entry.resetAt - time) / 1000),
+        1
+      );
+      res.set("RateLimit-Remaining", "0");
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: `Too many requests. Try again in ${retryAfter} second(s).`,
+        retryAfterSeconds: retryAfter,
+      });
+    }
+
+    checks.forEach(({ entry }) => entry.count++);
+    res.set(
+      "RateLimit-Remaining",
+      String(tightest.limit - tightest.entry.count)
+    );
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
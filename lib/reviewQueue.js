@@ -0,0 +1,162 @@
+// lib/reviewQueue.js
+// Spaced repetition for missed and low-confidence questions, scheduled with
+// the SM-2 algorithm (as used by SuperMemo / Anki).
+const { createJsonStore } = require("./store");
+const { belongsTo } = require("./accounts");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+/**
+ * Helper: SM-2 answer quality (0-5) from the graded score (0..1) and how
+ * confident the learner said they were. Being sure and wrong is the worst
+ * case; guessing right still counts as a shaky recall.
+ */
+function answerQuality(score, confidence) {
+  if (score >= 1) {
+    return confidence === "low" ? 3 : confidence === "high" ? 5 : 4;
+  }
+  if (score > 0) return 2;
+  return confidence === "high" ? 0 : 1;
+}
+
+/**
+ * One SM-2 step. `state` is { easiness, interval, repetitions } with the
+ * interval in days; returns the next state. Quality below 3 restarts the
+ * item at a one-day interval.
+ */
+function sm2({ easiness = 2.5, interval = 0, repetitions = 0 }, quality) {
+  const nextEasiness = Math.max(
+    1.3,
+    easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+
+  if (quality < 3) {
+    return { easiness: nextEasiness, interval: 1, repetitions: 0 };
+  }
+
+  const nextRepetitions = repetitions + 1;
+  const nextInterval =
+    nextRepetitions === 1
+      ? 1
+      : nextRepetitions === 2
+      ? 6
+      : Math.round(interval * easiness);
+
+  return {
+    easiness: nextEasiness,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+  };
+}
+
+function createReviewQueue(
+  store = createJsonStore("review-queue", { items: [] })
+) {
+  // Each learner has their own queue; see belongsTo() for `userId`
+  function all(userId) {
+    return store.read().items.filter((item) => belongsTo(item, userId));
+  }
+
+  /**
+   * Record graded answers: [{ question, topic, difficulty, score, confidence }].
+   * Missed or low-confidence questions join the queue; questions already in
+   * it are rescheduled whatever the outcome. Returns { added, updated }.
+   */
+  function record(answers, { userId, now = Date.now() } = {}) {
+    let added = 0;
+    let updated = 0;
+
+    store.update((data) => {
+      answers.forEach(({ question, topic, difficulty, score, confidence }) => {
+        const quality = answerQuality(score, confidence);
+        let item = data.items.find(
+          (i) => i.id === question.id && belongsTo(i, userId)
+        );
+
+        if (!item) {
+          if (quality >= 4) return; // known well, nothing to review
+          item = {
+            id: question.id,
+            userId: userId || null,
+            topic,
+            difficulty,
+            question,
+            easiness: 2.5,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            addedAt: new Date(now).toISOString(),
+          };
+          data.items.push(item);
+          added++;
+        } else {
+          item.question = question;
+          updated++;
+        }
+
+        Object.assign(item, sm2(item, quality));
+        if (quality < 3) item.lapses++;
+        item.lastQuality = quality;
+        item.lastConfidence = confidence || null;
+        item.lastReviewedAt = new Date(now).toISOString();
+        item.dueAt = new Date(now + item.interval * DAY_MS).toISOString();
+      });
+    });
+
+    return { added, updated };
+  }
+
+  /**
+   * Items due now, most overdue first.
+   */
+  function due({ limit = 10, userId, now = Date.now() } = {}) {
+    return all(userId)
+      .filter((item) => Date.parse(item.dueAt) <= now)
+      .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt))
+      .slice(0, limit);
+  }
+
+  function stats({ userId, now = Date.now() } = {}) {
+    const items = all(userId);
+    const upcoming = items
+      .map((item) => Date.parse(item.dueAt))
+      .filter((t) => t > now)
+      .sort((a, b) => a - b);
+
+    return {
+      total: items.length,
+      due: items.filter((item) => Date.parse(item.dueAt) <= now).length,
+      nextDueAt: upcoming.length ? new Date(upcoming[0]).toISOString() : null,
+    };
+  }
+
+  function remove(id, userId) {
+    return store.update((data) => {
+      const idx = data.items.findIndex(
+        (item) => item.id === id && belongsTo(item, userId)
+      );
+      if (idx === -1) return false;
+      data.items.splice(idx, 1);
+      return true;
+    });
+  }
+
+  // Drop a question from every learner's queue (e.g. it was retired)
+  function purge(questionId) {
+    return store.update((data) => {
+      const before = data.items.length;
+      data.items = data.items.filter((item) => item.id !== questionId);
+      return before - data.items.length;
+    });
+  }
+
+  return { record, due, stats, remove, purge };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  answerQuality,
+  sm2,
+  createReviewQueue,
+};
@@ -0,0 +1,125 @@
+// lib/sharedQuizzes.js
+// Saved quizzes behind a short share link. The questions are stored in the
+// order they were shared, so everyone who opens the link (or joins a live
+// session run from it) gets the same quiz.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { validateQuestion } = require("./questionTypes");
+const { belongsTo } = require("./accounts");
+
+const MAX_SHARED_QUESTIONS = 100;
+const MAX_TITLE_CHARS = 120;
+const DIFFICULTIES = ["beginner", "intermediate", "expert"];
+const PARTIAL_CREDIT = ["partial", "strict"];
+
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+/**
+ * Schema check for a quiz to share: { title?, topic, difficulty?,
+ * scoring?, questions }. Every question must pass the same checks as
+ * generated ones; question ids are kept when they are unique, so bank
+ * questions still link back to the bank.
+ *
+ * Returns { quiz } with the cleaned fields, or { error }.
+ */
+function validateSharedQuiz(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "not an object" };
+  }
+  const topic = cleanText(raw.topic, 80);
+  if (!topic) return { error: "A topic is needed." };
+  if (!Array.isArray(raw.questions) || !raw.questions.length) {
+    return { error: "A shared quiz needs at least one question." };
+  }
+  if (raw.questions.length > MAX_SHARED_QUESTIONS) {
+    return {
+      error: `A shared quiz can have at most ${MAX_SHARED_QUESTIONS} questions.`,
+    };
+  }
+
+  const questions = [];
+  const seen = new Set();
+  for (const [idx, item] of raw.questions.entries()) {
+    const { question, error } = validateQuestion(item);
+    if (error) return { error: `question ${idx + 1}: ${error}` };
+
+    let id = cleanText(item.id, 100);
+    if (!id || seen.has(id)) id = `q${idx + 1}`;
+    seen.add(id);
+    questions.push({ id, ...question });
+  }
+
+  const difficulty = String(raw.difficulty || "").toLowerCase();
+  const partialCredit = raw.scoring && raw.scoring.partialCredit;
+  return {
+    quiz: {
+      title: cleanText(raw.title, MAX_TITLE_CHARS) || topic,
+      topic,
+      difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : null,
+      scoring: {
+        partialCredit: PARTIAL_CREDIT.includes(partialCredit)
+          ? partialCredit
+          : "partial",
+      },
+      questions,
+    },
+  };
+}
+
+function createSharedQuizzes(
+  store = createJsonStore("shared-quizzes", { quizzes: [] })
+) {
+  function get(id) {
+    return store.read().quizzes.find((quiz) => quiz.id === id) || null;
+  }
+
+  /**
+   * The learner's shared quizzes, newest first, without the questions.
+   */
+  function list({ userId } = {}) {
+    return store
+      .read()
+      .quizzes.filter((quiz) => belongsTo(quiz, userId))
+      .map(({ questions, ...summary }) => ({
+        ...summary,
+        questionCount: questions.length,
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Save a validated quiz (see validateSharedQuiz). The id is short enough
+   * to read out loud and never changes.
+   */
+  function create(quiz, { userId } = {}) {
+    return store.update((data) => {
+      let id;
+      do {
+        id = crypto.randomBytes(6).toString("base64url");
+      } while (data.quizzes.some((q) => q.id === id));
+
+      const saved = {
+        id,
+        ...quiz,
+        userId: userId || null,
+        createdAt: new Date().toISOString(),
+      };
+      data.quizzes.push(saved);
+      return saved;
+    });
+  }
+
+  function remove(id) {
+    return store.update((data) => {
+      const before = data.quizzes.length;
+      data.quizzes = data.quizzes.filter((quiz) => quiz.id !== id);
+      return data.quizzes.length < before;
+    });
+  }
+
+  return { get, list, create, remove };
+}
+
+module.exports = { createSharedQuizzes, validateSharedQuiz };
@@ -0,0 +1,59 @@
+// lib/store.js
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+/**
+ * Tiny JSON-file store: one file per collection under DATA_DIR.
+ *
+ * Data is loaded lazily, kept in memory and written back atomically
+ * (write to a temp file, then rename) so a crash never leaves half a file.
+ * A file that is not valid JSON (say, a typo from a hand edit) is moved
+ * aside to <name>.json.corrupt-<time> before starting empty, so the next
+ * write cannot overwrite it; any other read error is thrown.
+ */
+function createJsonStore(name, defaultValue) {
+  const file = path.join(config.dataDir, `${name}.json`);
+  let data = null;
+
+  function read() {
+    if (data !== null) return data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        console.error(
+          `[STORE ERROR] ${file} is not valid JSON. Moved it to ${aside} and starting empty.`,
+          err.message
+        );
+      } else if (err.code !== "ENOENT") {
+        throw err;
+      }
+      data = structuredClone(defaultValue);
+    }
+    return data;
+  }
+
+  function write(next) {
+    data = next;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Mutate in place and persist; returns whatever the callback returns
+  function update(mutator) {
+    const current = read();
+    const result = mutator(current);
+    write(current);
+    return result;
+  }
+
+  return { file, read, write, update };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,268 @@
+// lib/studyChat.js
+// Multi-turn study helper: conversations are kept server-side so follow-up
+// questions ("why not option C?") see what was said before, plus the
+// question card the learner is asking about.
+const crypto = require("crypto");
+const { createJsonStore } = require("./store");
+const { belongsTo } = require("./accounts");
+const { cacheKey, normalizeText } = require("./cache");
+const { topicKey } = require("./questionBank");
+const { LETTERS, validateQuestion } = require("./questionTypes");
+const { describeCorrectAnswer } = require("../public/scoring");
+const { UNTRUSTED_INPUT_RULE } = require("./promptGuard");
+const {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  languageInstruction,
+} = require("./languages");
+
+// Stored per conversation / sent to the model per call
+const MAX_STORED_MESSAGES = 40;
+const MAX_PROMPT_MESSAGES = 12;
+const MAX_MESSAGE_CHARS = 1000;
+
+const DEFAULT_TOPIC = "AZ-900 (Microsoft Azure Fundamentals)";
+
+/**
+ * Helper: the learner's answer in words, per question type.
+ */
+function describeUserAnswer(q, answer) {
+  if (answer === null || answer === undefined) return "not answered";
+
+  switch (q.type) {
+    case "multi":
+      return Array.isArray(answer) && answer.length
+        ? answer
+            .map((l) => `${l}. ${q.options[LETTERS.indexOf(l)] || "?"}`)
+            .join("; ")
+        : "not answered";
+    case "truefalse":
+      return q.statements
+        .map((statement, idx) => {
+          const given = Array.isArray(answer) ? answer[idx] : null;
+          const word =
+            given === true ? "True" : given === false ? "False" : "—";
+          return `${idx + 1}. ${word}`;
+        })
+        .join(", ");
+    case "ordering":
+      return Array.isArray(answer) ? answer.join(" → ") : "not answered";
+    case "matching":
+      return Object.entries(answer)
+        .map(([left, right]) => `${left} → ${right}`)
+        .join("; ");
+    default: {
+      const text = q.options[LETTERS.indexOf(answer)];
+      return text ? `${answer}. ${text}` : "not answered";
+    }
+  }
+}
+
+/**
+ * Helper: question card as plain text for the system prompt. The correct
+ * answer is only included once the quiz was graded, so the helper cannot
+ * spoil a question the learner is still working on.
+ */
+function describeQuestionContext({ question: q, userAnswer, graded }) {
+  const lines = [`Question (${q.type}): ${q.question}`];
+
+  if (q.options) {
+    q.options.forEach((opt, idx) => lines.push(`${LETTERS[idx]}. ${opt}`));
+  }
+  if (q.statements) {
+    q.statements.forEach((s, idx) => lines.push(`Statement ${idx + 1}: ${s}`));
+  }
+  if (q.type === "ordering") {
+    lines.push(`Steps to order: ${q.items.join("; ")}`);
+  }
+  if (q.pairs) {
+    lines.push(`Left items: ${q.pairs.map((p) => p.left).join("; ")}`);
+    lines.push(`Right items: ${q.pairs.map((p) => p.right).join("; ")}`);
+  }
+
+  lines.push(`Learner's answer: ${describeUserAnswer(q, userAnswer)}`);
+
+  if (graded) {
+    lines.push(describeCorrectAnswer(q));
+    if (q.explanation) lines.push(`Explanation: ${q.explanation}`);
+    if (q.rationales) {
+      q.rationales.forEach((r, idx) =>
+        lines.push(`Why ${LETTERS[idx]} is right or wrong: ${r}`)
+      );
+    }
+  } else {
+    lines.push(
+      "The quiz has not been graded yet: do NOT reveal or hint at the correct answer. Help the learner reason about the concepts instead."
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Helper: check a question card sent by the client.
+ * Returns a context object, or null when there is none / it is invalid.
+ */
+function cleanContext(raw) {
+  if (!raw || !raw.question) return null;
+
+  const checked = validateQuestion(raw.question);
+  if (checked.error) return null;
+
+  return {
+    question: { id: raw.question.id || null, ...checked.question },
+    userAnswer: raw.userAnswer === undefined ? null : raw.userAnswer,
+    graded: !!raw.graded,
+  };
+}
+
+function buildSystemPrompt({ topic, level, language, context }) {
+  const card = context
+    ? `
+The learner is asking about this quiz question:
+
+${describeQuestionContext(context)}
+`
+    : "";
+
+  const languagePlan = languageInstruction(language);
+
+  return `
+You are a friendly certification tutor helping a student prepare for: "${topic}".
+Student level: ${level}
+${card}
+Answer the student's latest message, using the earlier conversation for context.
+
+Formatting (Markdown):
+- Keep answers short: usually under 150 words.
+- When asked to explain a term, start with **Summary:** (one sentence), then **In simple terms:** (2–3 sentences), then at most 3 bullets under **Why it matters for the exam:**.
+- When asked about a specific option, say clearly why it is or is not right, referring to the option's content.
+- Use **bold** for key service names or concepts. No code blocks.
+${languagePlan ? `\nLanguage:\n${languagePlan}\n` : ""}
+${UNTRUSTED_INPUT_RULE}
+`;
+}
+
+function levelFor(difficulty) {
+  const label = String(difficulty || "beginner").toLowerCase();
+  return label === "expert"
+    ? "advanced (assume some prior knowledge, focus on depth)"
+    : label === "intermediate"
+    ? "intermediate (mix of plain language and technical detail)"
+    : "beginner (plain language, minimal jargon)";
+}
+
+/**
+ * Helper: cache key for explaining a highlighted term, from the normalized
+ * term, topic, level and language. /api/explain and the chat panel share it,
+ * so a term explained in one is served from the cache in the other.
+ * English keys carry no language, so explanations cached before languages
+ * existed still match.
+ */
+function explanationKey({ text, topic, difficulty, language }) {
+  const label = String(difficulty || "").toLowerCase();
+  const code = normalizeLanguage(language);
+  return cacheKey([
+    "explain",
+    normalizeText(text),
+    topicKey(topic || DEFAULT_TOPIC),
+    ["intermediate", "expert"].includes(label) ? label : "beginner",
+    ...(code === DEFAULT_LANGUAGE ? [] : [code]),
+  ]);
+}
+
+function createConversations(
+  store = createJsonStore("conversations", { conversations: [] })
+) {
+  // Conversations belong to the learner who started them (see belongsTo)
+  function find(conversations, id, userId) {
+    return conversations.find((c) => c.id === id && belongsTo(c, userId));
+  }
+
+  function get(id, userId) {
+    return find(store.read().conversations, id, userId) || null;
+  }
+
+  /**
+   * Find a conversation (or start one when `id` is unknown/empty) and update
+   * its topic, level, language and question context if new ones were sent
+   * (`context: null` drops the current one).
+   */
+  function open({ id, userId, topic, difficulty, language, context }) {
+    return store.update((data) => {
+      let conversation = id && find(data.conversations, id, userId);
+      if (!conversation) {
+        conversation = {
+          id: crypto.randomUUID(),
+          userId: userId || null,
+          createdAt: new Date().toISOString(),
+          messages: [],
+          context: null,
+        };
+        data.conversations.push(conversation);
+      }
+
+      if (topic) conversation.topic = String(topic).slice(0, 80);
+      if (difficulty) conversation.difficulty = difficulty;
+      if (language) conversation.language = normalizeLanguage(language);
+      if (context !== undefined) conversation.context = context;
+      conversation.updatedAt = new Date().toISOString();
+      return conversation;
+    });
+  }
+
+  function append(id, messages) {
+    store.update((data) => {
+      const conversation = data.conversations.find((c) => c.id === id);
+      conversation.messages.push(
+        ...messages.map((m) => ({ ...m, at: new Date().toISOString() }))
+      );
+      conversation.messages = conversation.messages.slice(-MAX_STORED_MESSAGES);
+    });
+  }
+
+  function remove(id, userId) {
+    return store.update((data) => {
+      const idx = data.conversations.findIndex(
+        (c) => c.id === id && belongsTo(c, userId)
+      );
+      if (idx === -1) return false;
+      data.conversations.splice(idx, 1);
+      return true;
+    });
+  }
+
+  return { get, open, append, remove };
+}
+
+/**
+ * Chat messages for the model: system prompt (topic, level, language,
+ * question card)
+ * + the recent conversation + the new user message.
+ */
+function buildChatMessages(conversation, message) {
+  return [
+    {
+      role: "system",
+      content: buildSystemPrompt({
+        topic: conversation.topic || DEFAULT_TOPIC,
+        level: levelFor(conversation.difficulty),
+        language: normalizeLanguage(conversation.language),
+        context: conversation.context,
+      }),
+    },
+    ...conversation.messages
+      .slice(-MAX_PROMPT_MESSAGES)
+      .map(({ role, content }) => ({ role, content })),
+    { role: "user", content: message },
+  ];
+}
+
+module.exports = {
+  MAX_MESSAGE_CHARS,
+  createConversations,
+  buildChatMessages,
+  cleanContext,
+  explanationKey,
+  describeQuestionContext,
+};
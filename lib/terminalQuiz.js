@@ -0,0 +1,219 @@
+// lib/terminalQuiz.js
+// Taking a quiz in the terminal (used by the command-line tool): one
+// question at a time, typed answers, then the same grading, correct answer,
+// rationales and explanation the browser shows.
+const { LETTERS } = require("./questionTypes");
+const { publicQuestion } = require("./liveClassroom");
+const { scoreAnswer, describeCorrectAnswer } = require("../public/scoring");
+
+function letterList(text) {
+  return String(text)
+    .toUpperCase()
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .flatMap((part) => (/^[A-F]+$/.test(part) ? part.split("") : [part]));
+}
+
+/**
+ * Per question type: the lines to show, the prompt, and read(text) turning
+ * what was typed into a scoring.js answer, or { error } to ask again.
+ * `q` is the shuffled question from publicQuestion.
+ */
+const terminalReaders = {
+  single: {
+    lines: (q) => q.options.map((opt, idx) => `  ${LETTERS[idx]}. ${opt}`),
+    prompt: (q) => `Your answer (A-${LETTERS[q.options.length - 1]})`,
+    read(q, text) {
+      const letter = text.trim().toUpperCase();
+      return LETTERS.indexOf(letter) >= 0 &&
+        LETTERS.indexOf(letter) < q.options.length
+        ? { answer: letter }
+        : { error: "Type one of the option letters." };
+    },
+  },
+
+  multi: {
+    lines: (q) => q.options.map((opt, idx) => `  ${LETTERS[idx]}. ${opt}`),
+    prompt: (q) => `Choose ${q.choose} (e.g. A,C)`,
+    read(q, text) {
+      const letters = [...new Set(letterList(text))];
+      const valid = LETTERS.slice(0, q.options.length);
+      return letters.length && letters.every((l) => valid.includes(l))
+        ? { answer: letters.sort() }
+        : { error: `Type option letters between A and ${valid.at(-1)}.` };
+    },
+  },
+
+  truefalse: {
+    lines: (q) => q.statements.map((s, idx) => `  ${idx + 1}. ${s}`),
+    prompt: (q) =>
+      `True or false for each of the ${q.statements.length} (e.g. TFT)`,
+    read(q, text) {
+      const marks = text.toUpperCase().replace(/[^TF]/g, "").split("");
+      return marks.length === q.statements.length
+        ? { answer: marks.map((m) => m === "T") }
+        : { error: `Type exactly ${q.statements.length} T or F.` };
+    },
+  },
+
+  ordering: {
+    lines: (q) => q.items.map((item, idx) => `  ${idx + 1}. ${item}`),
+    prompt: (q) => `Correct order of the ${q.items.length} steps (e.g. 3 1 2)`,
+    read(q, text) {
+      const picks = text
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map(Number);
+      const isOrder =
+        picks.length === q.items.length &&
+        new Set(picks).size === picks.length &&
+        picks.every((n) => n >= 1 && n <= q.items.length);
+      return isOrder
+        ? { answer: picks.map((n) => q.items[n - 1]) }
+        : { error: `Type every step number from 1 to ${q.items.length} once.` };
+    },
+  },
+
+  matching: {
+    lines: (q) => [
+      ...q.pairs.map((p, idx) => `  ${idx + 1}. ${p.left}`),
+      "",
+      ...q.pairs.map((p, idx) => `  ${LETTERS[idx]}. ${p.right}`),
+    ],
+    prompt: (q) => `A letter for items 1-${q.pairs.length} (e.g. B A C)`,
+    read(q, text) {
+      const letters = letterList(text);
+      const valid = LETTERS.slice(0, q.pairs.length);
+      if (
+        letters.length !== q.pairs.length ||
+        !letters.every((l) => valid.includes(l))
+      ) {
+        return {
+          error: `Type ${q.pairs.length} letters between A and ${valid.at(
+            -1
+          )}.`,
+        };
+      }
+      return {
+        answer: Object.fromEntries(
+          q.pairs.map((p, idx) => [
+            p.left,
+            q.pairs[LETTERS.indexOf(letters[idx])].right,
+          ])
+        ),
+      };
+    },
+  },
+};
+
+function caseStudyLines(caseStudy) {
+  const lines = [`Case study: ${caseStudy.title}`, "", caseStudy.scenario];
+  (caseStudy.exhibits || []).forEach((exhibit, idx) => {
+    lines.push(
+      "",
+      `Exhibit ${idx + 1}${exhibit.title ? `: ${exhibit.title}` : ""}`,
+      `  ${exhibit.columns.join(" | ")}`,
+      ...exhibit.rows.map((row) => `  ${row.join(" | ")}`)
+    );
+  });
+  return lines;
+}
+
+// Helper: rationales for the options that were picked or are correct
+function rationaleLines(q, answer) {
+  if (!Array.isArray(q.rationales)) return [];
+  const correct = q.type === "multi" ? q.correctOptions : [q.correctOption];
+  const picked = [].concat(answer || []);
+  return q.rationales
+    .map((text, idx) => ({ text, letter: LETTERS[idx] }))
+    .filter(
+      ({ text, letter }) =>
+        text && (correct.includes(letter) || picked.includes(letter))
+    )
+    .map(({ text, letter }) => `  ${letter}: ${text}`);
+}
+
+function feedbackLine(score, answer) {
+  if (answer === null) return "– Skipped.";
+  if (score === 1) return "✔ Correct!";
+  if (score > 0) return `◐ Partly correct (${Math.round(score * 100)}%).`;
+  return "✘ Incorrect.";
+}
+
+/**
+ * Take a quiz { title?, topic, questions, scoring? } in the terminal.
+ * `ask(prompt)` resolves with the next line typed (null once input has
+ * ended) and `print(line)` writes one line. An empty answer skips the
+ * question.
+ *
+ * Returns { score, total, answered, finished, results }, where results are
+ * [{ id, answer, score }] and `finished` is false when the input ended
+ * before the last question.
+ */
+async function takeQuiz(quiz, { ask, print, partialCredit }) {
+  const scoringMode =
+    partialCredit || (quiz.scoring && quiz.scoring.partialCredit) || "partial";
+  const results = [];
+  let caseStudyId = null;
+  let finished = true;
+
+  print(`${quiz.title || quiz.topic} · ${quiz.questions.length} question(s)`);
+  print("Press Enter without an answer to skip a question.");
+
+  for (const [idx, q] of quiz.questions.entries()) {
+    if (q.caseStudy && q.caseStudy.id !== caseStudyId) {
+      print("");
+      caseStudyLines(q.caseStudy).forEach((line) => print(line));
+    }
+    caseStudyId = q.caseStudy ? q.caseStudy.id : null;
+
+    const shown = publicQuestion(q);
+    const reader = terminalReaders[shown.type || "single"];
+    print("");
+    print(`Question ${idx + 1} of ${quiz.questions.length}: ${q.question}`);
+    reader.lines(shown).forEach((line) => print(line));
+
+    let answer;
+    while (answer === undefined) {
+      const text = await ask(`${reader.prompt(shown)}: `);
+      if (text === null) break;
+      if (!text.trim()) {
+        answer = null;
+        break;
+      }
+      const read = reader.read(shown, text);
+      if (read.error) print(read.error);
+      else answer = read.answer;
+    }
+    if (answer === undefined) {
+      finished = false;
+      break;
+    }
+
+    const score = scoreAnswer(q, answer, scoringMode);
+    results.push({ id: q.id, answer, score });
+    print(feedbackLine(score, answer));
+    if (score < 1) print(describeCorrectAnswer(q));
+    rationaleLines(q, answer).forEach((line) => print(line));
+    if (q.explanation) print(q.explanation);
+  }
+
+  const score = results.reduce((sum, r) => sum + r.score, 0);
+  const total = quiz.questions.length;
+  print("");
+  print(
+    `Score: ${Math.round(score * 100) / 100} / ${total} (${Math.round(
+      (score / total) * 100
+    )}%)`
+  );
+
+  return {
+    score,
+    total,
+    answered: results.filter((r) => r.answer !== null).length,
+    finished,
+    results,
+  };
+}
+
+module.exports = { takeQuiz };
@@ -0,0 +1,360 @@
+// lib/usage.js
+// Usage ledger: tokens and cost of every model call, per endpoint and per
+// user, priced from the pricing table (PRICING_FILE), plus the daily and
+// monthly spend budgets that stop new calls once they are used up.
+// Next to the calls the ledger keeps the cost per UTC day, so a budget
+// check adds up a month of days instead of every call.
+const fs = require("fs");
+const config = require("./config");
+const { createJsonStore } = require("./store");
+
+let pricingCache = null;
+const warnedModels = new Set();
+
+function loadPricing() {
+  if (pricingCache) return pricingCache;
+
+  try {
+    const table = JSON.parse(fs.readFileSync(config.pricingFile, "utf8"));
+    pricingCache = table.models || {};
+  } catch (err) {
+    console.error(
+      `[USAGE] Could not read pricing from ${config.pricingFile}, costs will show as 0.`,
+      err
+    );
+    pricingCache = {};
+  }
+  return pricingCache;
+}
+
+/**
+ * Helper: price per 1M tokens for a model. Dated snapshots such as
+ * "gpt-5-mini-2025-08-07" use the longest listed name they start with.
+ * Returns { model, input, output } or null when the model is not listed.
+ */
+function priceFor(model) {
+  const models = loadPricing();
+  if (!model) return null;
+  if (models[model]) return { model, ...models[model] };
+
+  const base = Object.keys(models)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? { model: base, ...models[base] } : null;
+}
+
+/**
+ * Cost in USD of one call (or a sum of calls) with the given model.
+ * Returns { costUsd, priced }; unknown models cost 0 and are flagged.
+ */
+function costOf(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const price = priceFor(model);
+  if (!price) {
+    if (model && !warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`[USAGE] No price for model "${model}" in pricing table.`);
+    }
+    return { costUsd: 0, priced: false };
+  }
+
+  const costUsd =
+    (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+  return { costUsd: Number(costUsd.toFixed(6)), priced: true };
+}
+
+/**
+ * Helper: who made the request: the signed-in learner's username, else
+ * the optional X-User header (e.g. set by a proxy), else the client address.
+ */
+function requestUser(req) {
+  if (req.user) return req.user.username;
+  const name = String(req.get("X-User") || "")
+    .trim()
+    .slice(0, 60);
+  return name || req.ip || "unknown";
+}
+
+// Rough "4 characters per token" rule of thumb, for cancelled streams
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+function roundUsd(value) {
+  return Number(value.toFixed(6));
+}
+
+// Budget periods are calendar days / months in UTC
+function periodOf(iso, period) {
+  return period === "daily" ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+// Cache hits are listed too: no tokens or cost, but what they saved
+function sumUsage(entries) {
+  return entries.reduce(
+    (total, e) => ({
+      calls: total.calls + (e.cached ? 0 : 1),
+      cacheHits: total.cacheHits + (e.cached ? 1 : 0),
+      promptTokens: total.promptTokens + e.promptTokens,
+      completionTokens: total.completionTokens + e.completionTokens,
+      costUsd: roundUsd(total.costUsd + e.costUsd),
+      savedUsd: roundUsd(total.savedUsd + (e.savedUsd || 0)),
+    }),
+    {
+      calls: 0,
+      cacheHits: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      costUsd: 0,
+      savedUsd: 0,
+    }
+  );
+}
+
+// Totals per value of `field`, most expensive first
+function groupUsage(entries, field) {
+  const groups = new Map();
+  entries.forEach((e) => {
+    if (!groups.has(e[field])) groups.set(e[field], []);
+    groups.get(e[field]).push(e);
+  });
+
+  return [...groups.entries()]
+    .map(([name, items]) => ({ name, ...sumUsage(items) }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls);
+}
+
+// Helper: cost per "YYYY-MM-DD" (UTC) of a list of calls
+function dailyCostOf(entries) {
+  const days = {};
+  entries.forEach((e) => {
+    const day = e.at.slice(0, 10);
+    days[day] = roundUsd((days[day] || 0) + e.costUsd);
+  });
+  return days;
+}
+
+function createUsageLedger(
+  store = createJsonStore("usage", { entries: [], dailyCostUsd: {} }),
+  budgets = config.budgets
+) {
+  // Ledgers from before the daily index get it built (and saved) once
+  function dailyCosts() {
+    if (!store.read().dailyCostUsd) {
+      store.update((data) => {
+        data.dailyCostUsd = dailyCostOf(data.entries);
+      });
+    }
+    return store.read().dailyCostUsd;
+  }
+
+  function add(entry) {
+    dailyCosts();
+    const day = entry.at.slice(0, 10);
+    store.update((data) => {
+      data.entries.push(entry);
+      data.dailyCostUsd[day] = roundUsd(
+        (data.dailyCostUsd[day] || 0) + entry.costUsd
+      );
+    });
+  }
+
+  function record({
+    endpoint,
+    user,
+    model,
+    promptTokens = 0,
+    completionTokens = 0,
+    estimated = false,
+  }) {
+    const { costUsd, priced } = costOf(model, {
+      promptTokens,
+      completionTokens,
+    });
+    const entry = {
+      at: new Date().toISOString(),
+      endpoint,
+      user: user || "unknown",
+      model: model || null,
+      promptTokens,
+      completionTokens,
+      costUsd,
+      priced,
+    };
+    if (estimated) entry.estimated = true;
+
+    add(entry);
+    return entry;
+  }
+
+  /**
+   * A response served from the cache: free, but worth what the original
+   * call cost, so the report can show the savings.
+   */
+  function recordCacheHit({ endpoint, user, model, savedUsd = 0 }) {
+    const entry = {
+      at: new Date().toISOString(),
+      endpoint,
+      user: user || "unknown",
+      model: model || null,
+      promptTokens: 0,
+      completionTokens: 0,
+      costUsd: 0,
+      priced: true,
+      cached: true,
+      savedUsd,
+    };
+    add(entry);
+    return entry;
+  }
+
+  function spent(period, now = new Date()) {
+    const current = periodOf(now.toISOString(), period);
+    return roundUsd(
+      Object.entries(dailyCosts())
+        .filter(([day]) => periodOf(day, period) === current)
+        .reduce((sum, [, costUsd]) => sum + costUsd, 0)
+    );
+  }
+
+  /**
+   * Spend vs. limit per period. A limit of 0 (or unset) means no cap.
+   */
+  function budgetStatus(now = new Date()) {
+    const status = {};
+    [
+      ["daily", budgets.dailyUsd],
+      ["monthly", budgets.monthlyUsd],
+    ].forEach(([period, limit]) => {
+      const spentUsd = spent(period, now);
+      status[period] = {
+        limitUsd: limit || null,
+        spentUsd,
+        remainingUsd: limit ? roundUsd(Math.max(limit - spentUsd, 0)) : null,
+      };
+    });
+    return status;
+  }
+
+  /**
+   * Returns null while spending is allowed, else { error, period, limitUsd,
+   * spentUsd } for the first budget that is used up.
+   */
+  function checkBudget(now = new Date()) {
+    const status = budgetStatus(now);
+    for (const period of ["daily", "monthly"]) {
+      const { limitUsd, spentUsd } = status[period];
+      if (limitUsd && spentUsd >= limitUsd) {
+        const resets =
+          period === "daily"
+            ? "It resets at midnight UTC."
+            : "It resets on the 1st of next month (UTC).";
+        return {
+          error: `The ${period} API budget of ${formatUsd(
+            limitUsd
+          )} has been used (${formatUsd(spentUsd)} spent). ${resets}`,
+          period,
+          limitUsd,
+          spentUsd,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Wrap a provider so every call is budget-checked first and recorded in
+   * the ledger under `endpoint` and `user`. A cancelled stream is recorded
+   * with estimated tokens for the text it had produced.
+   */
+  function track(llm, { endpoint, user }) {
+    async function complete(request) {
+      const over = checkBudget();
+      if (over) {
+        const { error, ...budget } = over;
+        const err = new Error(error);
+        err.code = "BUDGET_EXCEEDED";
+        err.budget = budget;
+        throw err;
+      }
+
+      let streamed = "";
+      const onDelta =
+        request.onDelta &&
+        ((delta) => {
+          streamed += delta;
+          request.onDelta(delta);
+        });
+
+      try {
+        const completion = await llm.complete({ ...request, onDelta });
+        record({
+          endpoint,
+          user,
+          model: completion.model || request.model,
+          promptTokens: completion.usage.promptTokens,
+          completionTokens: completion.usage.completionTokens,
+        });
+        return completion;
+      } catch (err) {
+        if (streamed) {
+          record({
+            endpoint,
+            user,
+            model: request.model,
+            promptTokens: estimateTokens(
+              request.messages.map((m) => m.content).join("\n")
+            ),
+            completionTokens: estimateTokens(streamed),
+            estimated: true,
+          });
+        }
+        throw err;
+      }
+    }
+
+    return { ...llm, complete };
+  }
+
+  /**
+   * Usage between two days (inclusive, "YYYY-MM-DD", UTC), optionally for
+   * one user or endpoint: totals, breakdowns and the current budgets.
+   */
+  function report({ from, to, user, endpoint } = {}) {
+    const entries = store
+      .read()
+      .entries.filter((e) => {
+        const day = e.at.slice(0, 10);
+        return (
+          (!from || day >= from) &&
+          (!to || day <= to) &&
+          (!user || e.user === user) &&
+          (!endpoint || e.endpoint === endpoint)
+        );
+      })
+      .map((e) => ({ ...e, day: e.at.slice(0, 10) }));
+
+    return {
+      from: from || null,
+      to: to || null,
+      totals: sumUsage(entries),
+      byEndpoint: groupUsage(entries, "endpoint"),
+      byUser: groupUsage(entries, "user"),
+      byModel: groupUsage(entries, "model"),
+      byDay: groupUsage(entries, "day").sort((a, b) =>
+        a.name.localeCompare(b.name)
+      ),
+      unpricedModels: [
+        ...new Set(entries.filter((e) => !e.priced).map((e) => e.model)),
+      ],
+      budgets: budgetStatus(),
+    };
+  }
+
+  return { record, recordCacheHit, checkBudget, budgetStatus, track, report };
+}
+
+module.exports = { createUsageLedger, costOf, priceFor, requestUser };
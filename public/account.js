@@ -0,0 +1,58 @@
+// public/account.js
+// Who is signed in: shows the account bar and sends learners to the login
+// page when the server requires accounts (AUTH_ENABLED). Load after
+// i18n.js.
+
+const accountBar = document.getElementById("account-bar");
+
+function renderAccountBar(user) {
+  accountBar.innerHTML = "";
+  accountBar.appendChild(
+    document.createTextNode(
+      t(
+        user.role === "admin"
+          ? "account.signedInAsAdmin"
+          : "account.signedInAs",
+        { name: user.displayName }
+      )
+    )
+  );
+
+  const logout = document.createElement("button");
+  logout.type = "button";
+  logout.className = "link-button";
+  logout.textContent = t("account.logout");
+  logout.addEventListener("click", async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    window.location.href = "login.html";
+  });
+  accountBar.appendChild(logout);
+}
+
+/**
+ * The signed-in user, or null when accounts are turned off.
+ */
+async function loadAccount() {
+  const res = await fetch("/api/auth/me");
+  if (!res.ok) return null;
+  const { enabled, user } = await res.json();
+  if (!enabled) return null;
+
+  if (!user) {
+    const here = window.location.pathname + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(here)}`;
+    return null;
+  }
+
+  await i18nReady;
+  renderAccountBar(user);
+  // 🌐 Redraw in the new language
+  document.addEventListener("uilanguagechange", () => renderAccountBar(user));
+  return user;
+}
+
+// Pages that care about the role (the dashboard's team view) wait for this
+const accountReady = loadAccount().catch((err) => {
+  console.error("Could not load account", err);
+  return null;
+});
@@ -0,0 +1,244 @@
+// public/adaptive-mode.js
+// Adaptive quiz: one question at a time, each at the difficulty that best
+// matches the learner's running ability estimate (irt.js). Questions are
+// fetched in small batches per level from /api/generate-quiz, which reuses
+// the question bank first. Rendering and grading come from quiz-engine.js.
+
+const adaptiveBar = document.getElementById("adaptive-bar");
+const adaptiveProgress = document.getElementById("adaptive-progress");
+const adaptiveAbility = document.getElementById("adaptive-ability");
+const adaptiveSubmitBtn = document.getElementById("adaptive-submit-btn");
+const adaptiveNextBtn = document.getElementById("adaptive-next-btn");
+const adaptiveFinishBtn = document.getElementById("adaptive-finish-btn");
+
+// Questions fetched per request for a level; the rest wait in a pool
+const ADAPTIVE_BATCH = 3;
+
+let adaptive = null;
+
+/**
+ * Start an adaptive quiz of `request.count` questions in `container`.
+ * `onFinish(report)` is called once with the graded answers, the ability
+ * estimate and the pass likelihood; `onError(err)` when questions can't be
+ * loaded.
+ */
+function startAdaptive({ request, container, onFinish, onError }) {
+  cancelAdaptive();
+
+  adaptive = {
+    request,
+    container,
+    onFinish,
+    onError,
+    total: request.count,
+    responses: [],
+    pools: {},
+    seenIds: [],
+    scoring: { partialCredit: request.partialCredit },
+    blueprint: null,
+    usage: { promptTokens: 0, completionTokens: 0, costUsd: 0, reused: 0 },
+    controller: new AbortController(),
+    current: null,
+    startedAt: Date.now(),
+  };
+
+  container.innerHTML = "";
+  adaptiveBar.classList.remove("hidden");
+  showAbility();
+  serveNextQuestion();
+}
+
+// Drop a running adaptive quiz without a report (e.g. a new quiz was requested)
+function cancelAdaptive() {
+  if (adaptive) adaptive.controller.abort();
+  adaptive = null;
+  adaptiveBar.classList.add("hidden");
+}
+
+function showAbility() {
+  const estimate = estimateAbility(adaptive.responses);
+  adaptiveAbility.textContent = adaptive.responses.length
+    ? t("adaptive.ability", {
+        theta: estimate.theta,
+        se: estimate.se,
+        level: t(`level.${estimate.level}`),
+      })
+    : t("adaptive.starting");
+}
+
+/**
+ * Next question at `level`, from the pool or a new batch. Returns null
+ * when the server has nothing more to give.
+ */
+async function takeQuestion(level) {
+  const pool = adaptive.pools[level] || (adaptive.pools[level] = []);
+
+  if (!pool.length) {
+    const res = await fetch("/api/generate-quiz", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ...adaptive.request,
+        difficulty: level,
+        count: ADAPTIVE_BATCH,
+        excludeIds: adaptive.seenIds,
+      }),
+      signal: adaptive.controller.signal,
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || t("adaptive.loadFailed"));
+    }
+
+    const data = await res.json();
+    adaptive.scoring = data.scoring || adaptive.scoring;
+    adaptive.blueprint = data.blueprint || adaptive.blueprint;
+    if (data.usage) {
+      adaptive.usage.promptTokens += data.usage.promptTokens;
+      adaptive.usage.completionTokens += data.usage.completionTokens;
+      adaptive.usage.costUsd += data.usage.estimatedCostUsd || 0;
+    }
+    if (data.bank) adaptive.usage.reused += data.bank.reused;
+
+    pool.push(
+      ...(data.questions || []).filter((q) => !adaptive.seenIds.includes(q.id))
+    );
+  }
+
+  const q = pool.shift() || null;
+  if (q) adaptive.seenIds.push(q.id);
+  return q;
+}
+
+async function serveNextQuestion() {
+  const state = adaptive;
+  const { level } = estimateAbility(state.responses);
+  const number = state.responses.length + 1;
+
+  adaptiveProgress.textContent = t("adaptive.loading", {
+    number,
+    total: state.total,
+    level: t(`level.${level}`),
+  });
+  adaptiveSubmitBtn.disabled = true;
+  adaptiveNextBtn.classList.add("hidden");
+  adaptiveFinishBtn.disabled = true;
+
+  let q;
+  try {
+    q = await takeQuestion(level);
+  } catch (err) {
+    if (err.name === "AbortError" || adaptive !== state) return;
+    if (state.responses.length) {
+      finishAdaptive();
+    } else {
+      cancelAdaptive();
+    }
+    state.onError(err);
+    return;
+  }
+  if (adaptive !== state) return;
+
+  // Out of questions at this level: report on what was answered
+  if (!q) {
+    if (state.responses.length) {
+      finishAdaptive();
+    } else {
+      cancelAdaptive();
+      state.onError(new Error(t("status.noQuestions")));
+    }
+    return;
+  }
+
+  // Each card gets its own slot so grading one leaves the others alone
+  const slot = document.createElement("div");
+  slot.className = "adaptive-slot";
+  appendQuestionCard(slot, q, number - 1);
+  highlightGlossaryTerms(slot);
+  state.container.appendChild(slot);
+  slot.scrollIntoView({ behavior: "smooth", block: "start" });
+
+  state.current = { q, level, slot, shownAt: Date.now() };
+  adaptiveProgress.textContent = `${t("progress.question", {
+    number,
+    total: state.total,
+  })} · ${t(`level.${level}`)}`;
+  adaptiveSubmitBtn.disabled = false;
+  adaptiveFinishBtn.disabled = !state.responses.length;
+}
+
+function submitAdaptiveAnswer() {
+  const { q, level, slot, shownAt } = adaptive.current;
+  if (!isQuestionAnswered(slot, q)) {
+    adaptiveProgress.textContent = t("adaptive.answerFirst");
+    return;
+  }
+
+  const [result] = gradeQuestions([q], slot, adaptive.scoring).results;
+  adaptive.responses.push({
+    ...result,
+    difficulty: level,
+    timeMs: Date.now() - shownAt,
+  });
+  // Lock the answer, but leave "Challenge this answer" usable
+  slot.querySelectorAll("input, select, button").forEach((input) => {
+    if (!input.closest(".question-challenge")) input.disabled = true;
+  });
+
+  const before = level;
+  const { level: next } = estimateAbility(adaptive.responses);
+  showAbility();
+  adaptiveSubmitBtn.disabled = true;
+  adaptiveFinishBtn.disabled = false;
+
+  if (adaptive.responses.length >= adaptive.total) {
+    finishAdaptive();
+    return;
+  }
+
+  const move =
+    next === before
+      ? "adaptive.stay"
+      : ADAPTIVE_LEVELS.indexOf(next) > ADAPTIVE_LEVELS.indexOf(before)
+      ? "adaptive.up"
+      : "adaptive.down";
+  adaptiveProgress.textContent = t(move, { level: t(`level.${next}`) });
+  adaptiveNextBtn.classList.remove("hidden");
+}
+
+function finishAdaptive() {
+  if (!adaptive) return;
+  const state = adaptive;
+  cancelAdaptive();
+
+  const results = state.responses;
+  const points =
+    Math.round(results.reduce((sum, r) => sum + r.score, 0) * 100) / 100;
+  const timeSpent = {};
+  results.forEach((r) => (timeSpent[r.question.id] = r.timeMs));
+
+  state.onFinish({
+    results,
+    points,
+    total: results.length,
+    percent: results.length ? Math.round((points / results.length) * 100) : 0,
+    ability: withPassLikelihood(
+      results,
+      (state.blueprint && state.blueprint.passingScore) || 70
+    ),
+    blueprint: state.blueprint,
+    scoring: state.scoring,
+    usage: state.usage,
+    timeSpent,
+    durationMs: Date.now() - state.startedAt,
+  });
+}
+
+adaptiveSubmitBtn.addEventListener("click", submitAdaptiveAnswer);
+
+adaptiveNextBtn.addEventListener("click", () => {
+  adaptiveNextBtn.classList.add("hidden");
+  serveNextQuestion();
+});
+
+adaptiveFinishBtn.addEventListener("click", finishAdaptive);
@@ -0,0 +1,524 @@
+// public/dashboard.js
+// Progress dashboard: totals, streaks, exam readiness, accuracy trend per
+// topic + difficulty, weakest areas and recent attempts (/api/history).
+// Admins also get the team view and can look at any learner's progress.
+// Texts follow the interface language (i18n.js); the last data loaded is
+// kept so a language switch can redraw without fetching again.
+
+const topicFilter = document.getElementById("filter-topic");
+const difficultyFilter = document.getElementById("filter-difficulty");
+const dashboardStatus = document.getElementById("dashboard-status");
+const statsDiv = document.getElementById("dashboard-stats");
+const readinessDiv = document.getElementById("dashboard-readiness");
+const trendDiv = document.getElementById("dashboard-trend");
+const weakestDiv = document.getElementById("dashboard-weakest");
+const attemptsBody = document.getElementById("dashboard-attempts");
+const usageDiv = document.getElementById("dashboard-usage");
+const userFilter = document.getElementById("filter-user");
+const userFilterField = document.getElementById("filter-user-field");
+const teamSection = document.getElementById("team-section");
+const teamDiv = document.getElementById("dashboard-team");
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const TREND_COLORS = ["#2563eb", "#16a34a", "#dc2626", "#9333ea", "#ea580c"];
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function svg(tag, attrs) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) =>
+    node.setAttribute(key, value)
+  );
+  return node;
+}
+
+const shown = { summary: null, attempts: null, usage: null, team: null };
+
+// Helper: mode / difficulty names in the interface language
+function modeLabel(mode) {
+  const key = `mode.${mode}`;
+  const label = t(key);
+  return label === key ? mode : label;
+}
+
+function difficultyLabel(difficulty) {
+  return difficulty ? t(`difficulty.${difficulty}`) : t("dashboard.mixed");
+}
+
+function filterQuery() {
+  const params = new URLSearchParams();
+  if (userFilter.value) params.set("user", userFilter.value);
+  if (topicFilter.value) params.set("topic", topicFilter.value);
+  if (difficultyFilter.value) params.set("difficulty", difficultyFilter.value);
+  return params;
+}
+
+function renderStats({ totals, streaks }) {
+  statsDiv.innerHTML = "";
+
+  [
+    [t("dashboard.quizzes"), totals.attempts],
+    [t("dashboard.questionsAnswered"), totals.questions],
+    [t("dashboard.overallAccuracy"), `${totals.percent}%`],
+    [t("dashboard.studyTime"), formatDuration(totals.studyTimeMs)],
+    [
+      t("dashboard.currentStreak"),
+      t("common.days", { count: streaks.current }),
+    ],
+    [
+      t("dashboard.longestStreak"),
+      t("common.days", { count: streaks.longest }),
+    ],
+  ].forEach(([label, value]) => {
+    const tile = el("div", "stat-tile");
+    tile.appendChild(el("div", "stat-value", value));
+    tile.appendChild(el("div", "stat-label", label));
+    statsDiv.appendChild(tile);
+  });
+}
+
+function renderReadiness(readiness) {
+  readinessDiv.innerHTML = "";
+  if (!readiness.length) {
+    readinessDiv.appendChild(
+      el("p", "dashboard-empty", t("dashboard.readinessEmpty"))
+    );
+    return;
+  }
+
+  readiness.forEach((r) => {
+    const row = el("div", `readiness-row ${r.ready ? "ready" : "not-ready"}`);
+    row.appendChild(el("strong", null, r.topic));
+    row.appendChild(
+      el(
+        "span",
+        "readiness-verdict",
+        r.ready ? t("dashboard.ready") : t("dashboard.notYet")
+      )
+    );
+    const vars = {
+      percent: r.recentPercent,
+      answered: r.answered,
+      target: r.target,
+      minimum: r.minimumAnswers,
+      passMark: r.passingScore,
+      area: r.weakDomain ? r.weakDomain.area : "",
+      areaPercent: r.weakDomain ? r.weakDomain.percent : "",
+    };
+    row.appendChild(
+      el(
+        "div",
+        "readiness-detail",
+        `${t("dashboard.readinessDetail", vars)} ${
+          r.reasonCode ? t(`dashboard.reason.${r.reasonCode}`, vars) : r.reason
+        }`
+      )
+    );
+    readinessDiv.appendChild(row);
+  });
+}
+
+/**
+ * Line chart of score per attempt over time, one line per
+ * topic + difficulty. Plain SVG, no chart library.
+ */
+function renderTrend(trends) {
+  trendDiv.innerHTML = "";
+  const series = trends.filter((t) => t.points.length);
+  if (!series.length) {
+    trendDiv.appendChild(el("p", "dashboard-empty", t("dashboard.noAttempts")));
+    return;
+  }
+
+  const width = 640;
+  const height = 220;
+  const pad = { left: 36, right: 12, top: 10, bottom: 24 };
+
+  const times = series.flatMap((s) => s.points.map((p) => Date.parse(p.at)));
+  const minTime = Math.min(...times);
+  const span = Math.max(...times) - minTime || 1;
+  const x = (time) =>
+    pad.left + ((time - minTime) / span) * (width - pad.left - pad.right);
+  const y = (percent) =>
+    pad.top + (1 - percent / 100) * (height - pad.top - pad.bottom);
+
+  const chart = svg("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "trend-chart",
+    role: "img",
+    "aria-label": t("dashboard.trendLabel"),
+  });
+
+  [0, 25, 50, 75, 100].forEach((percent) => {
+    chart.appendChild(
+      svg("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y(percent),
+        y2: y(percent),
+        class: "trend-grid",
+      })
+    );
+    const label = svg("text", {
+      x: pad.left - 6,
+      y: y(percent) + 4,
+      "text-anchor": "end",
+      class: "trend-axis",
+    });
+    label.textContent = `${percent}%`;
+    chart.appendChild(label);
+  });
+
+  const legend = el("div", "trend-legend");
+
+  series.forEach((s, idx) => {
+    const color = TREND_COLORS[idx % TREND_COLORS.length];
+    const coords = s.points.map((p) => [x(Date.parse(p.at)), y(p.percent)]);
+
+    chart.appendChild(
+      svg("polyline", {
+        points: coords.map((c) => c.join(",")).join(" "),
+        fill: "none",
+        stroke: color,
+        "stroke-width": 2,
+      })
+    );
+    coords.forEach(([cx, cy], pointIdx) => {
+      const dot = svg("circle", { cx, cy, r: 3.5, fill: color });
+      const title = svg("title", {});
+      const point = s.points[pointIdx];
+      title.textContent = `${new Date(point.at).toLocaleString()}: ${
+        point.percent
+      }%`;
+      dot.appendChild(title);
+      chart.appendChild(dot);
+    });
+
+    const key = el("span", "trend-key");
+    const swatch = el("span", "trend-swatch");
+    swatch.style.background = color;
+    key.appendChild(swatch);
+    key.appendChild(
+      document.createTextNode(
+        t("dashboard.trendKey", {
+          topic: s.topic,
+          difficulty: difficultyLabel(s.difficulty),
+          count: s.points.length,
+        })
+      )
+    );
+    legend.appendChild(key);
+  });
+
+  trendDiv.appendChild(chart);
+  trendDiv.appendChild(legend);
+}
+
+function renderWeakest(weakest) {
+  weakestDiv.innerHTML = "";
+  if (!weakest.length) {
+    weakestDiv.appendChild(
+      el("p", "dashboard-empty", t("dashboard.weakestEmpty"))
+    );
+    return;
+  }
+
+  weakest.forEach((area) => {
+    const row = el("div", "domain-row");
+    row.appendChild(el("span", "domain-name", area.area));
+    const bar = el("span", "domain-bar");
+    const fill = el("span", "domain-bar-fill");
+    fill.style.width = `${area.percent}%`;
+    bar.appendChild(fill);
+    row.appendChild(bar);
+    row.appendChild(
+      el(
+        "span",
+        "domain-score",
+        `${area.points} / ${area.answered} (${area.percent}%)`
+      )
+    );
+    weakestDiv.appendChild(row);
+  });
+}
+
+function renderAttempts(attempts) {
+  attemptsBody.innerHTML = "";
+
+  attempts.forEach((a) => {
+    let mode = modeLabel(a.mode);
+    if (a.timedOut) mode = t("dashboard.timedOut", { mode });
+    if (a.ability) {
+      mode = t("dashboard.withAbility", { mode, theta: a.ability.theta });
+    }
+
+    const row = document.createElement("tr");
+    [
+      new Date(a.createdAt).toLocaleString(),
+      a.topic,
+      a.difficulty ? t(`difficulty.${a.difficulty}`) : "–",
+      mode,
+      `${a.points} / ${a.total} (${a.percent}%)`,
+      a.durationMs === null ? "–" : formatDuration(a.durationMs),
+    ].forEach((text) => row.appendChild(el("td", null, text)));
+    attemptsBody.appendChild(row);
+  });
+}
+
+function formatUsd(value) {
+  return `$${value < 1 ? value.toFixed(4) : value.toFixed(2)}`;
+}
+
+function usageTable(title, groups) {
+  const table = el("table", "dashboard-table");
+  const head = document.createElement("tr");
+  [
+    title,
+    t("dashboard.calls"),
+    t("dashboard.cacheHits"),
+    t("dashboard.inputTokens"),
+    t("dashboard.outputTokens"),
+    t("dashboard.cost"),
+    t("dashboard.saved"),
+  ].forEach((text) => head.appendChild(el("th", null, text)));
+  table.appendChild(el("thead")).appendChild(head);
+
+  const body = el("tbody");
+  groups.forEach((g) => {
+    const row = document.createElement("tr");
+    [
+      g.name,
+      g.calls,
+      g.cacheHits,
+      g.promptTokens,
+      g.completionTokens,
+      formatUsd(g.costUsd),
+      formatUsd(g.savedUsd),
+    ].forEach((text) => row.appendChild(el("td", null, String(text))));
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+/**
+ * Shared API spend from /api/usage: month totals, budget bars and
+ * breakdowns per endpoint and per user.
+ */
+function renderUsage(usage) {
+  usageDiv.innerHTML = "";
+
+  const tiles = el("div", "dashboard-stats");
+  [
+    [t("dashboard.spentThisMonth"), formatUsd(usage.totals.costUsd)],
+    [t("dashboard.savedByCache"), formatUsd(usage.totals.savedUsd)],
+    [t("dashboard.modelCalls"), usage.totals.calls],
+    [t("dashboard.cacheHits"), usage.totals.cacheHits],
+    [t("dashboard.inputTokens"), usage.totals.promptTokens],
+    [t("dashboard.outputTokens"), usage.totals.completionTokens],
+  ].forEach(([label, value]) => {
+    const tile = el("div", "stat-tile");
+    tile.appendChild(el("div", "stat-value", String(value)));
+    tile.appendChild(el("div", "stat-label", label));
+    tiles.appendChild(tile);
+  });
+  usageDiv.appendChild(tiles);
+
+  [
+    [t("dashboard.dailyBudget"), usage.budgets.daily],
+    [t("dashboard.monthlyBudget"), usage.budgets.monthly],
+  ].forEach(([label, budget]) => {
+    const row = el("div", "domain-row");
+    row.appendChild(el("span", "domain-name", label));
+    if (!budget.limitUsd) {
+      row.appendChild(
+        el(
+          "span",
+          "domain-score",
+          t("dashboard.noCap", { spent: formatUsd(budget.spentUsd) })
+        )
+      );
+      usageDiv.appendChild(row);
+      return;
+    }
+
+    const used = Math.min((budget.spentUsd / budget.limitUsd) * 100, 100);
+    const bar = el("span", "domain-bar");
+    const fill = el("span", "domain-bar-fill");
+    fill.style.width = `${used}%`;
+    if (used >= 100) fill.classList.add("over-budget");
+    bar.appendChild(fill);
+    row.appendChild(bar);
+    row.appendChild(
+      el(
+        "span",
+        "domain-score",
+        t("dashboard.budgetUsed", {
+          spent: formatUsd(budget.spentUsd),
+          limit: formatUsd(budget.limitUsd),
+        })
+      )
+    );
+    usageDiv.appendChild(row);
+  });
+
+  if (!usage.totals.calls && !usage.totals.cacheHits) {
+    usageDiv.appendChild(el("p", "dashboard-empty", t("dashboard.noCalls")));
+    return;
+  }
+
+  usageDiv.appendChild(usageTable(t("dashboard.endpoint"), usage.byEndpoint));
+  usageDiv.appendChild(usageTable(t("dashboard.user"), usage.byUser));
+
+  if (usage.unpricedModels.length) {
+    usageDiv.appendChild(
+      el(
+        "p",
+        "dashboard-empty",
+        t("dashboard.unpriced", { models: usage.unpricedModels.join(", ") })
+      )
+    );
+  }
+}
+
+/**
+ * Admin only: one row per account from /api/admin/users.
+ */
+function renderTeam(users) {
+  teamDiv.innerHTML = "";
+
+  const table = el("table", "dashboard-table team-table");
+  const head = document.createElement("tr");
+  [
+    t("dashboard.learner"),
+    t("dashboard.role"),
+    t("dashboard.quizzes"),
+    t("dashboard.accuracy"),
+    t("dashboard.streak"),
+    t("dashboard.lastStudied"),
+    t("dashboard.reviewsDue"),
+    t("dashboard.readyFor"),
+    t("dashboard.spentThisMonth"),
+  ].forEach((text) => head.appendChild(el("th", null, text)));
+  table.appendChild(el("thead")).appendChild(head);
+
+  const body = el("tbody");
+  users.forEach((u) => {
+    const row = document.createElement("tr");
+    [
+      `${u.displayName} (${u.username})`,
+      u.role,
+      u.progress.attempts,
+      u.progress.questions ? `${u.progress.percent}%` : "–",
+      t("common.days", { count: u.progress.currentStreak }),
+      u.progress.lastStudyDay || t("common.never"),
+      t("dashboard.reviewsOf", { due: u.review.due, total: u.review.total }),
+      u.progress.readyTopics.join(", ") || "–",
+      formatUsd(u.spendUsd),
+    ].forEach((text) => row.appendChild(el("td", null, String(text))));
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  teamDiv.appendChild(table);
+}
+
+async function loadTeam() {
+  const res = await fetch(
+    `/api/admin/users?tz=${new Date().getTimezoneOffset()}`
+  );
+  if (!res.ok) throw new Error("Failed to load team");
+  const { users } = await res.json();
+
+  shown.team = users;
+  renderTeam(users);
+  teamSection.classList.remove("hidden");
+
+  // Let the admin switch the whole dashboard to one learner
+  users.forEach((u) => {
+    const option = document.createElement("option");
+    option.value = u.id;
+    option.textContent = u.displayName;
+    userFilter.appendChild(option);
+  });
+  userFilterField.classList.remove("hidden");
+}
+
+async function loadUsage() {
+  const res = await fetch("/api/usage");
+  if (!res.ok) throw new Error("Failed to load usage");
+  shown.usage = await res.json();
+  renderUsage(shown.usage);
+}
+
+async function loadTopics() {
+  const res = await fetch("/api/history?limit=200");
+  if (!res.ok) return;
+  const { attempts } = await res.json();
+
+  [...new Set(attempts.map((a) => a.topic))].sort().forEach((topic) => {
+    const option = document.createElement("option");
+    option.value = topic;
+    option.textContent = topic;
+    topicFilter.appendChild(option);
+  });
+}
+
+async function loadDashboard() {
+  dashboardStatus.textContent = t("common.loading");
+  try {
+    const params = filterQuery();
+    params.set("tz", new Date().getTimezoneOffset());
+
+    const [summaryRes, attemptsRes] = await Promise.all([
+      fetch(`/api/history/summary?${params}`),
+      fetch(`/api/history?limit=20&${filterQuery()}`),
+    ]);
+    if (!summaryRes.ok || !attemptsRes.ok) {
+      throw new Error(t("dashboard.loadFailed"));
+    }
+
+    shown.summary = await summaryRes.json();
+    shown.attempts = (await attemptsRes.json()).attempts;
+    renderHistory();
+    dashboardStatus.textContent = "";
+  } catch (err) {
+    console.error(err);
+    dashboardStatus.textContent = t("status.error", { message: err.message });
+  }
+}
+
+function renderHistory() {
+  renderStats(shown.summary);
+  renderReadiness(shown.summary.readiness);
+  renderTrend(shown.summary.trends);
+  renderWeakest(shown.summary.weakest);
+  renderAttempts(shown.attempts);
+}
+
+topicFilter.addEventListener("change", loadDashboard);
+difficultyFilter.addEventListener("change", loadDashboard);
+userFilter.addEventListener("change", loadDashboard);
+
+// 🌐 Redraw what is on screen in the new language
+document.addEventListener("uilanguagechange", () => {
+  if (shown.summary) renderHistory();
+  if (shown.usage) renderUsage(shown.usage);
+  if (shown.team) renderTeam(shown.team);
+});
+
+loadTopics().catch((err) => console.error("Could not load topics", err));
+// These show text, so they wait for the translations
+i18nReady.then(() => {
+  loadUsage().catch((err) => console.error("Could not load usage", err));
+  loadDashboard();
+});
+Promise.all([accountReady, i18nReady]).then(([user]) => {
+  if (user && user.role === "admin") {
+    loadTeam().catch((err) => console.error("Could not load team", err));
+  }
+});
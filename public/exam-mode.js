@@ -0,0 +1,218 @@
+// public/exam-mode.js
+// Timed exam simulation: one question per page, flags, review screen and
+// auto-submit. Rendering and grading come from quiz-engine.js.
+
+const examBar = document.getElementById("exam-bar");
+const examTimer = document.getElementById("exam-timer");
+const examProgress = document.getElementById("exam-progress");
+const examPrevBtn = document.getElementById("exam-prev-btn");
+const examNextBtn = document.getElementById("exam-next-btn");
+const examFlagBtn = document.getElementById("exam-flag-btn");
+const examReviewBtn = document.getElementById("exam-review-btn");
+const examReview = document.getElementById("exam-review");
+const examReviewList = document.getElementById("exam-review-list");
+const examSubmitBtn = document.getElementById("exam-submit-btn");
+const examBackBtn = document.getElementById("exam-back-btn");
+
+let exam = null;
+
+/**
+ * Start an exam over already-rendered question cards in `container`.
+ * `onFinish(grade)` is called once, on manual submit or when time runs out.
+ */
+function startExam(questions, container, { minutes, scoring, onFinish }) {
+  stopExamTimer();
+
+  exam = {
+    questions,
+    container,
+    onFinish,
+    scoring,
+    index: 0,
+    flagged: new Set(),
+    timeSpent: {}, // qid -> ms
+    shownAt: Date.now(),
+    startedAt: Date.now(),
+    endsAt: Date.now() + minutes * 60 * 1000,
+    timerId: null,
+  };
+
+  questions.forEach((q) => (exam.timeSpent[q.id] = 0));
+
+  examBar.classList.remove("hidden");
+  examReview.classList.add("hidden");
+  showExamQuestion(0);
+
+  exam.timerId = setInterval(tickExamTimer, 500);
+  tickExamTimer();
+}
+
+function isExamActive() {
+  return exam !== null;
+}
+
+// Drop a running exam without grading (e.g. a new quiz was requested)
+function cancelExam() {
+  stopExamTimer();
+  exam = null;
+  examBar.classList.add("hidden");
+  examReview.classList.add("hidden");
+}
+
+// Add the time since the current question was shown to its total
+function recordTimeOnCurrent() {
+  const q = exam.questions[exam.index];
+  const now = Date.now();
+  if (q && exam.shownAt) exam.timeSpent[q.id] += now - exam.shownAt;
+  exam.shownAt = now;
+}
+
+function showExamQuestion(index) {
+  if (exam.shownAt) recordTimeOnCurrent();
+
+  exam.index = Math.min(Math.max(index, 0), exam.questions.length - 1);
+  exam.shownAt = Date.now();
+
+  exam.questions.forEach((q, idx) => {
+    const card = findQuestionCard(exam.container, q.id);
+    if (card) card.classList.toggle("hidden", idx !== exam.index);
+  });
+  // A case study's scenario only shows with one of its own questions
+  exam.container.querySelectorAll(".case-study").forEach((section) => {
+    section.classList.toggle(
+      "hidden",
+      !section.querySelector(".question-card:not(.hidden)")
+    );
+  });
+
+  exam.container.classList.remove("hidden");
+  examReview.classList.add("hidden");
+  updateExamBar();
+}
+
+function updateExamBar() {
+  const q = exam.questions[exam.index];
+  const flagged = exam.flagged.has(q.id);
+
+  examProgress.textContent = t("progress.question", {
+    number: exam.index + 1,
+    total: exam.questions.length,
+  });
+  examPrevBtn.disabled = exam.index === 0;
+  examNextBtn.disabled = exam.index === exam.questions.length - 1;
+  examFlagBtn.textContent = t(flagged ? "exam.unflag" : "exam.flag");
+  examFlagBtn.classList.toggle("is-flagged", flagged);
+
+  const card = findQuestionCard(exam.container, q.id);
+  if (card) card.classList.toggle("flagged", flagged);
+}
+
+function tickExamTimer() {
+  if (!exam) return;
+
+  const remaining = exam.endsAt - Date.now();
+  examTimer.textContent = formatDuration(remaining);
+  examTimer.classList.toggle("exam-timer-low", remaining <= 60 * 1000);
+
+  if (remaining <= 0) {
+    finishExam(true);
+  }
+}
+
+function stopExamTimer() {
+  if (exam && exam.timerId) clearInterval(exam.timerId);
+}
+
+function showExamReview() {
+  recordTimeOnCurrent();
+  exam.shownAt = null;
+
+  examReviewList.innerHTML = "";
+
+  exam.questions.forEach((q, idx) => {
+    const answered = isQuestionAnswered(exam.container, q);
+    const flagged = exam.flagged.has(q.id);
+
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "exam-review-item";
+    item.classList.toggle("unanswered", !answered);
+    item.classList.toggle("flagged", flagged);
+    item.textContent =
+      `${idx + 1}. ${t(answered ? "exam.answered" : "exam.unanswered")}` +
+      (flagged ? ` · ${t("exam.flagged")}` : "");
+    item.addEventListener("click", () => showExamQuestion(idx));
+
+    examReviewList.appendChild(item);
+  });
+
+  exam.container.classList.add("hidden");
+  examReview.classList.remove("hidden");
+}
+
+function finishExam(timedOut) {
+  if (!exam) return;
+
+  if (exam.shownAt) recordTimeOnCurrent();
+  stopExamTimer();
+
+  const { questions, container, onFinish, scoring, timeSpent, startedAt } =
+    exam;
+  exam = null;
+
+  examBar.classList.add("hidden");
+  examReview.classList.add("hidden");
+  container.classList.remove("hidden");
+  container.querySelectorAll(".question-card, .case-study").forEach((el) => {
+    el.classList.remove("hidden");
+  });
+
+  const grade = gradeQuestions(questions, container, scoring);
+
+  // ⏱️ Time spent per question, shown on each card
+  questions.forEach((q) => {
+    const card = findQuestionCard(container, q.id);
+    if (!card) return;
+    const time = document.createElement("div");
+    time.className = "question-time";
+    time.textContent = t("exam.timeSpent", {
+      time: formatDuration(timeSpent[q.id]),
+    });
+    card.appendChild(time);
+  });
+
+  onFinish({
+    ...grade,
+    timedOut,
+    timeSpent,
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+examPrevBtn.addEventListener("click", () => {
+  showExamQuestion(exam.index - 1);
+});
+
+examNextBtn.addEventListener("click", () => {
+  showExamQuestion(exam.index + 1);
+});
+
+examFlagBtn.addEventListener("click", () => {
+  const q = exam.questions[exam.index];
+  if (exam.flagged.has(q.id)) {
+    exam.flagged.delete(q.id);
+  } else {
+    exam.flagged.add(q.id);
+  }
+  updateExamBar();
+});
+
+examReviewBtn.addEventListener("click", showExamReview);
+
+examBackBtn.addEventListener("click", () => {
+  showExamQuestion(exam.index);
+});
+
+examSubmitBtn.addEventListener("click", () => {
+  finishExam(false);
+});
@@ -0,0 +1,283 @@
+// public/flashcard-view.js
+// Flashcard study view shared by the quiz page and the flashcards page:
+// flip, shuffle, previous / next and "know / don't know" sorting into
+// piles that are saved with the deck. Texts come from i18n.js.
+
+// Pile -> translation key of its name
+const FLASHCARD_PILES = {
+  all: "flashcards.pileAll",
+  learning: "flashcards.pileLearning",
+  known: "flashcards.pileKnown",
+};
+
+// Helper: small element factory, for the many buttons below
+function flashcardEl(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Helper: element with a fixed text that applyTranslations keeps current
+function flashcardLabel(tag, className, key) {
+  const el = flashcardEl(tag, className, t(key));
+  el.dataset.i18n = key;
+  return el;
+}
+
+function shuffledIds(cards) {
+  const ids = cards.map((card) => card.id);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return ids;
+}
+
+/**
+ * Study `deck` inside `container`. Marks are sent to the server straight
+ * away; `onChange(deck)` runs after every mark so pages can refresh counts.
+ */
+function startFlashcards(deck, container, { onChange } = {}) {
+  const state = {
+    order: deck.cards.map((card) => card.id),
+    pile: "all",
+    pos: 0,
+    flipped: false,
+  };
+  const byId = () => new Map(deck.cards.map((card) => [card.id, card]));
+
+  container.innerHTML = "";
+  const root = flashcardEl("div", "flashcards");
+  root.tabIndex = 0;
+
+  const toolbar = flashcardEl("div", "flashcards-toolbar");
+  const pileSelect = flashcardEl("select", "flashcards-pile");
+  pileSelect.dataset.i18nAriaLabel = "flashcards.pileLabel";
+  pileSelect.setAttribute("aria-label", t("flashcards.pileLabel"));
+  Object.entries(FLASHCARD_PILES).forEach(([value, key]) => {
+    const option = flashcardLabel("option", "", key);
+    option.value = value;
+    pileSelect.appendChild(option);
+  });
+  const shuffleBtn = flashcardLabel(
+    "button",
+    "flashcards-shuffle",
+    "flashcards.shuffle"
+  );
+  shuffleBtn.type = "button";
+  const exportLink = flashcardLabel(
+    "a",
+    "flashcards-export",
+    "flashcards.exportAnki"
+  );
+  exportLink.href = `/api/flashcards/${encodeURIComponent(deck.id)}/export`;
+  const progress = flashcardEl("span", "flashcards-progress");
+  toolbar.append(pileSelect, shuffleBtn, exportLink, progress);
+
+  const card = flashcardEl("div", "flashcard");
+  card.setAttribute("role", "button");
+  card.dataset.i18nTitle = "flashcards.flipHint";
+  card.title = t("flashcards.flipHint");
+  const front = flashcardEl("div", "flashcard-face flashcard-front");
+  const back = flashcardEl("div", "flashcard-face flashcard-back");
+  card.append(front, back);
+
+  const nav = flashcardEl("div", "flashcards-nav");
+  const prevBtn = flashcardLabel("button", "", "flashcards.prev");
+  const flipBtn = flashcardEl("button");
+  const unknownBtn = flashcardLabel(
+    "button",
+    "flashcard-unknown",
+    "flashcards.unknown"
+  );
+  const knownBtn = flashcardLabel(
+    "button",
+    "flashcard-known",
+    "flashcards.known"
+  );
+  const nextBtn = flashcardLabel("button", "", "flashcards.next");
+  [prevBtn, flipBtn, unknownBtn, knownBtn, nextBtn].forEach((btn) => {
+    btn.type = "button";
+    nav.appendChild(btn);
+  });
+
+  const done = flashcardEl("div", "flashcards-done hidden");
+  root.append(toolbar, card, nav, done);
+  container.appendChild(root);
+
+  function visibleIds() {
+    const cards = byId();
+    return state.order.filter((id) => {
+      const c = cards.get(id);
+      if (!c) return false;
+      if (state.pile === "known") return c.known === true;
+      if (state.pile === "learning") return c.known !== true;
+      return true;
+    });
+  }
+
+  function render() {
+    const ids = visibleIds();
+    const known = deck.cards.filter((c) => c.known === true).length;
+    const unknown = deck.cards.filter((c) => c.known === false).length;
+    progress.textContent = t("flashcards.progress", {
+      known,
+      learning: unknown,
+      unsorted: deck.cards.length - known - unknown,
+    });
+
+    const finished = !ids.length || state.pos >= ids.length;
+    card.classList.toggle("hidden", finished);
+    nav.classList.toggle("hidden", finished);
+    done.classList.toggle("hidden", !finished);
+    if (finished) {
+      renderDone(ids.length);
+      return;
+    }
+
+    const current = byId().get(ids[state.pos]);
+    front.textContent = current.term;
+    back.innerHTML = "";
+    back.appendChild(flashcardEl("p", "", current.definition));
+    if (current.example) {
+      back.appendChild(
+        flashcardEl(
+          "p",
+          "flashcard-example",
+          t("flashcards.example", { example: current.example })
+        )
+      );
+    }
+    card.classList.toggle("flipped", state.flipped);
+    card.classList.toggle("is-known", current.known === true);
+    card.classList.toggle("is-unknown", current.known === false);
+    prevBtn.disabled = state.pos === 0;
+    flipBtn.textContent = t(
+      state.flipped ? "flashcards.showTerm" : "flashcards.flip"
+    );
+    progress.textContent += ` · ${t("flashcards.position", {
+      number: state.pos + 1,
+      total: ids.length,
+    })}`;
+  }
+
+  function renderDone(count) {
+    done.innerHTML = "";
+    const learning = deck.cards.filter((c) => c.known !== true).length;
+    done.appendChild(
+      flashcardEl(
+        "p",
+        "",
+        count
+          ? t("flashcards.roundDone", { count: learning })
+          : t("flashcards.emptyPile", { pile: t(FLASHCARD_PILES[state.pile]) })
+      )
+    );
+    if (learning) {
+      const again = flashcardEl("button", "", t("flashcards.studyUnknown"));
+      again.type = "button";
+      again.addEventListener("click", () => showPile("learning"));
+      done.appendChild(again);
+    }
+    const restart = flashcardEl("button", "", t("flashcards.restart"));
+    restart.type = "button";
+    restart.addEventListener("click", () => showPile("all"));
+    done.appendChild(restart);
+  }
+
+  function showPile(pile) {
+    state.pile = pile;
+    pileSelect.value = pile;
+    state.pos = 0;
+    state.flipped = false;
+    render();
+  }
+
+  function move(step) {
+    state.pos = Math.max(state.pos + step, 0);
+    state.flipped = false;
+    render();
+  }
+
+  function flip() {
+    state.flipped = !state.flipped;
+    render();
+  }
+
+  async function mark(known) {
+    const ids = visibleIds();
+    const current = byId().get(ids[state.pos]);
+    if (!current) return;
+
+    const previous = current.known;
+    current.known = known;
+    // The card may leave the pile being studied; stay on the same position
+    if (visibleIds().length === ids.length) state.pos++;
+    state.flipped = false;
+    render();
+
+    try {
+      const res = await fetch(
+        `/api/flashcards/${encodeURIComponent(
+          deck.id
+        )}/cards/${encodeURIComponent(current.id)}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ known }),
+        }
+      );
+      if (!res.ok) throw new Error("Could not save");
+      if (onChange) onChange(deck);
+    } catch (err) {
+      console.error(err);
+      current.known = previous;
+      render();
+    }
+  }
+
+  pileSelect.addEventListener("change", () => showPile(pileSelect.value));
+  shuffleBtn.addEventListener("click", () => {
+    state.order = shuffledIds(deck.cards);
+    state.pos = 0;
+    state.flipped = false;
+    render();
+  });
+  card.addEventListener("click", flip);
+  flipBtn.addEventListener("click", flip);
+  prevBtn.addEventListener("click", () => move(-1));
+  nextBtn.addEventListener("click", () => move(1));
+  knownBtn.addEventListener("click", () => mark(true));
+  unknownBtn.addEventListener("click", () => mark(false));
+
+  // ⌨️ Space flips, arrows move, K / D sort
+  root.addEventListener("keydown", (e) => {
+    if (e.target.closest("select, a, button")) return;
+    const actions = {
+      " ": flip,
+      ArrowLeft: () => move(-1),
+      ArrowRight: () => move(1),
+      k: () => mark(true),
+      d: () => mark(false),
+    };
+    const action = actions[e.key];
+    if (!action || card.classList.contains("hidden")) return;
+    e.preventDefault();
+    action();
+  });
+
+  // 🌐 Labels follow applyTranslations; the texts drawn here are redrawn.
+  // The listener goes once this view has been replaced.
+  function onLanguageChange() {
+    if (!root.isConnected) {
+      document.removeEventListener("uilanguagechange", onLanguageChange);
+      return;
+    }
+    render();
+  }
+  document.addEventListener("uilanguagechange", onLanguageChange);
+
+  render();
+  root.focus();
+}
@@ -0,0 +1,156 @@
+// public/flashcards.js
+// Flashcard decks page: list the learner's decks, study one, top it up
+// with more generated cards, export it for Anki or delete it. New cards
+// are generated in the deck's own language.
+
+const deckStatus = document.getElementById("deck-status");
+const deckList = document.getElementById("deck-list");
+const deckStudy = document.getElementById("deck-study");
+const deckStudyTitle = document.getElementById("deck-study-title");
+const deckStudyCards = document.getElementById("deck-study-cards");
+
+let openDeckId = null;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className) {
+  const btn = el("button", className, text);
+  btn.type = "button";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function describeDeck(deck) {
+  const parts = [
+    t("decks.cardCount", { count: deck.cardCount }),
+    t("decks.knownCount", { count: deck.knownCount }),
+    deck.source === "study-helper"
+      ? t("decks.fromStudyHelper")
+      : deck.difficulty && t(`difficulty.${deck.difficulty}`),
+    t("decks.updated", {
+      date: new Date(deck.updatedAt).toLocaleDateString(),
+    }),
+  ];
+  return parts.filter(Boolean).join(" · ");
+}
+
+function renderDecks(decks) {
+  deckList.innerHTML = "";
+  if (!decks.length) {
+    deckStatus.textContent = t("decks.empty");
+    return;
+  }
+  deckStatus.textContent = "";
+
+  decks.forEach((deck) => {
+    const row = el("div", "deck-row");
+    const info = el("div", "deck-info");
+    info.appendChild(el("div", "deck-name", deck.name));
+    info.appendChild(el("div", "deck-meta", describeDeck(deck)));
+    row.appendChild(info);
+
+    const actions = el("div", "deck-actions");
+    actions.appendChild(button(t("decks.study"), () => openDeck(deck.id)));
+    if (deck.source !== "study-helper") {
+      actions.appendChild(
+        button(t("decks.addCards"), (e) => generateMore(deck, e.target))
+      );
+    }
+    const exportLink = el("a", "deck-export", t("decks.ankiCsv"));
+    exportLink.href = `/api/flashcards/${encodeURIComponent(deck.id)}/export`;
+    actions.appendChild(exportLink);
+    actions.appendChild(
+      button(t("common.delete"), () => deleteDeck(deck), "deck-delete")
+    );
+    row.appendChild(actions);
+    deckList.appendChild(row);
+  });
+}
+
+async function loadDecks() {
+  try {
+    const res = await fetch("/api/flashcards");
+    if (!res.ok) throw new Error(t("decks.loadFailed"));
+    const { decks } = await res.json();
+    renderDecks(decks);
+  } catch (err) {
+    console.error(err);
+    deckStatus.textContent = t("status.error", { message: err.message });
+  }
+}
+
+async function openDeck(id) {
+  const res = await fetch(`/api/flashcards/${encodeURIComponent(id)}`);
+  if (!res.ok) {
+    deckStatus.textContent = t("decks.openFailed");
+    return;
+  }
+  const deck = await res.json();
+  openDeckId = deck.id;
+  deckStudyTitle.textContent = deck.name;
+  deckStudy.classList.remove("hidden");
+  startFlashcards(deck, deckStudyCards, { onChange: loadDecks });
+  deckStudy.scrollIntoView({ behavior: "smooth" });
+}
+
+async function generateMore(deck, btn) {
+  btn.disabled = true;
+  deckStatus.textContent = t("decks.generating", { name: deck.name });
+  try {
+    const res = await fetch("/api/flashcards/generate", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        topic: deck.topic,
+        difficulty: deck.difficulty,
+        count: 10,
+        deckId: deck.id,
+        // Decks saved before they kept a language: the interface language
+        language: deck.language || currentLanguage(),
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("flashcards.generateFailed"));
+    deckStatus.textContent = data.duplicates
+      ? t("decks.addedWithDuplicates", {
+          added: data.added,
+          duplicates: data.duplicates,
+        })
+      : t("decks.added", { added: data.added });
+    await loadDecks();
+    if (openDeckId === deck.id) openDeck(deck.id);
+  } catch (err) {
+    console.error(err);
+    deckStatus.textContent = t("status.error", { message: err.message });
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function deleteDeck(deck) {
+  if (!confirm(t("decks.confirmDelete", { name: deck.name }))) return;
+  const res = await fetch(`/api/flashcards/${encodeURIComponent(deck.id)}`, {
+    method: "DELETE",
+  });
+  if (!res.ok) {
+    deckStatus.textContent = t("decks.deleteFailed");
+    return;
+  }
+  if (openDeckId === deck.id) {
+    openDeckId = null;
+    deckStudy.classList.add("hidden");
+  }
+  loadDecks();
+}
+
+// The list shows text, so it waits for the translations; a later
+// language switch redraws it
+i18nReady.then(() => {
+  loadDecks();
+  document.addEventListener("uilanguagechange", loadDecks);
+});
@@ -0,0 +1,91 @@
+// public/glossary-highlight.js
+// Marks terms from the learner's glossary wherever they appear in rendered
+// questions. Clicking a marked term shows the saved explanation in the
+// study helper (showGlossaryEntry in script.js).
+
+let glossaryTerms = []; // [{ id, term }]
+let glossaryPattern = null;
+
+// Text inside these is left alone: answers, controls and feedback
+const GLOSSARY_SKIP =
+  ".glossary-term, .question-explanation, .question-confidence, .question-objective, button, input, select, textarea, summary";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function loadGlossaryTerms() {
+  try {
+    const res = await fetch("/api/glossary/terms");
+    if (!res.ok) return;
+    const { terms } = await res.json();
+    glossaryTerms = terms.filter((t) => t.term.length >= 2);
+
+    // Longest first, so "Azure Blob Storage" wins over "Azure"
+    const sources = glossaryTerms
+      .map((t) => t.term)
+      .sort((a, b) => b.length - a.length)
+      .map((term) => escapeRegExp(term).replace(/\s+/g, "\\s+"));
+    glossaryPattern = sources.length
+      ? new RegExp(`(?<![\\w-])(?:${sources.join("|")})(?![\\w-])`, "gi")
+      : null;
+  } catch (err) {
+    console.error("Could not load the glossary", err);
+  }
+}
+
+function findGlossaryTerm(text) {
+  const key = text.toLowerCase().replace(/\s+/g, " ");
+  return glossaryTerms.find(
+    (t) => t.term.toLowerCase().replace(/\s+/g, " ") === key
+  );
+}
+
+/**
+ * Wrap glossary terms in the text under `root` in <mark class="glossary-term">.
+ * Safe to call again on the same element: marked text is skipped.
+ */
+function highlightGlossaryTerms(root) {
+  if (!glossaryPattern || !root) return;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.parentElement && !node.parentElement.closest(GLOSSARY_SKIP)) {
+      nodes.push(node);
+    }
+  }
+
+  nodes.forEach((node) => {
+    const text = node.nodeValue;
+    glossaryPattern.lastIndex = 0;
+    if (!glossaryPattern.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    text.replace(glossaryPattern, (match, offset) => {
+      const entry = findGlossaryTerm(match);
+      if (!entry) return match;
+
+      fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+      const mark = document.createElement("mark");
+      mark.className = "glossary-term";
+      mark.dataset.glossaryId = entry.id;
+      mark.title = t("glossary.inGlossary", { term: entry.term });
+      mark.textContent = match;
+      fragment.appendChild(mark);
+      last = offset + match.length;
+      return match;
+    });
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.replaceWith(fragment);
+  });
+}
+
+// Inside an answer option or a drag item a click must still answer
+document.addEventListener("click", (e) => {
+  const mark = e.target.closest && e.target.closest(".glossary-term");
+  if (!mark || mark.closest("label, [draggable='true']")) return;
+  showGlossaryEntry(mark.dataset.glossaryId);
+});
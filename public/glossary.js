@@ -0,0 +1,205 @@
+// public/glossary.js
+// Glossary page: the learner's explained terms grouped by topic, with
+// search, topic and tag filters, inline editing and delete.
+// Texts follow the interface language (i18n.js).
+
+const glossarySearch = document.getElementById("glossary-search");
+const glossaryQuery = document.getElementById("glossary-q");
+const glossaryTopic = document.getElementById("glossary-topic");
+const glossaryTag = document.getElementById("glossary-tag");
+const glossaryStatus = document.getElementById("glossary-status");
+const glossaryList = document.getElementById("glossary-list");
+
+let searchTimer = null;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className) {
+  const btn = el("button", className, text);
+  btn.type = "button";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// Keep the current choice when the list of topics / tags changes
+function fillSelect(select, values, allLabel) {
+  const current = select.value;
+  select.innerHTML = "";
+  select.appendChild(new Option(allLabel, ""));
+  values.forEach((value) => select.appendChild(new Option(value, value)));
+  select.value = values.includes(current) ? current : "";
+}
+
+function renderEntry(entry) {
+  const item = el("article", "glossary-entry");
+  item.id = entry.id;
+
+  const head = el("div", "glossary-entry-head");
+  head.appendChild(el("h3", "glossary-term-name", entry.term));
+  const tags = el("div", "glossary-tags");
+  entry.tags.forEach((tag) => {
+    const chip = button(`#${tag}`, () => {
+      glossaryTag.value = tag;
+      loadGlossary();
+    });
+    chip.className = "glossary-tag";
+    tags.appendChild(chip);
+  });
+  head.appendChild(tags);
+  item.appendChild(head);
+
+  const body = el("div", "explain-html glossary-explanation");
+  body.innerHTML = renderMarkdown(entry.explanation);
+  item.appendChild(body);
+
+  const actions = el("div", "deck-actions");
+  actions.appendChild(button(t("common.edit"), () => editEntry(item, entry)));
+  actions.appendChild(
+    button(t("common.delete"), () => deleteEntry(entry), "deck-delete")
+  );
+  item.appendChild(actions);
+  return item;
+}
+
+function renderGlossary({ entries, topics, tags }) {
+  fillSelect(glossaryTopic, topics, t("common.allTopics"));
+  fillSelect(glossaryTag, tags, t("glossary.allTags"));
+  glossaryList.innerHTML = "";
+
+  if (!entries.length) {
+    glossaryStatus.textContent = topics.length
+      ? t("glossary.noMatches")
+      : t("glossary.empty");
+    return;
+  }
+  glossaryStatus.textContent = t("glossary.count", { count: entries.length });
+
+  // Entries come sorted by topic, then term
+  let section = null;
+  entries.forEach((entry) => {
+    if (!section || section.dataset.topic !== entry.topic) {
+      section = el("section", "dashboard-section glossary-topic");
+      section.dataset.topic = entry.topic;
+      section.appendChild(el("h2", "", entry.topic));
+      glossaryList.appendChild(section);
+    }
+    section.appendChild(renderEntry(entry));
+  });
+}
+
+async function loadGlossary() {
+  const params = new URLSearchParams();
+  if (glossaryQuery.value.trim()) params.set("q", glossaryQuery.value.trim());
+  if (glossaryTopic.value) params.set("topic", glossaryTopic.value);
+  if (glossaryTag.value) params.set("tag", glossaryTag.value);
+
+  try {
+    const res = await fetch(`/api/glossary?${params}`);
+    if (!res.ok) throw new Error(t("glossary.loadFailed"));
+    renderGlossary(await res.json());
+  } catch (err) {
+    console.error(err);
+    glossaryStatus.textContent = t("status.error", { message: err.message });
+  }
+}
+
+// Swap an entry for a form: term, topic, tags and the Markdown explanation
+function editEntry(item, entry) {
+  const form = el("form", "glossary-edit");
+  const field = (labelText, input) => {
+    const label = el("label", "", labelText);
+    label.appendChild(input);
+    form.appendChild(label);
+    return input;
+  };
+
+  const term = field(t("glossary.term"), el("input"));
+  term.value = entry.term;
+  const topic = field(t("common.topic"), el("input"));
+  topic.value = entry.topic;
+  const tags = field(t("glossary.tags"), el("input"));
+  tags.value = entry.tags.join(", ");
+  const explanation = field(t("glossary.explanation"), el("textarea"));
+  explanation.rows = 8;
+  explanation.value = entry.explanation;
+
+  const error = el("div", "glossary-edit-error");
+  const actions = el("div", "deck-actions");
+  const save = el("button", "", t("common.save"));
+  save.type = "submit";
+  actions.append(
+    save,
+    button(t("form.cancel"), () => form.replaceWith(item))
+  );
+  form.append(error, actions);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    save.disabled = true;
+    try {
+      const res = await fetch(`/api/glossary/${encodeURIComponent(entry.id)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          term: term.value,
+          topic: topic.value,
+          tags: tags.value,
+          explanation: explanation.value,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || t("glossary.saveFailed"));
+      loadGlossary();
+    } catch (err) {
+      error.textContent = err.message;
+      save.disabled = false;
+    }
+  });
+
+  item.replaceWith(form);
+  term.focus();
+}
+
+async function deleteEntry(entry) {
+  if (!confirm(t("glossary.confirmDelete", { term: entry.term }))) return;
+  const res = await fetch(`/api/glossary/${encodeURIComponent(entry.id)}`, {
+    method: "DELETE",
+  });
+  if (!res.ok) {
+    glossaryStatus.textContent = t("glossary.deleteFailed");
+    return;
+  }
+  loadGlossary();
+}
+
+glossarySearch.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadGlossary();
+});
+glossaryQuery.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadGlossary, 250);
+});
+glossaryTopic.addEventListener("change", loadGlossary);
+glossaryTag.addEventListener("change", loadGlossary);
+
+// Opened from "Saved to glossary": scroll to that entry
+i18nReady.then(loadGlossary).then(() => {
+  const target =
+    location.hash && document.getElementById(location.hash.slice(1));
+  if (target) {
+    target.classList.add("is-target");
+    target.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+});
+
+// 🌐 A later language switch redraws the list (an open edit form is
+// dropped); the first load's own event has fired once i18nReady resolves
+i18nReady.then(() => {
+  document.addEventListener("uilanguagechange", loadGlossary);
+});
@@ -0,0 +1,118 @@
+// public/i18n.js
+// Interface translations. Strings live in i18n/<code>.json as flat
+// "key": "text" maps with {name} placeholders; a key missing from a
+// translation falls back to English. Static markup is translated through
+// attributes:
+//   data-i18n="key"              text content
+//   data-i18n-placeholder="key"  placeholder
+//   data-i18n-title="key"        title (tooltip)
+//   data-i18n-aria-label="key"   aria-label
+// The chosen language is also the one quizzes, explanations and study
+// helper answers are generated in (sent as `language`).
+
+const UI_LANGUAGES = {
+  en: "English",
+  de: "Deutsch",
+  es: "Español",
+  ja: "日本語",
+};
+const LANGUAGE_STORAGE_KEY = "certstudy-language";
+
+// data-* attribute -> the attribute it translates
+const I18N_ATTRIBUTES = {
+  "data-i18n-placeholder": "placeholder",
+  "data-i18n-title": "title",
+  "data-i18n-aria-label": "aria-label",
+};
+
+let uiLanguage = detectLanguage();
+let uiStrings = {};
+let fallbackStrings = {};
+
+// Saved choice first, then the browser's language, then English
+function detectLanguage() {
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (UI_LANGUAGES[saved]) return saved;
+  const browser = String(navigator.language || "")
+    .toLowerCase()
+    .split("-")[0];
+  return UI_LANGUAGES[browser] ? browser : "en";
+}
+
+function currentLanguage() {
+  return uiLanguage;
+}
+
+/**
+ * Translated text for `key`, with {name} placeholders filled from `vars`.
+ * Unknown keys come back as the key itself, so they are easy to spot.
+ */
+function t(key, vars = {}) {
+  const text = uiStrings[key] ?? fallbackStrings[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+}
+
+// Translate every element under `root` that carries data-i18n attributes
+function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  Object.entries(I18N_ATTRIBUTES).forEach(([source, attribute]) => {
+    root.querySelectorAll(`[${source}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.getAttribute(source)));
+    });
+  });
+}
+
+async function fetchStrings(code) {
+  const res = await fetch(`i18n/${code}.json`);
+  if (!res.ok) throw new Error(`No translations for ${code}`);
+  return res.json();
+}
+
+async function loadLanguage(code) {
+  uiLanguage = UI_LANGUAGES[code] ? code : "en";
+  try {
+    if (!Object.keys(fallbackStrings).length) {
+      fallbackStrings = await fetchStrings("en");
+    }
+    uiStrings = uiLanguage === "en" ? {} : await fetchStrings(uiLanguage);
+  } catch (err) {
+    // Missing strings show in English rather than not at all
+    console.error("Could not load translations", err);
+    uiStrings = {};
+  }
+
+  document.documentElement.lang = uiLanguage;
+  applyTranslations();
+  document.dispatchEvent(
+    new CustomEvent("uilanguagechange", { detail: { language: uiLanguage } })
+  );
+}
+
+// Switch the interface (and generated content) to `code` and remember it
+async function setLanguage(code) {
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  await loadLanguage(code);
+}
+
+// Fill every language picker (<select data-language-picker>) on the page
+function initLanguagePickers() {
+  document.querySelectorAll("select[data-language-picker]").forEach((el) => {
+    Object.entries(UI_LANGUAGES).forEach(([code, name]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      el.appendChild(option);
+    });
+    el.value = uiLanguage;
+    el.addEventListener("change", () => setLanguage(el.value));
+  });
+}
+
+initLanguagePickers();
+
+// Resolves once the strings are loaded; wait for it before showing text
+const i18nReady = loadLanguage(uiLanguage);
@@ -0,0 +1,141 @@
+// public/irt.js
+// Ability estimate for adaptive quizzes, shared by the browser (global
+// functions) and Node (require). Uses a Rasch (1PL) IRT model:
+//
+//   P(correct | ability θ, item difficulty b) = 1 / (1 + e^-(θ - b))
+//
+// Each difficulty level is one item difficulty on the same logit scale.
+// The estimate is the posterior mean (EAP) over a grid with a standard
+// normal prior, so it stays sensible after all-right or all-wrong runs.
+// Partial credit counts as a fractional response.
+
+(function (root) {
+  const ITEM_DIFFICULTY = {
+    beginner: -1,
+    intermediate: 0,
+    expert: 1,
+  };
+  const ADAPTIVE_LEVELS = Object.keys(ITEM_DIFFICULTY);
+
+  // The real exam is harder than practice questions (see READINESS_MARGIN
+  // in lib/history.js): somewhere between intermediate and expert
+  const EXAM_ITEM_DIFFICULTY = 0.5;
+
+  const GRID = [];
+  for (let theta = -4; theta <= 4.0001; theta += 0.1) {
+    GRID.push(Math.round(theta * 10) / 10);
+  }
+
+  // `|| 0` turns -0 into 0
+  function round2(value) {
+    return Math.round(value * 100) / 100 || 0;
+  }
+
+  function probabilityCorrect(theta, b) {
+    return 1 / (1 + Math.exp(-(theta - b)));
+  }
+
+  // Answers at unknown levels are ignored, scores clamped to 0..1
+  function usableResponses(responses) {
+    return (responses || [])
+      .filter((r) => ITEM_DIFFICULTY[r.difficulty] !== undefined)
+      .map((r) => ({
+        difficulty: r.difficulty,
+        score: Math.min(Math.max(Number(r.score) || 0, 0), 1),
+      }));
+  }
+
+  // Posterior weight of every grid point, normalised to sum to 1
+  function posterior(responses) {
+    const weights = GRID.map((theta) => {
+      let log = -(theta * theta) / 2; // N(0, 1) prior
+      responses.forEach(({ difficulty, score }) => {
+        const p = probabilityCorrect(theta, ITEM_DIFFICULTY[difficulty]);
+        log += score * Math.log(p) + (1 - score) * Math.log(1 - p);
+      });
+      return Math.exp(log);
+    });
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map((w) => w / sum);
+  }
+
+  /**
+   * Helper: level whose items tell us most about this ability (for the
+   * Rasch model that is the one with b closest to θ).
+   */
+  function levelForAbility(theta) {
+    return ADAPTIVE_LEVELS.reduce((best, level) =>
+      Math.abs(ITEM_DIFFICULTY[level] - theta) <
+      Math.abs(ITEM_DIFFICULTY[best] - theta)
+        ? level
+        : best
+    );
+  }
+
+  /**
+   * Ability from [{ difficulty, score }] (score 0..1). Returns
+   * { theta, se, level, answered } where `se` is the posterior standard
+   * deviation and `level` the difficulty to ask next.
+   */
+  function estimateAbility(responses) {
+    const usable = usableResponses(responses);
+    const weights = posterior(usable);
+
+    const theta = GRID.reduce((sum, t, idx) => sum + t * weights[idx], 0);
+    const variance = GRID.reduce(
+      (sum, t, idx) => sum + (t - theta) ** 2 * weights[idx],
+      0
+    );
+
+    return {
+      theta: round2(theta),
+      se: round2(Math.sqrt(variance)),
+      level: levelForAbility(theta),
+      answered: usable.length,
+    };
+  }
+
+  /**
+   * Chance the learner would pass: posterior probability that their ability
+   * is above the cut-off where the expected score on exam-level questions
+   * equals `passingScore` (a percentage). Adds `passCutoff`,
+   * `passLikelihood` (0..1) and a `passVerdict` to an estimateAbility result.
+   */
+  function withPassLikelihood(responses, passingScore = 70) {
+    const estimate = estimateAbility(responses);
+    const pass = Math.min(Math.max(passingScore, 1), 99) / 100;
+    const cutoff = EXAM_ITEM_DIFFICULTY + Math.log(pass / (1 - pass));
+
+    const weights = posterior(usableResponses(responses));
+    const likelihood = GRID.reduce(
+      (sum, t, idx) => (t >= cutoff ? sum + weights[idx] : sum),
+      0
+    );
+
+    return {
+      ...estimate,
+      passCutoff: round2(cutoff),
+      passLikelihood: round2(likelihood),
+      passVerdict:
+        likelihood >= 0.7
+          ? "likely"
+          : likelihood >= 0.4
+          ? "borderline"
+          : "unlikely",
+    };
+  }
+
+  const api = {
+    ADAPTIVE_LEVELS,
+    probabilityCorrect,
+    levelForAbility,
+    estimateAbility,
+    withPassLikelihood,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    Object.assign(root, api);
+  }
+})(this);
@@ -0,0 +1,329 @@
+// public/live.js
+// Live classroom page. With ?host=<quiz id> it runs a session for a shared
+// quiz: shows the join code, moves through the questions and reveals the
+// answers. Otherwise it is the participant view: join with a code and a
+// name, answer each question as it arrives, see the leaderboard at the end.
+// Messages are described in routes/live.js. Texts come from i18n.js; a
+// language switch applies to the next message from the session.
+
+const liveTitle = document.getElementById("live-title");
+const liveJoinForm = document.getElementById("live-join");
+const liveCodeInput = document.getElementById("live-code");
+const liveNameInput = document.getElementById("live-name");
+const liveHost = document.getElementById("live-host");
+const liveJoinUrl = document.getElementById("live-join-url");
+const liveHostCode = document.getElementById("live-host-code");
+const liveRoster = document.getElementById("live-roster");
+const liveNextBtn = document.getElementById("live-next-btn");
+const liveRevealBtn = document.getElementById("live-reveal-btn");
+const liveFinishBtn = document.getElementById("live-finish-btn");
+const liveStatus = document.getElementById("live-status");
+const liveQuestion = document.getElementById("live-question");
+const liveFeedback = document.getElementById("live-feedback");
+const liveSubmitBtn = document.getElementById("live-submit-btn");
+const liveLeaderboard = document.getElementById("live-leaderboard");
+
+const params = new URLSearchParams(location.search);
+const hostQuizId = params.get("host");
+
+let socket = null;
+let ended = false;
+let liveScoring = {};
+let current = null; // { index, total, question } on screen
+let me = null; // participant: { code, name, participantId, total }
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function connect(onOpen) {
+  const scheme = location.protocol === "https:" ? "wss" : "ws";
+  socket = new WebSocket(`${scheme}://${location.host}/live`);
+  socket.addEventListener("open", onOpen);
+  socket.addEventListener("message", (e) => {
+    handleMessage(JSON.parse(e.data));
+  });
+  socket.addEventListener("close", () => {
+    if (ended) return;
+    // The session lives with the host's connection
+    if (hostQuizId) {
+      ended = true;
+      liveStatus.textContent = t("live.connectionLost");
+      return;
+    }
+    if (me && me.participantId) {
+      liveStatus.textContent = t("live.reconnecting");
+      setTimeout(() => connect(rejoin), 2000);
+    }
+  });
+}
+
+function rejoin() {
+  send({
+    type: "join",
+    code: me.code,
+    name: me.name,
+    participantId: me.participantId,
+  });
+}
+
+// Helper: "Question 3 of 10"
+function progressText({ index, total }) {
+  return t("progress.question", { number: index + 1, total });
+}
+
+function showQuestion(message) {
+  current = message;
+  liveQuestion.innerHTML = "";
+  liveFeedback.textContent = "";
+  liveLeaderboard.innerHTML = "";
+  liveQuestion.appendChild(renderQuestionCard(message.question, message.index));
+}
+
+// No more changes once the answer is in (or the question is closed)
+function lockQuestion() {
+  const card = liveQuestion.querySelector(".question-card");
+  if (!card) return;
+  card.classList.add("live-locked");
+  card.querySelectorAll("input, button").forEach((el) => (el.disabled = true));
+}
+
+function renderLeaderboard(entries) {
+  liveQuestion.innerHTML = "";
+  liveFeedback.textContent = "";
+  liveSubmitBtn.classList.add("hidden");
+  liveLeaderboard.innerHTML = "";
+
+  const title = document.createElement("h2");
+  title.textContent = t("live.leaderboard");
+  liveLeaderboard.appendChild(title);
+
+  if (!entries.length) {
+    liveLeaderboard.appendChild(
+      document.createTextNode(t("live.nobodyJoined"))
+    );
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "dashboard-table live-leaderboard";
+  const head = table.createTHead().insertRow();
+  ["rank", "player", "points", "correct", "time"].forEach((key) => {
+    const th = document.createElement("th");
+    th.textContent = t(`live.${key}`);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  entries.forEach((entry) => {
+    const row = body.insertRow();
+    if (me && entry.name === me.name) row.className = "is-me";
+    [
+      entry.rank,
+      entry.name,
+      entry.points,
+      `${entry.correct} / ${entry.answered}`,
+      t("live.seconds", { seconds: (entry.timeMs / 1000).toFixed(1) }),
+    ].forEach((value) => (row.insertCell().textContent = value));
+  });
+  liveLeaderboard.appendChild(table);
+}
+
+function renderRoster(participants) {
+  const online = participants.filter((p) => p.connected).length;
+  liveRoster.textContent = participants.length
+    ? t("live.roster", {
+        count: online,
+        names: participants.map((p) => p.name).join(", "),
+      })
+    : t("live.waiting");
+}
+
+// Helper: the session's title replaces the page heading for good
+function showSessionTitle(title) {
+  delete liveTitle.dataset.i18n;
+  liveTitle.textContent = t("live.sessionTitle", { title });
+}
+
+const hostHandlers = {
+  hosted({ code, title, total }) {
+    showSessionTitle(title);
+    liveHostCode.textContent = code;
+    liveJoinUrl.textContent = `${location.origin}/live.html?code=${code}`;
+    liveHost.classList.remove("hidden");
+    liveStatus.textContent = t("live.hosted", { total });
+    renderRoster([]);
+  },
+
+  participants({ participants }) {
+    renderRoster(participants);
+  },
+
+  question(message) {
+    showQuestion(message);
+    lockQuestion();
+    liveStatus.textContent = t("live.answeredCount", {
+      progress: progressText(message),
+      answered: 0,
+      participants: message.participants,
+    });
+    liveNextBtn.disabled = true;
+    liveRevealBtn.disabled = false;
+  },
+
+  progress({ answered, participants }) {
+    liveStatus.textContent = t("live.answeredCount", {
+      progress: progressText(current),
+      answered,
+      participants,
+    });
+  },
+
+  reveal({ question, answered, correct, participants }) {
+    liveFeedback.textContent =
+      `${correctAnswerText(question)}. ${question.explanation || ""} ` +
+      t("live.revealed", {
+        correct,
+        answered,
+        missing: participants - answered,
+      });
+    delete liveNextBtn.dataset.i18n;
+    liveNextBtn.textContent = t(
+      current.index + 1 < current.total ? "live.next" : "live.showLeaderboard"
+    );
+    liveNextBtn.disabled = false;
+    liveRevealBtn.disabled = true;
+  },
+
+  leaderboard({ entries }) {
+    ended = true;
+    renderLeaderboard(entries);
+    liveStatus.textContent = t("live.finished");
+    liveHost
+      .querySelectorAll(".live-controls button")
+      .forEach((btn) => (btn.disabled = true));
+  },
+};
+
+const participantHandlers = {
+  joined({ participantId, name, code, title, total, scoring }) {
+    me = { code, name, participantId, total };
+    sessionStorage.setItem(`certstudy-live-${code}`, participantId);
+    liveScoring = scoring;
+    showSessionTitle(title);
+    liveJoinForm.classList.add("hidden");
+    liveStatus.textContent = t("live.joined", { name, total });
+  },
+
+  question(message) {
+    showQuestion(message);
+    liveStatus.textContent = progressText(message);
+    liveSubmitBtn.classList.remove("hidden");
+    liveSubmitBtn.disabled = false;
+  },
+
+  answered({ index }) {
+    lockQuestion();
+    liveSubmitBtn.classList.add("hidden");
+    liveStatus.textContent = t("live.locked", {
+      progress: progressText({ index, total: me.total }),
+    });
+  },
+
+  reveal({ index, question, score, points }) {
+    // Joined while the answer was showing: nothing on screen yet
+    if (!current || current.index !== index) {
+      showQuestion({ index, total: me.total, question });
+    }
+    lockQuestion();
+    liveSubmitBtn.classList.add("hidden");
+    gradeQuestions([question], liveQuestion, liveScoring);
+    liveFeedback.textContent =
+      score === null
+        ? t("live.noAnswer", { points })
+        : t("live.scored", { score: Math.round(score * 100) / 100, points });
+  },
+
+  leaderboard({ entries }) {
+    ended = true;
+    renderLeaderboard(entries);
+    liveStatus.textContent = t("live.finishedThanks");
+  },
+};
+
+function handleMessage(message) {
+  if (message.type === "error") {
+    liveStatus.textContent = t("status.error", { message: message.error });
+    liveSubmitBtn.disabled = false;
+    return;
+  }
+  if (message.type === "ended") {
+    // After the leaderboard the host leaving is no news
+    if (ended) return;
+    ended = true;
+    liveSubmitBtn.classList.add("hidden");
+    liveStatus.textContent = t("live.ended", { reason: message.reason });
+    return;
+  }
+  const handlers = hostQuizId ? hostHandlers : participantHandlers;
+  if (handlers[message.type]) handlers[message.type](message);
+}
+
+liveSubmitBtn.addEventListener("click", () => {
+  if (!current) return;
+  const q = current.question;
+  liveSubmitBtn.disabled = true;
+  send({
+    type: "answer",
+    index: current.index,
+    answer: getUserAnswer(liveQuestion, q),
+  });
+});
+
+liveJoinForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const code = liveCodeInput.value.trim().toUpperCase();
+  const name = liveNameInput.value.trim();
+  liveStatus.textContent = t("live.joining");
+
+  const join = () =>
+    send({
+      type: "join",
+      code,
+      name,
+      // Back after a reload: keep the same place on the leaderboard
+      participantId: sessionStorage.getItem(`certstudy-live-${code}`),
+    });
+  if (socket && socket.readyState === WebSocket.OPEN) join();
+  else connect(join);
+});
+
+liveNextBtn.addEventListener("click", () => {
+  liveNextBtn.disabled = true;
+  send({ type: "next" });
+});
+liveRevealBtn.addEventListener("click", () => {
+  liveRevealBtn.disabled = true;
+  send({ type: "reveal" });
+});
+liveFinishBtn.addEventListener("click", () => {
+  if (!confirm(t("live.confirmFinish"))) return;
+  send({ type: "finish" });
+});
+
+if (hostQuizId) {
+  // Closing the page ends the session for everyone
+  window.addEventListener("beforeunload", (e) => {
+    if (!ended) e.preventDefault();
+  });
+  // Messages show text, so the session waits for the translations
+  i18nReady.then(() => {
+    liveStatus.textContent = t("live.starting");
+    connect(() => send({ type: "host", quizId: hostQuizId }));
+  });
+} else {
+  liveCodeInput.value = params.get("code") || "";
+  liveJoinForm.classList.remove("hidden");
+  (liveCodeInput.value ? liveNameInput : liveCodeInput).focus();
+}
@@ -0,0 +1,80 @@
+// public/login.js
+// Sign in / create an account (only used when the server has AUTH_ENABLED).
+
+const loginForm = document.getElementById("login-form");
+const loginTitle = document.getElementById("login-title");
+const loginUsername = document.getElementById("login-username");
+const loginPassword = document.getElementById("login-password");
+const loginDisplayName = document.getElementById("login-display-name");
+const loginDisplayNameField = document.getElementById(
+  "login-display-name-field"
+);
+const loginSubmit = document.getElementById("login-submit");
+const loginSwitch = document.getElementById("login-switch");
+const loginStatus = document.getElementById("login-status");
+
+let registering = false;
+
+// Only same-site paths, so ?next= can't send learners elsewhere
+function nextPage() {
+  const next = new URLSearchParams(window.location.search).get("next") || "";
+  return next.startsWith("/") && !next.startsWith("//") ? next : "index.html";
+}
+
+function setMode(register) {
+  registering = register;
+  loginTitle.textContent = t(register ? "login.createTitle" : "login.signIn");
+  loginSubmit.textContent = t(register ? "login.createButton" : "login.signIn");
+  loginSwitch.textContent = t(
+    register ? "login.haveAccount" : "login.createTitle"
+  );
+  loginDisplayNameField.classList.toggle("hidden", !register);
+  loginPassword.autocomplete = register ? "new-password" : "current-password";
+  loginStatus.textContent = "";
+}
+
+loginSwitch.addEventListener("click", () => setMode(!registering));
+// 🌐 The title and buttons depend on the mode, so set them again
+document.addEventListener("uilanguagechange", () => setMode(registering));
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  loginSubmit.disabled = true;
+  loginStatus.textContent = t(
+    registering ? "login.creating" : "login.signingIn"
+  );
+
+  try {
+    const res = await fetch(
+      registering ? "/api/auth/register" : "/api/auth/login",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: loginUsername.value,
+          password: loginPassword.value,
+          displayName: registering ? loginDisplayName.value : undefined,
+        }),
+      }
+    );
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("login.failed"));
+
+    window.location.href = nextPage();
+  } catch (err) {
+    loginStatus.textContent = t("status.error", { message: err.message });
+    loginSubmit.disabled = false;
+  }
+});
+
+// Already signed in, or accounts turned off? Nothing to do here
+fetch("/api/auth/me")
+  .then((res) => res.json())
+  .then(({ enabled, allowSignup, user }) => {
+    if (!enabled || user) {
+      window.location.href = nextPage();
+      return;
+    }
+    loginSwitch.classList.toggle("hidden", !allowSignup);
+  })
+  .catch((err) => console.error("Could not load account", err));
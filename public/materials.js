@@ -0,0 +1,141 @@
+// public/materials.js
+// Study material picker: upload Markdown / text / PDF files, choose which
+// ones a grounded quiz may ask about, delete old ones.
+
+const materialFilesInput = document.getElementById("material-files");
+const materialStatus = document.getElementById("material-status");
+const materialList = document.getElementById("material-list");
+const useMaterialsInput = document.getElementById("use-materials");
+
+// Helper: file -> base64 (without the "data:...;base64," prefix)
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function renderMaterialList(documents) {
+  materialList.innerHTML = "";
+
+  documents.forEach((doc) => {
+    const item = document.createElement("li");
+    item.className = "material-item";
+
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "materials";
+    checkbox.value = doc.id;
+    checkbox.checked = true;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(doc.name));
+
+    const meta = document.createElement("span");
+    meta.className = "material-meta";
+    meta.textContent = t("materials.passages", { count: doc.chunkCount });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "material-remove";
+    remove.setAttribute(
+      "aria-label",
+      t("materials.delete", { name: doc.name })
+    );
+    remove.textContent = "×";
+    remove.addEventListener("click", () => deleteMaterial(doc));
+
+    item.appendChild(label);
+    item.appendChild(meta);
+    item.appendChild(remove);
+    materialList.appendChild(item);
+  });
+
+  useMaterialsInput.disabled = !documents.length;
+  if (!documents.length) useMaterialsInput.checked = false;
+}
+
+async function loadMaterials() {
+  try {
+    const res = await fetch("/api/materials");
+    if (!res.ok) return;
+    const { documents } = await res.json();
+    renderMaterialList(documents);
+  } catch (err) {
+    console.error("Could not load study material", err);
+  }
+}
+
+async function uploadMaterial(file) {
+  const res = await fetch("/api/materials", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      name: file.name,
+      data: await readFileAsBase64(file),
+    }),
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(
+      data.error || t("materials.uploadFailed", { name: file.name })
+    );
+  }
+  return res.json();
+}
+
+async function deleteMaterial(doc) {
+  if (!confirm(t("materials.confirmDelete", { name: doc.name }))) return;
+
+  const res = await fetch(`/api/materials/${encodeURIComponent(doc.id)}`, {
+    method: "DELETE",
+  });
+  if (!res.ok) {
+    materialStatus.textContent = t("materials.deleteFailed", {
+      name: doc.name,
+    });
+  }
+  loadMaterials();
+}
+
+/**
+ * Ids of the checked documents when "Only ask about the selected material"
+ * is on, otherwise an empty list (a normal, ungrounded quiz).
+ */
+function selectedMaterialIds() {
+  if (!useMaterialsInput.checked) return [];
+  return [
+    ...materialList.querySelectorAll('input[name="materials"]:checked'),
+  ].map((input) => input.value);
+}
+
+materialFilesInput.addEventListener("change", async () => {
+  const files = [...materialFilesInput.files];
+  if (!files.length) return;
+
+  const failures = [];
+  for (const [idx, file] of files.entries()) {
+    materialStatus.textContent = t("materials.indexing", {
+      name: file.name,
+      number: idx + 1,
+      total: files.length,
+    });
+    try {
+      await uploadMaterial(file);
+    } catch (err) {
+      console.error(err);
+      failures.push(err.message);
+    }
+  }
+
+  materialFilesInput.value = "";
+  materialStatus.textContent = failures.join(" ");
+  if (failures.length < files.length) useMaterialsInput.checked = true;
+  loadMaterials();
+});
+
+i18nReady.then(loadMaterials);
@@ -0,0 +1,306 @@
+// public/moderation.js
+// Moderation queue: challenged questions an independent check disputed.
+// A reviewer confirms the stored answer, applies the verifier's answer,
+// edits the question or retires it. Below the queue: per-question quality
+// stats (accuracy, challenges, disputes) from /api/moderation/quality.
+// Texts come from i18n.js; a language switch loads both again.
+
+const statusFilter = document.getElementById("moderation-status-filter");
+const moderationStatus = document.getElementById("moderation-status");
+const countsDiv = document.getElementById("moderation-counts");
+const itemsDiv = document.getElementById("moderation-items");
+const qualitySort = document.getElementById("quality-sort");
+const qualitySuspect = document.getElementById("quality-suspect");
+const qualityDiv = document.getElementById("moderation-quality");
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className) {
+  const btn = el("button", className, text);
+  btn.type = "button";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function statusLabel(status) {
+  return t(`moderation.status.${status}`);
+}
+
+function renderCounts(counts) {
+  countsDiv.innerHTML = "";
+  ["open", "fixed", "retired", "confirmed"].forEach((status) => {
+    const tile = el("div", "stat-tile");
+    tile.appendChild(el("div", "stat-value", counts[status]));
+    tile.appendChild(el("div", "stat-label", statusLabel(status)));
+    countsDiv.appendChild(tile);
+  });
+}
+
+// Helper: the question as the reviewer needs to see it
+function renderQuestion(q) {
+  const wrap = el("div", "moderation-question");
+  wrap.appendChild(el("p", "question-text", q.question));
+
+  const list = el("ul");
+  (q.options || []).forEach((opt, idx) =>
+    list.appendChild(el("li", null, `${OPTION_LETTERS[idx]}. ${opt}`))
+  );
+  (q.statements || []).forEach((s, idx) =>
+    list.appendChild(el("li", null, `${idx + 1}. ${s}`))
+  );
+  if (list.children.length) wrap.appendChild(list);
+
+  wrap.appendChild(el("p", "moderation-answer", correctAnswerText(q)));
+  if (q.explanation) {
+    wrap.appendChild(el("p", "moderation-explanation", q.explanation));
+  }
+  return wrap;
+}
+
+function renderChallenge(challenge) {
+  const { verdict } = challenge;
+  const row = el("li", "moderation-challenge");
+  row.appendChild(
+    el("strong", null, new Date(challenge.at).toLocaleString() + ": ")
+  );
+  row.appendChild(
+    document.createTextNode(
+      verdict.agrees
+        ? t("moderation.verifierAgrees", {
+            issues: verdict.explanationIssues,
+          })
+        : t("moderation.verifierAnswered", {
+            answer: verdict.modelAnswerText,
+            confidence: t(
+              `moderation.confidence.${verdict.confidence || "unknown"}`
+            ),
+            reasoning: verdict.reasoning,
+          })
+    )
+  );
+  if (challenge.reason) {
+    row.appendChild(
+      el(
+        "div",
+        "moderation-reason",
+        t("moderation.learnerReason", { reason: challenge.reason })
+      )
+    );
+  }
+  return row;
+}
+
+async function resolve(item, body, status) {
+  status.textContent = t("common.saving");
+  try {
+    const res = await fetch(`/api/moderation/${item.id}/resolve`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("moderation.resolveFailed"));
+    await refresh();
+  } catch (err) {
+    status.textContent = t("status.error", { message: err.message });
+  }
+}
+
+// Editable copy of the question: everything except the id
+function editableFields(q) {
+  const { id, ...fields } = q;
+  return JSON.stringify(fields, null, 2);
+}
+
+function renderItem(item) {
+  const card = el("div", `moderation-item ${item.status}`);
+  const head = el("div", "moderation-head");
+  head.appendChild(
+    el(
+      "span",
+      null,
+      [item.topic, item.difficulty].filter(Boolean).join(" · ") ||
+        t("moderation.unknownTopic")
+    )
+  );
+  head.appendChild(el("span", "moderation-badge", statusLabel(item.status)));
+  card.appendChild(head);
+
+  card.appendChild(renderQuestion(item.fixedQuestion || item.question));
+
+  const challenges = el("ul", "moderation-challenges");
+  item.challenges.forEach((c) => challenges.appendChild(renderChallenge(c)));
+  card.appendChild(challenges);
+
+  if (item.resolution) {
+    card.appendChild(
+      el(
+        "p",
+        "moderation-resolution",
+        t("moderation.resolution", {
+          status: statusLabel(item.status),
+          by: item.resolution.by || t("moderation.aReviewer"),
+          date: new Date(item.resolution.at).toLocaleString(),
+        }) + (item.resolution.note ? ` — ${item.resolution.note}` : "")
+      )
+    );
+  }
+  if (item.status !== "open") return card;
+
+  const note = el("input");
+  note.type = "text";
+  note.placeholder = t("moderation.notePlaceholder");
+  const status = el("div", "moderation-item-status");
+  const editor = el("textarea", "moderation-editor hidden");
+  editor.rows = 12;
+  editor.value = editableFields(item.question);
+  const latest = item.challenges[item.challenges.length - 1].verdict;
+
+  const actions = el("div", "moderation-actions");
+  actions.appendChild(
+    button(t("moderation.confirmAnswer"), () =>
+      resolve(item, { action: "confirm", note: note.value }, status)
+    )
+  );
+  if (!latest.agrees) {
+    actions.appendChild(
+      button(t("moderation.useSuggested"), () =>
+        resolve(
+          item,
+          { action: "fix", useSuggested: true, note: note.value },
+          status
+        )
+      )
+    );
+  }
+  actions.appendChild(
+    button(t("moderation.editQuestion"), () => {
+      if (editor.classList.contains("hidden")) {
+        editor.classList.remove("hidden");
+        return;
+      }
+      let question;
+      try {
+        question = JSON.parse(editor.value);
+      } catch (err) {
+        status.textContent = t("moderation.invalidJson");
+        return;
+      }
+      resolve(item, { action: "fix", question, note: note.value }, status);
+    })
+  );
+  actions.appendChild(
+    button(
+      t("moderation.retire"),
+      () => {
+        if (!confirm(t("moderation.confirmRetire"))) return;
+        resolve(item, { action: "retire", note: note.value }, status);
+      },
+      "danger"
+    )
+  );
+
+  card.appendChild(editor);
+  card.appendChild(note);
+  card.appendChild(actions);
+  card.appendChild(status);
+  return card;
+}
+
+function renderItems(items) {
+  itemsDiv.innerHTML = "";
+  if (!items.length) {
+    itemsDiv.appendChild(el("p", "dashboard-empty", t("moderation.empty")));
+    return;
+  }
+  items.forEach((item) => itemsDiv.appendChild(renderItem(item)));
+}
+
+function renderQuality({ total, questions }) {
+  qualityDiv.innerHTML = "";
+  if (!questions.length) {
+    qualityDiv.appendChild(
+      el(
+        "p",
+        "dashboard-empty",
+        t(total ? "moderation.noSuspect" : "moderation.noAnswers")
+      )
+    );
+    return;
+  }
+
+  const table = el("table", "dashboard-table quality-table");
+  const head = document.createElement("tr");
+  [
+    "moderation.question",
+    "moderation.answered",
+    "moderation.accuracy",
+    "moderation.challenges",
+    "moderation.disputed",
+    "moderation.resolutions",
+  ].forEach((key) => head.appendChild(el("th", null, t(key))));
+  table.appendChild(el("thead")).appendChild(head);
+
+  const body = el("tbody");
+  questions.forEach((s) => {
+    const row = el("tr", s.suspect ? "suspect" : null);
+    [
+      s.question || s.questionId,
+      s.answered,
+      s.percentCorrect === null ? "–" : `${s.percentCorrect}%`,
+      s.challenges,
+      s.disputes,
+      `${s.resolutions.fixed} / ${s.resolutions.retired} / ${s.resolutions.confirmed}`,
+    ].forEach((text) => row.appendChild(el("td", null, String(text))));
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  qualityDiv.appendChild(table);
+}
+
+async function loadQueue() {
+  const params = new URLSearchParams();
+  if (statusFilter.value) params.set("status", statusFilter.value);
+  const res = await fetch(`/api/moderation?${params}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || t("moderation.queueFailed"));
+
+  renderCounts(data.counts);
+  renderItems(data.items);
+}
+
+async function loadQuality() {
+  const params = new URLSearchParams({ sort: qualitySort.value });
+  if (qualitySuspect.checked) params.set("suspect", "true");
+  const res = await fetch(`/api/moderation/quality?${params}`);
+  if (!res.ok) throw new Error(t("moderation.qualityFailed"));
+  renderQuality(await res.json());
+}
+
+async function refresh() {
+  moderationStatus.textContent = t("common.loading");
+  try {
+    await Promise.all([loadQueue(), loadQuality()]);
+    moderationStatus.textContent = "";
+  } catch (err) {
+    moderationStatus.textContent = t("status.error", {
+      message: err.message,
+    });
+  }
+}
+
+statusFilter.addEventListener("change", refresh);
+qualitySort.addEventListener("change", refresh);
+qualitySuspect.addEventListener("change", refresh);
+
+// The queue shows text, so it also waits for the translations; a later
+// language switch loads it again (open edits are dropped)
+Promise.all([accountReady, i18nReady]).then(() => {
+  refresh();
+  document.addEventListener("uilanguagechange", refresh);
+});
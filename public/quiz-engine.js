@@ -0,0 +1,803 @@
+// public/quiz-engine.js
+// Rendering + grading shared by practice mode and exam mode.
+// Scoring rules live in scoring.js; texts come from i18n.js.
+
+const OPTION_LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+// Self-rated confidence, feeds the spaced-repetition review queue
+const CONFIDENCE_CHOICES = ["low", "medium", "high"];
+
+function shuffled(items) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function buildChoiceLabel(inputType, name, value, text) {
+  const label = document.createElement("label");
+  label.className = "option-label";
+
+  const input = document.createElement("input");
+  input.type = inputType;
+  input.name = name;
+  input.value = value;
+
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(" " + text));
+  return label;
+}
+
+// One renderer per question type: fills `body` with the answer controls
+const questionRenderers = {
+  single(q, body) {
+    q.options.forEach((opt, optIndex) => {
+      const letter = OPTION_LETTERS[optIndex] || "A";
+      body.appendChild(buildChoiceLabel("radio", q.id, letter, opt));
+    });
+  },
+
+  multi(q, body) {
+    const hint = document.createElement("div");
+    hint.className = "question-hint";
+    // Live sessions send `choose` instead of the answer key
+    const choose = q.correctOptions ? q.correctOptions.length : q.choose;
+    hint.textContent = t("question.selectCount", { count: choose });
+    body.appendChild(hint);
+
+    q.options.forEach((opt, optIndex) => {
+      const letter = OPTION_LETTERS[optIndex];
+      body.appendChild(buildChoiceLabel("checkbox", q.id, letter, opt));
+    });
+  },
+
+  truefalse(q, body) {
+    q.statements.forEach((statement, idx) => {
+      const row = document.createElement("div");
+      row.className = "statement-row";
+
+      const text = document.createElement("div");
+      text.className = "statement-text";
+      text.textContent = statement;
+      row.appendChild(text);
+
+      const choices = document.createElement("div");
+      choices.className = "statement-choices";
+      choices.appendChild(
+        buildChoiceLabel("radio", `${q.id}-${idx}`, "true", t("answer.true"))
+      );
+      choices.appendChild(
+        buildChoiceLabel("radio", `${q.id}-${idx}`, "false", t("answer.false"))
+      );
+      row.appendChild(choices);
+
+      body.appendChild(row);
+    });
+  },
+
+  ordering(q, body, card) {
+    const list = document.createElement("ol");
+    list.className = "ordering-list";
+
+    // Avoid showing the steps already in the right order
+    let order = shuffled(q.items);
+    for (let tries = 0; tries < 5 && order.join() === q.items.join(); tries++) {
+      order = shuffled(q.items);
+    }
+
+    order.forEach((item) => {
+      const li = document.createElement("li");
+      li.className = "ordering-item";
+      li.dataset.item = item;
+
+      const text = document.createElement("span");
+      text.textContent = item;
+      li.appendChild(text);
+
+      const controls = document.createElement("span");
+      controls.className = "ordering-controls";
+      [
+        ["↑", -1, t("question.moveUp")],
+        ["↓", 1, t("question.moveDown")],
+      ].forEach(([symbol, direction, title]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "ordering-move";
+        btn.textContent = symbol;
+        btn.title = title;
+        btn.addEventListener("click", () => {
+          const sibling =
+            direction < 0 ? li.previousElementSibling : li.nextElementSibling;
+          if (!sibling) return;
+          list.insertBefore(li, direction < 0 ? sibling : sibling.nextSibling);
+          card.dataset.touched = "1";
+        });
+        controls.appendChild(btn);
+      });
+      li.appendChild(controls);
+
+      list.appendChild(li);
+    });
+
+    body.appendChild(list);
+  },
+
+  matching(q, body, card) {
+    const hint = document.createElement("div");
+    hint.className = "question-hint";
+    hint.textContent = t("question.matchingHint");
+    body.appendChild(hint);
+
+    const pool = document.createElement("div");
+    pool.className = "match-pool";
+
+    let selectedChip = null;
+
+    const placeChip = (chip, target) => {
+      const existing = target.querySelector(".match-chip");
+      if (existing && existing !== chip) pool.appendChild(existing);
+      target.appendChild(chip);
+      chip.classList.remove("selected");
+      selectedChip = null;
+    };
+
+    const rows = document.createElement("div");
+    rows.className = "match-rows";
+
+    q.pairs.forEach((pair) => {
+      const row = document.createElement("div");
+      row.className = "match-row";
+
+      const left = document.createElement("div");
+      left.className = "match-left";
+      left.textContent = pair.left;
+      row.appendChild(left);
+
+      const slot = document.createElement("div");
+      slot.className = "match-slot";
+      slot.dataset.left = pair.left;
+      slot.addEventListener("dragover", (e) => e.preventDefault());
+      slot.addEventListener("drop", (e) => {
+        e.preventDefault();
+        const chip = card.querySelector(
+          `.match-chip[data-idx="${e.dataTransfer.getData("text/plain")}"]`
+        );
+        if (chip) placeChip(chip, slot);
+      });
+      slot.addEventListener("click", (e) => {
+        if (selectedChip && e.target === slot) placeChip(selectedChip, slot);
+      });
+      row.appendChild(slot);
+
+      rows.appendChild(row);
+    });
+
+    shuffled(q.pairs.map((p) => p.right)).forEach((right, idx) => {
+      const chip = document.createElement("div");
+      chip.className = "match-chip";
+      chip.draggable = true;
+      chip.dataset.idx = String(idx);
+      chip.dataset.right = right;
+      chip.textContent = right;
+      chip.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData("text/plain", chip.dataset.idx);
+      });
+      chip.addEventListener("click", () => {
+        // A placed chip goes back to the pool; a pooled one gets selected
+        if (chip.parentElement !== pool) {
+          pool.appendChild(chip);
+          return;
+        }
+        if (selectedChip) selectedChip.classList.remove("selected");
+        selectedChip = selectedChip === chip ? null : chip;
+        if (selectedChip) chip.classList.add("selected");
+      });
+      pool.appendChild(chip);
+    });
+
+    pool.addEventListener("dragover", (e) => e.preventDefault());
+    pool.addEventListener("drop", (e) => {
+      e.preventDefault();
+      const chip = card.querySelector(
+        `.match-chip[data-idx="${e.dataTransfer.getData("text/plain")}"]`
+      );
+      if (chip) pool.appendChild(chip);
+    });
+
+    body.appendChild(rows);
+    body.appendChild(pool);
+  },
+};
+
+// One reader per question type: the learner's answer in scoring.js shape
+const answerReaders = {
+  single(q, card) {
+    const selected = card.querySelector(`input[name="${q.id}"]:checked`);
+    return selected ? selected.value : null;
+  },
+
+  multi(q, card) {
+    return [...card.querySelectorAll(`input[name="${q.id}"]:checked`)].map(
+      (input) => input.value
+    );
+  },
+
+  truefalse(q, card) {
+    return q.statements.map((_, idx) => {
+      const selected = card.querySelector(
+        `input[name="${q.id}-${idx}"]:checked`
+      );
+      return selected ? selected.value === "true" : null;
+    });
+  },
+
+  ordering(q, card) {
+    return [...card.querySelectorAll(".ordering-item")].map(
+      (li) => li.dataset.item
+    );
+  },
+
+  matching(q, card) {
+    const answer = {};
+    card.querySelectorAll(".match-slot").forEach((slot) => {
+      const chip = slot.querySelector(".match-chip");
+      if (chip) answer[slot.dataset.left] = chip.dataset.right;
+    });
+    return answer;
+  },
+};
+
+// The correct answer in the interface language (describeCorrectAnswer in
+// scoring.js is the English one the server uses)
+function correctAnswerText(q) {
+  switch (q.type || "single") {
+    case "multi":
+      return t("answer.correctOptions", {
+        answer: q.correctOptions.join(", "),
+      });
+    case "truefalse":
+      return t("answer.correctOptions", {
+        answer: q.answers
+          .map(
+            (a, idx) => `${idx + 1}. ${t(a ? "answer.true" : "answer.false")}`
+          )
+          .join(", "),
+      });
+    case "ordering":
+      return t("answer.correctOrder", { answer: q.items.join(" → ") });
+    case "matching":
+      return t("answer.correctMatches", {
+        answer: q.pairs.map((p) => `${p.left} → ${p.right}`).join("; "),
+      });
+    default:
+      return t("answer.correctOption", { answer: q.correctOption });
+  }
+}
+
+function renderQuestionCard(q, idx) {
+  const type = q.type || "single";
+
+  const card = document.createElement("div");
+  card.className = `question-card question-${type}`;
+  card.dataset.qid = q.id;
+
+  const qText = document.createElement("div");
+  qText.className = "question-text";
+  qText.textContent = `${idx + 1}. ${q.question}`;
+  card.appendChild(qText);
+
+  if (q.objective) {
+    const tag = document.createElement("div");
+    tag.className = "question-objective";
+    tag.textContent = q.objective;
+    card.appendChild(tag);
+  }
+
+  const optionsDiv = document.createElement("div");
+  optionsDiv.className = "options";
+  questionRenderers[type](q, optionsDiv, card);
+
+  card.appendChild(optionsDiv);
+  card.appendChild(buildConfidenceRow(q));
+  return card;
+}
+
+function buildConfidenceRow(q) {
+  const row = document.createElement("div");
+  row.className = "question-confidence";
+
+  const prompt = document.createElement("span");
+  prompt.textContent = t("confidence.prompt");
+  row.appendChild(prompt);
+
+  CONFIDENCE_CHOICES.forEach((value) => {
+    row.appendChild(
+      buildChoiceLabel(
+        "radio",
+        `${q.id}-confidence`,
+        value,
+        t(`confidence.${value}`)
+      )
+    );
+  });
+  return row;
+}
+
+// "low" | "medium" | "high", or null when the learner did not say
+function getConfidence(container, q) {
+  const card = findQuestionCard(container, q.id);
+  const checked =
+    card && card.querySelector(`input[name="${q.id}-confidence"]:checked`);
+  return checked ? checked.value : null;
+}
+
+/**
+ * Shared scenario of a case study, shown once above its questions: a
+ * collapsible panel (sticky while scrolling through them) with the
+ * scenario text and any exhibit tables.
+ */
+function buildCaseStudyPanel(caseStudy) {
+  const details = document.createElement("details");
+  details.className = "case-study-panel";
+  details.open = true;
+
+  const summary = document.createElement("summary");
+  summary.textContent = t("caseStudy.title", { title: caseStudy.title });
+  details.appendChild(summary);
+
+  const scenario = document.createElement("div");
+  scenario.className = "case-study-scenario";
+  caseStudy.scenario.split(/\n+/).forEach((text) => {
+    const para = document.createElement("p");
+    para.textContent = text;
+    scenario.appendChild(para);
+  });
+  details.appendChild(scenario);
+
+  (caseStudy.exhibits || []).forEach((exhibit, idx) => {
+    const table = document.createElement("table");
+    table.className = "case-study-exhibit";
+
+    const caption = document.createElement("caption");
+    caption.textContent = exhibit.title
+      ? t("caseStudy.exhibitTitled", { number: idx + 1, title: exhibit.title })
+      : t("caseStudy.exhibit", { number: idx + 1 });
+    table.appendChild(caption);
+
+    const head = table.createTHead().insertRow();
+    exhibit.columns.forEach((col) => {
+      const th = document.createElement("th");
+      th.textContent = col;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    exhibit.rows.forEach((row) => {
+      const tr = body.insertRow();
+      row.forEach((cell) => (tr.insertCell().textContent = cell));
+    });
+    details.appendChild(table);
+  });
+
+  return details;
+}
+
+/**
+ * Append a question card to `container`. Linked questions of a case study
+ * go into one section per case study, created with its scenario panel
+ * when the first of them arrives (so streamed quizzes group them too).
+ */
+function appendQuestionCard(container, q, idx) {
+  const card = renderQuestionCard(q, idx);
+  if (!q.caseStudy) {
+    container.appendChild(card);
+    return card;
+  }
+
+  let section = [...container.querySelectorAll(".case-study")].find(
+    (el) => el.dataset.caseId === q.caseStudy.id
+  );
+  if (!section) {
+    section = document.createElement("section");
+    section.className = "case-study";
+    section.dataset.caseId = q.caseStudy.id;
+    section.appendChild(buildCaseStudyPanel(q.caseStudy));
+    container.appendChild(section);
+  }
+  section.appendChild(card);
+  return card;
+}
+
+function renderQuestions(questions, container) {
+  container.innerHTML = "";
+
+  questions.forEach((q, idx) => {
+    appendQuestionCard(container, q, idx);
+  });
+}
+
+function findQuestionCard(container, qid) {
+  return container.querySelector(`.question-card[data-qid="${qid}"]`);
+}
+
+function getUserAnswer(container, q) {
+  const card = findQuestionCard(container, q.id);
+  return card ? answerReaders[q.type || "single"](q, card) : null;
+}
+
+function isQuestionAnswered(container, q) {
+  // An ordering question always has an order; count it once it was touched
+  if (q.type === "ordering") {
+    const card = findQuestionCard(container, q.id);
+    return !!card && card.dataset.touched === "1";
+  }
+  return isAnswered(q, getUserAnswer(container, q));
+}
+
+/**
+ * Collapsible "Source" link under an explanation: where the question came
+ * from in the study material, with the supporting quote highlighted.
+ */
+function buildCitation(citation) {
+  const details = document.createElement("details");
+  details.className = "question-citation";
+
+  const summary = document.createElement("summary");
+  summary.textContent = t("citation.source", {
+    source: [
+      citation.docName,
+      citation.heading,
+      citation.page ? t("citation.page", { page: citation.page }) : null,
+    ]
+      .filter(Boolean)
+      .join(" › "),
+  });
+  details.appendChild(summary);
+
+  const excerpt = document.createElement("blockquote");
+  const text = citation.excerpt || "";
+  const at = citation.quote
+    ? text.toLowerCase().indexOf(citation.quote.toLowerCase())
+    : -1;
+
+  if (at === -1) {
+    excerpt.textContent = text;
+  } else {
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(at, at + citation.quote.length);
+    excerpt.appendChild(document.createTextNode(text.slice(0, at)));
+    excerpt.appendChild(mark);
+    excerpt.appendChild(
+      document.createTextNode(text.slice(at + citation.quote.length))
+    );
+  }
+  details.appendChild(excerpt);
+
+  return details;
+}
+
+/**
+ * Per-option feedback for single / multi questions that have rationales:
+ * why each distractor the learner picked is wrong (shown first, so it is
+ * not buried), then every option's rationale in a collapsible list.
+ */
+function buildRationales(q, userAnswer) {
+  if (!q.rationales) return null;
+
+  const correct = q.type === "multi" ? q.correctOptions : [q.correctOption];
+  const wrap = document.createElement("div");
+  wrap.className = "question-rationales";
+
+  []
+    .concat(userAnswer || [])
+    .filter((letter) => !correct.includes(letter))
+    .forEach((letter) => {
+      const idx = OPTION_LETTERS.indexOf(letter);
+      const line = document.createElement("p");
+      line.className = "rationale-picked";
+      line.textContent = t("rationale.whyNot", {
+        option: q.options[idx],
+        rationale: q.rationales[idx],
+      });
+      wrap.appendChild(line);
+    });
+
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.textContent = t("rationale.all");
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  q.options.forEach((opt, idx) => {
+    const letter = OPTION_LETTERS[idx];
+    const item = document.createElement("li");
+    item.className = correct.includes(letter)
+      ? "rationale-correct"
+      : "rationale-wrong";
+    item.textContent = `${letter}. ${opt} — ${q.rationales[idx]}`;
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+  wrap.appendChild(details);
+
+  return wrap;
+}
+
+/**
+ * "Challenge this answer" under an explanation: the learner can say why
+ * they think the answer is wrong, the question is re-solved independently
+ * on the server and disputed ones go to the moderation queue.
+ */
+function buildChallenge(q) {
+  const wrap = document.createElement("div");
+  wrap.className = "question-challenge";
+
+  const openBtn = document.createElement("button");
+  openBtn.type = "button";
+  openBtn.className = "link-button";
+  openBtn.textContent = t("challenge.open");
+
+  const form = document.createElement("div");
+  form.className = "challenge-form hidden";
+  const reason = document.createElement("input");
+  reason.type = "text";
+  reason.maxLength = 500;
+  reason.placeholder = t("challenge.reasonPlaceholder");
+  const sendBtn = document.createElement("button");
+  sendBtn.type = "button";
+  sendBtn.textContent = t("challenge.send");
+  form.append(reason, sendBtn);
+
+  const status = document.createElement("div");
+  status.className = "challenge-status";
+
+  openBtn.addEventListener("click", () => {
+    openBtn.classList.add("hidden");
+    form.classList.remove("hidden");
+    reason.focus();
+  });
+
+  sendBtn.addEventListener("click", async () => {
+    sendBtn.disabled = true;
+    reason.disabled = true;
+    status.textContent = t("challenge.checking");
+
+    try {
+      const res = await fetch("/api/moderation/challenges", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ question: q, reason: reason.value }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || t("challenge.failed"));
+
+      const { verdict, queued } = data;
+      form.classList.add("hidden");
+      status.classList.add(verdict.disputed ? "disputed" : "upheld");
+      status.textContent = verdict.agrees
+        ? t("challenge.agrees")
+        : t("challenge.disagrees", { answer: verdict.modelAnswerText });
+      if (verdict.reasoning) status.textContent += ` ${verdict.reasoning}`;
+      if (verdict.agrees && verdict.explanationOk === false) {
+        status.textContent +=
+          " " +
+          t("challenge.explanationWrong", {
+            issues: verdict.explanationIssues,
+          });
+      }
+      if (queued) {
+        status.textContent += " " + t("challenge.queued");
+      }
+    } catch (err) {
+      status.textContent = t("status.error", { message: err.message });
+      sendBtn.disabled = false;
+      reason.disabled = false;
+    }
+  });
+
+  wrap.append(openBtn, form, status);
+  return wrap;
+}
+
+/**
+ * Grade every question rendered in `container`: mark cards correct, partial
+ * or incorrect and append the explanation. `partialCredit` is "partial" or
+ * "strict" (see scoring.js). Returns the score plus per-question results
+ * (including the confidence the learner picked).
+ */
+function gradeQuestions(questions, container, { partialCredit } = {}) {
+  let correctCount = 0;
+  let points = 0;
+  const total = questions.length;
+
+  // Reset classes + old explanations
+  container.querySelectorAll(".question-card").forEach((el) => {
+    el.classList.remove("correct", "incorrect", "partial");
+    const oldExp = el.querySelector(".question-explanation");
+    if (oldExp) oldExp.remove();
+  });
+
+  const results = questions.map((q) => {
+    const card = findQuestionCard(container, q.id);
+    const userAnswer = getUserAnswer(container, q);
+    const score = scoreAnswer(q, userAnswer, partialCredit);
+    const isCorrect = score === 1;
+    if (isCorrect) correctCount++;
+    points += score;
+
+    if (card) {
+      card.classList.add(
+        isCorrect ? "correct" : score > 0 ? "partial" : "incorrect"
+      );
+
+      // Build explanation block
+      const exp = document.createElement("div");
+      exp.className = "question-explanation";
+
+      let baseLine = correctAnswerText(q);
+      if (score > 0 && score < 1) {
+        baseLine = `${t("grade.partial", {
+          percent: Math.round(score * 100),
+        })} ${baseLine}`;
+      }
+
+      if (q.explanation && q.explanation.trim().length > 0) {
+        exp.textContent = `${baseLine}. ${q.explanation}`;
+      } else {
+        exp.textContent = baseLine;
+      }
+
+      const rationales = buildRationales(q, userAnswer);
+      if (rationales) exp.appendChild(rationales);
+      if (q.citation) exp.appendChild(buildCitation(q.citation));
+      if (q.id) exp.appendChild(buildChallenge(q));
+
+      card.appendChild(exp);
+    }
+
+    return {
+      question: q,
+      userAnswer,
+      score,
+      isCorrect,
+      confidence: getConfidence(container, q),
+    };
+  });
+
+  points = Math.round(points * 100) / 100;
+  const percent = total ? Math.round((points / total) * 100) : 0;
+  return { correctCount, points, total, percent, results };
+}
+
+/**
+ * Per-domain score table for a blueprint quiz, weakest domain called out.
+ * Returns null when the quiz was not built from a blueprint.
+ */
+function buildDomainBreakdown(results, blueprint) {
+  if (!blueprint) return null;
+
+  const rows = blueprint.domains
+    .map((domain) => {
+      const inDomain = results.filter((r) => r.question.domain === domain.id);
+      const points = inDomain.reduce((sum, r) => sum + r.score, 0);
+      return {
+        domain,
+        count: inDomain.length,
+        points: Math.round(points * 100) / 100,
+        percent: inDomain.length
+          ? Math.round((points / inDomain.length) * 100)
+          : null,
+      };
+    })
+    .filter((row) => row.count > 0);
+
+  if (!rows.length) return null;
+
+  const wrap = document.createElement("div");
+  wrap.className = "domain-breakdown";
+
+  const title = document.createElement("h3");
+  title.textContent = t("breakdown.domains", { name: blueprint.name });
+  wrap.appendChild(title);
+
+  rows.forEach((row) => {
+    const line = document.createElement("div");
+    line.className = "domain-row";
+
+    const name = document.createElement("div");
+    name.className = "domain-name";
+    name.textContent = `${row.domain.name} (${row.domain.weight})`;
+    line.appendChild(name);
+
+    const bar = document.createElement("div");
+    bar.className = "domain-bar";
+    const fill = document.createElement("div");
+    fill.className = "domain-bar-fill";
+    fill.style.width = `${row.percent}%`;
+    fill.classList.toggle("low", row.percent < 70);
+    bar.appendChild(fill);
+    line.appendChild(bar);
+
+    const score = document.createElement("div");
+    score.className = "domain-score";
+    score.textContent = `${row.points} / ${row.count} (${row.percent}%)`;
+    line.appendChild(score);
+
+    wrap.appendChild(line);
+  });
+
+  const weakest = rows.reduce((a, b) => (b.percent < a.percent ? b : a));
+  if (weakest.percent < 100) {
+    const next = document.createElement("div");
+    next.className = "domain-study-next";
+    next.textContent = t("breakdown.studyNext", { name: weakest.domain.name });
+    wrap.appendChild(next);
+  }
+
+  return wrap;
+}
+
+/**
+ * Score per case study, so a learner sees which scenario they struggled
+ * with. Returns null when the quiz had no case studies.
+ */
+function buildCaseStudyBreakdown(results) {
+  const cases = new Map();
+  results.forEach((r) => {
+    const caseStudy = r.question.caseStudy;
+    if (!caseStudy) return;
+    if (!cases.has(caseStudy.id)) {
+      cases.set(caseStudy.id, { title: caseStudy.title, count: 0, points: 0 });
+    }
+    const row = cases.get(caseStudy.id);
+    row.count++;
+    row.points += r.score;
+  });
+  if (!cases.size) return null;
+
+  const wrap = document.createElement("div");
+  wrap.className = "domain-breakdown case-study-breakdown";
+
+  const title = document.createElement("h3");
+  title.textContent = t("breakdown.caseStudies");
+  wrap.appendChild(title);
+
+  cases.forEach((row) => {
+    const points = Math.round(row.points * 100) / 100;
+    const percent = Math.round((row.points / row.count) * 100);
+
+    const line = document.createElement("div");
+    line.className = "domain-row";
+
+    const name = document.createElement("div");
+    name.className = "domain-name";
+    name.textContent = row.title;
+    line.appendChild(name);
+
+    const bar = document.createElement("div");
+    bar.className = "domain-bar";
+    const fill = document.createElement("div");
+    fill.className = "domain-bar-fill";
+    fill.style.width = `${percent}%`;
+    fill.classList.toggle("low", percent < 70);
+    bar.appendChild(fill);
+    line.appendChild(bar);
+
+    const score = document.createElement("div");
+    score.className = "domain-score";
+    score.textContent = `${points} / ${row.count} (${percent}%)`;
+    line.appendChild(score);
+
+    wrap.appendChild(line);
+  });
+
+  return wrap;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
@@ -0,0 +1,131 @@
+// public/quiz-files.js
+// Quiz files for an LMS or a spreadsheet: download the current quiz as
+// Moodle XML, GIFT, QTI 2.1 or CSV, and take a quiz from such a file.
+// Uses readFileAsBase64 from materials.js and startImportedQuiz from script.js.
+
+const importFileInput = document.getElementById("import-file");
+const importSaveInput = document.getElementById("import-save");
+const importStatus = document.getElementById("import-status");
+const importReport = document.getElementById("import-report");
+const exportFormatSelect = document.getElementById("export-format");
+const exportBtn = document.getElementById("export-btn");
+const exportStatus = document.getElementById("export-status");
+
+// Helper: base64 -> browser download
+function downloadBase64File({ fileName, contentType, data }) {
+  const bytes = Uint8Array.from(atob(data), (ch) => ch.charCodeAt(0));
+  const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Helper: list what did not make it into the quiz and why, so nothing is
+ * dropped without the learner knowing.
+ */
+function renderImportReport({ rejected, unsupported, warnings }) {
+  importReport.innerHTML = "";
+  const lines = [
+    ...unsupported.map((item) =>
+      t("import.unsupported", { title: item.title, reason: item.reason })
+    ),
+    ...rejected.map((item) =>
+      t("import.invalid", { title: item.title, reason: item.reason })
+    ),
+    ...warnings.map((item) =>
+      t("import.note", { title: item.title, reason: item.message })
+    ),
+  ];
+  lines.forEach((text) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    importReport.appendChild(li);
+  });
+  importReport.classList.toggle("hidden", !lines.length);
+}
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  const topic = document.getElementById("topic").value.trim();
+  const difficulty = document.getElementById("difficulty").value;
+  const save = importSaveInput.checked;
+  importStatus.textContent = t("import.reading", { name: file.name });
+  importReport.classList.add("hidden");
+
+  try {
+    const res = await fetch("/api/exchange/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name: file.name,
+        data: await readFileAsBase64(file),
+        save,
+        topic: topic || file.name,
+        difficulty,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("import.failed"));
+
+    const skipped = data.rejected.length + data.unsupported.length;
+    importStatus.textContent = [
+      t("import.imported", { count: data.questions.length }),
+      skipped ? t("import.skipped", { count: skipped }) : null,
+      data.saved
+        ? t("import.saved", {
+            added: data.saved.added,
+            duplicates: data.saved.duplicates,
+          })
+        : null,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    renderImportReport(data);
+
+    if (data.questions.length) {
+      startImportedQuiz(data.questions, topic || file.name);
+    }
+  } catch (err) {
+    console.error(err);
+    importStatus.textContent = t("status.error", { message: err.message });
+  } finally {
+    importFileInput.value = "";
+  }
+});
+
+exportBtn.addEventListener("click", async () => {
+  if (!currentQuestions.length) return;
+  exportBtn.disabled = true;
+  exportStatus.textContent = t("export.preparing");
+
+  try {
+    const res = await fetch("/api/exchange/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        format: exportFormatSelect.value,
+        title: currentQuiz.topic,
+        questions: currentQuestions,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("export.failed"));
+
+    downloadBase64File(data);
+    exportStatus.textContent = data.warnings.length
+      ? data.warnings.map((w) => `${w.title}: ${w.message}`).join(" · ")
+      : t("export.exported", { count: data.exported });
+  } catch (err) {
+    console.error(err);
+    exportStatus.textContent = t("status.error", { message: err.message });
+  } finally {
+    exportBtn.disabled = false;
+  }
+});
@@ -0,0 +1,17 @@
+// public/sanitize.js
+// Markdown from the model or the learner's glossary, as safe HTML. A reply
+// can echo whatever text was highlighted or typed, so marked's output goes
+// through DOMPurify: no scripts, event handlers or javascript: links.
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function renderMarkdown(markdown) {
+  const text = String(markdown || "");
+  // Without DOMPurify (blocked CDN) show the plain text rather than risk it
+  if (!window.DOMPurify) return `<p>${escapeHtml(text)}</p>`;
+  return DOMPurify.sanitize(marked.parse(text));
+}
@@ -0,0 +1,106 @@
+// public/scoring.js
+// Scoring rules shared by the browser (global functions) and Node
+// (require). The shape of an answer depends on the question type:
+//
+//   single     "B"
+//   multi      ["A", "C"]
+//   truefalse  [true, false, null]       (null = not answered yet)
+//   ordering   ["Step text", ...]        in the learner's order
+//   matching   { "Left text": "Right text", ... }
+//
+// Partial-credit rules:
+//   "partial"  credit per correct part; wrong multi-select picks cancel
+//              out correct ones (never below 0)
+//   "strict"   full credit only when everything is right
+
+(function (root) {
+  const partScorers = {
+    single(q, answer) {
+      return answer === q.correctOption ? 1 : 0;
+    },
+
+    multi(q, answer) {
+      const picked = Array.isArray(answer) ? answer : [];
+      const hits = picked.filter((l) => q.correctOptions.includes(l)).length;
+      const wrong = picked.length - hits;
+      return Math.max(0, hits - wrong) / q.correctOptions.length;
+    },
+
+    truefalse(q, answer) {
+      const given = Array.isArray(answer) ? answer : [];
+      const right = q.answers.filter((a, idx) => given[idx] === a).length;
+      return right / q.answers.length;
+    },
+
+    ordering(q, answer) {
+      const given = Array.isArray(answer) ? answer : [];
+      const right = q.items.filter((item, idx) => given[idx] === item).length;
+      return right / q.items.length;
+    },
+
+    matching(q, answer) {
+      const given = answer || {};
+      const right = q.pairs.filter((p) => given[p.left] === p.right).length;
+      return right / q.pairs.length;
+    },
+  };
+
+  /**
+   * Score one answer between 0 and 1.
+   */
+  function scoreAnswer(q, answer, partialCredit) {
+    const scorer = partScorers[q.type || "single"];
+    if (!scorer || answer === null || answer === undefined) return 0;
+
+    const score = scorer(q, answer);
+    if (partialCredit === "strict") return score === 1 ? 1 : 0;
+    return score;
+  }
+
+  function isAnswered(q, answer) {
+    switch (q.type || "single") {
+      case "multi":
+        return Array.isArray(answer) && answer.length > 0;
+      case "truefalse":
+        return Array.isArray(answer) && answer.every((a) => a !== null);
+      case "matching":
+        return !!answer && Object.keys(answer).length === q.pairs.length;
+      default:
+        return answer !== null && answer !== undefined;
+    }
+  }
+
+  /**
+   * Human-readable correct answer, used in explanations after grading.
+   */
+  function describeCorrectAnswer(q) {
+    switch (q.type || "single") {
+      case "multi":
+        return `Correct answers: ${q.correctOptions.join(", ")}`;
+      case "truefalse":
+        return `Correct answers: ${q.answers
+          .map((a, idx) => `${idx + 1}. ${a ? "True" : "False"}`)
+          .join(", ")}`;
+      case "ordering":
+        return `Correct order: ${q.items.join(" → ")}`;
+      case "matching":
+        return `Correct matches: ${q.pairs
+          .map((p) => `${p.left} → ${p.right}`)
+          .join("; ")}`;
+      default:
+        return `Correct answer: ${q.correctOption}`;
+    }
+  }
+
+  const api = {
+    scoreAnswer,
+    isAnswered,
+    describeCorrectAnswer,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    Object.assign(root, api);
+  }
+})(this);
@@ -8,6 +8,7 @@ const questionsDiv = document.getElementById("questions");
 const submitAnswersBtn = document.getElementById("submit-answers-btn");
 const resultsDiv = document.getElementById("results");
 const generateBtn = document.getElementById("generate-btn");
+const cancelGenerationBtn = document.getElementById("cancel-generation-btn");
 const costInfoDiv = document.getElementById("cost-info");
 const loadingOverlay = document.getElementById("loading-overlay");
 const selectionHelper = document.getElementById("selection-helper");
@@ -15,30 +16,66 @@ const selectionExplainBtn = document.getElementById("selection-explain-btn");
 const explainChat = document.getElementById("explain-chat");
 const explainChatClose = document.getElementById("explain-chat-close");
 const explainChatMessages = document.getElementById("explain-chat-messages");
+const explainChatForm = document.getElementById("explain-chat-form");
+const explainChatInput = document.getElementById("explain-chat-input");
+const explainChatSend = document.getElementById("explain-chat-send");
+const explainChatNew = document.getElementById("explain-chat-new");
+const explainChatContext = document.getElementById("explain-chat-context");
+const explainChatContextLabel = document.getElementById(
+  "explain-chat-context-label"
+);
+const explainChatContextClear = document.getElementById(
+  "explain-chat-context-clear"
+);
+const explainChatCost = document.getElementById("explain-chat-cost");
+const modeSelect = document.getElementById("mode");
+const examMinutesField = document.getElementById("exam-minutes-field");
 
 let lastSelectionText = "";
+let lastSelectionCard = null;
 
 let isDraggingChat = false;
 let dragOffsetX = 0;
 let dragOffsetY = 0;
 let chatInitialized = false;
+let chatConversationId = null;
+let chatContextCard = null;
+// Study helper spend this page session, incl. what the cache saved
+const chatSpend = { costUsd: 0, savedUsd: 0 };
 
 let currentQuestions = [];
+let currentScoring = {};
+let currentBlueprint = null;
+let currentQuiz = { topic: "", difficulty: "", mode: "practice" };
+let generationController = null;
 
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
-  loadingOverlay.classList.remove("hidden");
 
   const topicInput = document.getElementById("topic");
   const countInput = document.getElementById("count");
   const difficultySelect = document.getElementById("difficulty");
+  const useBankInput = document.getElementById("use-bank");
+  const examMinutesInput = document.getElementById("exam-minutes");
 
   const topic =
     topicInput.value.trim() || "AZ-900 (Microsoft Azure Fundamentals)";
   const count = parseInt(countInput.value) || 5;
   const difficulty = difficultySelect.value || "beginner";
-
-  statusDiv.textContent = "Generating quiz...";
+  const useBank = useBankInput.checked;
+  const types = [
+    ...document.querySelectorAll('input[name="types"]:checked'),
+  ].map((input) => input.value);
+  const partialCredit = document.getElementById("partial-credit").value;
+  const mode = modeSelect.value;
+  const examMinutes = Math.max(parseInt(examMinutesInput.value) || 1, 1);
+  const materialIds = selectedMaterialIds();
+
+  cancelExam();
+  cancelAdaptive();
+  statusDiv.textContent = t(
+    mode === "review" ? "status.loadingDue" : "status.generating"
+  );
   costInfoDiv.textContent = "";
   resultsDiv.textContent = "";
   questionsDiv.innerHTML = "";
@@ -46,145 +83,621 @@ form.addEventListener("submit", async (e) => {
   submitAnswersBtn.classList.add("hidden");
   generateBtn.disabled = true;
 
+  const quizRequest = {
+    topic,
+    count,
+    difficulty, // ✅ include difficulty
+    useBank,
+    types,
+    partialCredit,
+    materialIds,
+    language: currentLanguage(),
+  };
+
   try {
-    const res = await fetch("/api/generate-quiz", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ topic, count, difficulty }), // ✅ include difficulty
-    });
+    // 📡 Practice quizzes stream in, so answering can start right away
+    if (mode === "practice") {
+      await streamPracticeQuiz(quizRequest);
+      return;
+    }
+
+    // 🃏 Flashcards: a new deck instead of questions
+    if (mode === "flashcards") {
+      loadingOverlay.classList.remove("hidden");
+      await startFlashcardMode(quizRequest);
+      return;
+    }
+
+    // 🎯 Adaptive: one question at a time, the level follows the learner
+    if (mode === "adaptive") {
+      startAdaptiveQuiz(quizRequest);
+      return;
+    }
+
+    loadingOverlay.classList.remove("hidden");
+
+    // 🔁 Review mode: no generation, just the questions that are due
+    const res =
+      mode === "review"
+        ? await fetch(`/api/review/due?limit=${count}`)
+        : await fetch("/api/generate-quiz", {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify(quizRequest),
+          });
 
     if (!res.ok) {
       const errorData = await res.json().catch(() => ({}));
-      throw new Error(errorData.error || "Failed to generate quiz");
+      throw new Error(errorData.error || t("status.generateFailed"));
     }
 
     const data = await res.json();
     currentQuestions = data.questions || [];
+    currentScoring = data.scoring || { partialCredit };
+    currentBlueprint = data.blueprint || null;
+    currentQuiz = {
+      topic: mode === "review" ? "Review session" : data.topic || topic,
+      difficulty: data.difficulty || null,
+      mode,
+      startedAt: Date.now(),
+      recorded: false,
+    };
 
     if (!currentQuestions.length) {
-      statusDiv.textContent = "No questions returned from AI.";
+      statusDiv.textContent = t(
+        mode === "review" ? "review.nothingDue" : "status.noQuestions"
+      );
       generateBtn.disabled = false;
       return;
     }
 
-    statusDiv.textContent = "";
-    quizTitle.textContent = `Topic: ${data.topic} (Difficulty: ${data.difficulty})`;
-    renderQuestions(currentQuestions);
+    statusDiv.textContent = describeQuizNotes(data);
+    quizTitle.textContent =
+      mode === "review"
+        ? t("review.title", { count: currentQuestions.length, due: data.due })
+        : quizTitleText(data);
+    renderQuestions(currentQuestions, questionsDiv);
+    highlightGlossaryTerms(questionsDiv);
     quizContainer.classList.remove("hidden");
-    submitAnswersBtn.classList.remove("hidden");
-
-    // 💸 Show estimated cost if usage info is present
-    if (data.usage) {
-      const { promptTokens, completionTokens, estimatedCostUsd } = data.usage;
-      costInfoDiv.textContent =
-        `Estimated API cost for this quiz: $${estimatedCostUsd} ` +
-        `(input: ${promptTokens} tokens, output: ${completionTokens} tokens, model: gpt-5-mini)`;
+
+    if (mode === "exam") {
+      startExam(currentQuestions, questionsDiv, {
+        minutes: examMinutes,
+        scoring: currentScoring,
+        onFinish: showExamResults,
+      });
     } else {
-      costInfoDiv.textContent = "";
+      submitAnswersBtn.classList.remove("hidden");
     }
+
+    showCostInfo(data);
   } catch (err) {
     console.error(err);
-    statusDiv.textContent = "Error: " + err.message;
+    statusDiv.textContent = t("status.error", { message: err.message });
   } finally {
     generateBtn.disabled = false;
     loadingOverlay.classList.add("hidden");
   }
 });
 
-function renderQuestions(questions) {
-  questionsDiv.innerHTML = "";
+// "Topic: … (Difficulty: …)" for a generated quiz
+function quizTitleText({ topic, difficulty }) {
+  return t("quiz.title", {
+    topic,
+    difficulty: t(`difficulty.${difficulty}`),
+  });
+}
 
-  questions.forEach((q, idx) => {
-    const card = document.createElement("div");
-    card.className = "question-card";
-    card.dataset.qid = q.id;
+// ⚠️ The server returns exactly the requested count, or says why not
+function describeQuizNotes(data) {
+  const notes = [];
+  if (data.shortfall) {
+    notes.push(
+      t("status.shortfall", {
+        delivered: data.shortfall.delivered,
+        requested: data.shortfall.requested,
+      }),
+      data.shortfall.reason
+    );
+  }
+  if (data.grounding) {
+    notes.push(
+      t("status.grounding", {
+        passages: data.grounding.passages,
+        documents: data.grounding.documents.join(", "),
+      })
+    );
+  }
+  return notes.join(" ");
+}
 
-    const qText = document.createElement("div");
-    qText.className = "question-text";
-    qText.textContent = `${idx + 1}. ${q.question}`;
-    card.appendChild(qText);
+// 💸 Show estimated cost if usage info is present
+function showCostInfo(data) {
+  if (!data.usage) {
+    costInfoDiv.textContent = "";
+    return;
+  }
 
-    const optionsDiv = document.createElement("div");
-    optionsDiv.className = "options";
+  const { promptTokens, completionTokens, estimatedCostUsd, model } =
+    data.usage;
+  const reused = data.bank ? data.bank.reused : 0;
+  const bankNote = reused ? " " + t("cost.reused", { count: reused }) : "";
+
+  costInfoDiv.textContent = model
+    ? t("cost.quiz", {
+        cost: estimatedCostUsd,
+        promptTokens,
+        completionTokens,
+        model,
+      }) + bankNote
+    : t("cost.allFromBank", { count: reused });
+}
 
-    q.options.forEach((opt, optIndex) => {
-      const letter = ["A", "B", "C", "D"][optIndex] || "A";
+/**
+ * Read a text/event-stream response, calling onEvent(event, data) for every
+ * message as it arrives. `data` is parsed as JSON.
+ */
+async function readServerEvents(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split("\n\n");
+    buffer = messages.pop();
+
+    messages.forEach((message) => {
+      let event = "message";
+      const data = [];
+      message.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      });
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+    });
+  }
+}
 
-      const label = document.createElement("label");
-      label.className = "option-label";
+/**
+ * Practice quiz over /api/generate-quiz/stream: each question card is added
+ * as soon as the server has it. Cancelling keeps the questions received so
+ * far; they can be answered and graded as a shorter quiz.
+ */
+async function streamPracticeQuiz(quizRequest) {
+  generationController = new AbortController();
+  cancelGenerationBtn.classList.remove("hidden");
+
+  currentQuestions = [];
+  currentScoring = { partialCredit: quizRequest.partialCredit };
+  currentBlueprint = null;
+  currentQuiz = {
+    topic: quizRequest.topic,
+    difficulty: quizRequest.difficulty,
+    mode: "practice",
+    startedAt: Date.now(),
+    recorded: false,
+  };
+
+  let requested = quizRequest.count;
+  let summary = null;
 
-      const input = document.createElement("input");
-      input.type = "radio";
-      input.name = q.id;
-      input.value = letter;
+  try {
+    const res = await fetch("/api/generate-quiz/stream", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(quizRequest),
+      signal: generationController.signal,
+    });
 
-      label.appendChild(input);
-      label.appendChild(document.createTextNode(" " + opt));
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || t("status.generateFailed"));
+    }
 
-      optionsDiv.appendChild(label);
+    await readServerEvents(res, (event, data) => {
+      if (event === "start") {
+        requested = data.requested;
+        currentScoring = data.scoring;
+        currentBlueprint = data.blueprint || null;
+        currentQuiz.topic = data.topic;
+        currentQuiz.difficulty = data.difficulty;
+        quizTitle.textContent = quizTitleText(data);
+      } else if (event === "question") {
+        currentQuestions.push(data);
+        appendQuestionCard(questionsDiv, data, currentQuestions.length - 1);
+        highlightGlossaryTerms(questionsDiv);
+        quizContainer.classList.remove("hidden");
+        statusDiv.textContent = t("status.streaming", {
+          ready: currentQuestions.length,
+          requested,
+        });
+      } else if (event === "done") {
+        summary = data;
+      } else if (event === "error") {
+        throw new Error(data.error || t("status.generateFailed"));
+      }
     });
+  } catch (err) {
+    if (err.name !== "AbortError") throw err;
+  } finally {
+    generationController = null;
+    cancelGenerationBtn.classList.add("hidden");
+    if (currentQuestions.length) submitAnswersBtn.classList.remove("hidden");
+  }
 
-    card.appendChild(optionsDiv);
-    questionsDiv.appendChild(card);
+  if (!summary) {
+    statusDiv.textContent = currentQuestions.length
+      ? t("status.cancelledWithQuestions", { count: currentQuestions.length })
+      : t("status.cancelled");
+    return;
+  }
+  if (!currentQuestions.length) {
+    statusDiv.textContent = t("status.noQuestions");
+    return;
+  }
+
+  statusDiv.textContent = describeQuizNotes(summary);
+  showCostInfo(summary);
+}
+
+function startAdaptiveQuiz(quizRequest) {
+  currentQuestions = [];
+  currentScoring = { partialCredit: quizRequest.partialCredit };
+  currentBlueprint = null;
+  currentQuiz = {
+    topic: quizRequest.topic,
+    difficulty: null,
+    mode: "adaptive",
+    startedAt: Date.now(),
+    recorded: false,
+  };
+
+  statusDiv.textContent = "";
+  quizTitle.textContent = t("adaptive.title", {
+    topic: quizRequest.topic,
+    count: quizRequest.count,
+  });
+  quizContainer.classList.remove("hidden");
+
+  startAdaptive({
+    request: quizRequest,
+    container: questionsDiv,
+    onFinish: showAdaptiveResults,
+    onError: (err) => {
+      console.error(err);
+      statusDiv.textContent = t("status.error", { message: err.message });
+    },
+  });
+}
+
+/**
+ * Generate a flashcard deck for the form's topic + difficulty and study it
+ * where the quiz would be. The deck is saved; flashcards.html lists it.
+ */
+async function startFlashcardMode(quizRequest) {
+  const res = await fetch("/api/flashcards/generate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      topic: quizRequest.topic,
+      difficulty: quizRequest.difficulty,
+      count: quizRequest.count,
+      language: quizRequest.language,
+    }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || t("flashcards.generateFailed"));
+
+  currentQuestions = [];
+  currentBlueprint = null;
+  currentQuiz = {
+    topic: data.deck.topic,
+    difficulty: data.deck.difficulty,
+    mode: "flashcards",
+    startedAt: Date.now(),
+    recorded: true,
+  };
+
+  statusDiv.textContent = data.rejected
+    ? t("flashcards.rejected", { count: data.rejected })
+    : "";
+  quizTitle.textContent = t("flashcards.title", {
+    topic: data.deck.topic,
+    difficulty: t(`difficulty.${data.deck.difficulty}`),
+  });
+  startFlashcards(data.deck, questionsDiv);
+  quizContainer.classList.remove("hidden");
+  showCostInfo(data);
+}
+
+// 📥 Questions from an imported quiz file, answered like a practice quiz
+function startImportedQuiz(questions, topic) {
+  cancelExam();
+  cancelAdaptive();
+  currentQuestions = questions;
+  currentScoring = {
+    partialCredit: document.getElementById("partial-credit").value,
+  };
+  currentBlueprint = null;
+  currentQuiz = {
+    topic,
+    difficulty: null,
+    mode: "practice",
+    startedAt: Date.now(),
+    recorded: false,
+  };
+
+  statusDiv.textContent = "";
+  costInfoDiv.textContent = "";
+  resultsDiv.textContent = "";
+  quizTitle.textContent = t("import.title", {
+    topic,
+    count: questions.length,
   });
+  renderQuestions(currentQuestions, questionsDiv);
+  highlightGlossaryTerms(questionsDiv);
+  quizContainer.classList.remove("hidden");
+  submitAnswersBtn.classList.remove("hidden");
 }
 
+// 🔗 A quiz opened from a share link: same questions, same order for everyone
+function startSharedQuiz(quiz) {
+  cancelExam();
+  cancelAdaptive();
+  currentQuestions = quiz.questions;
+  currentScoring = quiz.scoring;
+  currentBlueprint = null;
+  currentQuiz = {
+    title: quiz.title,
+    topic: quiz.topic,
+    difficulty: quiz.difficulty,
+    mode: "practice",
+    startedAt: Date.now(),
+    recorded: false,
+  };
+
+  statusDiv.textContent = "";
+  costInfoDiv.textContent = "";
+  resultsDiv.textContent = "";
+  quizTitle.textContent = t("share.title", {
+    title: quiz.title,
+    count: quiz.questions.length,
+  });
+  renderQuestions(currentQuestions, questionsDiv);
+  highlightGlossaryTerms(questionsDiv);
+  quizContainer.classList.remove("hidden");
+  submitAnswersBtn.classList.remove("hidden");
+}
+
+/**
+ * End of an adaptive quiz: score, estimated ability and how likely the
+ * learner is to pass the real exam.
+ */
+function showAdaptiveResults(report) {
+  const { points, total, percent, results, ability, durationMs, usage } =
+    report;
+  currentQuestions = results.map((r) => r.question);
+  currentScoring = report.scoring;
+  currentBlueprint = report.blueprint;
+
+  resultsDiv.textContent = t("results.scoreIn", {
+    points,
+    total,
+    percent,
+    time: formatDuration(durationMs),
+  });
+
+  const exam = currentBlueprint ? currentBlueprint.name : currentQuiz.topic;
+  const passMark = (currentBlueprint && currentBlueprint.passingScore) || 70;
+  const summary = document.createElement("div");
+  summary.className = `adaptive-report ${ability.passVerdict}`;
+  summary.textContent =
+    t("adaptive.report", {
+      theta: ability.theta,
+      se: ability.se,
+      level: t(`level.${ability.level}`),
+      exam,
+      passMark,
+      likelihood: Math.round(ability.passLikelihood * 100),
+      verdict: t(`verdict.${ability.passVerdict}`),
+    }) + (ability.se > 0.5 ? " " + t("adaptive.moreQuestions") : "");
+  resultsDiv.appendChild(summary);
+
+  showDomainBreakdown(results);
+  recordGradedQuiz({ results, durationMs, timeSpent: report.timeSpent });
+
+  costInfoDiv.textContent = usage.costUsd
+    ? t("cost.adaptive", {
+        cost: usage.costUsd.toFixed(6),
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+      })
+    : t("cost.allFromBank", { count: usage.reused });
+}
+
+cancelGenerationBtn.addEventListener("click", () => {
+  if (generationController) generationController.abort();
+});
+
 submitAnswersBtn.addEventListener("click", () => {
   if (!currentQuestions.length) return;
 
-  let correctCount = 0;
-  let total = currentQuestions.length;
-
-  // Reset classes + old explanations
-  document.querySelectorAll(".question-card").forEach((el) => {
-    el.classList.remove("correct", "incorrect");
-    const oldExp = el.querySelector(".question-explanation");
-    if (oldExp) oldExp.remove();
+  const { points, total, percent, results } = gradeQuestions(
+    currentQuestions,
+    questionsDiv,
+    currentScoring
+  );
+  resultsDiv.textContent = t("results.score", { points, total, percent });
+  showDomainBreakdown(results);
+  recordGradedQuiz({
+    results,
+    durationMs: Date.now() - currentQuiz.startedAt,
   });
+});
 
-  const letters = ["A", "B", "C", "D"];
+function showExamResults({
+  points,
+  total,
+  percent,
+  results,
+  timedOut,
+  durationMs,
+  timeSpent,
+}) {
+  resultsDiv.textContent =
+    (timedOut ? t("exam.timeUp") + " " : "") +
+    t("results.scoreIn", {
+      points,
+      total,
+      percent,
+      time: formatDuration(durationMs),
+    });
+  showDomainBreakdown(results);
+  recordGradedQuiz({ results, durationMs, timedOut, timeSpent });
+}
 
-  currentQuestions.forEach((q) => {
-    const card = document.querySelector(`.question-card[data-qid="${q.id}"]`);
-    if (!card) return;
+// Save the attempt and update the review queue, once per quiz (grading
+// again after changing answers only updates the page)
+function recordGradedQuiz(grade) {
+  if (currentQuiz.recorded) return;
+  currentQuiz.recorded = true;
+  recordAttempt(grade);
+  recordReviewResults(grade.results);
+}
 
-    const selected = document.querySelector(`input[name="${q.id}"]:checked`);
-    const userAnswer = selected ? selected.value : null;
+async function recordAttempt({ results, durationMs, timedOut, timeSpent }) {
+  try {
+    await fetch("/api/history", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        topic: currentQuiz.topic,
+        difficulty: currentQuiz.difficulty,
+        mode: currentQuiz.mode,
+        blueprint: currentBlueprint ? currentBlueprint.id : null,
+        partialCredit: currentScoring.partialCredit,
+        durationMs,
+        timedOut: !!timedOut,
+        answers: results.map(
+          ({ question, userAnswer, score, confidence, difficulty }) => ({
+            question,
+            userAnswer,
+            score,
+            confidence,
+            // Per question in adaptive quizzes only
+            difficulty,
+            timeMs: timeSpent ? timeSpent[question.id] : undefined,
+          })
+        ),
+      }),
+    });
+  } catch (err) {
+    console.error("Could not save attempt history", err);
+  }
+}
 
-    const isCorrect = userAnswer === q.correctOption;
-    if (isCorrect) {
-      correctCount++;
-      card.classList.add("correct");
-    } else {
-      card.classList.add("incorrect");
+/**
+ * Send graded answers + confidence to the review queue, which keeps missed
+ * and low-confidence questions and schedules them (SM-2).
+ */
+async function recordReviewResults(results) {
+  try {
+    const res = await fetch("/api/review/answers", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        topic: currentQuiz.topic,
+        difficulty: currentQuiz.difficulty,
+        answers: results.map(({ question, score, confidence }) => ({
+          question,
+          score,
+          confidence,
+        })),
+      }),
+    });
+    if (!res.ok) return;
+
+    const data = await res.json();
+    if (data.added) {
+      const note = document.createElement("div");
+      note.className = "review-note";
+      note.textContent = t("review.added", { count: data.added });
+      resultsDiv.appendChild(note);
     }
+    showReviewDueCount(data.due);
+  } catch (err) {
+    console.error("Could not update the review queue", err);
+  }
+}
 
-    // Work out correct option text
-    const correctIndex = letters.indexOf(q.correctOption);
-    const correctText =
-      correctIndex >= 0 && q.options[correctIndex]
-        ? q.options[correctIndex]
-        : `Option ${q.correctOption}`;
+// Show how many reviews are waiting in the mode picker
+let reviewDueCount = 0;
 
-    // Build explanation block
-    const exp = document.createElement("div");
-    exp.className = "question-explanation";
+function showReviewDueCount(due) {
+  reviewDueCount = due;
+  const option = modeSelect.querySelector('option[value="review"]');
+  option.textContent = due
+    ? t("mode.reviewDueCount", { count: due })
+    : t("mode.review");
+}
 
-    let baseLine = `Correct answer: ${q.correctOption}`;
+async function loadReviewStats() {
+  try {
+    const res = await fetch("/api/review");
+    if (!res.ok) return;
+    const { due } = await res.json();
+    showReviewDueCount(due);
+  } catch (err) {
+    console.error("Could not load review stats", err);
+  }
+}
 
-    if (q.explanation && q.explanation.trim().length > 0) {
-      exp.textContent = `${baseLine}. ${q.explanation}`;
-    } else {
-      exp.textContent = baseLine;
-    }
+function showDomainBreakdown(results) {
+  const breakdown = buildDomainBreakdown(results, currentBlueprint);
+  if (breakdown) resultsDiv.appendChild(breakdown);
+  const byCase = buildCaseStudyBreakdown(results);
+  if (byCase) resultsDiv.appendChild(byCase);
+}
 
-    card.appendChild(exp);
-  });
+// Suggest known exam blueprints in the topic field
+async function loadBlueprintSuggestions() {
+  try {
+    const res = await fetch("/api/blueprints");
+    if (!res.ok) return;
+    const { blueprints } = await res.json();
+    const list = document.getElementById("topic-suggestions");
+    blueprints.forEach((bp) => {
+      const option = document.createElement("option");
+      option.value = bp.name;
+      list.appendChild(option);
+    });
+  } catch (err) {
+    console.error("Could not load blueprints", err);
+  }
+}
+
+loadBlueprintSuggestions();
+loadGlossaryTerms();
+// These show text, so they wait for the translations
+i18nReady.then(() => {
+  loadReviewStats();
+  loadSharedQuizFromLink();
+});
 
-  const percent = Math.round((correctCount / total) * 100);
-  resultsDiv.textContent = `You scored ${correctCount} / ${total} (${percent}%)`;
+// 🌐 Re-translating the page resets texts that carry a live value
+document.addEventListener("uilanguagechange", () => {
+  showReviewDueCount(reviewDueCount);
+  if (chatSpend.costUsd || chatSpend.savedUsd) showChatSpend();
+});
+
+modeSelect.addEventListener("change", () => {
+  examMinutesField.classList.toggle("hidden", modeSelect.value !== "exam");
 });
 
 document.addEventListener("mouseup", (e) => {
@@ -199,6 +712,10 @@ document.addEventListener("mouseup", (e) => {
   }
 
   lastSelectionText = text;
+  const anchor = selection.anchorNode;
+  const anchorEl =
+    anchor && (anchor.nodeType === 1 ? anchor : anchor.parentElement);
+  lastSelectionCard = anchorEl ? anchorEl.closest(".question-card") : null;
 
   // Position helper near mouse cursor
   const x = e.pageX;
@@ -230,7 +747,7 @@ selectionExplainBtn.addEventListener("click", async () => {
   if (explainChatHeader) {
     explainChatHeader.addEventListener("mousedown", (e) => {
       // don't start drag when clicking the close button
-      if (e.target === explainChatClose) return;
+      if (e.target === explainChatClose || e.target === explainChatNew) return;
 
       isDraggingChat = true;
       const rect = explainChat.getBoundingClientRect();
@@ -268,6 +785,67 @@ selectionExplainBtn.addEventListener("click", async () => {
   const text = lastSelectionText.trim();
   if (!text) return;
 
+  // Open chat if closed
+  explainChat.classList.remove("hidden");
+
+  // Add user message
+  const userMsg = document.createElement("div");
+  userMsg.className = "explain-msg explain-msg-user";
+  const userLabel = document.createElement("div");
+  userLabel.className = "explain-msg-label";
+  userLabel.textContent = t("chat.youSelected");
+  const userText = document.createElement("div");
+  userText.textContent = text;
+  userMsg.append(userLabel, userText);
+  explainChatMessages.appendChild(userMsg);
+
+  // Selected inside a question? Then the helper gets that card as context
+  if (lastSelectionCard) setChatContextCard(lastSelectionCard);
+
+  await askStudyHelper({ explain: text }, t("chat.explanation"));
+});
+
+/**
+ * Question card for the study helper: the question, the learner's current
+ * answer and whether it was graded (the server only reveals the correct
+ * answer after grading).
+ */
+function buildChatContext() {
+  if (!chatContextCard || !questionsDiv.contains(chatContextCard)) return null;
+
+  const q = currentQuestions.find((q) => q.id === chatContextCard.dataset.qid);
+  if (!q) return null;
+
+  return {
+    question: q,
+    userAnswer: getUserAnswer(questionsDiv, q),
+    graded: ["correct", "incorrect", "partial"].some((cls) =>
+      chatContextCard.classList.contains(cls)
+    ),
+  };
+}
+
+function setChatContextCard(card) {
+  chatContextCard = card;
+  const idx = currentQuestions.findIndex((q) => q.id === card.dataset.qid);
+  explainChatContextLabel.textContent = t("chat.askingAbout", {
+    number: idx + 1,
+  });
+  explainChatContext.classList.remove("hidden");
+}
+
+function clearChatContext() {
+  chatContextCard = null;
+  explainChatContext.classList.add("hidden");
+}
+
+/**
+ * Send one request to the study helper and show the reply. `request` is
+ * { message } for a typed question or { explain, regenerate } for a
+ * highlighted term (explanations can come from the server cache). With
+ * `replaceMsg` the reply takes the place of that earlier answer.
+ */
+async function askStudyHelper(request, label, replaceMsg = null) {
   // Topic + difficulty from form
   const topicInput = document.getElementById("topic");
   const difficultySelect = document.getElementById("difficulty");
@@ -280,53 +858,215 @@ selectionExplainBtn.addEventListener("click", async () => {
       ? difficultySelect.value
       : "beginner";
 
-  // Open chat if closed
-  explainChat.classList.remove("hidden");
-
-  // Add user message
-  const userMsg = document.createElement("div");
-  userMsg.className = "explain-msg explain-msg-user";
-  userMsg.innerHTML =
-    '<div class="explain-msg-label">You selected</div>' + `<div>${text}</div>`;
-  explainChatMessages.appendChild(userMsg);
-
   // Add loading message
   const loadingMsg = document.createElement("div");
   loadingMsg.className = "explain-msg explain-msg-loading";
-  loadingMsg.textContent = "Thinking...";
-  explainChatMessages.appendChild(loadingMsg);
-  explainChatMessages.scrollTop = explainChatMessages.scrollHeight;
+  loadingMsg.textContent = t("chat.thinking");
+  if (replaceMsg) {
+    explainChatMessages.insertBefore(loadingMsg, replaceMsg);
+  } else {
+    explainChatMessages.appendChild(loadingMsg);
+    explainChatMessages.scrollTop = explainChatMessages.scrollHeight;
+  }
 
   try {
-    const res = await fetch("/api/explain", {
+    const res = await fetch("/api/chat", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ topic, text, difficulty }),
+      body: JSON.stringify({
+        ...request,
+        conversationId: chatConversationId,
+        topic,
+        difficulty,
+        language: currentLanguage(),
+        context: buildChatContext(),
+      }),
     });
 
+    const data = await res.json().catch(() => ({}));
+    if (data.conversationId) chatConversationId = data.conversationId;
     if (!res.ok) {
-      const data = await res.json().catch(() => ({}));
-      throw new Error(data.error || "Failed to get explanation");
+      throw new Error(data.error || t("chat.failed"));
     }
 
-    const data = await res.json();
-
-    // Replace loading with AI message
-    loadingMsg.remove();
-
     const aiMsg = document.createElement("div");
     aiMsg.className = "explain-msg explain-msg-ai";
-    aiMsg.innerHTML =
-      '<div class="explain-msg-label">Explanation</div>' +
-      `<div class="explain-html">${marked.parse(data.explanation || "")}</div>`;
-    explainChatMessages.appendChild(aiMsg);
+    const aiLabel = document.createElement("div");
+    aiLabel.className = "explain-msg-label";
+    aiLabel.textContent = label;
+    const aiBody = document.createElement("div");
+    aiBody.className = "explain-html";
+    aiBody.innerHTML = renderMarkdown(data.reply);
+    aiMsg.append(aiLabel, aiBody);
+    aiMsg.appendChild(buildReplyMeta(data, request, label, aiMsg));
+
+    // Replace loading (and the answer being regenerated) with AI message
+    loadingMsg.replaceWith(aiMsg);
+    if (replaceMsg) replaceMsg.remove();
+    else explainChatMessages.scrollTop = explainChatMessages.scrollHeight;
+
+    // 📖 A newly explained term is highlighted in the questions right away
+    if (data.glossaryId) {
+      loadGlossaryTerms().then(() => highlightGlossaryTerms(questionsDiv));
+    }
+
+    chatSpend.costUsd += data.usage ? data.usage.costUsd || 0 : 0;
+    chatSpend.savedUsd += data.usage ? data.usage.savedUsd || 0 : 0;
+    showChatSpend();
+  } catch (err) {
+    console.error(err);
+    loadingMsg.textContent = t("status.error", { message: err.message });
+    // Keep the old answer and let the learner try again
+    if (replaceMsg) {
+      replaceMsg.querySelector(".explain-regenerate").disabled = false;
+    }
+  }
+}
+
+// "From cache" / cost line under an answer, plus Regenerate for explanations
+function buildReplyMeta(data, request, label, aiMsg) {
+  const meta = document.createElement("div");
+  meta.className = "explain-msg-meta";
+
+  const usage = data.usage || {};
+  const note = document.createElement("span");
+  note.textContent = data.cached
+    ? t("chat.fromCache", { saved: (usage.savedUsd || 0).toFixed(4) })
+    : t("chat.cost", { cost: (usage.costUsd || 0).toFixed(4) });
+  meta.appendChild(note);
+
+  if (data.glossaryId) {
+    const glossaryLink = document.createElement("a");
+    glossaryLink.className = "explain-glossary-link";
+    glossaryLink.href = `glossary.html#${encodeURIComponent(data.glossaryId)}`;
+    glossaryLink.target = "_blank";
+    glossaryLink.textContent = t("chat.savedToGlossary");
+    meta.appendChild(glossaryLink);
+  }
+
+  if (request.explain) {
+    meta.appendChild(buildAddFlashcardButton(request.explain, data.reply));
+
+    const regenerateBtn = document.createElement("button");
+    regenerateBtn.type = "button";
+    regenerateBtn.className = "explain-regenerate";
+    regenerateBtn.textContent = t("chat.regenerate");
+    regenerateBtn.addEventListener("click", () => {
+      regenerateBtn.disabled = true;
+      askStudyHelper(
+        { explain: request.explain, regenerate: true },
+        label,
+        aiMsg
+      );
+    });
+    meta.appendChild(regenerateBtn);
+  }
+
+  return meta;
+}
+
+// 🃏 One click: the explained term becomes a card in the study helper deck
+function buildAddFlashcardButton(term, reply) {
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "explain-add-card";
+  addBtn.textContent = t("chat.addFlashcard");
+  addBtn.addEventListener("click", async () => {
+    addBtn.disabled = true;
+    try {
+      const res = await fetch("/api/flashcards/cards", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          term,
+          definition: reply,
+          topic:
+            document.getElementById("topic").value.trim() ||
+            "AZ-900 (Microsoft Azure Fundamentals)",
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || t("chat.addFlashcardFailed"));
+      addBtn.textContent = t(
+        data.added ? "chat.addedFlashcard" : "chat.alreadyFlashcard"
+      );
+    } catch (err) {
+      console.error(err);
+      addBtn.textContent = t("chat.addFlashcardRetry");
+      addBtn.disabled = false;
+    }
+  });
+  return addBtn;
+}
+
+// Saved glossary explanation in the study helper panel (no model call)
+async function showGlossaryEntry(id) {
+  try {
+    const res = await fetch(`/api/glossary/${encodeURIComponent(id)}`);
+    if (!res.ok) throw new Error(t("chat.glossaryLoadFailed"));
+    const entry = await res.json();
+
+    ensureChatPosition();
+    explainChat.classList.remove("hidden");
+
+    const msg = document.createElement("div");
+    msg.className = "explain-msg explain-msg-ai";
+    const label = document.createElement("div");
+    label.className = "explain-msg-label";
+    label.textContent = t("chat.fromGlossary", { term: entry.term });
+    const body = document.createElement("div");
+    body.className = "explain-html";
+    body.innerHTML = renderMarkdown(entry.explanation);
+    msg.append(label, body);
+
+    explainChatMessages.appendChild(msg);
     explainChatMessages.scrollTop = explainChatMessages.scrollHeight;
   } catch (err) {
     console.error(err);
-    loadingMsg.textContent = "Error: " + err.message;
   }
+}
+
+function showChatSpend() {
+  explainChatCost.textContent = chatSpend.savedUsd
+    ? t("chat.spendSaved", {
+        cost: chatSpend.costUsd.toFixed(4),
+        saved: chatSpend.savedUsd.toFixed(4),
+      })
+    : t("chat.spend", { cost: chatSpend.costUsd.toFixed(4) });
+}
+
+explainChatForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const message = explainChatInput.value.trim();
+  if (!message) return;
+
+  explainChatInput.value = "";
+
+  const userMsg = document.createElement("div");
+  userMsg.className = "explain-msg explain-msg-user";
+  const userLabel = document.createElement("div");
+  userLabel.className = "explain-msg-label";
+  userLabel.textContent = t("chat.youAsked");
+  const userText = document.createElement("div");
+  userText.textContent = message;
+  userMsg.appendChild(userLabel);
+  userMsg.appendChild(userText);
+  explainChatMessages.appendChild(userMsg);
+
+  explainChatSend.disabled = true;
+  await askStudyHelper({ message }, t("chat.title"));
+  explainChatSend.disabled = false;
+  explainChatInput.focus();
 });
 
+explainChatNew.addEventListener("click", () => {
+  chatConversationId = null;
+  explainChatMessages.innerHTML = "";
+  clearChatContext();
+});
+
+explainChatContextClear.addEventListener("click", clearChatContext);
+
 explainChatClose.addEventListener("click", () => {
   explainChat.classList.add("hidden");
 });
@@ -0,0 +1,73 @@
+// public/share-quiz.js
+// Share the current quiz as a link (same questions, same order for
+// everyone) and open shared quizzes from ?quiz=<id>. The share link also
+// leads to hosting the quiz as a live classroom session (live.html).
+// Uses startSharedQuiz from script.js.
+
+const shareBtn = document.getElementById("share-btn");
+const shareStatus = document.getElementById("share-status");
+const shareLinks = document.getElementById("share-links");
+const shareUrlInput = document.getElementById("share-url");
+const shareCopyBtn = document.getElementById("share-copy-btn");
+const shareLiveLink = document.getElementById("share-live-link");
+
+shareBtn.addEventListener("click", async () => {
+  if (!currentQuestions.length) return;
+  shareBtn.disabled = true;
+  shareStatus.textContent = t("share.saving");
+  shareLinks.classList.add("hidden");
+
+  try {
+    const res = await fetch("/api/quiz", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        title: currentQuiz.title || currentQuiz.topic,
+        topic: currentQuiz.topic,
+        difficulty: currentQuiz.difficulty,
+        scoring: currentScoring,
+        questions: currentQuestions,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("share.failed"));
+
+    shareStatus.textContent = "";
+    shareUrlInput.value = new URL(data.url, location.origin).href;
+    shareLiveLink.href = data.liveUrl;
+    shareLinks.classList.remove("hidden");
+    shareUrlInput.select();
+  } catch (err) {
+    console.error(err);
+    shareStatus.textContent = t("status.error", { message: err.message });
+  } finally {
+    shareBtn.disabled = false;
+  }
+});
+
+shareCopyBtn.addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(shareUrlInput.value);
+    shareStatus.textContent = t("share.copied");
+  } catch (err) {
+    shareUrlInput.select();
+    shareStatus.textContent = t("share.copyManually");
+  }
+});
+
+// Opened from a share link: start that quiz right away
+async function loadSharedQuizFromLink() {
+  const id = new URLSearchParams(location.search).get("quiz");
+  if (!id) return;
+
+  statusDiv.textContent = t("share.loading");
+  try {
+    const res = await fetch(`/api/quiz/${encodeURIComponent(id)}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || t("share.loadFailed"));
+    startSharedQuiz(data);
+  } catch (err) {
+    console.error(err);
+    statusDiv.textContent = t("status.error", { message: err.message });
+  }
+}
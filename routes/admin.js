@@ -0,0 +1,70 @@
+// routes/admin.js
+const express = require("express");
+const { ROLES } = require("../lib/accounts");
+const { requireAdmin } = require("./auth");
+
+/**
+ * Team view for admins (needs accounts, see routes/auth.js).
+ *
+ *   GET   /api/admin/users?tz=     every account with progress, review
+ *                                  queue and spend this month
+ *   PATCH /api/admin/users/:id     { role: "learner" | "admin" }
+ *
+ * One learner's full dashboard is /api/history/summary?user=<id>.
+ */
+function createAdminRouter({ accounts, history, review, ledger }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get("/users", (req, res) => {
+    const tzOffset = Math.min(Math.max(parseInt(req.query.tz) || 0, -840), 840);
+    const monthStart = `${new Date().toISOString().slice(0, 7)}-01`;
+
+    const users = accounts.list().map((user) => {
+      const { totals, streaks, readiness } = history.summarize({
+        userId: user.id,
+        tzOffset,
+      });
+
+      return {
+        ...user,
+        progress: {
+          attempts: totals.attempts,
+          questions: totals.questions,
+          percent: totals.percent,
+          studyTimeMs: totals.studyTimeMs,
+          currentStreak: streaks.current,
+          lastStudyDay: streaks.lastStudyDay,
+          readyTopics: readiness.filter((r) => r.ready).map((r) => r.topic),
+        },
+        review: review.stats({ userId: user.id }),
+        spendUsd: ledger.report({ from: monthStart, user: user.username })
+          .totals.costUsd,
+      };
+    });
+
+    res.json({ users });
+  });
+
+  router.patch("/users/:id", (req, res) => {
+    const { role } = req.body || {};
+    if (!accounts.get(req.params.id)) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    if (req.params.id === req.user.id && role !== "admin") {
+      return res
+        .status(400)
+        .json({ error: "Ask another admin to change your own role." });
+    }
+
+    const result = accounts.setRole(req.params.id, role);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, roles: ROLES });
+    }
+    res.json(result.user);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
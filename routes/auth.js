@@ -0,0 +1,212 @@
+// routes/auth.js
+const express = require("express");
+
+const SESSION_COOKIE = "certstudy_session";
+
+// Reachable without a session, so learners can sign in at all (lower case)
+const OPEN_PATHS = ["/api/health", "/api/auth/"];
+
+/**
+ * Helper: one cookie value from the Cookie header (no cookie-parser needed).
+ * A value that is not valid percent-encoding counts as no cookie.
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx !== -1 && part.slice(0, idx).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(idx + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    path: "/",
+    expires: new Date(expiresAt),
+  });
+}
+
+/**
+ * Helper: with accounts enabled a request without a user must not fall
+ * back to "everyone". The session middleware answers 401 first; this is
+ * the second line, thrown as a 401 for the error handler in server.js.
+ */
+function assertSignedIn(req) {
+  if (req.accountsEnabled && !req.user) {
+    const err = new Error("Please sign in.");
+    err.status = 401;
+    throw err;
+  }
+}
+
+/**
+ * Helper: the user id new records belong to (undefined without accounts).
+ */
+function ownerId(req) {
+  assertSignedIn(req);
+  return req.user ? req.user.id : undefined;
+}
+
+/**
+ * Helper: whose records a request reads. Without accounts everything is
+ * shared (undefined = no filter); learners only see their own, admins may
+ * pass ?user=<id> for one learner or ?user=all for the whole team.
+ */
+function scopeUserId(req) {
+  assertSignedIn(req);
+  if (!req.user) return undefined;
+  if (req.user.role === "admin" && req.query.user) {
+    return req.query.user === "all" ? undefined : String(req.query.user);
+  }
+  return req.user.id;
+}
+
+function isAdmin(req) {
+  return !!req.user && req.user.role === "admin";
+}
+
+/**
+ * Helper: whether a path needs a session. Express routes match without
+ * regard to case, so "/API/history" is compared as "/api/history".
+ */
+function needsSession(reqPath) {
+  const lower = reqPath.toLowerCase();
+  if (lower !== "/api" && !lower.startsWith("/api/")) return false;
+  return !OPEN_PATHS.some((p) => lower === p || lower.startsWith(p));
+}
+
+/**
+ * Session middleware: puts the signed-in user on `req.user` and, when
+ * accounts are enabled, answers 401 for /api requests without a session.
+ * Static pages stay public; login.html takes care of signing in.
+ */
+function createSessionMiddleware({ accounts, enabled }) {
+  return (req, res, next) => {
+    if (!enabled) return next();
+    req.accountsEnabled = true;
+
+    const user = accounts.authenticate(readCookie(req, SESSION_COOKIE));
+    if (user) req.user = user;
+
+    const open = !needsSession(req.path);
+    if (user || open) return next();
+
+    res.status(401).json({ error: "Please sign in.", login: "/login.html" });
+  };
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  res.status(req.user ? 403 : 401).json({
+    error: req.user
+      ? "Only admins can do that."
+      : "Sign in as an admin (accounts need AUTH_ENABLED=true).",
+  });
+}
+
+/**
+ * Helper: requireAdmin when accounts are enabled. Without accounts there
+ * are no admins, so anyone may use the route.
+ */
+function adminWhenEnabled(enabled) {
+  return enabled ? requireAdmin : (req, res, next) => next();
+}
+
+/**
+ * Account endpoints.
+ *
+ *   GET  /api/auth/me         { enabled, allowSignup, user }
+ *   POST /api/auth/register   { username, password, displayName, role? }
+ *   POST /api/auth/login      { username, password }
+ *   POST /api/auth/logout
+ *
+ * Registering signs the new learner in, unless an admin is creating an
+ * account for someone else (only admins may pick the role).
+ */
+function createAuthRouter({ accounts, auth }) {
+  const router = express.Router();
+
+  // Everything but /me is pointless without accounts
+  function requireEnabled(req, res, next) {
+    if (auth.enabled) return next();
+    res
+      .status(404)
+      .json({ error: "Accounts are turned off (set AUTH_ENABLED=true)." });
+  }
+
+  router.get("/me", (req, res) => {
+    res.json({
+      enabled: auth.enabled,
+      allowSignup: auth.allowSignup || !accounts.list().length,
+      user: req.user || null,
+    });
+  });
+
+  router.post("/register", requireEnabled, async (req, res) => {
+    const { username, password, displayName, role } = req.body || {};
+    const byAdmin = isAdmin(req);
+
+    if (!auth.allowSignup && !byAdmin && accounts.list().length) {
+      return res
+        .status(403)
+        .json({ error: "Sign-up is closed. Ask an admin for an account." });
+    }
+
+    const created = await accounts.register({
+      username,
+      password,
+      displayName,
+      role: byAdmin ? role : undefined,
+    });
+    if (created.error) {
+      return res.status(400).json({ error: created.error });
+    }
+    if (byAdmin) {
+      return res.status(201).json({ user: created.user });
+    }
+
+    const session = await accounts.login({ username, password });
+    setSessionCookie(req, res, session.token, session.expiresAt);
+    res.status(201).json({ user: session.user });
+  });
+
+  router.post("/login", requireEnabled, async (req, res) => {
+    const { username, password } = req.body || {};
+    const session = await accounts.login({ username, password });
+    if (session.error) {
+      return res.status(401).json({ error: session.error });
+    }
+
+    setSessionCookie(req, res, session.token, session.expiresAt);
+    res.json({ user: session.user });
+  });
+
+  router.post("/logout", requireEnabled, (req, res) => {
+    accounts.logout(readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter,
+  createSessionMiddleware,
+  requireAdmin,
+  adminWhenEnabled,
+  isAdmin,
+  ownerId,
+  scopeUserId,
+  readCookie,
+  SESSION_COOKIE,
+};
@@ -0,0 +1,65 @@
+// routes/bank.js
+const express = require("express");
+const { adminWhenEnabled } = require("./auth");
+
+/**
+ * Question bank endpoints: browse, search, edit and delete stored questions.
+ *
+ *   GET    /api/bank?q=&topic=&difficulty=&limit=&offset=
+ *   GET    /api/bank/:id
+ *   PUT    /api/bank/:id      admin when accounts are enabled
+ *   DELETE /api/bank/:id      admin when accounts are enabled
+ *
+ * The bank is shared by the whole team, so with accounts enabled learners
+ * go through a challenge (routes/moderation.js) to get a question changed.
+ */
+function createBankRouter({ bank, auth }) {
+  const router = express.Router();
+  const adminOnly = adminWhenEnabled(auth.enabled);
+
+  router.get("/", (req, res) => {
+    const { q, topic, difficulty } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    res.json(
+      bank.list({
+        q,
+        topic,
+        difficulty: difficulty ? String(difficulty).toLowerCase() : undefined,
+        limit,
+        offset,
+      })
+    );
+  });
+
+  router.get("/:id", (req, res) => {
+    const entry = bank.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Question not found in bank." });
+    }
+    res.json(entry);
+  });
+
+  router.put("/:id", adminOnly, (req, res) => {
+    const result = bank.update(req.params.id, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: "Question not found in bank." });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result.entry);
+  });
+
+  router.delete("/:id", adminOnly, (req, res) => {
+    if (!bank.remove(req.params.id)) {
+      return res.status(404).json({ error: "Question not found in bank." });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createBankRouter };
@@ -0,0 +1,46 @@
+// routes/cache.js
+const express = require("express");
+const { explanationKey } = require("../lib/studyChat");
+const { adminWhenEnabled } = require("./auth");
+
+/**
+ * Cache inspection + invalidation.
+ *
+ *   GET    /api/cache                                     hit / miss stats
+ *   DELETE /api/cache/explanations?text=&topic=&difficulty=&language=
+ *          drops one cached explanation, or all of them without `text`
+ *
+ * Explanations are cached per language, so `language` (default English)
+ * picks which one goes.
+ *
+ * The cache is shared by the whole team, so with accounts enabled only
+ * admins may invalidate it.
+ */
+function createCacheRouter({ explanations, auth }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json({ explanations: explanations.stats() });
+  });
+
+  router.delete("/explanations", adminWhenEnabled(auth.enabled), (req, res) => {
+    const { text, topic, difficulty, language } = req.query;
+    if (!text) {
+      return res.json({ removed: explanations.clear() });
+    }
+
+    const removed = explanations.remove(
+      explanationKey({ text, topic, difficulty, language })
+    );
+    if (!removed) {
+      return res
+        .status(404)
+        .json({ error: "No cached explanation for that text." });
+    }
+    res.json({ removed: 1 });
+  });
+
+  return router;
+}
+
+module.exports = { createCacheRouter };
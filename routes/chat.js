@@ -0,0 +1,230 @@
+// routes/chat.js
+const express = require("express");
+const {
+  MAX_MESSAGE_CHARS,
+  buildChatMessages,
+  cleanContext,
+  explanationKey,
+} = require("../lib/studyChat");
+const { requestUser, costOf } = require("../lib/usage");
+const { ownerId } = require("./auth");
+
+/**
+ * Study helper conversation endpoints.
+ *
+ *   POST   /api/chat       { conversationId?, message | explain, regenerate?,
+ *                            topic, difficulty, language?, context? }
+ *   GET    /api/chat/:id   the stored conversation
+ *   DELETE /api/chat/:id
+ *
+ * `context` is the question card the learner is asking about:
+ * { question, userAnswer, graded }. It sticks to the conversation until a
+ * different card (or null) is sent.
+ *
+ * With accounts enabled a conversation is only visible to its learner.
+ *
+ * `explain` (a highlighted term) instead of `message` asks for an
+ * explanation of that term, which is cached per term, topic, level and
+ * language;
+ * `regenerate: true` skips the cache and replaces the cached answer.
+ * Every explanation is also saved to the learner's glossary, and the
+ * response carries its `glossaryId`.
+ *
+ * `message`, `explain`, `topic` and every text on the `context` card pass
+ * the prompt guard (400 when they read like instructions for the model);
+ * `limit` is the model call rate limit.
+ */
+function createChatRouter({
+  llm,
+  model,
+  conversations,
+  explanations,
+  glossary,
+  ledger,
+  promptGuard,
+  limit,
+  describeError,
+}) {
+  const router = express.Router();
+
+  router.post("/", limit, async (req, res) => {
+    const {
+      conversationId,
+      message,
+      explain,
+      regenerate,
+      topic,
+      difficulty,
+      language,
+      context,
+    } = req.body || {};
+
+    // 🛡️ Learner text goes into the prompt: neutralise it, refuse injections
+    const guarded = promptGuard(
+      {
+        explain: { value: explain, label: "highlighted text", maxChars: 500 },
+        message: {
+          value: message,
+          label: "message",
+          maxChars: MAX_MESSAGE_CHARS,
+          multiline: true,
+        },
+        topic: { value: topic, label: "topic", maxChars: 80 },
+        context: {
+          value: context,
+          label: "question card",
+          maxChars: 4000,
+          multiline: true,
+          structured: true,
+        },
+      },
+      { endpoint: "chat", user: requestUser(req) }
+    );
+    if (guarded.error) return res.status(400).json({ error: guarded.error });
+
+    const term = guarded.values.explain;
+    if (!term && !guarded.values.message) {
+      return res.status(400).json({ error: "No message provided." });
+    }
+    const safeMessage = term ? `Explain "${term}"` : guarded.values.message;
+
+    const conversation = conversations.open({
+      id: conversationId,
+      userId: ownerId(req),
+      topic: guarded.values.topic,
+      difficulty,
+      language,
+      // Leave `context` out to keep the current card, send null to drop it
+      context:
+        context === undefined
+          ? undefined
+          : cleanContext(guarded.values.context),
+    });
+
+    // 🗃️ Same term, topic and level explained before? No model call needed
+    const cacheKey = term
+      ? explanationKey({
+          text: term,
+          topic: conversation.topic,
+          difficulty: conversation.difficulty,
+          language: conversation.language,
+        })
+      : null;
+    const hit = cacheKey && !regenerate ? explanations.get(cacheKey) : null;
+
+    // 📖 Explained terms go to the learner's glossary, grouped by topic
+    const saveToGlossary = (text) => {
+      const entry = glossary.saveExplanation({
+        term,
+        topic: conversation.topic,
+        explanation: text,
+        userId: ownerId(req),
+      });
+      return entry ? entry.id : null;
+    };
+
+    if (hit) {
+      conversations.append(conversation.id, [
+        { role: "user", content: safeMessage },
+        { role: "assistant", content: hit.value.text },
+      ]);
+      ledger.recordCacheHit({
+        endpoint: "chat",
+        user: requestUser(req),
+        model: hit.value.model,
+        savedUsd: hit.value.costUsd,
+      });
+      return res.json({
+        conversationId: conversation.id,
+        reply: hit.value.text,
+        cached: true,
+        cachedAt: hit.createdAt,
+        glossaryId: saveToGlossary(hit.value.text),
+        usage: {
+          promptTokens: 0,
+          completionTokens: 0,
+          model: hit.value.model,
+          costUsd: 0,
+          savedUsd: hit.value.costUsd,
+        },
+      });
+    }
+
+    const overBudget = ledger.checkBudget();
+    if (overBudget) {
+      return res.status(429).json({
+        error: overBudget.error,
+        conversationId: conversation.id,
+      });
+    }
+
+    let completion;
+    try {
+      completion = await ledger
+        .track(llm, { endpoint: "chat", user: requestUser(req) })
+        .complete({
+          task: "chat",
+          model,
+          messages: buildChatMessages(conversation, safeMessage),
+        });
+    } catch (llmErr) {
+      console.error("[LLM ERROR /api/chat]", llmErr);
+      return res.status(500).json({
+        error: "Failed to call the LLM provider for the study helper.",
+        debug: describeError(llmErr),
+        conversationId: conversation.id,
+      });
+    }
+
+    const reply =
+      completion.content || "Sorry, I could not come up with an answer.";
+    conversations.append(conversation.id, [
+      { role: "user", content: safeMessage },
+      { role: "assistant", content: reply },
+    ]);
+
+    const { costUsd } = costOf(completion.model, completion.usage);
+    let glossaryId;
+    if (cacheKey && completion.content) {
+      explanations.set(cacheKey, {
+        text: reply,
+        model: completion.model,
+        costUsd,
+      });
+      glossaryId = saveToGlossary(reply);
+    }
+
+    res.json({
+      conversationId: conversation.id,
+      reply,
+      cached: false,
+      glossaryId,
+      usage: {
+        promptTokens: completion.usage.promptTokens,
+        completionTokens: completion.usage.completionTokens,
+        model: completion.model,
+        costUsd,
+        savedUsd: 0,
+      },
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const conversation = conversations.get(req.params.id, ownerId(req));
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.json(conversation);
+  });
+
+  router.delete("/:id", (req, res) => {
+    if (!conversations.remove(req.params.id, ownerId(req))) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createChatRouter };
@@ -0,0 +1,148 @@
+// routes/exchange.js
+const express = require("express");
+const { toQuizQuestion } = require("../lib/questionBank");
+const { balanceCorrectOptions } = require("../lib/quizPipeline");
+const { validateQuestion } = require("../lib/questionTypes");
+const { listFormats, exportQuiz, importQuiz } = require("../lib/formats");
+
+// Files arrive base64-encoded inside JSON, as for study materials
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_EXPORT_QUESTIONS = 500;
+const DIFFICULTIES = ["beginner", "intermediate", "expert"];
+
+/**
+ * Question import / export in Moodle XML, GIFT, QTI 2.1 and CSV.
+ *
+ *   GET  /api/exchange/formats
+ *   POST /api/exchange/export  { format, title, questions } or
+ *                              { format, title, bank: { topic, difficulty, q } }
+ *   POST /api/exchange/import  { name, data (base64) | text, format?,
+ *                                save?, topic?, difficulty? }
+ *
+ * Export answers { fileName, contentType, data (base64), exported, warnings }.
+ * Import answers the validated questions ready for the quiz renderer plus
+ * every question that was rejected or unsupported, with the reason.
+ *
+ * Mount this before the app-wide express.json() so the larger body limit
+ * below applies.
+ */
+function createExchangeRouter({ bank }) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: Math.ceil(MAX_UPLOAD_BYTES * 1.4) }));
+
+  router.get("/formats", (req, res) => {
+    res.json({ formats: listFormats() });
+  });
+
+  router.post("/export", (req, res) => {
+    const { format, title, questions, bank: fromBank } = req.body || {};
+    const warnings = [];
+    let source;
+
+    if (fromBank && typeof fromBank === "object") {
+      source = bank
+        .list({
+          q: fromBank.q,
+          topic: fromBank.topic,
+          difficulty: fromBank.difficulty
+            ? String(fromBank.difficulty).toLowerCase()
+            : undefined,
+          limit: MAX_EXPORT_QUESTIONS,
+        })
+        .questions.filter((entry) => !entry.retiredAt)
+        .map(toQuizQuestion);
+    } else if (Array.isArray(questions)) {
+      // Questions from the browser: export only what would pass generation
+      source = [];
+      questions.slice(0, MAX_EXPORT_QUESTIONS).forEach((raw, idx) => {
+        const { question, error } = validateQuestion(raw);
+        if (error) {
+          warnings.push({
+            title: `Question ${idx + 1}`,
+            message: `skipped: ${error}`,
+          });
+        } else {
+          source.push(question);
+        }
+      });
+    } else {
+      return res
+        .status(400)
+        .json({ error: "Send questions or a bank filter to export." });
+    }
+
+    if (!source.length) {
+      return res
+        .status(400)
+        .json({ error: "No questions to export.", warnings });
+    }
+
+    const result = exportQuiz(format, source, {
+      title: String(
+        title || (fromBank && fromBank.topic) || "CertStudy quiz"
+      ).slice(0, 80),
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json({
+      fileName: result.fileName,
+      contentType: result.contentType,
+      data: result.content.toString("base64"),
+      exported: source.length,
+      warnings: [...warnings, ...result.warnings],
+    });
+  });
+
+  router.post("/import", (req, res) => {
+    const { name, data, text, format, save, topic, difficulty } =
+      req.body || {};
+    if (typeof data !== "string" && typeof text !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Send a file name plus base64 data or text." });
+    }
+
+    const buffer =
+      typeof data === "string"
+        ? Buffer.from(data, "base64")
+        : Buffer.from(text, "utf8");
+    if (!buffer.length) {
+      return res.status(400).json({ error: "The file is empty." });
+    }
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: "Files are limited to 5 MB." });
+    }
+
+    const result = importQuiz({ buffer, name, format });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    let questions = result.questions;
+    let saved = null;
+    if (save && questions.length) {
+      if (!topic || typeof topic !== "string") {
+        return res
+          .status(400)
+          .json({ error: "A topic is needed to save imported questions." });
+      }
+      const stored = bank.add(questions, {
+        topic: topic.slice(0, 80),
+        difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : "beginner",
+      });
+      saved = { added: stored.added, duplicates: stored.duplicates };
+      questions = stored.entries
+        .filter((entry, i, list) => list.indexOf(entry) === i)
+        .map(toQuizQuestion);
+    }
+
+    res.json({
+      ...result,
+      questions: balanceCorrectOptions(questions),
+      saved,
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createExchangeRouter };
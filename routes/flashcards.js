@@ -0,0 +1,132 @@
+// routes/flashcards.js
+const express = require("express");
+const { belongsTo } = require("../lib/accounts");
+const { validateCard, toAnkiCsv } = require("../lib/flashcards");
+const { ownerId, scopeUserId } = require("./auth");
+
+/**
+ * Flashcard decks. Generation lives in server.js next to the other prompts.
+ *
+ *   GET    /api/flashcards
+ *   GET    /api/flashcards/:id
+ *   GET    /api/flashcards/:id/export           (Anki-ready CSV download)
+ *   POST   /api/flashcards/cards                { term, definition, topic }
+ *   POST   /api/flashcards/:id/cards            { cards: [{ term, definition, example? }] }
+ *   PATCH  /api/flashcards/:id/cards/:cardId    { known: true | false | null }
+ *   DELETE /api/flashcards/:id/cards/:cardId
+ *   DELETE /api/flashcards/:id
+ *
+ * POST /cards saves a term explained by the study helper into the
+ * learner's study helper deck for the topic. With accounts enabled
+ * learners only see and change their own decks.
+ */
+function createFlashcardsRouter({ decks }) {
+  const router = express.Router();
+
+  // The deck when the caller may read (or, with `write`, change) it
+  function findDeck(req, res, { write = false } = {}) {
+    const deck = decks.get(req.params.id);
+    if (!deck || !belongsTo(deck, write ? ownerId(req) : scopeUserId(req))) {
+      res.status(404).json({ error: "Deck not found." });
+      return null;
+    }
+    return deck;
+  }
+
+  router.get("/", (req, res) => {
+    res.json({ decks: decks.list({ userId: scopeUserId(req) }) });
+  });
+
+  router.post("/cards", (req, res) => {
+    const { topic, ...raw } = req.body || {};
+    const { card, error } = validateCard(raw);
+    if (error) return res.status(400).json({ error });
+    if (!topic || typeof topic !== "string") {
+      return res.status(400).json({ error: "A topic is needed." });
+    }
+
+    const { deck, added } = decks.addFromStudyHelper({
+      card,
+      topic: topic.trim().slice(0, 80),
+      userId: ownerId(req),
+    });
+    res.status(added ? 201 : 200).json({
+      deckId: deck.id,
+      deckName: deck.name,
+      added: !!added,
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const deck = findDeck(req, res);
+    if (deck) res.json(deck);
+  });
+
+  router.get("/:id/export", (req, res) => {
+    const deck = findDeck(req, res);
+    if (!deck) return;
+    const fileName =
+      deck.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60) || "flashcards";
+    res.attachment(`${fileName}-anki.csv`);
+    res.type("text/csv").send(toAnkiCsv(deck));
+  });
+
+  router.post("/:id/cards", (req, res) => {
+    const deck = findDeck(req, res, { write: true });
+    if (!deck) return;
+
+    const raw = Array.isArray(req.body && req.body.cards) ? req.body.cards : [];
+    const cards = [];
+    const rejected = [];
+    raw.forEach((item, index) => {
+      const { card, error } = validateCard(item);
+      if (error) rejected.push({ index, reason: error });
+      else cards.push(card);
+    });
+    if (!cards.length) {
+      return res.status(400).json({ error: "No valid cards.", rejected });
+    }
+
+    const { added, duplicates } = decks.addCards(deck.id, cards, "manual");
+    res.status(201).json({ added, duplicates, rejected });
+  });
+
+  router.patch("/:id/cards/:cardId", (req, res) => {
+    const deck = findDeck(req, res, { write: true });
+    if (!deck) return;
+
+    const { known } = req.body || {};
+    if (![true, false, null].includes(known)) {
+      return res
+        .status(400)
+        .json({ error: "known must be true, false or null." });
+    }
+    const card = decks.markCard(deck.id, req.params.cardId, known);
+    if (!card) return res.status(404).json({ error: "Card not found." });
+    res.json(card);
+  });
+
+  router.delete("/:id/cards/:cardId", (req, res) => {
+    const deck = findDeck(req, res, { write: true });
+    if (!deck) return;
+    if (!decks.removeCard(deck.id, req.params.cardId)) {
+      return res.status(404).json({ error: "Card not found." });
+    }
+    res.status(204).end();
+  });
+
+  router.delete("/:id", (req, res) => {
+    const deck = findDeck(req, res, { write: true });
+    if (!deck) return;
+    decks.remove(deck.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createFlashcardsRouter };
@@ -0,0 +1,73 @@
+// routes/glossary.js
+const express = require("express");
+const { belongsTo } = require("../lib/accounts");
+const { validateEntryPatch } = require("../lib/glossary");
+const { ownerId, scopeUserId } = require("./auth");
+
+/**
+ * Personal glossary. Entries are added by the study helper (see
+ * routes/chat.js) whenever it explains a highlighted term.
+ *
+ *   GET    /api/glossary?q=&topic=&tag=   { entries, topics, tags }
+ *   GET    /api/glossary/terms            { terms: [{ id, term }] } for highlighting
+ *   GET    /api/glossary/:id
+ *   PUT    /api/glossary/:id              { term?, explanation?, topic?, tags? }
+ *   DELETE /api/glossary/:id
+ *
+ * With accounts enabled learners only see and change their own entries.
+ */
+function createGlossaryRouter({ glossary }) {
+  const router = express.Router();
+
+  // The entry when the caller may read (or, with `write`, change) it
+  function findEntry(req, res, { write = false } = {}) {
+    const entry = glossary.get(req.params.id);
+    if (!entry || !belongsTo(entry, write ? ownerId(req) : scopeUserId(req))) {
+      res.status(404).json({ error: "Glossary entry not found." });
+      return null;
+    }
+    return entry;
+  }
+
+  router.get("/", (req, res) => {
+    const userId = scopeUserId(req);
+    const { q, topic, tag } = req.query;
+    res.json({
+      entries: glossary.list({ userId, q, topic, tag }),
+      ...glossary.facets({ userId }),
+    });
+  });
+
+  router.get("/terms", (req, res) => {
+    res.json({
+      terms: glossary
+        .list({ userId: scopeUserId(req) })
+        .map(({ id, term }) => ({ id, term })),
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const entry = findEntry(req, res);
+    if (entry) res.json(entry);
+  });
+
+  router.put("/:id", (req, res) => {
+    const entry = findEntry(req, res, { write: true });
+    if (!entry) return;
+
+    const { patch, error } = validateEntryPatch(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json(glossary.update(entry.id, patch));
+  });
+
+  router.delete("/:id", (req, res) => {
+    const entry = findEntry(req, res, { write: true });
+    if (!entry) return;
+    glossary.remove(entry.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createGlossaryRouter };
@@ -0,0 +1,134 @@
+// routes/history.js
+const express = require("express");
+const { belongsTo } = require("../lib/accounts");
+const { LETTERS } = require("../lib/questionTypes");
+const { scoreAnswer } = require("../public/scoring");
+const { ownerId, scopeUserId } = require("./auth");
+
+/**
+ * Helper: a learner's answer in the bank's option order. Served questions
+ * have their options shuffled (see balanceCorrectOptions), so letters are
+ * mapped through the served option texts. Returns undefined when the
+ * served options are not the bank's, since the answer cannot be trusted.
+ */
+function toBankAnswer(stored, served, userAnswer) {
+  if (!Array.isArray(stored.options)) return userAnswer;
+
+  const servedOptions = (served && served.options) || [];
+  const sameOptions =
+    Array.isArray(servedOptions) &&
+    servedOptions.length === stored.options.length &&
+    servedOptions.every((option) => stored.options.includes(option));
+  if (!sameOptions) return undefined;
+
+  const toBankLetter = (letter) =>
+    LETTERS[stored.options.indexOf(servedOptions[LETTERS.indexOf(letter)])];
+  if (Array.isArray(userAnswer)) return userAnswer.map(toBankLetter);
+  return typeof userAnswer === "string" ? toBankLetter(userAnswer) : null;
+}
+
+/**
+ * Helper: the attempt's answers scored again against the bank's copy of
+ * each question, for the team-wide quality stats. The browser's score is
+ * not trusted there; answers to questions the bank does not have, or
+ * whose served options differ from it, are left out. Always "partial"
+ * credit, so accuracy does not depend on the learner's setting.
+ *
+ * `served` is the request body's answers, in the same order: the stored
+ * attempt only keeps a snapshot of each question, without its options.
+ */
+function bankScoredAnswers(answers, served, bank) {
+  return answers.flatMap((answer, idx) => {
+    const stored = answer.questionId && bank.get(answer.questionId);
+    if (!stored) return [];
+    const servedQuestion = served[idx] && served[idx].question;
+    const userAnswer = toBankAnswer(stored, servedQuestion, answer.userAnswer);
+    if (userAnswer === undefined) return [];
+    return [
+      {
+        questionId: stored.id,
+        question: stored.question,
+        score: scoreAnswer(stored, userAnswer, "partial"),
+      },
+    ];
+  });
+}
+
+/**
+ * Attempt history + progress analytics.
+ *
+ *   GET    /api/history?topic=&difficulty=&limit=&offset=
+ *   GET    /api/history/summary?topic=&difficulty=&tz=
+ *   GET    /api/history/:id
+ *   POST   /api/history
+ *   DELETE /api/history/:id
+ *
+ * With accounts enabled learners only see their own attempts; admins can
+ * add ?user=<id> (one learner) or ?user=all (the team) to the GET routes.
+ */
+function createHistoryRouter({ history, quality, bank }) {
+  const router = express.Router();
+
+  function filters(req) {
+    const { query } = req;
+    return {
+      userId: scopeUserId(req),
+      topic: query.topic || undefined,
+      difficulty: query.difficulty
+        ? String(query.difficulty).toLowerCase()
+        : undefined,
+    };
+  }
+
+  router.get("/", (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json(history.list({ ...filters(req), limit, offset }));
+  });
+
+  // `tz` is the browser's Date#getTimezoneOffset(), for streak days
+  router.get("/summary", (req, res) => {
+    const tzOffset = Math.min(Math.max(parseInt(req.query.tz) || 0, -840), 840);
+    res.json(history.summarize({ ...filters(req), tzOffset }));
+  });
+
+  router.get("/:id", (req, res) => {
+    const attempt = history.get(req.params.id);
+    if (!attempt || !belongsTo(attempt, scopeUserId(req))) {
+      return res.status(404).json({ error: "Attempt not found." });
+    }
+    res.json(attempt);
+  });
+
+  /**
+   * Body: { topic, difficulty, mode, blueprint, partialCredit, durationMs,
+   *         timedOut, answers: [{ question, userAnswer, score, confidence, timeMs }] }
+   */
+  router.post("/", (req, res) => {
+    const result = history.record({ ...req.body, userId: ownerId(req) });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    // Per-question accuracy over time, for the moderation page
+    quality.recordAnswers(
+      bankScoredAnswers(result.attempt.answers, req.body.answers, bank)
+    );
+    res.status(201).json(result.attempt);
+  });
+
+  router.delete("/:id", (req, res) => {
+    const attempt = history.get(req.params.id);
+    if (
+      !attempt ||
+      !belongsTo(attempt, ownerId(req)) ||
+      !history.remove(attempt.id)
+    ) {
+      return res.status(404).json({ error: "Attempt not found." });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
@@ -0,0 +1,81 @@
+// routes/live.js
+const { WebSocketServer } = require("ws");
+const { readCookie, SESSION_COOKIE } = require("./auth");
+
+const LIVE_PATH = "/live";
+// Answers are small; anything bigger is not from live.html
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+/**
+ * Live classroom over WebSockets at ws(s)://<host>/live, attached to the
+ * HTTP server. Every message is JSON with a `type`:
+ *
+ *   host   -> { type: "host", quizId }           <- hosted { code, title, total, scoring }
+ *   host   -> { type: "next" | "reveal" | "finish" }
+ *   player -> { type: "join", code, name, participantId? }
+ *                                                <- joined { participantId, name, ... }
+ *   player -> { type: "answer", index, answer }  <- answered { index }
+ *
+ * The server pushes question, reveal, leaderboard and ended messages to
+ * participants, and participants / progress updates to the host; see
+ * lib/liveClassroom.js. With accounts enabled the upgrade needs a session
+ * cookie, like /api/*.
+ */
+function attachLiveServer(server, { classroom, accounts, auth }) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== LIVE_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    // Nothing thrown here may escape: it would take the whole server down
+    let user = null;
+    try {
+      if (auth.enabled) {
+        user = accounts.authenticate(readCookie(req, SESSION_COOKIE));
+      }
+    } catch (err) {
+      console.warn("Live upgrade refused:", err.message);
+      socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    if (auth.enabled && !user) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const client = classroom.connect({
+        user,
+        send: (message) => {
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        },
+      });
+
+      ws.on("message", (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (err) {
+          message = null;
+        }
+        client.receive(message);
+      });
+      ws.on("close", () => client.close());
+      // Oversized or malformed frames: drop this socket, not the server
+      ws.on("error", (err) => {
+        console.warn("Live socket error:", err.code || err.message);
+        ws.terminate();
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { attachLiveServer };
@@ -0,0 +1,96 @@
+// routes/materials.js
+const express = require("express");
+const { belongsTo } = require("../lib/accounts");
+const { ownerId, isAdmin } = require("./auth");
+
+// Uploads arrive base64-encoded inside JSON, so allow more than the default
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Study material endpoints: upload, list, delete and search the passages
+ * that grounded quizzes are generated from.
+ *
+ *   GET    /api/materials
+ *   POST   /api/materials          { name, data (base64) } or { name, text }
+ *   DELETE /api/materials/:id      the uploader or an admin
+ *   GET    /api/materials/search?q=&docs=id1,id2
+ *
+ * Mount this before the app-wide express.json() so the larger body limit
+ * below applies.
+ */
+function createMaterialsRouter({ materials }) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: Math.ceil(MAX_UPLOAD_BYTES * 1.4) }));
+
+  router.get("/", (req, res) => {
+    res.json({ documents: materials.listDocuments() });
+  });
+
+  router.post("/", async (req, res) => {
+    const { name, data, text } = req.body || {};
+    if (!name || (typeof data !== "string" && typeof text !== "string")) {
+      return res
+        .status(400)
+        .json({ error: "Send a file name plus base64 data or text." });
+    }
+
+    const buffer =
+      typeof data === "string"
+        ? Buffer.from(data, "base64")
+        : Buffer.from(text, "utf8");
+    if (!buffer.length) {
+      return res.status(400).json({ error: "The file is empty." });
+    }
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: "Files are limited to 10 MB." });
+    }
+
+    try {
+      const result = await materials.addDocument({
+        name,
+        buffer,
+        userId: ownerId(req),
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.status(201).json(result.document);
+    } catch (err) {
+      console.error("[UNHANDLED ERROR in POST /api/materials]", err);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  router.delete("/:id", (req, res) => {
+    const doc = materials.getDocument(req.params.id);
+    if (!doc || !belongsTo(doc, isAdmin(req) ? undefined : ownerId(req))) {
+      return res.status(404).json({ error: "Document not found." });
+    }
+    if (!materials.removeDocument(doc.id)) {
+      return res.status(404).json({ error: "Document not found." });
+    }
+    res.status(204).end();
+  });
+
+  // Preview what a quiz on this topic would be grounded in
+  router.get("/search", (req, res) => {
+    const docIds = req.query.docs ? String(req.query.docs).split(",") : null;
+    const hits = materials.search(String(req.query.q || ""), { docIds });
+
+    res.json({
+      results: hits.map(({ chunk, score }) => ({
+        chunkId: chunk.id,
+        docId: chunk.docId,
+        heading: chunk.heading,
+        page: chunk.page,
+        text: chunk.text,
+        score: Number(score.toFixed(3)),
+      })),
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMaterialsRouter };
@@ -0,0 +1,223 @@
+// routes/moderation.js
+const express = require("express");
+const { toQuizQuestion } = require("../lib/questionBank");
+const { validateQuestion } = require("../lib/questionTypes");
+const {
+  RESOLUTIONS,
+  verifyQuestion,
+  answerToFields,
+} = require("../lib/challenges");
+const { requestUser } = require("../lib/usage");
+const { adminWhenEnabled, ownerId } = require("./auth");
+
+/**
+ * Answer challenges + the moderation queue.
+ *
+ *   POST /api/moderation/challenges      { question, reason?, topic, difficulty }
+ *   GET  /api/moderation?status=          queue items + counts
+ *   GET  /api/moderation/quality?sort=&suspect=&limit=
+ *   GET  /api/moderation/quality/:questionId
+ *   GET  /api/moderation/:id
+ *   POST /api/moderation/:id/resolve     { action, question?, useSuggested?, note? }
+ *
+ * Any learner may challenge an answer; the question is re-solved by an
+ * independent model call and joins the queue when the verifier disagrees
+ * (or finds the explanation wrong). Reviewing is for admins when accounts
+ * are enabled. Challenges call the model, so they count towards `limit`
+ * and their `topic` and `question` pass the prompt guard.
+ */
+function createModerationRouter({
+  llm,
+  model,
+  bank,
+  moderation,
+  quality,
+  review,
+  ledger,
+  auth,
+  promptGuard,
+  limit,
+  describeError,
+}) {
+  const router = express.Router();
+  const reviewerOnly = adminWhenEnabled(auth.enabled);
+
+  router.post("/challenges", limit, async (req, res) => {
+    const { question, reason, difficulty } = req.body || {};
+    const checked = validateQuestion(question);
+    if (!question || !question.id || checked.error) {
+      return res
+        .status(400)
+        .json({ error: "question must be a graded question with an id." });
+    }
+
+    const guarded = promptGuard(
+      {
+        topic: { value: req.body.topic, label: "topic", maxChars: 80 },
+        question: {
+          value: checked.question,
+          label: "question",
+          maxChars: 4000,
+          multiline: true,
+          structured: true,
+        },
+      },
+      { endpoint: "challenge", user: requestUser(req) }
+    );
+    if (guarded.error) return res.status(400).json({ error: guarded.error });
+    const topic = guarded.values.topic;
+
+    // Verify the bank's copy when there is one: that is what gets fixed
+    const entry = bank.get(question.id);
+    const target = entry
+      ? toQuizQuestion(entry)
+      : { id: question.id, ...guarded.values.question };
+
+    const overBudget = ledger.checkBudget();
+    if (overBudget) {
+      return res.status(429).json({ error: overBudget.error });
+    }
+
+    let verdict;
+    try {
+      verdict = await verifyQuestion({
+        llm: ledger.track(llm, {
+          endpoint: "challenge",
+          user: requestUser(req),
+        }),
+        model,
+        question: target,
+        topic: (entry && entry.topic) || topic,
+      });
+    } catch (llmErr) {
+      console.error("[LLM ERROR /api/moderation/challenges]", llmErr);
+      return res.status(500).json({
+        error: "Failed to call the LLM provider to verify the question.",
+        debug: describeError(llmErr),
+      });
+    }
+
+    quality.recordChallenge(target.id, {
+      question: target.question,
+      disputed: verdict.disputed,
+    });
+
+    const item = verdict.disputed
+      ? moderation.submit({
+          question: target,
+          topic: (entry && entry.topic) || topic || null,
+          difficulty: (entry && entry.difficulty) || difficulty || null,
+          reason,
+          userId: ownerId(req),
+          verdict,
+        })
+      : null;
+
+    res.json({
+      verdict,
+      queued: Boolean(item),
+      item: item && { id: item.id, challenges: item.challenges.length },
+    });
+  });
+
+  router.get("/", reviewerOnly, (req, res) => {
+    const { status } = req.query;
+    res.json({
+      items: moderation.list({ status: status || undefined }),
+      counts: moderation.counts(),
+    });
+  });
+
+  router.get("/quality", reviewerOnly, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    res.json(
+      quality.list({
+        sort: req.query.sort || undefined,
+        suspectOnly: req.query.suspect === "true",
+        limit,
+      })
+    );
+  });
+
+  router.get("/quality/:questionId", reviewerOnly, (req, res) => {
+    res.json(quality.get(req.params.questionId));
+  });
+
+  router.get("/:id", reviewerOnly, (req, res) => {
+    const item = moderation.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: "Moderation item not found." });
+    }
+    res.json({ ...item, inBank: Boolean(bank.get(item.questionId)) });
+  });
+
+  /**
+   * "fix" saves a corrected question to the bank: either `question` (the
+   * edited fields) or, with `useSuggested`, the latest verifier answer.
+   * "retire" stops the question from being served and drops it from every
+   * review queue. "confirm" keeps the question as it is.
+   */
+  router.post("/:id/resolve", reviewerOnly, (req, res) => {
+    const { action, question, useSuggested, note } = req.body || {};
+    const item = moderation.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: "Moderation item not found." });
+    }
+    if (!RESOLUTIONS[action]) {
+      return res.status(400).json({
+        error: `action must be one of: ${Object.keys(RESOLUTIONS).join(", ")}.`,
+      });
+    }
+    if (item.status !== "open") {
+      return res.status(409).json({ error: `Already ${item.status}.` });
+    }
+
+    const entry = bank.get(item.questionId);
+    if (action !== "confirm" && !entry) {
+      return res.status(409).json({
+        error: "This question is not in the bank, so it can only be confirmed.",
+      });
+    }
+
+    let fixed = null;
+    if (action === "fix") {
+      const { verdict } = item.challenges[item.challenges.length - 1];
+      const patch = useSuggested
+        ? answerToFields(toQuizQuestion(entry), verdict.modelAnswer)
+        : question;
+      if (!patch || typeof patch !== "object") {
+        return res.status(400).json({
+          error: "Send the corrected question, or useSuggested: true.",
+        });
+      }
+
+      const result = bank.update(entry.id, patch);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      fixed = toQuizQuestion(result.entry);
+    }
+
+    if (action === "retire") {
+      bank.retire(entry.id);
+      review.purge(entry.id);
+    }
+
+    const result = moderation.resolve(item.id, {
+      action,
+      note,
+      by: req.user ? req.user.username : null,
+      question: fixed,
+    });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    quality.recordResolution(item.questionId, result.item.status);
+
+    res.json(result.item);
+  });
+
+  return router;
+}
+
+module.exports = { createModerationRouter };
@@ -0,0 +1,62 @@
+// routes/quizzes.js
+const express = require("express");
+const { belongsTo } = require("../lib/accounts");
+const { validateSharedQuiz } = require("../lib/sharedQuizzes");
+const { ownerId, scopeUserId, isAdmin } = require("./auth");
+
+/**
+ * Shared quizzes.
+ *
+ *   POST   /api/quiz       { title?, topic, difficulty?, scoring?, questions }
+ *                          -> { id, url, liveUrl }
+ *   GET    /api/quiz       the caller's shared quizzes (no questions)
+ *   GET    /api/quiz/:id   the quiz, questions in their fixed order
+ *   DELETE /api/quiz/:id   owner or admin
+ *
+ * Anyone with the link may open a quiz (with accounts enabled, anyone
+ * signed in). `url` opens it in practice mode, `liveUrl` hosts it as a
+ * live classroom session (see routes/live.js).
+ *
+ * Mount this before the app-wide express.json() so the larger body limit
+ * below applies: case-study scenarios repeat on every linked question.
+ */
+function createQuizzesRouter({ quizzes }) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: "1mb" }));
+
+  router.post("/", (req, res) => {
+    const { quiz, error } = validateSharedQuiz(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const saved = quizzes.create(quiz, { userId: ownerId(req) });
+    res.status(201).json({
+      id: saved.id,
+      url: `/?quiz=${saved.id}`,
+      liveUrl: `/live.html?host=${saved.id}`,
+    });
+  });
+
+  router.get("/", (req, res) => {
+    res.json({ quizzes: quizzes.list({ userId: scopeUserId(req) }) });
+  });
+
+  router.get("/:id", (req, res) => {
+    const quiz = quizzes.get(req.params.id);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found." });
+    res.json(quiz);
+  });
+
+  router.delete("/:id", (req, res) => {
+    const quiz = quizzes.get(req.params.id);
+    if (!quiz || !belongsTo(quiz, isAdmin(req) ? undefined : ownerId(req))) {
+      return res.status(404).json({ error: "Quiz not found." });
+    }
+    quizzes.remove(quiz.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createQuizzesRouter };
@@ -0,0 +1,90 @@
+// routes/review.js
+const express = require("express");
+const { toQuizQuestion } = require("../lib/questionBank");
+const { validateQuestion } = require("../lib/questionTypes");
+const { balanceCorrectOptions } = require("../lib/quizPipeline");
+const { CONFIDENCE_LEVELS } = require("../lib/reviewQueue");
+const { ownerId } = require("./auth");
+
+/**
+ * Spaced-repetition review endpoints.
+ *
+ *   GET    /api/review               queue size, due count, next due date
+ *   GET    /api/review/due?limit=    a review session built from due items
+ *   POST   /api/review/answers       record graded answers + confidence
+ *   DELETE /api/review/:id           drop a question from the queue
+ *
+ * With accounts enabled every learner has their own queue.
+ */
+function createReviewRouter({ review, bank }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json(review.stats({ userId: ownerId(req) }));
+  });
+
+  router.get("/due", (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const userId = ownerId(req);
+
+    // Prefer the bank's copy so edits made there show up in reviews
+    const questions = review.due({ limit, userId }).map((item) => {
+      const entry = bank.get(item.id);
+      return entry ? toQuizQuestion(entry) : item.question;
+    });
+
+    res.json({
+      questions: balanceCorrectOptions(questions),
+      due: review.stats({ userId }).due,
+    });
+  });
+
+  /**
+   * Body: { topic, difficulty, answers: [{ question, score, confidence }] }
+   * where `question` is the question as it was shown and `score` the 0..1
+   * result from scoring.js.
+   */
+  router.post("/answers", (req, res) => {
+    const { topic, difficulty, answers } = req.body || {};
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ error: "answers must be an array." });
+    }
+
+    const valid = [];
+    answers.forEach((answer) => {
+      const id = answer && answer.question && answer.question.id;
+      const checked = id ? validateQuestion(answer.question) : null;
+      if (!checked || checked.error) return;
+
+      const entry = bank.get(id);
+      valid.push({
+        question: entry ? toQuizQuestion(entry) : { id, ...checked.question },
+        topic: entry ? entry.topic : String(topic || "").slice(0, 80),
+        difficulty: entry ? entry.difficulty : difficulty,
+        score: Math.min(Math.max(Number(answer.score) || 0, 0), 1),
+        confidence: CONFIDENCE_LEVELS.includes(answer.confidence)
+          ? answer.confidence
+          : null,
+      });
+    });
+
+    const userId = ownerId(req);
+    const result = review.record(valid, { userId });
+    res.json({
+      ...result,
+      skipped: answers.length - valid.length,
+      ...review.stats({ userId }),
+    });
+  });
+
+  router.delete("/:id", (req, res) => {
+    if (!review.remove(req.params.id, ownerId(req))) {
+      return res.status(404).json({ error: "Question not in review queue." });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createReviewRouter };
@@ -0,0 +1,51 @@
+// routes/usage.js
+const express = require("express");
+const { isAdmin } = require("./auth");
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Usage ledger report.
+ *
+ *   GET /api/usage?from=&to=&user=&endpoint=   totals, breakdowns, budgets
+ *   GET /api/usage/budget                      spend vs. daily / monthly caps
+ *
+ * `from` / `to` are UTC days ("2024-05-01"); without them the current
+ * month is reported. With accounts enabled learners only get their own
+ * spend; admins can report on anyone. Budgets are always team-wide.
+ */
+function createUsageRouter({ ledger }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const { from, to, user, endpoint } = req.query;
+    if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+      return res
+        .status(400)
+        .json({ error: "Use YYYY-MM-DD for the from and to dates." });
+    }
+
+    const monthStart = `${new Date().toISOString().slice(0, 7)}-01`;
+    const ownOnly = req.user && !isAdmin(req);
+    res.json(
+      ledger.report({
+        from: from || (to ? undefined : monthStart),
+        to,
+        user: ownOnly ? req.user.username : user || undefined,
+        endpoint: endpoint || undefined,
+      })
+    );
+  });
+
+  router.get("/budget", (req, res) => {
+    const exceeded = ledger.checkBudget();
+    res.json({
+      ...ledger.budgetStatus(),
+      exceeded: exceeded ? exceeded.error : null,
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createUsageRouter };
@@ -1,22 +1,118 @@
 // server.js
-require("dotenv").config();
 const express = require("express");
 const path = require("path");
-const { OpenAI } = require("openai");
+const config = require("./lib/config");
+const { createProvider, describeProviderError } = require("./lib/providers");
+const { createQuestionBank } = require("./lib/questionBank");
+const { parseModelJson } = require("./lib/quizPipeline");
+const { loadBlueprints, summarizeBlueprint } = require("./lib/blueprints");
+const { createMaterials } = require("./lib/materials");
+const { createQuizBuilder } = require("./lib/quizBuilder");
+const { createExplainer } = require("./lib/explainer");
+const { createReviewQueue } = require("./lib/reviewQueue");
+const { createHistory } = require("./lib/history");
+const { createConversations } = require("./lib/studyChat");
+const { createCache } = require("./lib/cache");
+const { createUsageLedger, costOf, requestUser } = require("./lib/usage");
+const { createAccounts, belongsTo } = require("./lib/accounts");
+const { createModerationQueue } = require("./lib/challenges");
+const { createQuestionQuality } = require("./lib/questionQuality");
+const { createFlashcardDecks, validateCard } = require("./lib/flashcards");
+const { createGlossary } = require("./lib/glossary");
+const { createSharedQuizzes } = require("./lib/sharedQuizzes");
+const { createLiveClassroom } = require("./lib/liveClassroom");
+const {
+  createPromptGuard,
+  UNTRUSTED_INPUT_RULE,
+} = require("./lib/promptGuard");
+const { createRateLimiter } = require("./lib/rateLimit");
+const { normalizeLanguage, languageInstruction } = require("./lib/languages");
+const { createBankRouter } = require("./routes/bank");
+const { createMaterialsRouter } = require("./routes/materials");
+const { createReviewRouter } = require("./routes/review");
+const { createHistoryRouter } = require("./routes/history");
+const { createChatRouter } = require("./routes/chat");
+const { createUsageRouter } = require("./routes/usage");
+const { createCacheRouter } = require("./routes/cache");
+const {
+  createAuthRouter,
+  createSessionMiddleware,
+  ownerId,
+} = require("./routes/auth");
+const { createAdminRouter } = require("./routes/admin");
+const { createModerationRouter } = require("./routes/moderation");
+const { createExchangeRouter } = require("./routes/exchange");
+const { createFlashcardsRouter } = require("./routes/flashcards");
+const { createGlossaryRouter } = require("./routes/glossary");
+const { createQuizzesRouter } = require("./routes/quizzes");
+const { attachLiveServer } = require("./routes/live");
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
+app.set("trust proxy", config.security.trustProxy);
+
+const llm = createProvider(config.llm);
+const bank = createQuestionBank();
+const materials = createMaterials();
+const review = createReviewQueue();
+const history = createHistory();
+const conversations = createConversations();
+const ledger = createUsageLedger();
+const explanations = createCache({ name: "explanations" });
+const accounts = createAccounts({ sessionDays: config.auth.sessionDays });
+const moderation = createModerationQueue();
+const quality = createQuestionQuality();
+const decks = createFlashcardDecks();
+const glossary = createGlossary();
+const sharedQuizzes = createSharedQuizzes();
+const classroom = createLiveClassroom({ quizzes: sharedQuizzes });
+
+// 🛡️ Learner text is neutralised before it reaches a prompt, and model
+// calls are rate limited per IP and per user
+const promptGuard = createPromptGuard({ mode: config.security.promptGuard });
+const modelCallLimit = createRateLimiter(config.rateLimit);
+
+const buildErrorDebugInfo = (err) =>
+  describeProviderError(err, { llm, llmConfig: config.llm });
+
+// 🧠 Quiz and explanation generation, shared with the command-line tool
+const buildQuiz = createQuizBuilder({
+  llm,
+  model: config.models.quiz,
+  bank,
+  materials,
+  ledger,
+  promptGuard,
+  describeError: buildErrorDebugInfo,
+  defaultPartialCredit: config.scoring.partialCredit,
+});
+const explain = createExplainer({
+  llm,
+  model: config.models.explain,
+  explanations,
+  ledger,
+  promptGuard,
+  describeError: buildErrorDebugInfo,
+});
 
 // Basic sanity check before even starting server
-if (!process.env.OPENAI_API_KEY) {
+if (llm.requiresApiKey && !config.llm.apiKey) {
   console.warn(
     "[WARN] OPENAI_API_KEY is not set. Requests to /api/generate-quiz will fail."
   );
 }
+console.log(
+  `[LLM] provider=${llm.name} quizModel=${config.models.quiz} explainModel=${config.models.explain} chatModel=${config.models.chat} verifyModel=${config.models.verify}`
+);
+console.log(`[AUTH] accounts ${config.auth.enabled ? "enabled" : "disabled"}`);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// 🔐 Signed-in learner on req.user; /api/* needs a session when AUTH_ENABLED
+app.use(createSessionMiddleware({ accounts, enabled: config.auth.enabled }));
+
+// Uploads need a bigger body limit than the app-wide JSON parser allows
+app.use("/api/materials", createMaterialsRouter({ materials }));
+app.use("/api/exchange", createExchangeRouter({ bank }));
+app.use("/api/quiz", createQuizzesRouter({ quizzes: sharedQuizzes }));
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
@@ -26,298 +122,277 @@ app.get("/api/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
-/**
- * Helper: build a nice debug message for OpenAI / network errors.
- */
-function buildErrorDebugInfo(err) {
-  // Missing key
-  if (!process.env.OPENAI_API_KEY) {
-    return "Missing OPENAI_API_KEY in .env. Set it and restart the server.";
-  }
-
-  // OpenAI library error with HTTP response (e.g. 401, 429, 500...)
-  if (err && err.status) {
-    let base = `OpenAI API error (status ${err.status}).`;
-
-    if (err.status === 401) {
-      return base + " Authentication failed. Check your API key.";
-    }
-    if (err.status === 429) {
-      return base + " Rate limit or quota exceeded.";
-    }
-    if (err.status >= 500) {
-      return base + " OpenAI server side error, try again.";
-    }
+app.use("/api/auth", createAuthRouter({ accounts, auth: config.auth }));
+app.use("/api/admin", createAdminRouter({ accounts, history, review, ledger }));
+app.use("/api/bank", createBankRouter({ bank, auth: config.auth }));
+app.use("/api/review", createReviewRouter({ review, bank }));
+app.use("/api/history", createHistoryRouter({ history, quality, bank }));
+app.use("/api/usage", createUsageRouter({ ledger }));
+app.use("/api/cache", createCacheRouter({ explanations, auth: config.auth }));
+app.use("/api/flashcards", createFlashcardsRouter({ decks }));
+app.use("/api/glossary", createGlossaryRouter({ glossary }));
+app.use(
+  "/api/moderation",
+  createModerationRouter({
+    llm,
+    model: config.models.verify,
+    bank,
+    moderation,
+    quality,
+    review,
+    ledger,
+    auth: config.auth,
+    promptGuard,
+    limit: modelCallLimit,
+    describeError: buildErrorDebugInfo,
+  })
+);
+app.use(
+  "/api/chat",
+  createChatRouter({
+    llm,
+    model: config.models.chat,
+    conversations,
+    explanations,
+    glossary,
+    ledger,
+    promptGuard,
+    limit: modelCallLimit,
+    describeError: buildErrorDebugInfo,
+  })
+);
+
+// Known exam blueprints, for the topic picker and per-domain results
+app.get("/api/blueprints", (req, res) => {
+  res.json({ blueprints: loadBlueprints().map(summarizeBlueprint) });
+});
 
-    return base + " Check server logs for more details.";
-  }
+app.post("/api/generate-quiz", modelCallLimit, async (req, res) => {
+  const { status, body } = await buildQuiz(req.body, {
+    user: requestUser(req),
+  });
+  res.status(status).json(body);
+});
 
-  // Network-level error
-  if (err && err.code) {
-    if (
-      ["ENOTFOUND", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT"].includes(
-        err.code
-      )
-    ) {
-      return `Network error (${err.code}) while contacting OpenAI. Check your internet connection or firewall.`;
+/**
+ * Same request as /api/generate-quiz, answered with Server-Sent Events:
+ *   start    { topic, difficulty, requested, scoring, blueprint, grounding }
+ *   question one quiz-ready question, as soon as it was generated
+ *   done     the usual response without `questions`
+ *   error    { error, debug }
+ * Closing the connection cancels generation. Requests that fail before
+ * anything was generated get a plain JSON error instead.
+ */
+app.post("/api/generate-quiz/stream", modelCallLimit, async (req, res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
     }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { status, body } = await buildQuiz(req.body, {
+    user: requestUser(req),
+    signal: controller.signal,
+    onStart: (meta) => send("start", meta),
+    onQuestions: (questions) => questions.forEach((q) => send("question", q)),
+  });
+
+  if (controller.signal.aborted) return;
+  if (!res.headersSent) return res.status(status).json(body);
+
+  if (status === 200) {
+    const { questions, ...summary } = body;
+    send("done", summary);
+  } else {
+    send("error", body);
   }
+  res.end();
+});
 
-  // Fallback
-  if (err && err.message) {
-    return `Unexpected error: ${err.message}`;
-  }
-
-  return "Unknown error occurred while calling OpenAI.";
-}
-
-app.post("/api/generate-quiz", async (req, res) => {
+/**
+ * 🃏 Flashcards: term / definition cards for a topic + difficulty, saved as
+ * a new deck (or added to `deckId`, skipping terms it already has).
+ * Body: { topic, difficulty, count, deckId?, language? }
+ */
+app.post("/api/flashcards/generate", modelCallLimit, async (req, res) => {
   try {
-    const { topic, count, difficulty } = req.body;
+    const { topic, difficulty, count, deckId, language } = req.body || {};
 
-    const numQuestions = Math.min(Math.max(parseInt(count) || 5, 1), 15); // clamp 1–15
-    const safeTopic = (topic || "AZ-900 (Microsoft Azure Fundamentals)").slice(
-      0,
-      80
+    const numCards = Math.min(Math.max(parseInt(count) || 10, 1), 30); // clamp 1–30
+    const guarded = promptGuard(
+      { topic: { value: topic, label: "topic", maxChars: 80 } },
+      { endpoint: "flashcards", user: requestUser(req) }
     );
+    if (guarded.error) return res.status(400).json({ error: guarded.error });
+    const safeTopic =
+      guarded.values.topic || "AZ-900 (Microsoft Azure Fundamentals)";
+    const safeDifficulty = ["beginner", "intermediate", "expert"].includes(
+      String(difficulty || "").toLowerCase()
+    )
+      ? String(difficulty).toLowerCase()
+      : "beginner";
+
+    let deck = null;
+    if (deckId) {
+      deck = decks.get(deckId);
+      if (!deck || !belongsTo(deck, ownerId(req))) {
+        return res.status(404).json({ error: "Deck not found." });
+      }
+    }
 
-    const difficultyMap = {
-      beginner: "beginner",
-      intermediate: "intermediate",
-      expert: "expert",
-    };
-    const safeDifficulty =
-      difficultyMap[(difficulty || "").toLowerCase()] || "beginner";
-
-    const difficultyDescription =
+    const levelDescription =
       safeDifficulty === "beginner"
-        ? "Focus on fundamentals, clear definitions, and simple scenarios."
+        ? "Core vocabulary a newcomer meets first: services, basic concepts and key terms."
         : safeDifficulty === "intermediate"
-        ? "Focus on applied scenarios, comparisons between services, and realistic use-cases."
-        : "Focus on deeper scenarios, trade-offs, and multi-step reasoning similar to harder exam questions. Avoid obscure trivia.";
+        ? "Terms that need some experience: configuration options, trade-offs between similar services, common limits."
+        : "Advanced and easily confused terms: edge cases, precise distinctions and less common features.";
 
-const requestCount = Math.min(numQuestions + 3, 20); // ask for a few extra
+    // More cards for a deck come in the deck's language
+    const deckLanguage = normalizeLanguage(
+      deck && deck.language ? deck.language : language
+    );
+    const languagePlan = languageInstruction(deckLanguage, { json: true });
 
-const prompt = `
-You are an expert exam tutor.
+    const knownTerms = deck ? deck.cards.map((c) => c.term) : [];
+    const avoidList = knownTerms.length
+      ? `- Do NOT repeat any of these terms, the learner already has cards for them:\n${knownTerms
+          .slice(-100)
+          .map((t) => `  - ${t}`)
+          .join("\n")}\n`
+      : "";
 
-Create ${requestCount} multiple-choice questions for the topic: "${safeTopic}".
+    const prompt = `
+Create ${numCards} flashcards for someone studying for the following topic/certification/exam.
 
+Topic / Exam: "${safeTopic}"
 Difficulty: ${safeDifficulty.toUpperCase()}
-${difficultyDescription}
+${levelDescription}
 
 Requirements:
-- Questions should be realistic, practical, and similar to real certification/exam style.
-- Each question must have exactly 4 options.
-- Only ONE option is correct.
-- Questions should be clear and not trick questions.
-- DO NOT always use the same correct option. Distribute correctOption fairly across A, B, C, and D within this set.
-- Options must NOT include the "A. / B. / C. / D." prefix. Just plain text like "Use Azure Functions for serverless code".
-
-Output strictly as valid JSON like this:
-
-[
-  {
-    "id": "q1",
-    "question": "Question text here...",
-    "options": [
-      "Option text 1",
-      "Option text 2",
-      "Option text 3",
-      "Option text 4"
-    ],
-    "correctOption": "A",
-    "explanation": "Short explanation of why A is correct."
-  }
-]
+- One term, service or concept per card; every term must be different.
+- "definition" is 1–3 plain sentences: what it is and when you would use it, in the words an exam would expect.
+- "example" is optional: one short, concrete scenario that makes the term stick.
+- Do not put the term itself in the definition, so the card still works when flipped.
+${avoidList}${
+      languagePlan ? `\nLanguage:\n${languagePlan}\n\n` : ""
+    }Output strictly as valid JSON: one array of objects shaped like
+{ "term": "...", "definition": "...", "example": "..." }
 
 Do not include any text before or after the JSON.
 `;
 
     let completion;
     try {
-      completion = await openai.chat.completions.create({
-        model: "gpt-5-mini", // ✅ default model you’re using
-        messages: [
-          {
-            role: "system",
-            content:
-              "You generate exam-style multiple-choice questions in clean JSON.",
-          },
-          { role: "user", content: prompt },
-        ],
-        // ❌ no temperature here because this model doesn’t support custom temp
-      });
-    } catch (openAiErr) {
-      console.error("[OpenAI ERROR]", openAiErr);
-      const debug = buildErrorDebugInfo(openAiErr);
+      completion = await ledger
+        .track(llm, { endpoint: "flashcards", user: requestUser(req) })
+        .complete({
+          task: "flashcards",
+          model: config.models.quiz,
+          messages: [
+            {
+              role: "system",
+              content: `You write concise exam flashcards in clean JSON. ${UNTRUSTED_INPUT_RULE}`,
+            },
+            { role: "user", content: prompt },
+          ],
+        });
+    } catch (llmErr) {
+      if (llmErr.code === "BUDGET_EXCEEDED") {
+        return res
+          .status(429)
+          .json({ error: llmErr.message, budget: llmErr.budget });
+      }
+      console.error("[LLM ERROR /api/flashcards/generate]", llmErr);
       return res.status(500).json({
-        error: "Failed to call OpenAI API.",
-        debug,
+        error: "Failed to call the LLM provider.",
+        debug: buildErrorDebugInfo(llmErr),
       });
     }
 
-    const raw = completion.choices[0]?.message?.content?.trim() || "[]";
-
-    let questions;
-    try {
-      questions = JSON.parse(raw);
-    } catch (parseErr) {
-      console.error("[JSON PARSE ERROR] Could not parse AI output as JSON.");
-      console.error("Raw content from OpenAI:\n", raw);
-
-      return res.status(500).json({
-        error: "Failed to parse questions from AI (invalid JSON).",
-        debug:
-          "The model did not return valid JSON. Check the prompt or inspect server logs to see the raw output.",
-      });
-    }
+    const parsed = parseModelJson(completion.content);
+    const raw = parsed
+      ? Array.isArray(parsed.value)
+        ? parsed.value
+        : parsed.value && parsed.value.cards
+      : null;
+    const cards = [];
+    let rejected = 0;
+    (Array.isArray(raw) ? raw : []).slice(0, numCards).forEach((item) => {
+      const { card } = validateCard(item);
+      if (card) cards.push(card);
+      else rejected++;
+    });
 
-    // Basic validation / cleanup
-    const cleaned = (questions || [])
-      .filter(
-        (q) =>
-          q && q.question && Array.isArray(q.options) && q.options.length === 4
-      )
-      .map((q, idx) => ({
-        id: q.id || `q${idx + 1}`,
-        question: String(q.question),
-        options: q.options.map(String),
-        correctOption: ["A", "B", "C", "D"].includes(q.correctOption)
-          ? q.correctOption
-          : "A",
-        explanation: q.explanation ? String(q.explanation) : "",
-      }));
-
-    if (!cleaned.length) {
-      console.error("[VALIDATION ERROR] No valid questions after cleaning.", {
-        originalLength: Array.isArray(questions) ? questions.length : null,
+    if (!cards.length) {
+      console.error("[VALIDATION ERROR] No valid flashcards.", {
+        content: String(completion.content).slice(0, 500),
       });
       return res.status(500).json({
-        error: "No valid questions generated from AI.",
+        error: "No valid flashcards generated from AI.",
         debug:
-          "The AI response did not contain properly formatted questions. Try again or adjust the prompt.",
+          "The AI response did not contain properly formatted cards. Try again.",
       });
     }
 
-    // 🔢 Cost estimation based on usage + GPT-5 mini pricing
+    const stored = deck
+      ? decks.addCards(deck.id, cards, "generated")
+      : decks.create({
+          topic: safeTopic,
+          difficulty: safeDifficulty,
+          language: deckLanguage,
+          source: "generated",
+          userId: ownerId(req),
+          cards,
+        });
+
     const usage = completion.usage || {};
-    const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
-    const completionTokens =
-      usage.completion_tokens ?? usage.output_tokens ?? 0;
-    const totalTokens = promptTokens + completionTokens;
-
-    // GPT-5 mini: input $0.25/M, output $2.00/M
-    const INPUT_PRICE_PER_M = 0.25;
-    const OUTPUT_PRICE_PER_M = 2.0;
-
-    const costUsd =
-      (promptTokens * INPUT_PRICE_PER_M +
-        completionTokens * OUTPUT_PRICE_PER_M) /
-      1_000_000;
-
-    res.json({
-      topic: safeTopic,
-      difficulty: safeDifficulty,
-      questions: cleaned,
+    const { costUsd, priced } = costOf(completion.model, usage);
+    res.status(deck ? 200 : 201).json({
+      deck: stored.deck,
+      added: stored.added,
+      duplicates: stored.duplicates,
+      rejected,
       usage: {
-        promptTokens,
-        completionTokens,
-        totalTokens,
-        estimatedCostUsd: Number(costUsd.toFixed(6)),
+        model: completion.model,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        estimatedCostUsd: costUsd,
+        priced,
       },
     });
   } catch (err) {
-    console.error("[UNHANDLED ERROR in /api/generate-quiz]", err);
-    const debug = buildErrorDebugInfo(err);
+    console.error("[UNHANDLED ERROR in /api/flashcards/generate]", err);
     res.status(500).json({
       error: "Internal server error.",
-      debug,
+      debug: buildErrorDebugInfo(err),
     });
   }
 });
-
-app.post('/api/explain', async (req, res) => {
-  try {
-    const { topic, text, difficulty } = req.body || {};
-
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: 'No text provided to explain.' });
-    }
-
-    const safeTopic =
-      (topic || 'AZ-900 (Microsoft Azure Fundamentals)').slice(0, 80);
-    const safeText = text.slice(0, 500); // don’t let people paste a whole book
-
-    const difficultyLabel = (difficulty || 'beginner').toLowerCase();
-    const level =
-      difficultyLabel === 'expert'
-        ? 'advanced (assume some prior Azure knowledge, focus on depth)'
-        : difficultyLabel === 'intermediate'
-        ? 'intermediate (mix of plain language and technical detail)'
-        : 'beginner (plain language, minimal jargon)';
-
-    const prompt = `
-You are an certification tutor.
-
-Topic / exam: "${safeTopic}"
-Student level: ${level}
-
-Explain the following term or phrase in a way that helps someone studying for this topic/certification/exam so they can understand the concept clearly.:
-
-"${safeText}"
-
-Formatting (Markdown):
-- Start with one line: **Summary:** short one-sentence definition.
-- Then one short paragraph (2–3 sentences) under **In simple terms:** explaining it like you would to a junior student.
-- Then at most 3 bullet points under **Why it matters for the exam:**.
-- Use **bold** for key service names or concepts.
-- You may use _italics_ for short clarifications.
-- No code blocks.
-- Keep the whole answer under about 150–180 words.
-
-Focus:
-- Keep it focused on what the term is, when/why it's used, and how it relates to the topic on hand.
-- Avoid long lists or deep implementation detail.
-`;
-
-    let completion;
-    try {
-      completion = await openai.chat.completions.create({
-        model: 'gpt-5-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You explain cloud/IT concepts clearly for exam students.'
-          },
-          { role: 'user', content: prompt }
-        ]
-      });
-    } catch (openAiErr) {
-      console.error('[OpenAI ERROR /api/explain]', openAiErr);
-      const debug = buildErrorDebugInfo(openAiErr);
-      return res.status(500).json({
-        error: 'Failed to call OpenAI API for explanation.',
-        debug
-      });
-    }
-
-    const explanation =
-      completion.choices[0]?.message?.content?.trim() ||
-      'Sorry, I could not generate an explanation.';
-
-    res.json({ topic: safeTopic, explanation });
-  } catch (err) {
-    console.error('[UNHANDLED ERROR in /api/explain]', err);
-    const debug = buildErrorDebugInfo(err);
-    res.status(500).json({
-      error: 'Internal server error.',
-      debug
-    });
-  }
+app.post('/api/explain', modelCallLimit, async (req, res) => {
+  const { status, body } = await explain(req.body, { user: requestUser(req) });
+  res.status(status).json(body);
 });
 
+// 🔐 assertSignedIn (routes/auth.js) throws 401 when a request without a
+// user gets past the session middleware; answer it like the middleware does
+app.use((err, req, res, next) => {
+  if (err.status !== 401) return next(err);
+  res.status(401).json({ error: err.message, login: "/login.html" });
+});
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
 });
+
+// 📺 Live classroom sessions over WebSockets
+attachLiveServer(server, { classroom, accounts, auth: config.auth });
@@ -0,0 +1,87 @@
+// test/auth.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  createSessionMiddleware,
+  ownerId,
+  scopeUserId,
+  SESSION_COOKIE,
+} = require("../routes/auth");
+
+const USERS = {
+  "ann-token": { id: "ann", role: "learner" },
+  "boss-token": { id: "boss", role: "admin" },
+};
+const accounts = { authenticate: (token) => USERS[token] || null };
+
+// Helper: an app with the session middleware and a few routes behind it
+async function startApp(t, enabled = true) {
+  const app = express();
+  app.use(createSessionMiddleware({ accounts, enabled }));
+  app.get("/api/health", (req, res) => res.json({ status: "ok" }));
+  app.get("/api/auth/me", (req, res) => res.json({ user: req.user || null }));
+  app.get("/api/history", (req, res) =>
+    res.json({ userId: scopeUserId(req) ?? "everyone" })
+  );
+  app.get("/index.html", (req, res) => res.send("page"));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, token) =>
+    fetch(base + path, {
+      headers: token ? { cookie: `${SESSION_COOKIE}=${token}` } : {},
+    });
+}
+
+test("API paths need a session in any letter case", async (t) => {
+  const get = await startApp(t);
+  for (const path of [
+    "/api/history",
+    "/API/history",
+    "/Api/History",
+    "/aPi/history?user=all",
+  ]) {
+    const res = await get(path);
+    assert.equal(res.status, 401, path);
+    assert.equal((await res.json()).login, "/login.html");
+  }
+});
+
+test("health, sign-in and static pages stay open", async (t) => {
+  const get = await startApp(t);
+  assert.equal((await get("/api/health")).status, 200);
+  assert.equal((await get("/API/Health")).status, 200);
+  assert.equal((await get("/api/auth/me")).status, 200);
+  assert.equal((await get("/index.html")).status, 200);
+});
+
+test("learners see their own records, admins may pick", async (t) => {
+  const get = await startApp(t);
+  const ann = await (await get("/API/history?user=all", "ann-token")).json();
+  assert.equal(ann.userId, "ann");
+
+  const team = await (await get("/api/history?user=all", "boss-token")).json();
+  assert.equal(team.userId, "everyone");
+  const one = await (await get("/api/history?user=ann", "boss-token")).json();
+  assert.equal(one.userId, "ann");
+});
+
+test("without accounts everything is shared", async (t) => {
+  const get = await startApp(t, false);
+  const res = await get("/API/history");
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).userId, "everyone");
+});
+
+test("scope helpers refuse a request without a user when accounts are on", () => {
+  const req = { accountsEnabled: true, query: {} };
+  assert.throws(() => scopeUserId(req), { status: 401 });
+  assert.throws(() => ownerId(req), { status: 401 });
+
+  assert.equal(scopeUserId({ query: {} }), undefined);
+  assert.equal(ownerId({ query: {} }), undefined);
+});
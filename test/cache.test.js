@@ -0,0 +1,85 @@
+// test/cache.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache, cacheKey, normalizeText } = require("../lib/cache");
+
+// Helper: an in-memory stand-in for createJsonStore that counts reads
+function memoryStore(data = { entries: {} }) {
+  const store = {
+    reads: 0,
+    read: () => {
+      store.reads++;
+      return data;
+    },
+    update: (mutator) => mutator(data),
+  };
+  return store;
+}
+
+test("equivalent texts share a cache key", () => {
+  assert.equal(
+    normalizeText(" “Availability   Zone.” "),
+    normalizeText("availability zone")
+  );
+  assert.equal(
+    cacheKey(["explain", normalizeText("Availability Zone")]),
+    cacheKey(["explain", normalizeText("availability zone.")])
+  );
+  assert.notEqual(cacheKey(["a", "b"]), cacheKey(["ab"]));
+});
+
+test("recent entries are answered from memory, others from disk", () => {
+  const store = memoryStore();
+  const cache = createCache({ name: "t", memoryEntries: 1, store });
+  cache.set("a", "A");
+  cache.set("b", "B"); // pushes "a" out of memory, not off disk
+
+  const before = store.reads;
+  assert.equal(cache.get("b").value, "B");
+  assert.equal(store.reads, before);
+
+  assert.equal(cache.get("a").value, "A");
+  assert.equal(store.reads, before + 1);
+  assert.equal(cache.stats().inMemory, 1);
+});
+
+test("the disk keeps the newest entries up to its limit", () => {
+  const store = memoryStore();
+  const cache = createCache({
+    name: "t",
+    memoryEntries: 1,
+    diskEntries: 2,
+    store,
+  });
+  cache.set("a", "A");
+  cache.set("b", "B");
+  cache.set("c", "C");
+
+  assert.equal(Object.keys(store.read().entries).length, 2);
+  assert.equal(cache.get("c").value, "C");
+});
+
+test("expired entries are misses and are dropped", () => {
+  const store = memoryStore();
+  const cache = createCache({ name: "t", ttlMs: -1, store });
+  cache.set("a", "A");
+
+  assert.equal(cache.get("a"), null);
+  assert.deepEqual(store.read().entries, {});
+  assert.deepEqual(
+    { hits: cache.stats().hits, misses: cache.stats().misses },
+    { hits: 0, misses: 1 }
+  );
+});
+
+test("remove and clear drop entries from memory and disk", () => {
+  const cache = createCache({ name: "t", store: memoryStore() });
+  cache.set("a", "A");
+  cache.set("b", "B");
+
+  assert.equal(cache.remove("a"), true);
+  assert.equal(cache.remove("a"), false);
+  assert.equal(cache.get("a"), null);
+  assert.equal(cache.clear(), 1);
+  assert.equal(cache.get("b"), null);
+});
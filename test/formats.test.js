@@ -0,0 +1,263 @@
+// test/formats.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FORMATS, exportQuiz, importQuiz } = require("../lib/formats");
+const { validateQuestion } = require("../lib/questionTypes");
+const fixture = require("../fixtures/mock/quiz.json");
+
+// One validated question of each plain type from the mock fixture. LMS
+// true/false items hold one statement, so the sample keeps only the first.
+const SAMPLE = ["single", "multi", "truefalse", "ordering", "matching"].map(
+  (type) => {
+    const q = fixture.find((item) => item.type === type);
+    return validateQuestion(
+      type === "truefalse"
+        ? {
+            ...q,
+            statements: q.statements.slice(0, 1),
+            answers: q.answers.slice(0, 1),
+          }
+        : q
+    ).question;
+  }
+);
+
+// Helper: the fields a learner sees and is scored on
+function answerKey(q) {
+  const { type, question, options, correctOption, correctOptions } = q;
+  return {
+    type,
+    question,
+    options,
+    correctOption,
+    correctOptions,
+    statements: q.statements,
+    answers: q.answers,
+    items: q.items,
+    pairs: q.pairs,
+  };
+}
+
+function importText(format, text) {
+  return importQuiz({ buffer: Buffer.from(text, "utf8"), format });
+}
+
+for (const { id } of FORMATS) {
+  test(`${id}: exported questions import unchanged`, () => {
+    // GIFT has no ordering questions; the export skips them with a warning
+    const sample =
+      id === "gift" ? SAMPLE.filter((q) => q.type !== "ordering") : SAMPLE;
+    const exported = exportQuiz(id, SAMPLE, { title: "Round trip" });
+    assert.ok(Buffer.isBuffer(exported.content));
+    assert.equal(exported.warnings.length, SAMPLE.length - sample.length);
+    assert.match(exported.fileName, /^round-trip\./);
+
+    const imported = importQuiz({
+      buffer: exported.content,
+      name: exported.fileName,
+    });
+    assert.equal(imported.format, id);
+    assert.deepEqual(imported.rejected, []);
+    assert.deepEqual(imported.unsupported, []);
+    assert.deepEqual(imported.questions.map(answerKey), sample.map(answerKey));
+  });
+}
+
+test("gift: reads single, multi, true/false and matching questions", () => {
+  const result = importText(
+    "gift",
+    `// comments and categories are skipped
+$CATEGORY: Azure
+
+::Regions::Which service stores secrets? {
+  =Key Vault#Built for secrets.
+  ~Blob Storage#Not encrypted per secret.
+  ~Monitor#Collects metrics.
+  ~DNS#Resolves names.
+}
+
+::Pick two::Which are compute services? {
+  ~%50%Virtual Machines
+  ~%-50%Blob Storage
+  ~%50%Functions
+  ~%-50%Key Vault
+}
+
+::TF::Azure regions contain one or more datacenters. {T####Regions group datacenters.}
+
+::Match::Match the service to its use. {
+  =Key Vault -> Secrets
+  =Monitor -> Metrics
+  =DNS -> Name resolution
+}`
+  );
+
+  assert.deepEqual(result.rejected, []);
+  assert.deepEqual(result.unsupported, []);
+  const [single, multi, truefalse, matching] = result.questions;
+
+  assert.equal(single.type, "single");
+  assert.equal(single.correctOption, "A");
+  assert.equal(single.rationales[0], "Built for secrets.");
+
+  assert.equal(multi.type, "multi");
+  assert.deepEqual(multi.correctOptions, ["A", "C"]);
+
+  assert.equal(truefalse.type, "truefalse");
+  assert.deepEqual(truefalse.answers, [true]);
+  assert.equal(truefalse.explanation, "Regions group datacenters.");
+
+  assert.deepEqual(matching.pairs[2], {
+    left: "DNS",
+    right: "Name resolution",
+  });
+});
+
+test("gift: escaped characters stay part of the text", () => {
+  const [question] = importText(
+    "gift",
+    "What does 1 \\= 1 \\{ mean\\}? {=Equal ~Less ~More ~Neither}"
+  ).questions;
+  assert.equal(question.question, "What does 1 = 1 { mean}?");
+  assert.deepEqual(question.options, ["Equal", "Less", "More", "Neither"]);
+});
+
+test("gift: essay, numerical and short-answer items are reported", () => {
+  const result = importText(
+    "gift",
+    `::Essay::Describe Azure. {}
+
+::Number::How many regions? {#60}
+
+::Short::Name the secrets service. {=Key Vault}
+
+::Good::Pick one. {=A ~B ~C ~D}`
+  );
+
+  assert.equal(result.questions.length, 1);
+  assert.deepEqual(
+    result.unsupported.map(({ title, reason }) => [title, reason]),
+    [
+      ["Essay", "essay questions are not supported"],
+      ["Number", "numerical questions are not supported"],
+      ["Short", "short-answer questions are not supported"],
+    ]
+  );
+});
+
+test("csv: reads a sheet with quoted cells and semicolons", () => {
+  const result = importText(
+    "csv",
+    [
+      "type;question;option1;option2;option3;option4;answer;explanation",
+      'single;"Which one; really?";A;B;C;D;B;"Quoted ""B"" wins"',
+      "multi;Pick two;A;B;C;D;A,C;",
+      "truefalse;Decide;Sky is blue;Grass is red;;;true,false;",
+      "ordering;Sort;one;two;three;;;",
+    ].join("\r\n")
+  );
+
+  assert.deepEqual(result.rejected, []);
+  const [single, multi, truefalse, ordering] = result.questions;
+  assert.equal(single.question, "Which one; really?");
+  assert.equal(single.correctOption, "B");
+  assert.equal(single.explanation, 'Quoted "B" wins');
+  assert.deepEqual(multi.correctOptions, ["A", "C"]);
+  assert.deepEqual(truefalse.answers, [true, false]);
+  assert.deepEqual(ordering.items, ["one", "two", "three"]);
+});
+
+test("csv: invalid rows are rejected with a reason, unknown types reported", () => {
+  const result = importText(
+    "csv",
+    [
+      "type,question,option1,option2,option3,option4,answer",
+      "single,Too few options,A,B,,,A",
+      "essay,Write something,,,,,",
+      "single,Fine,A,B,C,D,D",
+    ].join("\n")
+  );
+
+  assert.equal(result.questions.length, 1);
+  assert.equal(result.rejected.length, 1);
+  assert.match(result.rejected[0].reason, /options/);
+  assert.equal(
+    result.unsupported[0].reason,
+    'question type "essay" is not supported'
+  );
+});
+
+test("csv: a file without a question column cannot be read", () => {
+  const result = importText("csv", "foo,bar\n1,2");
+  assert.match(result.error, /"question" column/);
+});
+
+test("moodle: reads multichoice, truefalse and skips categories", () => {
+  const result = importText(
+    "moodle",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category"><category><text>$course$/Azure</text></category></question>
+  <question type="multichoice">
+    <name><text>Secrets</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Which service stores <b>secrets</b>?</p>]]></text></questiontext>
+    <generalfeedback format="html"><text>Key Vault is built for it.</text></generalfeedback>
+    <single>true</single>
+    <answer fraction="0"><text>Blob Storage</text></answer>
+    <answer fraction="100"><text>Key Vault</text></answer>
+    <answer fraction="0"><text>Monitor</text></answer>
+    <answer fraction="0"><text>DNS</text></answer>
+  </question>
+  <question type="truefalse">
+    <name><text>Regions</text></name>
+    <questiontext format="html"><text>Regions contain datacenters.</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+  </question>
+  <question type="essay">
+    <name><text>Essay</text></name>
+    <questiontext format="html"><text>Describe Azure.</text></questiontext>
+  </question>
+</quiz>`
+  );
+
+  assert.equal(result.format, "moodle");
+  const [single, truefalse] = result.questions;
+  assert.equal(single.question, "Which service stores secrets?");
+  assert.equal(single.correctOption, "B");
+  assert.equal(single.explanation, "Key Vault is built for it.");
+  assert.deepEqual(truefalse.statements, ["Regions contain datacenters."]);
+  assert.deepEqual(truefalse.answers, [true]);
+  assert.deepEqual(result.unsupported, [
+    {
+      index: 2,
+      title: "Essay",
+      reason: 'Moodle "essay" questions are not supported',
+    },
+  ]);
+});
+
+test("moodle: a document that is not a quiz cannot be read", () => {
+  const result = importText("moodle", "<html><body>Hi</body></html>");
+  assert.match(result.error, /<quiz>/);
+});
+
+test("qti: an item file that is not XML is reported", () => {
+  const result = importText("qti", "not a zip file");
+  assert.equal(result.questions.length, 0);
+  assert.match(result.unsupported[0].reason, /could not read item\.xml/);
+});
+
+test("the format comes from the file name", () => {
+  assert.match(
+    importQuiz({ buffer: Buffer.from("x"), name: "quiz.docx" }).error,
+    /Unrecognised file type/
+  );
+  assert.equal(
+    importQuiz({
+      buffer: Buffer.from("Pick one. {=A ~B ~C ~D}"),
+      name: "quiz.gift",
+    }).format,
+    "gift"
+  );
+});
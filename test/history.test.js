@@ -0,0 +1,116 @@
+// test/history.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createHistory } = require("../lib/history");
+const { balanceCorrectOptions } = require("../lib/quizPipeline");
+const { createHistoryRouter } = require("../routes/history");
+
+// Helper: an in-memory stand-in for createJsonStore
+function memoryStore(data) {
+  return {
+    read: () => data,
+    update: (mutator) => mutator(data),
+  };
+}
+
+const BANK = [
+  {
+    id: "q-single",
+    type: "single",
+    question: "Which service stores secrets?",
+    options: ["Key Vault", "Monitor", "DNS", "Blob Storage"],
+    correctOption: "A",
+  },
+  {
+    id: "q-multi",
+    type: "multi",
+    question: "Which are compute services?",
+    options: ["Functions", "DNS", "Virtual Machines", "Key Vault"],
+    correctOptions: ["A", "C"],
+  },
+  {
+    id: "q-order",
+    type: "ordering",
+    question: "Order the scopes.",
+    items: ["Management group", "Subscription", "Resource group"],
+  },
+];
+
+// Helper: the right answer to a served question, in its served letters
+function rightAnswer(q) {
+  if (q.type === "single") return q.correctOption;
+  if (q.type === "multi") return q.correctOptions;
+  return q.items;
+}
+
+async function postAttempt(t, answers) {
+  const recorded = [];
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api/history",
+    createHistoryRouter({
+      history: createHistory(memoryStore({ attempts: [] })),
+      quality: { recordAnswers: (list) => recorded.push(...list) },
+      bank: { get: (id) => BANK.find((q) => q.id === id) || null },
+    })
+  );
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  const res = await fetch(
+    `http://127.0.0.1:${server.address().port}/api/history`,
+    {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        topic: "AZ-900",
+        difficulty: "beginner",
+        answers,
+      }),
+    }
+  );
+  assert.equal(res.status, 201);
+  return recorded;
+}
+
+test("quality stats score right answers to shuffled options as right", async (t) => {
+  // Served copies have their options moved, as /api/generate-quiz does
+  const served = balanceCorrectOptions(BANK.concat(BANK, BANK, BANK));
+  assert.ok(
+    served.some((q, i) => q.correctOption !== BANK[i % 3].correctOption)
+  );
+
+  const recorded = await postAttempt(
+    t,
+    served.map((question) => ({
+      question,
+      userAnswer: rightAnswer(question),
+      score: 1,
+    }))
+  );
+  assert.equal(recorded.length, served.length);
+  recorded.forEach((answer) => assert.equal(answer.score, 1));
+});
+
+test("quality stats do not trust the browser's score", async (t) => {
+  const [recorded] = await postAttempt(t, [
+    { question: BANK[0], userAnswer: "B", score: 1 },
+  ]);
+  assert.equal(recorded.score, 0);
+});
+
+test("answers to questions whose options differ from the bank are left out", async (t) => {
+  const edited = {
+    ...BANK[0],
+    options: ["Key Vault", "Monitor", "DNS", "Something else"],
+  };
+  const recorded = await postAttempt(t, [
+    { question: edited, userAnswer: "A", score: 1 },
+    { question: { id: "unknown", question: "?" }, userAnswer: "A", score: 1 },
+  ]);
+  assert.deepEqual(recorded, []);
+});
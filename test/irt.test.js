@@ -0,0 +1,81 @@
+// test/irt.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  probabilityCorrect,
+  levelForAbility,
+  estimateAbility,
+  withPassLikelihood,
+} = require("../public/irt");
+
+// Helper: `n` answers at one level with the same score
+function answers(n, difficulty, score) {
+  return Array.from({ length: n }, () => ({ difficulty, score }));
+}
+
+test("the Rasch curve is 50% where ability meets item difficulty", () => {
+  assert.equal(probabilityCorrect(0, 0), 0.5);
+  assert.ok(probabilityCorrect(1, 0) > 0.7);
+  assert.ok(probabilityCorrect(-1, 0) < 0.3);
+});
+
+test("without answers the estimate is the prior", () => {
+  assert.deepEqual(estimateAbility([]), {
+    theta: 0,
+    se: 1,
+    level: "intermediate",
+    answered: 0,
+  });
+});
+
+test("right answers raise the estimate, wrong answers lower it", () => {
+  const strong = estimateAbility(answers(6, "expert", 1));
+  const weak = estimateAbility(answers(6, "beginner", 0));
+
+  assert.ok(strong.theta > 1);
+  assert.equal(strong.level, "expert");
+  assert.ok(weak.theta < -1);
+  assert.equal(weak.level, "beginner");
+});
+
+test("more answers make the estimate more certain", () => {
+  const few = estimateAbility(answers(2, "intermediate", 1));
+  const many = estimateAbility([
+    ...answers(10, "intermediate", 1),
+    ...answers(10, "intermediate", 0),
+  ]);
+  assert.ok(many.se < few.se);
+});
+
+test("unknown levels are ignored and scores clamped", () => {
+  const estimate = estimateAbility([
+    { difficulty: "impossible", score: 1 },
+    { difficulty: "expert", score: 5 },
+  ]);
+  assert.equal(estimate.answered, 1);
+  assert.deepEqual(
+    estimate,
+    estimateAbility([{ difficulty: "expert", score: 1 }])
+  );
+});
+
+test("levelForAbility picks the nearest item difficulty", () => {
+  assert.equal(levelForAbility(-3), "beginner");
+  assert.equal(levelForAbility(0.2), "intermediate");
+  assert.equal(levelForAbility(0.8), "expert");
+});
+
+test("pass likelihood follows ability and the pass mark", () => {
+  const strong = withPassLikelihood(answers(12, "expert", 1), 70);
+  const weak = withPassLikelihood(answers(12, "beginner", 0), 70);
+
+  assert.equal(strong.passVerdict, "likely");
+  assert.equal(weak.passVerdict, "unlikely");
+  assert.ok(strong.passLikelihood > weak.passLikelihood);
+
+  const sameAnswers = answers(6, "intermediate", 1);
+  assert.ok(
+    withPassLikelihood(sameAnswers, 90).passLikelihood <
+      withPassLikelihood(sameAnswers, 50).passLikelihood
+  );
+});
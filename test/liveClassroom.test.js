@@ -0,0 +1,172 @@
+// test/liveClassroom.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLiveClassroom, publicQuestion } = require("../lib/liveClassroom");
+
+const QUIZ = {
+  id: "quiz1",
+  title: "Azure basics",
+  scoring: { partialCredit: "partial" },
+  questions: [
+    {
+      type: "single",
+      question: "Which service stores secrets?",
+      options: ["Key Vault", "Monitor", "DNS", "Blob Storage"],
+      correctOption: "A",
+      explanation: "Key Vault is built for secrets.",
+    },
+    {
+      type: "multi",
+      question: "Which are compute services?",
+      options: ["Functions", "DNS", "Virtual Machines", "Key Vault"],
+      correctOptions: ["A", "C"],
+    },
+  ],
+};
+
+// Helper: a classroom with one quiz and a clock the test moves
+function setup() {
+  const clock = { time: 0 };
+  const classroom = createLiveClassroom({
+    quizzes: { get: (id) => (id === QUIZ.id ? QUIZ : null) },
+    now: () => clock.time,
+  });
+  return { classroom, clock };
+}
+
+// Helper: a connection that keeps what it was sent
+function connect(classroom, user) {
+  const inbox = [];
+  const connection = classroom.connect({
+    send: (message) => inbox.push(message),
+    user,
+  });
+  return {
+    inbox,
+    send: (message) => connection.receive(message),
+    close: () => connection.close(),
+    last: (type) => inbox.filter((m) => m.type === type).at(-1),
+  };
+}
+
+test("participants never see the answer before the reveal", () => {
+  const shown = publicQuestion(QUIZ.questions[1]);
+  assert.equal(shown.correctOptions, undefined);
+  assert.equal(shown.explanation, undefined);
+  assert.equal(shown.choose, 2);
+});
+
+test("a full session: host, join, answer, reveal and leaderboard", () => {
+  const { classroom, clock } = setup();
+  const host = connect(classroom);
+  host.send({ type: "host", quizId: "quiz1" });
+  const { code } = host.last("hosted");
+  assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+
+  const ann = connect(classroom);
+  const bob = connect(classroom);
+  ann.send({ type: "join", code: code.toLowerCase(), name: " Ann " });
+  bob.send({ type: "join", code, name: "Bob" });
+  assert.deepEqual(
+    host.last("participants").participants.map((p) => p.name),
+    ["Ann", "Bob"]
+  );
+
+  host.send({ type: "next" });
+  assert.equal(ann.last("question").question.correctOption, undefined);
+  clock.time = 2000;
+  ann.send({ type: "answer", index: 0, answer: "A" });
+  clock.time = 5000;
+  bob.send({ type: "answer", index: 0, answer: "B" });
+  assert.equal(host.last("progress").answered, 2);
+
+  host.send({ type: "next" });
+  assert.equal(host.last("error").error, "Reveal the answer before moving on.");
+  host.send({ type: "reveal" });
+  assert.equal(ann.last("reveal").score, 1);
+  assert.equal(bob.last("reveal").score, 0);
+  assert.equal(host.last("reveal").correct, 1);
+
+  host.send({ type: "next" });
+  // A repeated letter cannot score twice
+  ann.send({ type: "answer", index: 1, answer: ["A", "A"] });
+  bob.send({ type: "answer", index: 1, answer: ["A", "C"] });
+  host.send({ type: "reveal" });
+  host.send({ type: "next" }); // past the last question: finish
+
+  const board = host.last("leaderboard").entries;
+  assert.deepEqual(
+    board.map(({ rank, name, points }) => [rank, name, points]),
+    [
+      [1, "Ann", 1.5],
+      [2, "Bob", 1],
+    ]
+  );
+  assert.deepEqual(ann.last("leaderboard").entries, board);
+});
+
+test("answers outside the open question are refused", () => {
+  const { classroom } = setup();
+  const host = connect(classroom);
+  host.send({ type: "host", quizId: "quiz1" });
+  const ann = connect(classroom);
+  ann.send({ type: "join", code: host.last("hosted").code, name: "Ann" });
+
+  ann.send({ type: "answer", index: 0, answer: "A" });
+  assert.equal(ann.last("error").error, "This question is closed.");
+  host.send({ type: "next" });
+  ann.send({ type: "answer", index: 0, answer: "A" });
+  ann.send({ type: "answer", index: 0, answer: "B" });
+  assert.equal(ann.last("error").error, "You already answered.");
+  ann.send({ type: "reveal" });
+  assert.equal(ann.last("error").error, 'Unknown message "reveal".');
+});
+
+test("names are unique and a reload keeps the participant's answer", () => {
+  const { classroom } = setup();
+  const host = connect(classroom);
+  host.send({ type: "host", quizId: "quiz1" });
+  const { code } = host.last("hosted");
+
+  const ann = connect(classroom);
+  ann.send({ type: "join", code, name: "Ann" });
+  const { participantId } = ann.last("joined");
+  const other = connect(classroom);
+  other.send({ type: "join", code, name: "ann" });
+  assert.equal(
+    other.last("error").error,
+    "That name is taken. Pick another one."
+  );
+
+  host.send({ type: "next" });
+  ann.send({ type: "answer", index: 0, answer: "A" });
+  ann.close();
+
+  const reloaded = connect(classroom);
+  reloaded.send({ type: "join", code, participantId });
+  assert.equal(reloaded.last("joined").name, "Ann");
+  assert.deepEqual(reloaded.last("answered"), { type: "answered", index: 0 });
+});
+
+test("the session ends when the host leaves", () => {
+  const { classroom } = setup();
+  const host = connect(classroom);
+  host.send({ type: "host", quizId: "quiz1" });
+  const ann = connect(classroom);
+  ann.send({ type: "join", code: host.last("hosted").code, name: "Ann" });
+
+  host.close();
+  assert.equal(ann.last("ended").reason, "The host left.");
+  assert.equal(classroom.sessionCount(), 0);
+  ann.send({ type: "answer", index: 0, answer: "A" });
+  assert.equal(ann.last("error").error, "Host or join a session first.");
+});
+
+test("unknown quizzes and codes are reported", () => {
+  const { classroom } = setup();
+  const client = connect(classroom);
+  client.send({ type: "host", quizId: "nope" });
+  assert.equal(client.last("error").error, "Quiz not found.");
+  client.send({ type: "join", code: "ZZZZZZ", name: "Ann" });
+  assert.equal(client.last("error").error, "No live session with that code.");
+});
@@ -0,0 +1,110 @@
+// test/questionBank.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createQuestionBank, topicKey } = require("../lib/questionBank");
+const { createHistory } = require("../lib/history");
+
+// Helper: an in-memory stand-in for createJsonStore that counts writes
+function memoryStore(data) {
+  const store = {
+    writes: 0,
+    read: () => data,
+    write: (next) => {
+      data = next;
+      store.writes++;
+    },
+    update: (mutator) => {
+      const result = mutator(data);
+      store.writes++;
+      return result;
+    },
+  };
+  return store;
+}
+
+function question(text) {
+  return {
+    type: "single",
+    question: text,
+    options: ["One", "Two", "Three", "Four"],
+    correctOption: "A",
+  };
+}
+
+test("topicKey ignores case and punctuation in any script", () => {
+  assert.equal(topicKey(" AZ-900 "), "az 900");
+  assert.equal(topicKey("Größe"), "größe");
+  assert.equal(topicKey("基本情報技術者試験"), "基本情報技術者試験");
+  assert.notEqual(
+    topicKey("基本情報技術者試験"),
+    topicKey("応用情報技術者試験")
+  );
+});
+
+test("the bank keeps topics in other scripts apart", () => {
+  const bank = createQuestionBank(memoryStore({ questions: [] }));
+  const options = { difficulty: "beginner", language: "ja" };
+  const first = bank.add([question("クラウドの利点は何ですか?")], {
+    ...options,
+    topic: "基本情報技術者試験",
+  });
+  // Same text under another topic is not a duplicate
+  const second = bank.add(
+    [
+      question("クラウドの利点は何ですか?"),
+      question("仮想マシンとは何ですか?"),
+    ],
+    { ...options, topic: "応用情報技術者試験" }
+  );
+  assert.equal(first.added, 1);
+  assert.equal(second.added, 2);
+
+  const picked = bank.pick({
+    ...options,
+    topic: "基本情報技術者試験",
+    count: 5,
+  });
+  assert.equal(picked.length, 1);
+  assert.equal(picked[0].question, "クラウドの利点は何ですか?");
+});
+
+test("keys stored by the ASCII-only topicKey are migrated once", () => {
+  const store = memoryStore({
+    questions: [
+      {
+        ...question("Was ist Größe?"),
+        id: "q1",
+        topic: "Größe",
+        topicKey: "gr e",
+      },
+    ],
+  });
+  const bank = createQuestionBank(store);
+
+  assert.equal(bank.get("q1").topicKey, "größe");
+  assert.equal(store.read().topicKeyVersion, 2);
+  assert.equal(store.writes, 1);
+  bank.list();
+  assert.equal(store.writes, 1);
+});
+
+test("history filters by the migrated topic key", () => {
+  const store = memoryStore({
+    attempts: [
+      { id: "a1", topic: "基本情報", topicKey: "", answers: [] },
+      { id: "a2", topic: "応用情報", topicKey: "", answers: [] },
+    ],
+  });
+  const history = createHistory(store);
+  const { attempts } = history.list({ topic: "基本情報" });
+  assert.deepEqual(
+    attempts.map((a) => a.id),
+    ["a1"]
+  );
+});
+
+test("a new, empty collection is not written just to mark it", () => {
+  const store = memoryStore({ questions: [] });
+  createQuestionBank(store).list();
+  assert.equal(store.writes, 0);
+});
@@ -0,0 +1,70 @@
+// test/questionTypes.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateItem, validateQuestion } = require("../lib/questionTypes");
+
+// Helper: a case study as the model writes it, with a made-up id
+function caseStudy(scenario, id = "case1") {
+  const linked = (n) => ({
+    type: "single",
+    question: `${scenario} question ${n}?`,
+    options: ["One", "Two", "Three", "Four"],
+    correctOption: "A",
+  });
+  return {
+    type: "casestudy",
+    id,
+    title: "Contoso",
+    scenario,
+    questions: [linked(1), linked(2)],
+  };
+}
+
+test("a case study expands into linked questions sharing one scenario", () => {
+  const { questions } = validateItem(caseStudy("Contoso moves to Azure."), [
+    "single",
+    "casestudy",
+  ]);
+  assert.equal(questions.length, 2);
+  assert.equal(questions[0].caseStudy, questions[1].caseStudy);
+  assert.equal(questions[0].caseStudy.scenario, "Contoso moves to Azure.");
+});
+
+test("model ids do not merge unrelated case studies", () => {
+  const types = ["single", "casestudy"];
+  const first = validateItem(caseStudy("Contoso moves to Azure."), types);
+  const second = validateItem(caseStudy("Fabrikam builds a data lake."), types);
+  const again = validateItem(caseStudy("Contoso moves to Azure.", "x"), types);
+
+  const idOf = (result) => result.questions[0].caseStudy.id;
+  assert.notEqual(idOf(first), idOf(second));
+  assert.equal(idOf(first), idOf(again));
+  assert.match(idOf(first), /^cs-[0-9a-f]{12}$/);
+});
+
+test("a stored case study keeps its id when validated again", () => {
+  const { question } = validateQuestion({
+    type: "single",
+    question: "Which region?",
+    options: ["One", "Two", "Three", "Four"],
+    correctOption: "B",
+    caseStudy: { id: "cs-stored", title: "Contoso", scenario: "Text." },
+  });
+  assert.equal(question.caseStudy.id, "cs-stored");
+});
+
+test("a case study needs a scenario and 2-6 questions", () => {
+  const types = ["single", "casestudy"];
+  assert.match(
+    validateItem({ ...caseStudy("Text."), scenario: "" }, types).error,
+    /missing scenario/
+  );
+  assert.match(
+    validateItem({ ...caseStudy("Text."), questions: [] }, types).error,
+    /2-6 items/
+  );
+  assert.match(
+    validateItem(caseStudy("Text."), ["single"]).error,
+    /not requested/
+  );
+});
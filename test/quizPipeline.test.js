@@ -0,0 +1,220 @@
+// test/quizPipeline.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseModelJson,
+  createQuestionStreamParser,
+  balanceCorrectOptions,
+  generateQuestions,
+} = require("../lib/quizPipeline");
+const { createMockProvider } = require("../lib/providers/mock");
+
+const LETTERS = ["A", "B", "C", "D"];
+
+// Helper: a valid single-answer question with a recognisable correct text
+function single(n, correctOption = "A") {
+  const options = LETTERS.map((l) => `Option ${l} of ${n}`);
+  options[LETTERS.indexOf(correctOption)] = `Right answer ${n}`;
+  return {
+    type: "single",
+    question: `Question number ${n}?`,
+    options,
+    correctOption,
+    rationales: options.map((o) => `Why: ${o}`),
+    explanation: `Because ${n}.`,
+  };
+}
+
+// Helper: a provider that answers each call with the next canned output
+function scriptedLlm(outputs) {
+  const calls = [];
+  return {
+    calls,
+    async complete(request) {
+      calls.push(request);
+      return {
+        content: outputs[Math.min(calls.length - 1, outputs.length - 1)],
+        model: "scripted",
+        usage: { promptTokens: 1, completionTokens: 1 },
+      };
+    },
+  };
+}
+
+const buildMessages = ({ requestCount }) => [
+  { role: "user", content: `Write ${requestCount} questions.` },
+];
+
+test("parseModelJson reads clean JSON without repairs", () => {
+  assert.deepEqual(parseModelJson('[{"a":1}]'), {
+    value: [{ a: 1 }],
+    repaired: false,
+  });
+});
+
+test("parseModelJson repairs fences, chatter and trailing commas", () => {
+  const raw =
+    'Sure! Here you go:\n```json\n[{"a": 1,}, {"b": [2,],},]\n```\nEnjoy.';
+  assert.deepEqual(parseModelJson(raw), {
+    value: [{ a: 1 }, { b: [2] }],
+    repaired: true,
+  });
+});
+
+test("parseModelJson gives up on text without JSON", () => {
+  assert.equal(parseModelJson("I cannot help with that."), null);
+  assert.equal(parseModelJson(""), null);
+});
+
+test("the stream parser returns each question once its object closes", () => {
+  const parser = createQuestionStreamParser();
+  const text =
+    'Here: {"questions": [{"question": "Braces } and \\"quotes\\" ]", "n": 1}, ' +
+    '{"question": "Second", "nested": {"x": [1, 2]}}]}';
+
+  const seen = [];
+  for (let i = 0; i < text.length; i += 7) {
+    seen.push(...parser.push(text.slice(i, i + 7)));
+  }
+
+  assert.deepEqual(seen, [
+    { value: { question: 'Braces } and "quotes" ]', n: 1 } },
+    { value: { question: "Second", nested: { x: [1, 2] } } },
+  ]);
+  assert.equal(parser.count, 2);
+});
+
+test("the stream parser reports a question it cannot parse", () => {
+  const parser = createQuestionStreamParser();
+  const items = parser.push('[{"question": "ok"}, {"question": }]');
+  assert.deepEqual(items[0], { value: { question: "ok" } });
+  assert.ok(items[1].error);
+});
+
+test("balanceCorrectOptions spreads the correct letters evenly", () => {
+  const questions = Array.from({ length: 8 }, (_, i) => single(i, "A"));
+  const balanced = balanceCorrectOptions(questions);
+
+  const counts = {};
+  balanced.forEach((q) => {
+    counts[q.correctOption] = (counts[q.correctOption] || 0) + 1;
+  });
+  assert.deepEqual(counts, { A: 2, B: 2, C: 2, D: 2 });
+
+  balanced.forEach((q, i) => {
+    const idx = LETTERS.indexOf(q.correctOption);
+    assert.equal(q.options[idx], `Right answer ${i}`);
+    // Rationales move with their options
+    q.options.forEach((option, j) =>
+      assert.equal(q.rationales[j], `Why: ${option}`)
+    );
+  });
+  // The inputs are left untouched
+  assert.equal(questions[0].correctOption, "A");
+  assert.equal(questions[0].options[0], "Right answer 0");
+});
+
+test("balanceCorrectOptions remaps multi-select answers", () => {
+  const multi = {
+    type: "multi",
+    question: "Pick two",
+    options: ["yes 1", "no 1", "yes 2", "no 2", "no 3"],
+    correctOptions: ["A", "C"],
+  };
+  const [balanced] = balanceCorrectOptions([multi]);
+  const picked = balanced.correctOptions.map(
+    (l) => balanced.options[LETTERS.concat("E").indexOf(l)]
+  );
+  assert.deepEqual(picked.sort(), ["yes 1", "yes 2"]);
+  assert.deepEqual(
+    balanced.correctOptions,
+    [...balanced.correctOptions].sort()
+  );
+});
+
+test("generateQuestions keeps exactly the requested count", async () => {
+  const result = await generateQuestions({
+    llm: createMockProvider(),
+    model: "mock-1",
+    count: 3,
+    buildMessages,
+  });
+
+  assert.equal(result.questions.length, 3);
+  assert.equal(result.report.calls, 1);
+  assert.equal(result.report.shortfall, undefined);
+  assert.ok(result.usage.promptTokens > 0);
+});
+
+test("generateQuestions asks the model to repair unparseable output", async () => {
+  const llm = scriptedLlm([
+    "Here are your questions, but not as JSON.",
+    JSON.stringify([single(1), single(2)]),
+  ]);
+  const result = await generateQuestions({
+    llm,
+    model: "m",
+    count: 2,
+    buildMessages,
+  });
+
+  assert.equal(result.questions.length, 2);
+  assert.equal(result.report.calls, 2);
+  assert.equal(result.report.repaired, 1);
+  assert.match(llm.calls[1].messages.at(-1).content, /not valid JSON/);
+});
+
+test("generateQuestions tops up missing questions and avoids repeats", async () => {
+  const llm = scriptedLlm([
+    JSON.stringify([single(1), { type: "single", question: "broken" }]),
+    JSON.stringify([single(2), single(3)]),
+  ]);
+  const result = await generateQuestions({
+    llm,
+    model: "m",
+    count: 3,
+    buildMessages: ({ requestCount, avoid }) => [
+      { role: "user", content: `${requestCount}: ${avoid.join(" | ")}` },
+    ],
+  });
+
+  assert.deepEqual(
+    result.questions.map((q) => q.question),
+    ["Question number 1?", "Question number 2?", "Question number 3?"]
+  );
+  assert.equal(result.report.rejected.length, 1);
+  assert.match(llm.calls[1].messages[0].content, /Question number 1\?/);
+});
+
+test("generateQuestions explains a shortfall", async () => {
+  const llm = scriptedLlm([JSON.stringify([single(1)])]);
+  const result = await generateQuestions({
+    llm,
+    model: "m",
+    count: 2,
+    buildMessages,
+    accept: () => [], // everything is already in the bank
+  });
+
+  assert.equal(result.questions.length, 0);
+  assert.equal(result.report.shortfall.delivered, 0);
+  assert.match(result.report.shortfall.reason, /duplicates/);
+});
+
+test("generateQuestions streams questions as they complete", async () => {
+  const batches = [];
+  const result = await generateQuestions({
+    llm: createMockProvider(),
+    model: "mock-1",
+    count: 4,
+    buildMessages,
+    onQuestions: (questions) => batches.push(questions.length),
+  });
+
+  assert.equal(result.questions.length, 4);
+  assert.ok(batches.length > 1, "questions arrive in more than one batch");
+  assert.equal(
+    batches.reduce((a, b) => a + b, 0),
+    4
+  );
+});
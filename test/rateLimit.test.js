@@ -0,0 +1,66 @@
+// test/rateLimit.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("../lib/rateLimit");
+
+// Helper: run the middleware once; returns { passed, status, headers, body }
+function hit(limiter, { ip = "10.0.0.1", user } = {}) {
+  const result = { passed: false, status: 200, headers: {}, body: null };
+  const res = {
+    set: (name, value) => (result.headers[name] = value),
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json: (body) => (result.body = body),
+  };
+  limiter({ ip, user }, res, () => (result.passed = true));
+  return result;
+}
+
+test("requests over the per-IP limit get 429 with Retry-After", () => {
+  let time = 0;
+  const limiter = createRateLimiter({ perIp: 2, now: () => time });
+
+  assert.equal(hit(limiter).headers["RateLimit-Remaining"], "1");
+  assert.equal(hit(limiter).headers["RateLimit-Remaining"], "0");
+  const blocked = hit(limiter);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.headers["Retry-After"], "60");
+  assert.equal(blocked.body.retryAfterSeconds, 60);
+
+  // Other addresses have their own window
+  assert.equal(hit(limiter, { ip: "10.0.0.2" }).passed, true);
+
+  time = 45 * 1000;
+  assert.equal(hit(limiter).headers["Retry-After"], "15");
+  time = 60 * 1000;
+  assert.equal(hit(limiter).passed, true);
+});
+
+test("a signed-in user is limited across addresses", () => {
+  const limiter = createRateLimiter({ perIp: 10, perUser: 1, now: () => 0 });
+  const user = { id: "ann" };
+
+  assert.equal(hit(limiter, { ip: "10.0.0.1", user }).passed, true);
+  const blocked = hit(limiter, { ip: "10.0.0.2", user });
+  assert.equal(blocked.status, 429);
+  // Anonymous requests from the same address only count per IP
+  assert.equal(hit(limiter, { ip: "10.0.0.2" }).passed, true);
+});
+
+test("a blocked request does not use up the other limit", () => {
+  const limiter = createRateLimiter({ perIp: 2, perUser: 1, now: () => 0 });
+  const user = { id: "ann" };
+  hit(limiter, { user });
+  hit(limiter, { user }); // blocked by the user limit
+
+  assert.equal(hit(limiter).passed, true);
+});
+
+test("without limits every request passes untouched", () => {
+  const result = hit(createRateLimiter());
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.headers, {});
+});
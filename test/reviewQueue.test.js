@@ -0,0 +1,96 @@
+// test/reviewQueue.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { answerQuality, sm2, createReviewQueue } = require("../lib/reviewQueue");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: an in-memory stand-in for createJsonStore
+function memoryStore(data) {
+  return {
+    read: () => data,
+    update: (mutator) => mutator(data),
+  };
+}
+
+test("answerQuality weighs the score against confidence", () => {
+  assert.equal(answerQuality(1, "high"), 5);
+  assert.equal(answerQuality(1, "medium"), 4);
+  assert.equal(answerQuality(1), 4);
+  assert.equal(answerQuality(1, "low"), 3);
+  assert.equal(answerQuality(0.5, "high"), 2);
+  assert.equal(answerQuality(0, "low"), 1);
+  // Sure and wrong is the worst case
+  assert.equal(answerQuality(0, "high"), 0);
+});
+
+test("sm2 grows the interval 1, 6, then by the easiness", () => {
+  let state = { easiness: 2.5, interval: 0, repetitions: 0 };
+
+  state = sm2(state, 5);
+  assert.equal(state.interval, 1);
+  assert.equal(state.repetitions, 1);
+  assert.ok(Math.abs(state.easiness - 2.6) < 1e-9);
+
+  state = sm2(state, 5);
+  assert.equal(state.interval, 6);
+  assert.equal(state.repetitions, 2);
+
+  // Third step: previous interval × previous easiness (6 × 2.7)
+  state = sm2(state, 5);
+  assert.equal(state.interval, 16);
+  assert.equal(state.repetitions, 3);
+});
+
+test("sm2 restarts a lapsed item and keeps easiness at 1.3 or more", () => {
+  const lapsed = sm2({ easiness: 2.5, interval: 30, repetitions: 5 }, 2);
+  assert.equal(lapsed.interval, 1);
+  assert.equal(lapsed.repetitions, 0);
+  assert.ok(lapsed.easiness < 2.5);
+
+  let state = { easiness: 2.5, interval: 0, repetitions: 0 };
+  for (let i = 0; i < 10; i++) state = sm2(state, 0);
+  assert.equal(state.easiness, 1.3);
+});
+
+test("the review queue schedules missed questions only", () => {
+  const queue = createReviewQueue(memoryStore({ items: [] }));
+  const now = Date.parse("2026-01-10T12:00:00Z");
+  const question = (id) => ({ id, question: `Question ${id}?` });
+
+  const result = queue.record(
+    [
+      { question: question("missed"), score: 0, confidence: "high" },
+      { question: question("known"), score: 1, confidence: "high" },
+      { question: question("guessed"), score: 1, confidence: "low" },
+    ],
+    { now }
+  );
+  assert.deepEqual(result, { added: 2, updated: 0 });
+
+  assert.equal(queue.due({ now }).length, 0);
+  const tomorrow = now + DAY_MS;
+  assert.deepEqual(
+    queue
+      .due({ now: tomorrow })
+      .map((item) => item.id)
+      .sort(),
+    ["guessed", "missed"]
+  );
+  assert.deepEqual(queue.stats({ now }), {
+    total: 2,
+    due: 0,
+    nextDueAt: new Date(tomorrow).toISOString(),
+  });
+});
+
+test("each learner has their own review queue", () => {
+  const queue = createReviewQueue(memoryStore({ items: [] }));
+  const now = Date.now();
+  queue.record([{ question: { id: "q1" }, score: 0 }], { userId: "ann", now });
+
+  assert.equal(queue.stats({ userId: "ann", now }).total, 1);
+  assert.equal(queue.stats({ userId: "bob", now }).total, 0);
+  assert.equal(queue.remove("q1", "bob"), false);
+  assert.equal(queue.remove("q1", "ann"), true);
+});
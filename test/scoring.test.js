@@ -0,0 +1,76 @@
+// test/scoring.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  scoreAnswer,
+  isAnswered,
+  describeCorrectAnswer,
+} = require("../public/scoring");
+
+const single = { type: "single", correctOption: "B" };
+const multi = { type: "multi", correctOptions: ["A", "C"] };
+const truefalse = { type: "truefalse", answers: [true, false, true, false] };
+const ordering = { type: "ordering", items: ["one", "two", "three", "four"] };
+const matching = {
+  type: "matching",
+  pairs: [
+    { left: "Key Vault", right: "Secrets" },
+    { left: "Monitor", right: "Metrics" },
+  ],
+};
+
+test("single answer: right or wrong", () => {
+  assert.equal(scoreAnswer(single, "B"), 1);
+  assert.equal(scoreAnswer(single, "A"), 0);
+  // Questions without a type are single answer
+  assert.equal(scoreAnswer({ correctOption: "C" }, "C"), 1);
+});
+
+test("multi-select: wrong picks cancel out right ones, never below 0", () => {
+  assert.equal(scoreAnswer(multi, ["A", "C"]), 1);
+  assert.equal(scoreAnswer(multi, ["A"]), 0.5);
+  assert.equal(scoreAnswer(multi, ["A", "B"]), 0);
+  assert.equal(scoreAnswer(multi, ["B", "D"]), 0);
+  assert.equal(scoreAnswer(multi, ["A", "B", "C"]), 0.5);
+});
+
+test("true/false, ordering and matching give credit per part", () => {
+  assert.equal(scoreAnswer(truefalse, [true, false, false, true]), 0.5);
+  assert.equal(scoreAnswer(ordering, ["one", "two", "four", "three"]), 0.5);
+  assert.equal(
+    scoreAnswer(matching, { "Key Vault": "Secrets", Monitor: "Secrets" }),
+    0.5
+  );
+});
+
+test("strict scoring only gives full credit", () => {
+  assert.equal(scoreAnswer(multi, ["A"], "strict"), 0);
+  assert.equal(scoreAnswer(multi, ["A", "C"], "strict"), 1);
+  assert.equal(scoreAnswer(truefalse, [true, false, true, true], "strict"), 0);
+});
+
+test("missing or malformed answers score 0", () => {
+  assert.equal(scoreAnswer(single, null), 0);
+  assert.equal(scoreAnswer(multi, undefined), 0);
+  assert.equal(scoreAnswer(multi, "A"), 0);
+  assert.equal(scoreAnswer(ordering, "one"), 0);
+  assert.equal(scoreAnswer({ type: "unknown" }, "A"), 0);
+});
+
+test("isAnswered needs every part of the answer", () => {
+  assert.equal(isAnswered(single, "A"), true);
+  assert.equal(isAnswered(single, null), false);
+  assert.equal(isAnswered(multi, []), false);
+  assert.equal(isAnswered(truefalse, [true, null, false, true]), false);
+  assert.equal(isAnswered(truefalse, [true, true, false, true]), true);
+  assert.equal(isAnswered(matching, { "Key Vault": "Secrets" }), false);
+});
+
+test("describeCorrectAnswer names the answer for each type", () => {
+  assert.equal(describeCorrectAnswer(single), "Correct answer: B");
+  assert.equal(describeCorrectAnswer(multi), "Correct answers: A, C");
+  assert.equal(
+    describeCorrectAnswer(ordering),
+    "Correct order: one → two → three → four"
+  );
+});
@@ -0,0 +1,64 @@
+// test/store.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Each test file runs in its own process, so DATA_DIR only applies here
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "certstudy-store-"));
+process.env.DATA_DIR = dataDir;
+const { createJsonStore } = require("../lib/store");
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("a missing file starts from a copy of the default", () => {
+  const defaults = { items: [] };
+  const store = createJsonStore("fresh", defaults);
+  store.read().items.push(1);
+
+  assert.deepEqual(defaults, { items: [] });
+  assert.equal(fs.existsSync(store.file), false);
+});
+
+test("updates are written to disk and read back", () => {
+  const store = createJsonStore("roundtrip", { items: [] });
+  const result = store.update((data) => {
+    data.items.push("a");
+    return data.items.length;
+  });
+
+  assert.equal(result, 1);
+  const again = createJsonStore("roundtrip", { items: [] });
+  assert.deepEqual(again.read(), { items: ["a"] });
+  assert.deepEqual(
+    fs.readdirSync(dataDir).filter((f) => f.endsWith(".tmp")),
+    []
+  );
+});
+
+test("a file that is not valid JSON is moved aside, not overwritten", (t) => {
+  t.mock.method(console, "error", () => {});
+  const file = path.join(dataDir, "broken.json");
+  fs.writeFileSync(file, '{ "questions": [ { "id": "q1", } ');
+
+  const store = createJsonStore("broken", { questions: [] });
+  assert.deepEqual(store.read(), { questions: [] });
+  store.update((data) => data.questions.push({ id: "new" }));
+
+  const aside = fs
+    .readdirSync(dataDir)
+    .filter((f) => f.startsWith("broken.json.corrupt-"));
+  assert.equal(aside.length, 1);
+  assert.equal(
+    fs.readFileSync(path.join(dataDir, aside[0]), "utf8"),
+    '{ "questions": [ { "id": "q1", } '
+  );
+  assert.equal(console.error.mock.calls.length, 1);
+});
+
+test("other read errors are not swallowed", () => {
+  fs.mkdirSync(path.join(dataDir, "folder.json"));
+  const store = createJsonStore("folder", {});
+  assert.throws(() => store.read(), { code: "EISDIR" });
+});
@@ -0,0 +1,132 @@
+// test/usage.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createUsageLedger, costOf, priceFor } = require("../lib/usage");
+
+// Helper: an in-memory stand-in for createJsonStore that counts writes
+function memoryStore(data = { entries: [], dailyCostUsd: {} }) {
+  const store = {
+    writes: 0,
+    read: () => data,
+    update: (mutator) => {
+      const result = mutator(data);
+      store.writes++;
+      return result;
+    },
+  };
+  return store;
+}
+
+const today = new Date().toISOString().slice(0, 10);
+
+test("calls are priced per 1M tokens, dated snapshots like their model", () => {
+  assert.deepEqual(
+    costOf("gpt-5-mini", { promptTokens: 1_000_000, completionTokens: 0 }),
+    { costUsd: 0.25, priced: true }
+  );
+  assert.equal(priceFor("gpt-5-mini-2025-08-07").model, "gpt-5-mini");
+  assert.deepEqual(costOf("unknown-model", { promptTokens: 10 }), {
+    costUsd: 0,
+    priced: false,
+  });
+});
+
+test("every call is kept with its own tokens, cost and flags", () => {
+  const store = memoryStore();
+  const ledger = createUsageLedger(store, {});
+  ledger.record({
+    endpoint: "explain",
+    user: "ann",
+    model: "gpt-5-mini",
+    promptTokens: 1000,
+    completionTokens: 500,
+  });
+  ledger.record({
+    endpoint: "explain",
+    user: "ann",
+    model: "gpt-5-mini",
+    promptTokens: 10,
+    completionTokens: 5,
+    estimated: true,
+  });
+  ledger.recordCacheHit({ endpoint: "explain", user: "bob", savedUsd: 0.01 });
+
+  const { entries, dailyCostUsd } = store.read();
+  assert.equal(entries.length, 3);
+  assert.equal(entries[1].estimated, true);
+  assert.equal(entries[2].cached, true);
+  assert.equal(dailyCostUsd[today], 0.001263);
+
+  const report = ledger.report({ from: today, to: today });
+  assert.equal(report.totals.calls, 2);
+  assert.equal(report.totals.cacheHits, 1);
+  assert.equal(report.totals.savedUsd, 0.01);
+  assert.deepEqual(
+    report.byUser.map((u) => u.name),
+    ["ann", "bob"]
+  );
+});
+
+test("a budget that is used up refuses new calls", async () => {
+  const ledger = createUsageLedger(memoryStore(), { dailyUsd: 0.001 });
+  const llm = {
+    calls: 0,
+    async complete() {
+      this.calls++;
+      return {
+        content: "ok",
+        model: "gpt-5-mini",
+        usage: { promptTokens: 4000, completionTokens: 0 },
+      };
+    },
+  };
+  const tracked = ledger.track(llm, { endpoint: "quiz", user: "ann" });
+
+  await tracked.complete({ model: "gpt-5-mini", messages: [] });
+  assert.equal(ledger.budgetStatus().daily.spentUsd, 0.001);
+  await assert.rejects(
+    tracked.complete({ model: "gpt-5-mini", messages: [] }),
+    (err) => err.code === "BUDGET_EXCEEDED" && err.budget.period === "daily"
+  );
+  assert.equal(llm.calls, 1);
+});
+
+test("a cancelled stream is recorded with estimated tokens", async () => {
+  const store = memoryStore();
+  const ledger = createUsageLedger(store, {});
+  const llm = {
+    async complete({ onDelta }) {
+      onDelta("partial output");
+      throw new Error("aborted");
+    },
+  };
+
+  await assert.rejects(
+    ledger.track(llm, { endpoint: "quiz", user: "ann" }).complete({
+      model: "gpt-5-mini",
+      messages: [{ role: "user", content: "Write a quiz." }],
+      onDelta: () => {},
+    }),
+    /aborted/
+  );
+  const [entry] = store.read().entries;
+  assert.equal(entry.estimated, true);
+  assert.equal(entry.completionTokens, 4);
+});
+
+test("a ledger without the daily index gets it built and saved once", () => {
+  const store = memoryStore({
+    entries: [
+      { at: `${today}T01:00:00.000Z`, costUsd: 0.5, user: "ann" },
+      { at: `${today}T02:00:00.000Z`, costUsd: 0.25, user: "ann" },
+      { at: "2020-01-01T00:00:00.000Z", costUsd: 9, user: "ann" },
+    ],
+  });
+  const ledger = createUsageLedger(store, { dailyUsd: 1, monthlyUsd: 1 });
+
+  assert.equal(ledger.budgetStatus().daily.spentUsd, 0.75);
+  assert.equal(ledger.budgetStatus().monthly.spentUsd, 0.75);
+  assert.equal(store.read().dailyCostUsd["2020-01-01"], 9);
+  assert.equal(store.writes, 1);
+  assert.equal(store.read().entries.length, 3);
+});